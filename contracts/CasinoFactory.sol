@@ -1,21 +1,72 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "./security/Pausable.sol";
-import "./access/Ownable.sol";
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import {Ownable2StepUpgradeable} from "@openzeppelin/contracts-upgradeable/access/Ownable2StepUpgradeable.sol";
+import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import {AccessManagedUpgradeable} from "@openzeppelin/contracts-upgradeable/access/manager/AccessManagedUpgradeable.sol";
+import {IAccessManager} from "@openzeppelin/contracts/access/manager/IAccessManager.sol";
+import {UpgradeableBeacon} from "./proxy/beacon/UpgradeableBeacon.sol";
+import {BeaconProxy} from "./proxy/beacon/BeaconProxy.sol";
 import "./TokenPool.sol";
+import "./LPShareToken.sol";
+import "./CasinoRoles.sol";
+import "./utils/Create2.sol";
 import "./errors/CasinoErrors.sol";
 
 /**
  * @title CasinoFactory
- * @dev Factory contract for deploying and managing token pools
+ * @dev Factory contract for deploying and managing token pools.
+ * Deployed behind a UUPS proxy (upgrades are authorized by the owner). Pools
+ * are BeaconProxy instances of one UpgradeableBeacon owned by the factory,
+ * so upgradePools moves every pool at once. Each pool's ERC-4626 LP share
+ * token is likewise a BeaconProxy of the share token beacon, once
+ * setShareTokenImplementation has created it. Only append state variables.
+ *
+ * Operator roles live in an AccessManager administered by this factory (see
+ * setAccessManager), so the owner grants and revokes them here. Pools ask
+ * hasRole; pause and fee functions are open to the owner and to their role,
+ * whose members may be given an execution delay.
  */
-contract CasinoFactory is Pausable, Ownable {
+contract CasinoFactory is
+    Initializable,
+    PausableUpgradeable,
+    Ownable2StepUpgradeable,
+    AccessManagedUpgradeable,
+    UUPSUpgradeable
+{
     // State Variables
     address public platformWallet;
     address public router;
     uint256 public poolCreationFee; // Optional fee for creating pools
 
+    // Platform fee split; empty means every fee goes to platformWallet
+    uint256 private constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_FEE_RECIPIENTS = 10;
+    address[] private feeRecipients;
+    uint256[] private feeRecipientBps;
+
+    // Pool fee schedules (basis points)
+    struct FeeSchedule {
+        uint256 platformFee;     // liquidity add/remove and withdrawals
+        uint256 gameLpFee;       // share of each bet paid to LPs
+        uint256 gamePlatformFee; // share of each bet paid to the platform
+    }
+
+    struct PendingFeeChange {
+        FeeSchedule fees;
+        uint256 eta;
+    }
+
+    uint256 public constant MAX_FEE = 1000; // 10% max
+    uint256 public constant MAX_FEE_TIMELOCK = 30 days;
+    FeeSchedule public defaultFees;
+    uint256 public feeTimelock; // 0 applies fee changes immediately
+    uint256 public pendingFeeTimelock;
+    uint256 public feeTimelockEta;
+    mapping(address => PendingFeeChange) public pendingFeeChanges; // token => queued schedule
+
     /**
      * @dev Set the router address
      */
@@ -24,7 +75,7 @@ contract CasinoFactory is Pausable, Ownable {
         router = _router;
     }
     
-    // Operators
+    // Operators (hold both the balance syncer and game settler roles)
     mapping(address => bool) public operators;
     mapping(address => string) public operatorNames;
 
@@ -32,52 +83,226 @@ contract CasinoFactory is Pausable, Ownable {
     mapping(address => address) public tokenToPools;
     mapping(address => bool) public isPoolDeployed;
     address[] public deployedTokens; // Track each token that has a pool
+    UpgradeableBeacon public poolBeacon;
+
+    // Roles
+    uint64 public constant BALANCE_SYNCER_ROLE = CasinoRoles.BALANCE_SYNCER;
+    uint64 public constant GAME_SETTLER_ROLE = CasinoRoles.GAME_SETTLER;
+    uint64 public constant PAUSER_ROLE = CasinoRoles.PAUSER;
+    uint64 public constant FEE_MANAGER_ROLE = CasinoRoles.FEE_MANAGER;
+    mapping(uint64 => mapping(address => string)) public roleMemberNames;
+
+    // LP share tokens (zero until setShareTokenImplementation)
+    UpgradeableBeacon public shareTokenBeacon;
 
     // Events
     event TokenWhitelisted(address indexed token, bool status);
     event PoolCreated(address indexed token, address indexed pool);
+    event ShareTokenCreated(address indexed token, address indexed shareToken);
     event OperatorUpdated(address indexed operator, bool status, string name);
     event PlatformWalletUpdated(address indexed newWallet);
-    event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
-    event GameFeeUpdated(uint256 oldFee, uint256 newFee);
+    event FeeRecipientsUpdated(address[] wallets, uint256[] bps);
+    event PlatformFeeUpdated(address indexed token, uint256 oldFee, uint256 newFee);
+    event GameFeeUpdated(
+        address indexed token,
+        uint256 oldLpFee,
+        uint256 oldPlatformFee,
+        uint256 newLpFee,
+        uint256 newPlatformFee
+    );
+    event DefaultFeesUpdated(uint256 platformFee, uint256 gameLpFee, uint256 gamePlatformFee);
+    event FeeChangeQueued(
+        address indexed token,
+        uint256 platformFee,
+        uint256 gameLpFee,
+        uint256 gamePlatformFee,
+        uint256 eta
+    );
+    event FeeChangeCancelled(address indexed token);
+    event FeeTimelockUpdated(uint256 oldDelay, uint256 newDelay, uint256 eta);
+    event RoleMemberUpdated(uint64 indexed roleId, address indexed account, bool status, string name);
 
-    constructor() Ownable(msg.sender) {}
+    /**
+     * @dev The owner, or a caller the AccessManager allows for this function.
+     * Role members with an execution delay schedule the call on the manager
+     * and run it through AccessManager.execute once the delay has passed.
+     */
+    modifier onlyOwnerOrRole() {
+        if (msg.sender != owner()) _checkCanCall(msg.sender, msg.data);
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
-    function initialize(address _platformWallet) external {
+    /**
+     * @dev Run by the proxy's constructor, so nobody can front-run the setup;
+     * the deployer becomes the owner. `_poolImplementation` is the TokenPool
+     * logic contract the pool beacon points at.
+     */
+    function initialize(address _platformWallet, address _poolImplementation) external initializer {
         if (_platformWallet == address(0)) revert InvalidWalletAddress();
-        if (platformWallet != address(0)) {
-            revert("Already initialized");
-        }
+
+        __Pausable_init();
+        __Ownable_init(msg.sender);
+        __AccessManaged_init(address(0));
+        __UUPSUpgradeable_init();
+
         platformWallet = _platformWallet;
+        defaultFees = FeeSchedule(250, 200, 100);
+        poolBeacon = new UpgradeableBeacon(_poolImplementation, address(this));
+    }
+
+    /**
+     * @dev Point every pool at a new TokenPool implementation
+     */
+    function upgradePools(address newImplementation) external onlyOwner {
+        poolBeacon.upgradeTo(newImplementation);
+    }
+
+    /**
+     * @dev TokenPool logic contract currently used by every pool
+     */
+    function poolImplementation() external view returns (address) {
+        return poolBeacon.implementation();
+    }
+
+    /**
+     * @dev Create the LP share token beacon on `implementation`, or point every
+     * share token at a new one. Pools created from then on get a share token;
+     * earlier ones get theirs from createShareToken.
+     */
+    function setShareTokenImplementation(address implementation) external onlyOwner {
+        if (address(shareTokenBeacon) == address(0)) {
+            shareTokenBeacon = new UpgradeableBeacon(implementation, address(this));
+        } else {
+            shareTokenBeacon.upgradeTo(implementation);
+        }
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    // ------------------------------------
+    // Roles
+    // ------------------------------------
+
+    /**
+     * @dev Connect the AccessManager that holds operator roles. This factory must
+     * be its admin (deploy it with the factory as initialAdmin). Restricts the
+     * pause and fee functions to their roles; roles granted on a previous
+     * manager are not carried over.
+     */
+    function setAccessManager(address manager) external onlyOwner {
+        (bool isAdmin, ) = IAccessManager(manager).hasRole(0, address(this));
+        if (!isAdmin) revert NotAuthorized();
+        _setAuthority(manager);
+
+        bytes4[] memory pauserFunctions = new bytes4[](2);
+        pauserFunctions[0] = this.pause.selector;
+        pauserFunctions[1] = this.unpause.selector;
+
+        bytes4[] memory feeFunctions = new bytes4[](5);
+        feeFunctions[0] = this.setDefaultFees.selector;
+        feeFunctions[1] = this.setPlatformFee.selector;
+        feeFunctions[2] = this.setGameFee.selector;
+        feeFunctions[3] = this.cancelFeeChange.selector;
+        feeFunctions[4] = this.setPoolCreationFee.selector;
+
+        IAccessManager accessManager = IAccessManager(manager);
+        accessManager.setTargetFunctionRole(address(this), pauserFunctions, PAUSER_ROLE);
+        accessManager.setTargetFunctionRole(address(this), feeFunctions, FEE_MANAGER_ROLE);
+        accessManager.labelRole(BALANCE_SYNCER_ROLE, "BALANCE_SYNCER");
+        accessManager.labelRole(GAME_SETTLER_ROLE, "GAME_SETTLER");
+        accessManager.labelRole(PAUSER_ROLE, "PAUSER");
+        accessManager.labelRole(FEE_MANAGER_ROLE, "FEE_MANAGER");
+    }
+
+    /**
+     * @dev Grant a role. With an execution delay the member can only call the
+     * factory's restricted functions, through the AccessManager's schedule and
+     * execute; pools only accept members without one.
+     */
+    function grantRole(
+        uint64 roleId,
+        address account,
+        uint32 executionDelay,
+        string memory name
+    ) public onlyOwner {
+        if (account == address(0)) revert InvalidWalletAddress();
+        IAccessManager(authority()).grantRole(roleId, account, executionDelay);
+        roleMemberNames[roleId][account] = name;
+        emit RoleMemberUpdated(roleId, account, true, name);
+    }
+
+    function revokeRole(uint64 roleId, address account) public onlyOwner {
+        IAccessManager(authority()).revokeRole(roleId, account);
+        delete roleMemberNames[roleId][account];
+        emit RoleMemberUpdated(roleId, account, false, "");
     }
 
     /**
-     * @dev Add or remove an operator
+     * @dev Delay before new grants of a role take effect. The AccessManager
+     * applies the change itself after at least 5 days (or the amount of a decrease).
+     */
+    function setRoleGrantDelay(uint64 roleId, uint32 delay) external onlyOwner {
+        IAccessManager(authority()).setGrantDelay(roleId, delay);
+    }
+
+    /**
+     * @dev Whether `account` can use a role right now (granted, past any grant
+     * delay, and without an execution delay)
+     */
+    function hasRole(uint64 roleId, address account) public view returns (bool) {
+        if (authority() == address(0)) return false;
+        (bool isMember, uint32 executionDelay) = IAccessManager(authority()).hasRole(roleId, account);
+        return isMember && executionDelay == 0;
+    }
+
+    /**
+     * @dev Get a role member's name for Firebase identification
+     */
+    function getRoleMemberName(uint64 roleId, address account) external view returns (string memory) {
+        (bool isMember, ) = IAccessManager(authority()).hasRole(roleId, account);
+        if (!isMember) revert NotRoleMember(roleId, account);
+        return roleMemberNames[roleId][account];
+    }
+
+    /**
+     * @dev Add or remove an operator: a member of both the balance syncer and
+     * the game settler roles. Grant a game server only GAME_SETTLER_ROLE so
+     * its key cannot rewrite balances.
      */
     function setOperator(address operator, bool status, string memory name) external onlyOwner {
         if (operator == address(0)) revert InvalidWalletAddress();
         operators[operator] = status;
         if (status) {
             operatorNames[operator] = name;
+            grantRole(BALANCE_SYNCER_ROLE, operator, 0, name);
+            grantRole(GAME_SETTLER_ROLE, operator, 0, name);
         } else {
             delete operatorNames[operator];
+            revokeRole(BALANCE_SYNCER_ROLE, operator);
+            revokeRole(GAME_SETTLER_ROLE, operator);
         }
         emit OperatorUpdated(operator, status, name);
     }
 
     /**
-     * @dev Check if an address is an authorized operator
+     * @dev Check if an address is an operator that can both sync balances and settle games
      */
     function isOperator(address operatorAddr) external view returns (bool) {
-        return operators[operatorAddr];
+        return hasRole(BALANCE_SYNCER_ROLE, operatorAddr) && hasRole(GAME_SETTLER_ROLE, operatorAddr);
     }
 
     /**
-     * @dev Get operator name for Firebase identification
+     * @dev Get the name of a balance syncer or game settler for Firebase identification
      */
     function getOperatorName(address operatorAddr) external view returns (string memory) {
-        require(operators[operatorAddr], "Not an operator");
-        return operatorNames[operatorAddr];
+        if (hasRole(BALANCE_SYNCER_ROLE, operatorAddr)) return roleMemberNames[BALANCE_SYNCER_ROLE][operatorAddr];
+        if (hasRole(GAME_SETTLER_ROLE, operatorAddr)) return roleMemberNames[GAME_SETTLER_ROLE][operatorAddr];
+        revert NotOperator(operatorAddr);
     }
 
     /**
@@ -89,10 +314,187 @@ contract CasinoFactory is Pausable, Ownable {
         emit PlatformWalletUpdated(newWallet);
     }
 
+    /**
+     * @dev Split pool platform fees between several wallets.
+     * Weights are in basis points and must sum to 10000; pass empty arrays
+     * to send every fee to the platform wallet again.
+     */
+    function setFeeRecipients(address[] calldata wallets, uint256[] calldata bps) external onlyOwner {
+        if (wallets.length != bps.length || wallets.length > MAX_FEE_RECIPIENTS) revert InvalidFeeSplit();
+
+        uint256 total;
+        for (uint i = 0; i < wallets.length; i++) {
+            if (wallets[i] == address(0)) revert InvalidWalletAddress();
+            if (bps[i] == 0) revert InvalidFeeSplit();
+            total += bps[i];
+        }
+        if (wallets.length > 0 && total != BASIS_POINTS) revert InvalidFeeSplit();
+
+        feeRecipients = wallets;
+        feeRecipientBps = bps;
+        emit FeeRecipientsUpdated(wallets, bps);
+    }
+
+    /**
+     * @dev Get the platform fee split used by every pool
+     */
+    function getFeeRecipients() external view returns (address[] memory wallets, uint256[] memory bps) {
+        return (feeRecipients, feeRecipientBps);
+    }
+
+    // ------------------------------------
+    // Fee Schedules
+    // ------------------------------------
+
+    /**
+     * @dev Fee schedule applied to pools created from now on
+     */
+    function setDefaultFees(
+        uint256 platformFee,
+        uint256 gameLpFee,
+        uint256 gamePlatformFee
+    ) external onlyOwnerOrRole {
+        FeeSchedule memory fees = FeeSchedule(platformFee, gameLpFee, gamePlatformFee);
+        _validateFees(fees);
+        defaultFees = fees;
+        emit DefaultFeesUpdated(platformFee, gameLpFee, gamePlatformFee);
+    }
+
+    /**
+     * @dev Change a pool's liquidity/withdrawal fee (queued when a timelock is set)
+     */
+    function setPlatformFee(address token, uint256 platformFee) external onlyOwnerOrRole {
+        FeeSchedule memory fees = _nextFees(token);
+        fees.platformFee = platformFee;
+        _scheduleFees(token, fees);
+    }
+
+    /**
+     * @dev Change a pool's game fees (queued when a timelock is set)
+     */
+    function setGameFee(address token, uint256 gameLpFee, uint256 gamePlatformFee) external onlyOwnerOrRole {
+        FeeSchedule memory fees = _nextFees(token);
+        fees.gameLpFee = gameLpFee;
+        fees.gamePlatformFee = gamePlatformFee;
+        _scheduleFees(token, fees);
+    }
+
+    /**
+     * @dev Apply a queued fee change once its timelock has passed; callable by anyone
+     */
+    function executeFeeChange(address token) external {
+        PendingFeeChange memory pending = pendingFeeChanges[token];
+        if (pending.eta == 0) revert NoPendingFeeChange();
+        if (block.timestamp < pending.eta) revert FeeChangeNotReady();
+
+        delete pendingFeeChanges[token];
+        _applyFees(token, pending.fees);
+    }
+
+    function cancelFeeChange(address token) external onlyOwnerOrRole {
+        if (pendingFeeChanges[token].eta == 0) revert NoPendingFeeChange();
+        delete pendingFeeChanges[token];
+        emit FeeChangeCancelled(token);
+    }
+
+    /**
+     * @dev Set the fee change delay. Increases apply immediately; decreases
+     * wait out the current delay and are applied with executeFeeTimelock
+     */
+    function setFeeTimelock(uint256 delay) external onlyOwner {
+        if (delay > MAX_FEE_TIMELOCK) revert InvalidAmount();
+
+        if (delay >= feeTimelock) {
+            emit FeeTimelockUpdated(feeTimelock, delay, block.timestamp);
+            feeTimelock = delay;
+            feeTimelockEta = 0;
+        } else {
+            pendingFeeTimelock = delay;
+            feeTimelockEta = block.timestamp + feeTimelock;
+            emit FeeTimelockUpdated(feeTimelock, delay, feeTimelockEta);
+        }
+    }
+
+    function executeFeeTimelock() external {
+        if (feeTimelockEta == 0) revert NoPendingFeeChange();
+        if (block.timestamp < feeTimelockEta) revert FeeChangeNotReady();
+
+        feeTimelock = pendingFeeTimelock;
+        feeTimelockEta = 0;
+    }
+
+    /**
+     * @dev Current fee schedule of a token's pool
+     */
+    function getPoolFees(address token) public view returns (FeeSchedule memory fees) {
+        address poolAddress = tokenToPools[token];
+        if (poolAddress == address(0)) revert PoolDoesNotExist();
+
+        TokenPool pool = TokenPool(poolAddress);
+        fees = FeeSchedule(pool.platformFee(), pool.gameLpFee(), pool.gamePlatformFee());
+    }
+
+    // Setters build on a queued change so platform and game fees can be queued together
+    function _nextFees(address token) internal view returns (FeeSchedule memory) {
+        PendingFeeChange memory pending = pendingFeeChanges[token];
+        if (pending.eta != 0) return pending.fees;
+        return getPoolFees(token);
+    }
+
+    function _scheduleFees(address token, FeeSchedule memory fees) internal {
+        _validateFees(fees);
+
+        if (feeTimelock == 0) {
+            _applyFees(token, fees);
+            return;
+        }
+
+        uint256 eta = block.timestamp + feeTimelock;
+        pendingFeeChanges[token] = PendingFeeChange(fees, eta);
+        emit FeeChangeQueued(token, fees.platformFee, fees.gameLpFee, fees.gamePlatformFee, eta);
+    }
+
+    function _applyFees(address token, FeeSchedule memory fees) internal {
+        FeeSchedule memory old = getPoolFees(token);
+        TokenPool(tokenToPools[token]).setFees(fees.platformFee, fees.gameLpFee, fees.gamePlatformFee);
+
+        if (old.platformFee != fees.platformFee) {
+            emit PlatformFeeUpdated(token, old.platformFee, fees.platformFee);
+        }
+        if (old.gameLpFee != fees.gameLpFee || old.gamePlatformFee != fees.gamePlatformFee) {
+            emit GameFeeUpdated(token, old.gameLpFee, old.gamePlatformFee, fees.gameLpFee, fees.gamePlatformFee);
+        }
+    }
+
+    function _validateFees(FeeSchedule memory fees) internal pure {
+        if (fees.platformFee > MAX_FEE || fees.gameLpFee + fees.gamePlatformFee > MAX_FEE) revert FeeTooHigh();
+    }
+
+    // ------------------------------------
+    // Exposure Limits
+    // ------------------------------------
+
+    /**
+     * @dev Set a pool's max bet, max single payout and max net loss per
+     * `lossWindow` seconds, each in basis points of its LP capital (0 = no limit)
+     */
+    function setExposureLimits(
+        address token,
+        uint256 maxBetBps,
+        uint256 maxPayoutBps,
+        uint256 maxNetLossBps,
+        uint256 lossWindow
+    ) external onlyOwner {
+        address poolAddress = tokenToPools[token];
+        if (poolAddress == address(0)) revert PoolDoesNotExist();
+
+        TokenPool(poolAddress).setExposureLimits(maxBetBps, maxPayoutBps, maxNetLossBps, lossWindow);
+    }
+
     /**
      * @dev Set pool creation fee
      */
-    function setPoolCreationFee(uint256 newFee) external onlyOwner {
+    function setPoolCreationFee(uint256 newFee) external onlyOwnerOrRole {
         poolCreationFee = newFee;
     }
 
@@ -113,8 +515,11 @@ contract CasinoFactory is Pausable, Ownable {
             if (!sent) revert("Failed to send fee");
         }
 
-        // Deploy new pool (factory remains owner)
-        TokenPool pool = new TokenPool(token, address(this), platformWallet);
+        // Deploy new pool at a predictable address (factory remains owner)
+        TokenPool pool = TokenPool(address(
+            new BeaconProxy{salt: _poolSalt(token)}(address(poolBeacon), _poolInitData(token))
+        ));
+        pool.setFees(defaultFees.platformFee, defaultFees.gameLpFee, defaultFees.gamePlatformFee);
         
         // Record
         tokenToPools[token] = address(pool);
@@ -122,12 +527,56 @@ contract CasinoFactory is Pausable, Ownable {
         deployedTokens.push(token);
 
         emit PoolCreated(token, address(pool));
+
+        if (address(shareTokenBeacon) != address(0)) _createShareToken(token, pool);
+    }
+
+    /**
+     * @dev Give an existing pool its LP share token. Anyone can call it; the
+     * token's address is fixed by the pool's.
+     */
+    function createShareToken(address token) external {
+        address poolAddress = tokenToPools[token];
+        if (poolAddress == address(0)) revert PoolDoesNotExist();
+        if (address(shareTokenBeacon) == address(0)) revert NoShareTokenImplementation();
+        if (address(TokenPool(poolAddress).shareToken()) != address(0)) revert ShareTokenAlreadySet();
+
+        _createShareToken(token, TokenPool(poolAddress));
+    }
+
+    function _createShareToken(address token, TokenPool pool) internal {
+        address shareToken = address(new BeaconProxy{salt: _poolSalt(token)}(
+            address(shareTokenBeacon),
+            abi.encodeCall(LPShareToken.initialize, (address(pool)))
+        ));
+        pool.setShareToken(shareToken);
+
+        emit ShareTokenCreated(token, shareToken);
+    }
+
+    /**
+     * @dev Address the pool for `token` is (or will be) deployed at
+     */
+    function computePoolAddress(address token) external view returns (address) {
+        bytes32 bytecodeHash = keccak256(abi.encodePacked(
+            type(BeaconProxy).creationCode,
+            abi.encode(address(poolBeacon), _poolInitData(token))
+        ));
+        return Create2.computeAddress(_poolSalt(token), bytecodeHash);
+    }
+
+    function _poolInitData(address token) internal view returns (bytes memory) {
+        return abi.encodeCall(TokenPool.initialize, (token, address(this)));
+    }
+
+    function _poolSalt(address token) internal pure returns (bytes32) {
+        return bytes32(uint256(uint160(token)));
     }
 
     /**
      * @dev Pause all pools
      */
-    function pause() external onlyOwner {
+    function pause() external onlyOwnerOrRole {
         _pause();
         // Pause all pools
         (, address[] memory pools) = getDeployedPools();
@@ -141,7 +590,7 @@ contract CasinoFactory is Pausable, Ownable {
     /**
      * @dev Unpause all pools
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyOwnerOrRole {
         _unpause();
         // Unpause all pools
         (, address[] memory pools) = getDeployedPools();
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title CasinoRoles
+ * @dev Role ids in the factory's AccessManager (0 is the manager's admin role,
+ * held by the factory). Keep in sync with ROLES in scripts/lib/roles.js.
+ */
+library CasinoRoles {
+    uint64 internal constant BALANCE_SYNCER = 1; // pushes Firebase balances, signs withdrawal vouchers
+    uint64 internal constant GAME_SETTLER = 2;   // settles game results
+    uint64 internal constant PAUSER = 3;         // pauses and unpauses every pool
+    uint64 internal constant FEE_MANAGER = 4;    // changes pool fees and the pool creation fee
+    uint64 internal constant ON_CHAIN_GAME = 5;  // game contracts that take bets and settle them on a pool
+}
@@ -55,6 +55,20 @@ contract CasinoRouter {
         TokenPool(poolAddress).withdraw(amount);
     }
 
+    /**
+     * @dev Withdraw from a pool with an operator-signed voucher (no prior balance push needed)
+     */
+    function withdrawWithVoucher(
+        address token,
+        TokenPool.WithdrawalVoucher calldata voucher,
+        bytes calldata signature
+    ) external {
+        (bool exists, address poolAddress) = factory.getPool(token);
+        if (!exists || poolAddress == address(0)) revert PoolDoesNotExist();
+
+        TokenPool(poolAddress).redeemWithdrawalVoucher(voucher, signature);
+    }
+
     /**
      * @dev Check if a user has any balance across multiple pools
      */
@@ -71,6 +85,26 @@ contract CasinoRouter {
         }
     }
 
+    /**
+     * @dev Largest bet a token's pool accepts right now
+     */
+    function getMaxBet(address token) external view returns (uint256) {
+        (bool exists, address poolAddress) = factory.getPool(token);
+        if (!exists || poolAddress == address(0)) revert PoolDoesNotExist();
+
+        return TokenPool(poolAddress).getMaxBet();
+    }
+
+    /**
+     * @dev Largest win a token's pool pays out right now
+     */
+    function getMaxPayout(address token) external view returns (uint256) {
+        (bool exists, address poolAddress) = factory.getPool(token);
+        if (!exists || poolAddress == address(0)) revert PoolDoesNotExist();
+
+        return TokenPool(poolAddress).getMaxPayout();
+    }
+
     /**
      * @dev Get pool balances for multiple tokens
      */
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./errors/CasinoErrors.sol";
+
+/**
+ * @title FairPlay
+ * @dev Outcomes of the casino's games from a random number: for provably
+ * fair rounds, derived from the revealed server seed, the player's client seed
+ * and the round's nonce; for RandomnessGame, from its randomness provider.
+ * Keep in sync with scripts/lib/fair-play.js, which verifies rounds off-chain.
+ */
+library FairPlay {
+    uint8 internal constant DICE = 0;      // choice: roll under it (1-9999) to win 10000 / choice times the bet
+    uint8 internal constant COIN_FLIP = 1; // choice: side (0 or 1), pays twice the bet
+    uint8 internal constant SLOTS = 2;     // choice: 0, three of a kind pays the symbol's multiplier
+
+    uint256 internal constant DICE_SIDES = 10000;
+    uint256 internal constant SLOT_SYMBOLS = 6;
+
+    function randomness(bytes32 serverSeed, bytes32 clientSeed, uint256 nonce) internal pure returns (uint256) {
+        return uint256(keccak256(abi.encode(serverSeed, clientSeed, nonce)));
+    }
+
+    /**
+     * @dev Gross amount a round pays (0 on a loss), before the pool's game fees
+     */
+    function payout(uint8 game, uint256 choice, uint256 betAmount, uint256 random) internal pure returns (uint256) {
+        if (game == DICE) {
+            if (choice == 0 || choice >= DICE_SIDES) revert InvalidGameChoice(game, choice);
+            return random % DICE_SIDES < choice ? (betAmount * DICE_SIDES) / choice : 0;
+        }
+        if (game == COIN_FLIP) {
+            if (choice > 1) revert InvalidGameChoice(game, choice);
+            return random % 2 == choice ? betAmount * 2 : 0;
+        }
+        if (game == SLOTS) {
+            if (choice != 0) revert InvalidGameChoice(game, choice);
+            uint256 symbol = random % SLOT_SYMBOLS;
+            bool threeOfAKind = (random / SLOT_SYMBOLS) % SLOT_SYMBOLS == symbol
+                && (random / (SLOT_SYMBOLS * SLOT_SYMBOLS)) % SLOT_SYMBOLS == symbol;
+            if (!threeOfAKind) return 0;
+            uint8[6] memory multipliers = [5, 10, 20, 30, 50, 100];
+            return betAmount * multipliers[symbol];
+        }
+        revert InvalidGameChoice(game, choice);
+    }
+
+    /**
+     * @dev Largest amount `payout` can return for the game and choice
+     */
+    function maxPayout(uint8 game, uint256 choice, uint256 betAmount) internal pure returns (uint256) {
+        if (game == DICE && choice > 0 && choice < DICE_SIDES) return (betAmount * DICE_SIDES) / choice;
+        if (game == COIN_FLIP && choice <= 1) return betAmount * 2;
+        if (game == SLOTS && choice == 0) return betAmount * 100;
+        revert InvalidGameChoice(game, choice);
+    }
+}
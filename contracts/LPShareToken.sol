@@ -0,0 +1,272 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {IERC20} from "./interfaces/IERC20.sol";
+import {IERC20Metadata} from "./interfaces/IERC20Metadata.sol";
+import {IERC20Errors} from "./interfaces/draft-IERC6093.sol";
+import {SafeERC20} from "./token/ERC20/utils/SafeERC20.sol";
+import {Math} from "./utils/math/Math.sol";
+import {ILPShareToken} from "./interfaces/ILPShareToken.sol";
+import "./TokenPool.sol";
+
+/**
+ * @title LPShareToken
+ * @dev ERC-20 / ERC-4626 view of one pool's LP shares, so positions can be
+ * transferred and integrated like any vault token. Balances and supply are
+ * the pool's `shares` and `totalShares`; the pool moves them and reports each
+ * change back through notifyTransfer, which emits Transfer. A BeaconProxy
+ * behind the factory's share token beacon, created with the pool.
+ *
+ * The vault's assets are the pool's LP capital. deposit/mint and
+ * withdraw/redeem go through the pool's liquidity functions, so they pay its
+ * platform fee, and the preview functions include it. LP rewards are not
+ * assets: the pool pays them out to holders whenever their shares change.
+ *
+ * An emergency withdrawal empties the pool and zeroes its supply while old
+ * balances remain; from then on every max function returns 0 and the pool
+ * refuses all share movements.
+ */
+contract LPShareToken is Initializable, ILPShareToken, IERC20Errors {
+    using SafeERC20 for IERC20;
+    using Math for uint256;
+
+    uint256 private constant BASIS_POINTS = 10000;
+
+    TokenPool private _pool;
+    IERC20 private _asset;
+    uint8 private _decimals;
+    string private _name;
+    string private _symbol;
+    mapping(address => mapping(address => uint256)) private _allowances;
+
+    error ERC4626ExceededMaxDeposit(address receiver, uint256 assets, uint256 max);
+    error ERC4626ExceededMaxMint(address receiver, uint256 shares, uint256 max);
+    error ERC4626ExceededMaxWithdraw(address owner, uint256 assets, uint256 max);
+    error ERC4626ExceededMaxRedeem(address owner, uint256 shares, uint256 max);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Called once by the token's BeaconProxy when the factory deploys it
+     */
+    function initialize(address pool_) external initializer {
+        if (pool_ == address(0)) revert InvalidWalletAddress();
+        _pool = TokenPool(pool_);
+        _asset = TokenPool(pool_).token();
+
+        string memory assetSymbol = IERC20Metadata(address(_asset)).symbol();
+        _decimals = IERC20Metadata(address(_asset)).decimals();
+        _name = string.concat("Roo Casino LP ", assetSymbol);
+        _symbol = string.concat("rLP-", assetSymbol);
+    }
+
+    function pool() external view returns (address) {
+        return address(_pool);
+    }
+
+    /**
+     * @dev Emit Transfer for a share change the pool made (mint, burn or move)
+     */
+    function notifyTransfer(address from, address to, uint256 value) external {
+        if (msg.sender != address(_pool)) revert NotAuthorized();
+        emit Transfer(from, to, value);
+    }
+
+    // ------------------------------------
+    // ERC-20
+    // ------------------------------------
+    function name() external view returns (string memory) {
+        return _name;
+    }
+
+    function symbol() external view returns (string memory) {
+        return _symbol;
+    }
+
+    // Shares start 1:1 with the tokens they were bought with
+    function decimals() external view returns (uint8) {
+        return _decimals;
+    }
+
+    function totalSupply() public view returns (uint256) {
+        return _pool.totalShares();
+    }
+
+    function balanceOf(address account) public view returns (uint256) {
+        return _pool.shares(account);
+    }
+
+    function allowance(address owner, address spender) public view returns (uint256) {
+        return _allowances[owner][spender];
+    }
+
+    function approve(address spender, uint256 value) external returns (bool) {
+        if (spender == address(0)) revert ERC20InvalidSpender(address(0));
+        _allowances[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+        return true;
+    }
+
+    function transfer(address to, uint256 value) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 value) external returns (bool) {
+        _spendAllowance(from, msg.sender, value);
+        _transfer(from, to, value);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 value) internal {
+        if (to == address(0)) revert ERC20InvalidReceiver(address(0));
+        uint256 balance = balanceOf(from);
+        if (value > balance) revert ERC20InsufficientBalance(from, balance, value);
+        _pool.transferShares(from, to, value);
+    }
+
+    // An unlimited allowance is never reduced
+    function _spendAllowance(address owner, address spender, uint256 value) internal {
+        uint256 current = _allowances[owner][spender];
+        if (current == type(uint256).max) return;
+        if (value > current) revert ERC20InsufficientAllowance(spender, current, value);
+        _allowances[owner][spender] = current - value;
+    }
+
+    // ------------------------------------
+    // ERC-4626
+    // ------------------------------------
+    function asset() external view returns (address) {
+        return address(_asset);
+    }
+
+    function totalAssets() public view returns (uint256) {
+        return _pool.lpCapital();
+    }
+
+    function convertToShares(uint256 assets) public view returns (uint256) {
+        return _toShares(assets, Math.Rounding.Floor);
+    }
+
+    function convertToAssets(uint256 shares) public view returns (uint256) {
+        return _toAssets(shares, Math.Rounding.Floor);
+    }
+
+    /**
+     * @dev Nothing while the pool is paused or after its emergency withdrawal,
+     * or when its LP capital has been paid out entirely and shares have no price
+     */
+    function maxDeposit(address) public view returns (uint256) {
+        if (_pool.paused() || _pool.emergencyWithdrawn()) return 0;
+        if (totalSupply() > 0 && totalAssets() == 0) return 0;
+        return type(uint256).max;
+    }
+
+    function maxMint(address receiver) public view returns (uint256) {
+        return maxDeposit(receiver);
+    }
+
+    // Rounded down so that withdrawing it never needs more than maxRedeem
+    function maxWithdraw(address owner) public view returns (uint256) {
+        uint256 grossAssets = _toAssets(maxRedeem(owner), Math.Rounding.Floor);
+        return grossAssets.mulDiv(BASIS_POINTS - _pool.platformFee(), BASIS_POINTS);
+    }
+
+    /**
+     * @dev The owner's shares, less any that would take capital reserved for
+     * open on-chain bets; nothing after an emergency withdrawal
+     */
+    function maxRedeem(address owner) public view returns (uint256) {
+        if (_pool.emergencyWithdrawn()) return 0;
+        uint256 capital = totalAssets();
+        if (capital == 0) return balanceOf(owner);
+        uint256 freeCapital = capital - _pool.reservedPayouts();
+        return Math.min(balanceOf(owner), freeCapital.mulDiv(totalSupply(), capital));
+    }
+
+    function previewDeposit(uint256 assets) public view returns (uint256) {
+        return _pool.previewAddLiquidity(assets);
+    }
+
+    // Enough assets to buy `shares` after the fee
+    function previewMint(uint256 shares) public view returns (uint256) {
+        uint256 netAssets = _toAssets(shares, Math.Rounding.Ceil);
+        return netAssets.mulDiv(BASIS_POINTS, BASIS_POINTS - _pool.platformFee(), Math.Rounding.Ceil);
+    }
+
+    // Enough shares to pay out `assets` after the fee
+    function previewWithdraw(uint256 assets) public view returns (uint256) {
+        uint256 grossAssets = assets.mulDiv(BASIS_POINTS, BASIS_POINTS - _pool.platformFee(), Math.Rounding.Ceil);
+        return _toShares(grossAssets, Math.Rounding.Ceil);
+    }
+
+    function previewRedeem(uint256 shares) public view returns (uint256) {
+        return _pool.previewRemoveLiquidity(shares);
+    }
+
+    function deposit(uint256 assets, address receiver) external returns (uint256 shares) {
+        uint256 maxAssets = maxDeposit(receiver);
+        if (assets > maxAssets) revert ERC4626ExceededMaxDeposit(receiver, assets, maxAssets);
+
+        shares = previewDeposit(assets);
+        _deposit(receiver, assets, shares);
+    }
+
+    function mint(uint256 shares, address receiver) external returns (uint256 assets) {
+        uint256 maxShares = maxMint(receiver);
+        if (shares > maxShares) revert ERC4626ExceededMaxMint(receiver, shares, maxShares);
+
+        assets = previewMint(shares);
+        _deposit(receiver, assets, shares);
+    }
+
+    function withdraw(uint256 assets, address receiver, address owner) external returns (uint256 shares) {
+        uint256 maxAssets = maxWithdraw(owner);
+        if (assets > maxAssets) revert ERC4626ExceededMaxWithdraw(owner, assets, maxAssets);
+
+        shares = previewWithdraw(assets);
+        _withdraw(receiver, owner, assets, shares);
+    }
+
+    function redeem(uint256 shares, address receiver, address owner) external returns (uint256 assets) {
+        uint256 maxShares = maxRedeem(owner);
+        if (shares > maxShares) revert ERC4626ExceededMaxRedeem(owner, shares, maxShares);
+
+        assets = previewRedeem(shares);
+        _withdraw(receiver, owner, assets, shares);
+    }
+
+    function _deposit(address receiver, uint256 assets, uint256 shares) internal {
+        _asset.safeTransferFrom(msg.sender, address(this), assets);
+        _asset.forceApprove(address(_pool), assets);
+        _pool.addLiquidityFor(receiver, assets, shares);
+
+        emit Deposit(msg.sender, receiver, assets, shares);
+    }
+
+    function _withdraw(address receiver, address owner, uint256 assets, uint256 shares) internal {
+        if (msg.sender != owner) _spendAllowance(owner, msg.sender, shares);
+        _pool.removeLiquidityFor(owner, receiver, shares, assets);
+
+        emit Withdraw(msg.sender, receiver, owner, assets, shares);
+    }
+
+    // Before any shares exist they are bought 1:1
+    function _toShares(uint256 assets, Math.Rounding rounding) internal view returns (uint256) {
+        uint256 supply = totalSupply();
+        if (supply == 0) return assets;
+        uint256 capital = totalAssets();
+        if (capital == 0) return 0;
+        return assets.mulDiv(supply, capital, rounding);
+    }
+
+    function _toAssets(uint256 shares, Math.Rounding rounding) internal view returns (uint256) {
+        uint256 supply = totalSupply();
+        if (supply == 0) return shares;
+        return shares.mulDiv(totalAssets(), supply, rounding);
+    }
+}
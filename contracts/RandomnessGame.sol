@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IERC20} from "./interfaces/IERC20.sol";
+import {SafeERC20} from "./token/ERC20/utils/SafeERC20.sol";
+import {Ownable} from "./access/Ownable.sol";
+import {ReentrancyGuard} from "./utils/ReentrancyGuard.sol";
+import {IRandomnessProvider, IRandomnessConsumer} from "./interfaces/IRandomnessProvider.sol";
+import "./TokenPool.sol";
+import "./FairPlay.sol";
+
+/**
+ * @title RandomnessGame
+ * @dev Dice, coin flip and slots played entirely on-chain against one pool.
+ * Players bet with their own tokens; the outcome comes from a randomness
+ * provider and the pool settles it with its usual fee split, sending net
+ * winnings straight back. Needs the ON_CHAIN_GAME role to use the pool.
+ */
+contract RandomnessGame is IRandomnessConsumer, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // The owner can cancel a bet whose randomness has not arrived after this long
+    uint256 public constant REFUND_DELAY = 1 days;
+
+    TokenPool public immutable pool;
+    IERC20 public immutable token;
+    IRandomnessProvider public randomnessProvider;
+
+    struct Bet {
+        address player;
+        uint8 game;     // FairPlay.DICE, COIN_FLIP or SLOTS
+        uint256 choice;
+        uint256 betAmount;
+        uint256 placedAt;
+        address provider; // the provider asked for its randomness
+    }
+    // Pool game ID -> bet waiting for randomness
+    mapping(bytes32 => Bet) public bets;
+
+    event BetPlaced(
+        bytes32 indexed gameId,
+        address indexed player,
+        uint256 requestId,
+        uint8 game,
+        uint256 choice,
+        uint256 betAmount
+    );
+    event BetSettled(bytes32 indexed gameId, address indexed player, uint256 randomness, uint256 winAmount);
+    event BetRefunded(bytes32 indexed gameId, address indexed player, uint256 betAmount);
+    event RandomnessProviderUpdated(address indexed provider);
+
+    constructor(address _pool, address _randomnessProvider, address _owner) Ownable(_owner) {
+        if (_pool == address(0) || _randomnessProvider == address(0)) revert InvalidWalletAddress();
+        pool = TokenPool(_pool);
+        token = TokenPool(_pool).token();
+        randomnessProvider = IRandomnessProvider(_randomnessProvider);
+    }
+
+    /**
+     * @dev Pool game ID of a provider's request; including the provider keeps
+     * IDs unique when it is replaced
+     */
+    function gameIdOf(address provider, uint256 requestId) public view returns (bytes32) {
+        return keccak256(abi.encode(address(this), provider, requestId));
+    }
+
+    /**
+     * @dev Bet `betAmount` (approved to this contract) on a game. The pool
+     * checks its exposure limits against the game's largest payout.
+     */
+    function placeBet(uint8 game, uint256 choice, uint256 betAmount) external nonReentrant returns (bytes32 gameId) {
+        uint256 maxWinAmount = FairPlay.maxPayout(game, choice, betAmount);
+
+        uint256 requestId = randomnessProvider.requestRandomness();
+        gameId = gameIdOf(address(randomnessProvider), requestId);
+        bets[gameId] = Bet(msg.sender, game, choice, betAmount, block.timestamp, address(randomnessProvider));
+
+        token.safeTransferFrom(msg.sender, address(this), betAmount);
+        token.forceApprove(address(pool), betAmount);
+        pool.openOnChainBet(gameId, msg.sender, betAmount, maxWinAmount);
+
+        emit BetPlaced(gameId, msg.sender, requestId, game, choice, betAmount);
+    }
+
+    /**
+     * @dev Called by the current provider with the answer to its request
+     */
+    function fulfillRandomness(uint256 requestId, uint256 randomness) external nonReentrant {
+        if (msg.sender != address(randomnessProvider)) revert NotAuthorized();
+        bytes32 gameId = gameIdOf(msg.sender, requestId);
+        Bet memory bet = bets[gameId];
+        if (bet.player == address(0)) revert UnknownBet(gameId);
+        delete bets[gameId];
+
+        uint256 winAmount = FairPlay.payout(bet.game, bet.choice, bet.betAmount, randomness);
+        pool.settleOnChainBet(gameId, winAmount);
+
+        emit BetSettled(gameId, bet.player, randomness, winAmount);
+    }
+
+    /**
+     * @dev Return the stake of a bet that can no longer be answered: anyone can
+     * refund it once its provider has been replaced, and the owner can cancel
+     * it after REFUND_DELAY. Nobody else can, so a player who sees a losing
+     * answer coming cannot take the stake back ahead of it.
+     */
+    function refundBet(bytes32 gameId) external nonReentrant {
+        Bet memory bet = bets[gameId];
+        if (bet.player == address(0)) revert UnknownBet(gameId);
+        bool stranded = bet.provider != address(randomnessProvider);
+        bool cancelled = msg.sender == owner() && block.timestamp >= bet.placedAt + REFUND_DELAY;
+        if (!stranded && !cancelled) revert RefundNotReady(gameId);
+        delete bets[gameId];
+
+        pool.refundOnChainBet(gameId);
+        emit BetRefunded(gameId, bet.player, bet.betAmount);
+    }
+
+    /**
+     * @dev Switch providers. Requests still open with the old one can no longer
+     * be answered and can be refunded straight away.
+     */
+    function setRandomnessProvider(address provider) external onlyOwner {
+        if (provider == address(0)) revert InvalidWalletAddress();
+        randomnessProvider = IRandomnessProvider(provider);
+        emit RandomnessProviderUpdated(provider);
+    }
+}
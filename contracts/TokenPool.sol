@@ -1,37 +1,63 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "./security/Pausable.sol";
-import "./access/Ownable.sol";
-import "./utils/ReentrancyGuard.sol";
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import {OwnableUpgradeable} from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import {ReentrancyGuardUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import {EIP712Upgradeable} from "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import {NoncesUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol";
 import "./interfaces/IERC20.sol";
 import "./token/ERC20/utils/SafeERC20.sol";
+import "./utils/cryptography/ECDSA.sol";
 import "./interfaces/ICasinoFactory.sol";
+import "./interfaces/ILPShareToken.sol";
+import "./CasinoRoles.sol";
+import "./FairPlay.sol";
 import "./errors/CasinoErrors.sol";
 
 /**
  * @title TokenPool
- * @dev Manages deposits, withdrawals, and liquidity for casino tokens
+ * @dev Manages deposits, withdrawals, and liquidity for casino tokens.
+ * Every pool is a BeaconProxy behind the factory's pool beacon, so one
+ * beacon upgrade moves all pools to a new implementation. Only append
+ * state variables; scripts/upgrade.js rejects incompatible layouts.
+ *
+ * The pool keeps three ledgers: player liabilities (totalDeposits), LP
+ * capital (lpCapital) and accrued LP rewards (accumulatedFees). Settled bets
+ * move value between the first two; solvency() compares their sum with the
+ * pool's token balance.
+ *
+ * LP shares can also be held and moved through the pool's ERC-4626
+ * shareToken; this contract stays the ledger for both.
  */
-contract TokenPool is Pausable, Ownable, ReentrancyGuard {
+contract TokenPool is
+    Initializable,
+    PausableUpgradeable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EIP712Upgradeable,
+    NoncesUpgradeable
+{
     using SafeERC20 for IERC20;
 
     // Constants
     uint256 private constant BASIS_POINTS = 10000;
     uint256 private constant MAX_FEE = 1000; // 10% max
     uint256 private constant BALANCE_EXPIRY_BLOCKS = 5760; // ~24 hours at 15s/block
+    bytes32 private constant WITHDRAWAL_VOUCHER_TYPEHASH = keccak256(
+        "WithdrawalVoucher(address user,address pool,uint256 amount,uint256 nonce,uint256 balanceNonce,uint256 deadline)"
+    );
 
-    // Fee settings
-    uint256 public constant LP_FEE = 250;        // 2.5% fee for adding/removing liquidity
-    uint256 public constant GAME_LP_FEE = 200;   // 2% of each bet goes to LPs
-    uint256 public constant GAME_PLATFORM_FEE = 100; // 1% of each bet goes to platform
-    address public constant PLATFORM_WALLET = 0x1db597fE69BA45c0dd0E3DBE1919231e44B2d402;
+    // Fee settings (basis points), managed by the factory; defaults set in initialize
+    uint256 public platformFee;     // fee for adding/removing liquidity and withdrawals
+    uint256 public gameLpFee;       // share of each bet that goes to LPs
+    uint256 public gamePlatformFee; // share of each bet that goes to the platform
 
     // Core state
     IERC20 public token;
     ICasinoFactory public factory;
-    address public platformWallet;
-    uint256 public totalDeposits;
+    uint256 public totalDeposits; // player liabilities: deposits and settled wins, less withdrawals and lost bets
 
     // Firebase balance tracking
     mapping(address => uint256) public firebaseBalances;
@@ -40,11 +66,68 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
 
     // Liquidity
     uint256 public totalShares;
-    uint256 public accumulatedFees;
+    uint256 public accumulatedFees; // LP rewards accrued but not yet claimed
     mapping(address => uint256) public shares;
     mapping(address => uint256) public rewardDebt;
     uint256 public accRewardPerShare;
 
+    // Game settlement: IDs of every settled game/round
+    mapping(bytes32 => bool) public settledGames;
+
+    // Exposure limits (basis points of LP capital, 0 = no limit), set through the factory
+    uint256 public maxBetBps;
+    uint256 public maxPayoutBps;
+    uint256 public maxNetLossBps;
+    uint256 public lossWindow;        // seconds the net loss limit applies to
+    uint256 public lossWindowStart;
+    uint256 public lossWindowCapital; // LP capital when the current window started
+    int256 public lossWindowNetLoss;  // LP capital lost to settled games in the current window
+
+    // LP capital: liquidity added plus house winnings, less payouts and removals
+    uint256 public lpCapital;
+
+    // Token balance against what the pool owes, see solvency()
+    struct Solvency {
+        uint256 tokenBalance;
+        uint256 playerLiabilities;
+        uint256 lpCapital;
+        uint256 lpRewards;
+        uint256 openBetStakes;
+        int256 surplus; // tokenBalance minus the four obligations
+    }
+
+    // Provably fair sessions: a player's client seed and a hash chain of server
+    // seeds, where seedHash is the commitment or the last seed revealed
+    struct FairSession {
+        address player;
+        bytes32 seedHash;
+        bytes32 clientSeed;
+        uint256 nonce; // rounds settled so far
+    }
+    mapping(bytes32 => FairSession) public fairSessions;
+
+    // Bets placed through on-chain game contracts, waiting for their randomness
+    struct OpenBet {
+        address player;
+        uint256 betAmount;
+        uint256 maxWinAmount;
+        uint256 lossWindowStart; // window the worst case was counted in
+    }
+    mapping(bytes32 => OpenBet) public openBets;
+    uint256 public openBetStakes;   // stakes held for open bets, owed to their players until settled
+    uint256 public reservedPayouts; // LP capital set aside for the open bets' largest wins
+
+    // ERC-4626 token over the LP shares, created by the factory
+    ILPShareToken public shareToken;
+
+    // Session ID -> keccak256(abi.encode(nonce, game, choice, betAmount)) of the
+    // bet its player placed for the next round; cleared when the round settles
+    mapping(bytes32 => bytes32) public fairBets;
+
+    // Set by emergencyWithdraw, which zeroes totalShares but cannot clear the
+    // shares mapping; the stale shares can never be redeemed, moved or joined
+    bool public emergencyWithdrawn;
+
     // Events
     event Deposit(address indexed user, uint256 amount, uint256 netAmount, uint256 timestamp);
     event Withdrawal(address indexed user, uint256 amount, uint256 netAmount, uint256 timestamp);
@@ -52,26 +135,66 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
     event LiquidityAdded(address indexed provider, uint256 amount, uint256 shares, uint256 timestamp);
     event LiquidityRemoved(address indexed provider, uint256 amount, uint256 shares, uint256 timestamp);
     event RewardsClaimed(address indexed provider, uint256 amount, uint256 timestamp);
-    event GameResult(address indexed user, uint256 betAmount, uint256 winAmount, uint256 houseFee, uint256 timestamp);
+    event GameResult(
+        bytes32 indexed gameId,
+        address indexed user,
+        uint256 betAmount,
+        uint256 winAmount,
+        uint256 houseFee,
+        uint256 timestamp
+    );
     event FirebaseBalanceUpdated(address indexed user, uint256 balance, uint256 blockNumber);
+    event VoucherRedeemed(address indexed user, address indexed signer, uint256 amount, uint256 nonce);
+    event FeePaid(address indexed recipient, uint256 amount);
+    event FeesUpdated(uint256 platformFee, uint256 gameLpFee, uint256 gamePlatformFee);
+    event ExposureLimitsUpdated(uint256 maxBetBps, uint256 maxPayoutBps, uint256 maxNetLossBps, uint256 lossWindow);
+    event ServerSeedCommitted(bytes32 indexed sessionId, address indexed player, bytes32 serverSeedHash);
+    event ClientSeedSet(bytes32 indexed sessionId, address indexed player, bytes32 clientSeed);
+    event FairBetPlaced(
+        bytes32 indexed sessionId,
+        address indexed player,
+        uint256 nonce,
+        uint8 game,
+        uint256 choice,
+        uint256 betAmount
+    );
+    event OnChainBetOpened(bytes32 indexed gameId, address indexed player, uint256 betAmount, uint256 maxWinAmount);
+    event OnChainBetRefunded(bytes32 indexed gameId, address indexed player, uint256 betAmount);
+    event ShareTokenSet(address indexed shareToken);
+    event FairRoundRevealed(
+        bytes32 indexed gameId,
+        bytes32 indexed sessionId,
+        bytes32 serverSeed,
+        uint256 nonce,
+        uint8 game,
+        uint256 choice
+    );
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
-    constructor(
-        address _token,
-        address _factory,
-        address _platformWallet
-    ) Ownable(_factory) {
+    /**
+     * @dev Called once by the pool's BeaconProxy when the factory deploys it;
+     * the factory owns the pool
+     */
+    function initialize(address _token, address _factory) external initializer {
         if (_token == address(0)) revert InvalidAmount();
         if (_factory == address(0)) revert InvalidAmount();
-        if (_platformWallet == address(0)) revert InvalidAmount();
+
+        __Pausable_init();
+        __Ownable_init(_factory);
+        __ReentrancyGuard_init();
+        __EIP712_init("TokenPool", "1");
+        __Nonces_init();
 
         token = IERC20(_token);
         factory = ICasinoFactory(_factory);
-        platformWallet = _platformWallet;
-
-        // No default fees needed - using constants
 
-        // Transfer ownership to factory
-        transferOwnership(_factory);
+        platformFee = 250;     // 2.5%
+        gameLpFee = 200;       // 2%
+        gamePlatformFee = 100; // 1%
     }
 
     /**
@@ -88,6 +211,137 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
         _unpause();
     }
 
+    /**
+     * @dev Connect the pool's LP share token (called by the factory, once)
+     */
+    function setShareToken(address _shareToken) external onlyOwner {
+        if (address(shareToken) != address(0)) revert ShareTokenAlreadySet();
+        if (ILPShareToken(_shareToken).pool() != address(this)) revert InvalidWalletAddress();
+
+        shareToken = ILPShareToken(_shareToken);
+        emit ShareTokenSet(_shareToken);
+    }
+
+    /**
+     * @dev Update the fee schedule (called by the factory)
+     */
+    function setFees(
+        uint256 _platformFee,
+        uint256 _gameLpFee,
+        uint256 _gamePlatformFee
+    ) external onlyOwner {
+        if (_platformFee > MAX_FEE || _gameLpFee + _gamePlatformFee > MAX_FEE) revert FeeTooHigh();
+
+        platformFee = _platformFee;
+        gameLpFee = _gameLpFee;
+        gamePlatformFee = _gamePlatformFee;
+
+        emit FeesUpdated(_platformFee, _gameLpFee, _gamePlatformFee);
+    }
+
+    // ------------------------------------
+    // Exposure Limits
+    // ------------------------------------
+
+    /**
+     * @dev Update the exposure limits (called by the factory). Each limit is in
+     * basis points of LP capital and 0 disables it; the net loss limit applies
+     * per `_lossWindow` seconds. A change starts a new loss window.
+     */
+    function setExposureLimits(
+        uint256 _maxBetBps,
+        uint256 _maxPayoutBps,
+        uint256 _maxNetLossBps,
+        uint256 _lossWindow
+    ) external onlyOwner {
+        if (_maxBetBps > BASIS_POINTS || _maxPayoutBps > BASIS_POINTS || _maxNetLossBps > BASIS_POINTS) {
+            revert InvalidExposureLimit();
+        }
+        if (_maxNetLossBps > 0 && _lossWindow == 0) revert InvalidExposureLimit();
+
+        maxBetBps = _maxBetBps;
+        maxPayoutBps = _maxPayoutBps;
+        maxNetLossBps = _maxNetLossBps;
+        lossWindow = _lossWindow;
+        lossWindowStart = 0;
+
+        emit ExposureLimitsUpdated(_maxBetBps, _maxPayoutBps, _maxNetLossBps, _lossWindow);
+    }
+
+    /**
+     * @dev Largest bet the pool accepts right now (type(uint256).max without a limit)
+     */
+    function getMaxBet() public view returns (uint256) {
+        if (maxBetBps == 0) return type(uint256).max;
+        return (_lpCapital() * maxBetBps) / BASIS_POINTS;
+    }
+
+    /**
+     * @dev Largest win the pool pays out right now: the single payout limit,
+     * further capped by what is left of the current window's net loss limit
+     * (counting the whole win as a loss). type(uint256).max without limits.
+     */
+    function getMaxPayout() public view returns (uint256 maxPayout) {
+        maxPayout = type(uint256).max;
+        if (maxPayoutBps > 0) {
+            maxPayout = (_lpCapital() * maxPayoutBps) / BASIS_POINTS;
+        }
+        if (maxNetLossBps > 0) {
+            uint256 remaining = _remainingNetLoss();
+            if (remaining < maxPayout) maxPayout = remaining;
+        }
+    }
+
+    // Capital that backs payouts, which the exposure limits are measured against
+    function _lpCapital() internal view returns (uint256) {
+        return lpCapital;
+    }
+
+    function _lossWindowExpired() internal view returns (bool) {
+        return block.timestamp >= lossWindowStart + lossWindow;
+    }
+
+    function _remainingNetLoss() internal view returns (uint256) {
+        if (_lossWindowExpired()) return (_lpCapital() * maxNetLossBps) / BASIS_POINTS;
+
+        int256 limit = int256((lossWindowCapital * maxNetLossBps) / BASIS_POINTS);
+        return lossWindowNetLoss >= limit ? 0 : uint256(limit - lossWindowNetLoss);
+    }
+
+    /**
+     * @dev Check a round against the bet and payout limits before it is
+     * settled, starting a new loss window if the last one has ended
+     */
+    function _checkExposure(uint256 betAmount, uint256 winAmount) internal {
+        uint256 maxBet = getMaxBet();
+        if (betAmount > maxBet) revert BetTooLarge(betAmount, maxBet);
+
+        if (maxPayoutBps > 0) {
+            uint256 maxPayout = (_lpCapital() * maxPayoutBps) / BASIS_POINTS;
+            if (winAmount > maxPayout) revert PayoutTooLarge(winAmount, maxPayout);
+        }
+
+        if (maxNetLossBps > 0 && _lossWindowExpired()) {
+            lossWindowStart = block.timestamp;
+            lossWindowCapital = _lpCapital();
+            lossWindowNetLoss = 0;
+        }
+    }
+
+    /**
+     * @dev Add a settled round's effect on LP capital (positive when the pool
+     * paid out) to the loss window and enforce the net loss limit
+     */
+    function _recordNetLoss(int256 netLoss) internal {
+        if (maxNetLossBps == 0) return;
+
+        lossWindowNetLoss += netLoss;
+        uint256 maxNetLoss = (lossWindowCapital * maxNetLossBps) / BASIS_POINTS;
+        if (lossWindowNetLoss > int256(maxNetLoss)) {
+            revert NetLossLimitExceeded(uint256(lossWindowNetLoss), maxNetLoss);
+        }
+    }
+
     // ------------------------------------
     // Firebase Balance Management
     // ------------------------------------
@@ -109,7 +363,7 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
         uint256 balance,
         uint256 nonce
     ) external {
-        if (!factory.operators(msg.sender)) revert NotAuthorized();
+        if (!factory.hasRole(CasinoRoles.BALANCE_SYNCER, msg.sender)) revert NotAuthorized();
         if (nonce <= balanceNonces[user]) revert InvalidNonce();
         
         _updateBalance(user, balance, nonce);
@@ -119,7 +373,7 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
      * @dev Batch update multiple users' Firebase balances
      */
     function batchUpdateFirebaseBalances(BalanceUpdate[] calldata updates) external {
-        if (!factory.operators(msg.sender)) revert NotAuthorized();
+        if (!factory.hasRole(CasinoRoles.BALANCE_SYNCER, msg.sender)) revert NotAuthorized();
         if (updates.length == 0) revert EmptyUpdates();
         
         address[] memory users = new address[](updates.length);
@@ -141,9 +395,14 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Internal function to update a user's balance
+     * @dev Internal function to update a user's balance. Player liabilities
+     * move by the difference; a raise must be covered by tokens the pool holds
+     * beyond its other obligations.
      */
     function _updateBalance(address user, uint256 balance, uint256 nonce) internal {
+        uint256 previous = firebaseBalances[user];
+        totalDeposits = totalDeposits - previous + balance;
+        if (balance > previous) _checkCovered();
         firebaseBalances[user] = balance;
         lastBalanceUpdate[user] = block.number;
         balanceNonces[user] = nonce;
@@ -155,68 +414,112 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
     // Liquidity Management
     // ------------------------------------
     function addLiquidity(uint256 amount) external nonReentrant whenNotPaused {
+        _addLiquidity(msg.sender, amount, previewAddLiquidity(amount));
+    }
+
+    function removeLiquidity(uint256 shareAmount) external nonReentrant {
+        _removeLiquidity(msg.sender, msg.sender, shareAmount, previewRemoveLiquidity(shareAmount));
+    }
+
+    /**
+     * @dev Shares `amount` tokens would buy, after the platform fee. Reverts
+     * once games have paid out all LP capital while shares remain, since
+     * those shares have no price and new capital would be shared with them.
+     */
+    function previewAddLiquidity(uint256 amount) public view returns (uint256) {
+        uint256 netAmount = amount - (amount * platformFee) / BASIS_POINTS;
+        if (totalShares == 0) return netAmount;
+        if (lpCapital == 0) revert NoLPCapital();
+        // Price shares on LP capital only; player deposits are not LP equity
+        return (netAmount * totalShares) / lpCapital;
+    }
+
+    /**
+     * @dev Tokens `shareAmount` shares would return, after the platform fee
+     */
+    function previewRemoveLiquidity(uint256 shareAmount) public view returns (uint256) {
+        if (totalShares == 0) return 0;
+        uint256 tokenAmount = (shareAmount * lpCapital) / totalShares;
+        return tokenAmount - (tokenAmount * platformFee) / BASIS_POINTS;
+    }
+
+    function _addLiquidity(address provider, uint256 amount, uint256 newShares) internal {
+        if (emergencyWithdrawn) revert PoolEmergencyWithdrawn();
         if (amount == 0) revert InvalidAmount();
 
-        // Calculate platform fee (2.5%)
-        uint256 platformFeeAmount = (amount * LP_FEE) / BASIS_POINTS;
+        // Calculate platform fee
+        uint256 platformFeeAmount = (amount * platformFee) / BASIS_POINTS;
         uint256 netAmount = amount - platformFeeAmount;
 
-        uint256 newShares;
-        if (totalShares == 0) {
-            newShares = netAmount;
-        } else {
-            // Calculate shares based on net amount
-            newShares = (netAmount * totalShares) / totalDeposits;
-        }
+        // Claim pending rewards so the new reward debt covers all shares
+        _harvestRewards(provider);
 
         // Transfer tokens
         token.safeTransferFrom(msg.sender, address(this), amount);
         
         // Send platform fee
-        if (platformFeeAmount > 0) {
-            token.safeTransfer(PLATFORM_WALLET, platformFeeAmount);
-        }
+        _distributeFee(platformFeeAmount);
         
         // Update state with net amount
-        totalDeposits += netAmount;
-        totalShares += newShares;
-        shares[msg.sender] += newShares;
-        
-        // Initialize reward debt based on current accumulated rewards
-        rewardDebt[msg.sender] = (newShares * accRewardPerShare) / 1e12;
+        lpCapital += netAmount;
+        _updateShares(address(0), provider, newShares);
 
-        emit LiquidityAdded(msg.sender, amount, newShares, block.timestamp);
+        emit LiquidityAdded(provider, amount, newShares, block.timestamp);
     }
 
-    function removeLiquidity(uint256 shareAmount) external nonReentrant {
+    /**
+     * @dev `netAmount` is at most what the shares are worth after the fee;
+     * anything it leaves over stays in LP capital
+     */
+    function _removeLiquidity(address provider, address receiver, uint256 shareAmount, uint256 netAmount) internal {
+        if (emergencyWithdrawn) revert PoolEmergencyWithdrawn();
         if (shareAmount == 0) revert InvalidAmount();
-        if (shareAmount > shares[msg.sender]) revert InsufficientShares();
+        if (shareAmount > shares[provider]) revert InsufficientShares();
 
         // Claim any pending rewards first
-        _harvestRewards(msg.sender);
+        _harvestRewards(provider);
 
-        // Calculate token amount based on shares
-        uint256 tokenAmount = (shareAmount * totalDeposits) / totalShares;
+        // Fee on the shares' part of LP capital
+        uint256 platformFeeAmount = (((shareAmount * lpCapital) / totalShares) * platformFee) / BASIS_POINTS;
+        uint256 tokenAmount = netAmount + platformFeeAmount;
 
-        // Calculate platform fee (2.5%)
-        uint256 platformFeeAmount = (tokenAmount * LP_FEE) / BASIS_POINTS;
-        uint256 netAmount = tokenAmount - platformFeeAmount;
+        // Capital reserved for open bets stays until they settle
+        if (lpCapital - tokenAmount < reservedPayouts) revert InsufficientBalance();
 
         // Update state
-        totalDeposits -= tokenAmount;
-        totalShares -= shareAmount;
-        shares[msg.sender] -= shareAmount;
-        rewardDebt[msg.sender] = (shares[msg.sender] * accRewardPerShare) / 1e12;
+        lpCapital -= tokenAmount;
+        _updateShares(provider, address(0), shareAmount);
 
         // Send platform fee
-        if (platformFeeAmount > 0) {
-            token.safeTransfer(PLATFORM_WALLET, platformFeeAmount);
-        }
+        _distributeFee(platformFeeAmount);
 
-        // Send net amount to user
-        token.safeTransfer(msg.sender, netAmount);
+        // Send net amount to the receiver
+        token.safeTransfer(receiver, netAmount);
+
+        emit LiquidityRemoved(provider, tokenAmount, shareAmount, block.timestamp);
+    }
+
+    /**
+     * @dev Mint (from = 0), burn (to = 0) or move shares and reset the reward
+     * debt of both sides, whose rewards must already be harvested
+     */
+    function _updateShares(address from, address to, uint256 shareAmount) internal {
+        if (from == address(0)) {
+            totalShares += shareAmount;
+        } else {
+            shares[from] -= shareAmount;
+            rewardDebt[from] = (shares[from] * accRewardPerShare) / 1e12;
+        }
+        if (to == address(0)) {
+            totalShares -= shareAmount;
+        } else {
+            shares[to] += shareAmount;
+            rewardDebt[to] = (shares[to] * accRewardPerShare) / 1e12;
+        }
 
-        emit LiquidityRemoved(msg.sender, tokenAmount, shareAmount, block.timestamp);
+        if (address(shareToken) != address(0)) {
+            shareToken.notifyTransfer(from, to, shareAmount);
+        }
     }
 
     function claimRewards() external nonReentrant {
@@ -229,8 +532,8 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
 
         uint256 pending = (userTotal * accRewardPerShare) / 1e12 - rewardDebt[provider];
         if (pending > 0) {
-            // Calculate platform's 1% of rewards
-            uint256 platformFeeAmount = (pending * GAME_PLATFORM_FEE) / BASIS_POINTS;
+            // Calculate platform share of rewards
+            uint256 platformFeeAmount = (pending * gamePlatformFee) / BASIS_POINTS;
             uint256 netRewards = pending - platformFeeAmount;
 
             // Update state
@@ -238,9 +541,7 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
             rewardDebt[provider] = (userTotal * accRewardPerShare) / 1e12;
 
             // Send platform fee
-            if (platformFeeAmount > 0) {
-                token.safeTransfer(PLATFORM_WALLET, platformFeeAmount);
-            }
+            _distributeFee(platformFeeAmount);
 
             // Send net rewards to provider
             token.safeTransfer(provider, netRewards);
@@ -248,69 +549,394 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
         }
     }
 
+    // ------------------------------------
+    // LP Share Token
+    // ------------------------------------
+
+    function _checkShareToken() internal view {
+        if (msg.sender != address(shareToken)) revert NotAuthorized();
+    }
+
+    /**
+     * @dev Add `amount` (pulled from the share token) as liquidity for
+     * `provider`, minting `shareAmount` shares; the amount must buy at least that many
+     */
+    function addLiquidityFor(
+        address provider,
+        uint256 amount,
+        uint256 shareAmount
+    ) external nonReentrant whenNotPaused {
+        _checkShareToken();
+        if (shareAmount > previewAddLiquidity(amount)) revert InvalidAmount();
+        _addLiquidity(provider, amount, shareAmount);
+    }
+
+    /**
+     * @dev Burn `shareAmount` of `provider`'s shares and send `amount` to
+     * `receiver`; the shares must be worth at least that after the fee
+     */
+    function removeLiquidityFor(
+        address provider,
+        address receiver,
+        uint256 shareAmount,
+        uint256 amount
+    ) external nonReentrant {
+        _checkShareToken();
+        if (amount > previewRemoveLiquidity(shareAmount)) revert InsufficientShares();
+        _removeLiquidity(provider, receiver, shareAmount, amount);
+    }
+
+    /**
+     * @dev Move shares between holders. Both sides collect their pending
+     * rewards first, so rewards stay with whoever held the shares when they accrued.
+     */
+    function transferShares(address from, address to, uint256 shareAmount) external nonReentrant {
+        _checkShareToken();
+        if (emergencyWithdrawn) revert PoolEmergencyWithdrawn();
+        if (to == address(0)) revert InvalidWalletAddress();
+        if (shareAmount > shares[from]) revert InsufficientShares();
+
+        _harvestRewards(from);
+        _harvestRewards(to);
+        _updateShares(from, to, shareAmount);
+    }
+
     // ------------------------------------
     // Game Result Logic
     // ------------------------------------
+
+    // Struct for batch game settlement
+    struct GameSettlement {
+        bytes32 gameId;
+        address user;
+        uint256 betAmount;
+        uint256 winAmount;
+    }
+
+    /**
+     * @dev Settle one game/round. `gameId` can only be settled once, so a
+     * retried settlement reverts with GameAlreadySettled instead of paying twice.
+     */
     function processGameResult(
+        bytes32 gameId,
         address user,
         uint256 betAmount,
         uint256 winAmount
     ) external {
-        if (!factory.operators(msg.sender) && msg.sender != factory.owner()) {
+        _checkGameSettler();
+
+        (uint256 lpFee, uint256 platformFeeAmount) = _settleGame(gameId, user, betAmount, winAmount);
+        _accrueLpFee(lpFee);
+        _distributeFee(platformFeeAmount);
+    }
+
+    /**
+     * @dev Settle many games/rounds in one transaction. Each round is settled
+     * and emits GameResult exactly as processGameResult would, but LP fees are
+     * accrued and platform fees transferred once for the whole batch. Any
+     * invalid or already settled round reverts the batch.
+     */
+    function processGameResults(GameSettlement[] calldata settlements) external {
+        _checkGameSettler();
+        if (settlements.length == 0) revert EmptyUpdates();
+
+        uint256 totalLpFee;
+        uint256 totalPlatformFee;
+        for (uint256 i = 0; i < settlements.length; i++) {
+            GameSettlement calldata settlement = settlements[i];
+            (uint256 lpFee, uint256 platformFeeAmount) = _settleGame(
+                settlement.gameId,
+                settlement.user,
+                settlement.betAmount,
+                settlement.winAmount
+            );
+            totalLpFee += lpFee;
+            totalPlatformFee += platformFeeAmount;
+        }
+
+        _accrueLpFee(totalLpFee);
+        _distributeFee(totalPlatformFee);
+    }
+
+    function _checkGameSettler() internal view {
+        if (!factory.hasRole(CasinoRoles.GAME_SETTLER, msg.sender) && msg.sender != factory.owner()) {
             revert NotAuthorized();
         }
+    }
+
+    /**
+     * @dev Settle a round's balances: the stake moves from player liabilities
+     * to LP capital, which pays any winnings back to the player's balance. The
+     * LP and platform fees it returns are left for the caller to accrue and transfer.
+     */
+    function _settleGame(
+        bytes32 gameId,
+        address user,
+        uint256 betAmount,
+        uint256 winAmount
+    ) internal returns (uint256 lpFee, uint256 platformFeeAmount) {
+        if (settledGames[gameId]) revert GameAlreadySettled(gameId);
+        settledGames[gameId] = true;
+        _checkExposure(betAmount, winAmount);
 
-        // Verify and update Firebase balance for bet
-        if (betAmount > firebaseBalances[user]) revert InsufficientBalance();
+        // Verify and update Firebase balance for bet; the stake leaves player liabilities
+        if (betAmount > firebaseBalances[user] || betAmount > totalDeposits) revert InsufficientBalance();
         firebaseBalances[user] -= betAmount;
+        totalDeposits -= betAmount;
         balanceNonces[user] = balanceNonces[user] + 1;
 
-        if (winAmount > 0) {
-            // Calculate fees on winnings (2% LP + 1% platform)
-            uint256 totalFee = (winAmount * (GAME_LP_FEE + GAME_PLATFORM_FEE)) / BASIS_POINTS;
-            uint256 platformFeeAmount = (winAmount * GAME_PLATFORM_FEE) / BASIS_POINTS;
-            uint256 lpFee = (winAmount * GAME_LP_FEE) / BASIS_POINTS;
-            uint256 netWin = winAmount - totalFee;
-
-            // Update rewards for LPs
-            accumulatedFees += lpFee;
-            if (totalShares > 0) {
-                accRewardPerShare += (lpFee * 1e12) / totalShares;
-            }
+        uint256 netWin;
+        int256 netLoss;
+        (lpFee, platformFeeAmount, netWin, netLoss) = _settleStake(betAmount, winAmount);
+        _recordNetLoss(netLoss);
 
-            if (netWin > totalDeposits) revert InsufficientBalance();
-            
-            // Add net winnings to Firebase balance
-            firebaseBalances[user] += netWin;
-            
-            // Transfer winnings and fees
-            token.safeTransfer(user, netWin);
-            token.safeTransfer(PLATFORM_WALLET, platformFeeAmount);
-            totalDeposits = totalDeposits - winAmount + lpFee;
+        // Credit net winnings to the player's balance, withdrawable like a deposit
+        firebaseBalances[user] += netWin;
+        totalDeposits += netWin;
+        emit GameResult(gameId, user, betAmount, winAmount, lpFee, block.timestamp);
 
-            emit GameResult(user, betAmount, winAmount, lpFee, block.timestamp);
+        // Update last balance update time and emit event
+        lastBalanceUpdate[user] = block.number;
+        emit FirebaseBalanceUpdated(user, firebaseBalances[user], block.number);
+    }
+
+    /**
+     * @dev Move a settled stake into LP capital and pay `winAmount` out of it,
+     * taking the game fees from the win (or from the stake on a loss). Returns
+     * the fees, the player's net winnings and the change in LP capital as a loss.
+     */
+    function _settleStake(
+        uint256 betAmount,
+        uint256 winAmount
+    ) internal returns (uint256 lpFee, uint256 platformFeeAmount, uint256 netWin, int256 netLoss) {
+        if (winAmount > 0) {
+            // Calculate fees on winnings (LP + platform)
+            uint256 totalFee = (winAmount * (gameLpFee + gamePlatformFee)) / BASIS_POINTS;
+            platformFeeAmount = (winAmount * gamePlatformFee) / BASIS_POINTS;
+            lpFee = (winAmount * gameLpFee) / BASIS_POINTS;
+            netWin = winAmount - totalFee;
+
+            // The stake and LP capital not reserved for open bets fund the payout
+            if (winAmount > lpCapital - reservedPayouts + betAmount) revert InsufficientBalance();
+            lpCapital = lpCapital + betAmount - winAmount;
+            netLoss = int256(winAmount) - int256(betAmount);
         } else {
-            // On loss, calculate fees (2% LP + 1% platform)
-            uint256 platformFeeAmount = (betAmount * GAME_PLATFORM_FEE) / BASIS_POINTS;
-            uint256 lpFee = (betAmount * GAME_LP_FEE) / BASIS_POINTS;
+            // On loss, calculate fees (LP + platform)
+            platformFeeAmount = (betAmount * gamePlatformFee) / BASIS_POINTS;
+            lpFee = (betAmount * gameLpFee) / BASIS_POINTS;
+
+            // The rest of the stake becomes LP capital
             uint256 poolAmount = betAmount - platformFeeAmount - lpFee;
-            
-            // Update rewards for LPs
-            accumulatedFees += lpFee;
-            if (totalShares > 0) {
-                accRewardPerShare += (lpFee * 1e12) / totalShares;
-            }
+            lpCapital += poolAmount;
+            netLoss = -int256(poolAmount);
+        }
+    }
 
-            // Update pool balance and send platform fee
-            totalDeposits += poolAmount;
-            token.safeTransfer(PLATFORM_WALLET, platformFeeAmount);
+    /**
+     * @dev Add game fees to the LP rewards
+     */
+    function _accrueLpFee(uint256 lpFee) internal {
+        accumulatedFees += lpFee;
+        if (totalShares > 0) {
+            accRewardPerShare += (lpFee * 1e12) / totalShares;
+        }
+    }
+
+    // ------------------------------------
+    // Provably Fair Games
+    // ------------------------------------
+
+    // A round settled by revealing its server seed
+    struct FairRound {
+        bytes32 gameId;
+        bytes32 sessionId;
+        bytes32 serverSeed;
+        uint8 game;         // FairPlay.DICE, COIN_FLIP or SLOTS
+        uint256 choice;     // the player's pick, see FairPlay
+        uint256 betAmount;
+        uint256 winAmount;  // the game server's result, checked against the seeds
+    }
+
+    /**
+     * @dev Open a session for `player`, committing to the first server seed of a
+     * hash chain: serverSeedHash = keccak256(seed1), seed1 = keccak256(seed2), ...
+     * Each round reveals the next seed, so past rounds can be checked without
+     * exposing future ones.
+     */
+    function commitServerSeed(bytes32 sessionId, address player, bytes32 serverSeedHash) external {
+        _checkGameSettler();
+        if (player == address(0)) revert InvalidWalletAddress();
+        if (serverSeedHash == bytes32(0)) revert InvalidServerSeed(sessionId);
+        if (fairSessions[sessionId].player != address(0)) revert FairSessionExists(sessionId);
+
+        fairSessions[sessionId] = FairSession({player: player, seedHash: serverSeedHash, clientSeed: 0, nonce: 0});
+        emit ServerSeedCommitted(sessionId, player, serverSeedHash);
+    }
 
-            emit GameResult(user, betAmount, 0, lpFee, block.timestamp);
+    /**
+     * @dev Called by the session's player once the server seed is committed, so
+     * the operator cannot pick server seeds that favour the house
+     */
+    function setClientSeed(bytes32 sessionId, bytes32 clientSeed) external {
+        FairSession storage session = fairSessions[sessionId];
+        if (session.player == address(0)) revert UnknownFairSession(sessionId);
+        if (msg.sender != session.player) revert NotAuthorized();
+        if (session.clientSeed != bytes32(0)) revert ClientSeedAlreadySet(sessionId);
+        if (clientSeed == bytes32(0)) revert InvalidAmount();
+
+        session.clientSeed = clientSeed;
+        emit ClientSeedSet(sessionId, msg.sender, clientSeed);
+    }
+
+    /**
+     * @dev Called by the session's player to place the next round's bet before
+     * its seed is revealed, so the round can only settle with the game, choice
+     * and amount the player picked
+     */
+    function placeFairBet(bytes32 sessionId, uint8 game, uint256 choice, uint256 betAmount) external {
+        FairSession storage session = fairSessions[sessionId];
+        if (session.player == address(0)) revert UnknownFairSession(sessionId);
+        if (msg.sender != session.player) revert NotAuthorized();
+        if (session.clientSeed == bytes32(0)) revert ClientSeedNotSet(sessionId);
+        if (fairBets[sessionId] != bytes32(0)) revert FairBetPending(sessionId);
+        if (betAmount == 0) revert InvalidAmount();
+        // Reverts on a choice the game does not take
+        FairPlay.maxPayout(game, choice, betAmount);
+
+        uint256 nonce = session.nonce;
+        fairBets[sessionId] = keccak256(abi.encode(nonce, game, choice, betAmount));
+        emit FairBetPlaced(sessionId, msg.sender, nonce, game, choice, betAmount);
+    }
+
+    /**
+     * @dev Settle the next round of a session for its player. The round must
+     * match the bet the player placed for it, the revealed seed must hash to
+     * the session's last seed, and `winAmount` must be what the seeds, nonce
+     * and choice pay; anything else reverts.
+     */
+    function processFairGameResult(FairRound calldata round) external {
+        _checkGameSettler();
+        if (settledGames[round.gameId]) revert GameAlreadySettled(round.gameId);
+
+        FairSession storage session = fairSessions[round.sessionId];
+        if (session.player == address(0)) revert UnknownFairSession(round.sessionId);
+        if (session.clientSeed == bytes32(0)) revert ClientSeedNotSet(round.sessionId);
+        if (keccak256(abi.encode(round.serverSeed)) != session.seedHash) revert InvalidServerSeed(round.sessionId);
+
+        uint256 nonce = session.nonce;
+        bytes32 bet = keccak256(abi.encode(nonce, round.game, round.choice, round.betAmount));
+        if (fairBets[round.sessionId] != bet) revert FairBetMismatch(round.sessionId);
+        delete fairBets[round.sessionId];
+
+        uint256 expectedWinAmount = FairPlay.payout(
+            round.game,
+            round.choice,
+            round.betAmount,
+            FairPlay.randomness(round.serverSeed, session.clientSeed, nonce)
+        );
+        if (round.winAmount != expectedWinAmount) {
+            revert OutcomeMismatch(round.gameId, round.winAmount, expectedWinAmount);
         }
+        session.seedHash = round.serverSeed;
+        session.nonce = nonce + 1;
+        emit FairRoundRevealed(round.gameId, round.sessionId, round.serverSeed, nonce, round.game, round.choice);
+
+        (uint256 lpFee, uint256 platformFeeAmount) = _settleGame(
+            round.gameId,
+            session.player,
+            round.betAmount,
+            round.winAmount
+        );
+        _accrueLpFee(lpFee);
+        _distributeFee(platformFeeAmount);
+    }
 
-        // Update last balance update time and emit event
-        lastBalanceUpdate[user] = block.number;
-        emit FirebaseBalanceUpdated(user, firebaseBalances[user], block.number);
+    // ------------------------------------
+    // On-chain Games
+    // ------------------------------------
+
+    function _checkOnChainGame() internal view {
+        if (!factory.hasRole(CasinoRoles.ON_CHAIN_GAME, msg.sender)) revert NotAuthorized();
+    }
+
+    function _payoutReserve(OpenBet memory bet) internal pure returns (uint256) {
+        return bet.maxWinAmount > bet.betAmount ? bet.maxWinAmount - bet.betAmount : 0;
+    }
+
+    /**
+     * @dev Take a bet from an on-chain game contract, which pays the stake. The
+     * exposure limits are checked against `maxWinAmount` and enough LP capital is
+     * reserved to pay it, so the settlement that follows cannot fail.
+     */
+    function openOnChainBet(
+        bytes32 gameId,
+        address player,
+        uint256 betAmount,
+        uint256 maxWinAmount
+    ) external nonReentrant whenNotPaused {
+        _checkOnChainGame();
+        if (betAmount == 0) revert InvalidAmount();
+        if (settledGames[gameId]) revert GameAlreadySettled(gameId);
+        settledGames[gameId] = true;
+        _checkExposure(betAmount, maxWinAmount);
+
+        OpenBet memory bet = OpenBet(player, betAmount, maxWinAmount, lossWindowStart);
+        uint256 reserve = _payoutReserve(bet);
+        if (reservedPayouts + reserve > lpCapital) revert InsufficientBalance();
+        reservedPayouts += reserve;
+        // Count the worst case now; settlement can only lower it
+        _recordNetLoss(int256(maxWinAmount) - int256(betAmount));
+
+        openBets[gameId] = bet;
+        openBetStakes += betAmount;
+        token.safeTransferFrom(msg.sender, address(this), betAmount);
+
+        emit OnChainBetOpened(gameId, player, betAmount, maxWinAmount);
+    }
+
+    /**
+     * @dev Settle an open bet with the payout its randomness gave. Fees are split
+     * as for processGameResult and net winnings are sent straight to the player.
+     */
+    function settleOnChainBet(bytes32 gameId, uint256 winAmount) external nonReentrant {
+        _checkOnChainGame();
+        OpenBet memory bet = _closeOnChainBet(gameId);
+        if (winAmount > bet.maxWinAmount) revert PayoutTooLarge(winAmount, bet.maxWinAmount);
+
+        (uint256 lpFee, uint256 platformFeeAmount, uint256 netWin, int256 netLoss) = _settleStake(
+            bet.betAmount,
+            winAmount
+        );
+        if (maxNetLossBps > 0 && bet.lossWindowStart == lossWindowStart) {
+            lossWindowNetLoss += netLoss - (int256(bet.maxWinAmount) - int256(bet.betAmount));
+        }
+        emit GameResult(gameId, bet.player, bet.betAmount, winAmount, lpFee, block.timestamp);
+
+        _accrueLpFee(lpFee);
+        _distributeFee(platformFeeAmount);
+        if (netWin > 0) token.safeTransfer(bet.player, netWin);
+    }
+
+    /**
+     * @dev Return an open bet's stake, for randomness that never arrived
+     */
+    function refundOnChainBet(bytes32 gameId) external nonReentrant {
+        _checkOnChainGame();
+        OpenBet memory bet = _closeOnChainBet(gameId);
+        if (maxNetLossBps > 0 && bet.lossWindowStart == lossWindowStart) {
+            lossWindowNetLoss -= int256(bet.maxWinAmount) - int256(bet.betAmount);
+        }
+
+        token.safeTransfer(bet.player, bet.betAmount);
+        emit OnChainBetRefunded(gameId, bet.player, bet.betAmount);
+    }
+
+    function _closeOnChainBet(bytes32 gameId) internal returns (OpenBet memory bet) {
+        bet = openBets[gameId];
+        if (bet.player == address(0)) revert UnknownBet(gameId);
+        delete openBets[gameId];
+        openBetStakes -= bet.betAmount;
+        reservedPayouts -= _payoutReserve(bet);
     }
 
     // ------------------------------------
@@ -361,8 +987,8 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
         // Then check pool balance
         if (amount > totalDeposits) revert InsufficientBalance();
 
-        // Calculate platform fee (2.5%)
-        uint256 platformFeeAmount = (amount * LP_FEE) / BASIS_POINTS;
+        // Calculate platform fee
+        uint256 platformFeeAmount = (amount * platformFee) / BASIS_POINTS;
         uint256 netAmount = amount - platformFeeAmount;
 
         // Update balances
@@ -370,14 +996,123 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
         totalDeposits -= amount;
 
         // Send platform fee and net amount
-        if (platformFeeAmount > 0) {
-            token.safeTransfer(PLATFORM_WALLET, platformFeeAmount);
-        }
+        _distributeFee(platformFeeAmount);
         token.safeTransfer(msg.sender, netAmount);
 
         emit Withdrawal(msg.sender, amount, netAmount, block.timestamp);
     }
 
+    // ------------------------------------
+    // Withdrawal Vouchers
+    // ------------------------------------
+
+    // Operator-signed (EIP-712) authorization to withdraw from this pool.
+    // balanceNonce is balanceNonces(user) when the voucher was signed, before
+    // the off-chain balance was debited.
+    struct WithdrawalVoucher {
+        address user;
+        address pool;
+        uint256 amount;
+        uint256 nonce;
+        uint256 balanceNonce;
+        uint256 deadline;
+    }
+
+    /**
+     * @dev Withdraw using a voucher signed by a balance syncer instead of a prior balance push.
+     * Anyone may submit the voucher; funds always go to voucher.user.
+     * The nonce must equal nonces(user) and is consumed on success. Once the
+     * user's balance has moved past voucher.balanceNonce, the balance pushed
+     * since already carries the debit, so the voucher is paid from the tokens
+     * that push released instead of being taken off the balance again.
+     */
+    function redeemWithdrawalVoucher(
+        WithdrawalVoucher calldata voucher,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused {
+        if (voucher.amount == 0) revert InvalidAmount();
+        if (voucher.pool != address(this)) revert InvalidVoucher();
+        if (block.timestamp > voucher.deadline) revert VoucherExpired();
+
+        address signer = ECDSA.recover(hashWithdrawalVoucher(voucher), signature);
+        if (!factory.hasRole(CasinoRoles.BALANCE_SYNCER, signer)) revert InvalidSignature();
+        _useCheckedNonce(voucher.user, voucher.nonce);
+
+        // Calculate platform fee
+        uint256 platformFeeAmount = (voucher.amount * platformFee) / BASIS_POINTS;
+        uint256 netAmount = voucher.amount - platformFeeAmount;
+
+        // The voucher supersedes any stale on-chain balance; whatever the
+        // balance does not hold must come from tokens beyond the pool's obligations
+        uint256 balance = firebaseBalances[voucher.user];
+        uint256 debited;
+        if (balanceNonces[voucher.user] <= voucher.balanceNonce) {
+            debited = voucher.amount > balance ? balance : voucher.amount;
+        }
+        firebaseBalances[voucher.user] = balance - debited;
+        totalDeposits -= debited;
+
+        _distributeFee(platformFeeAmount);
+        token.safeTransfer(voucher.user, netAmount);
+        _checkCovered();
+
+        emit VoucherRedeemed(voucher.user, signer, voucher.amount, voucher.nonce);
+        emit Withdrawal(voucher.user, voucher.amount, netAmount, block.timestamp);
+    }
+
+    /**
+     * @dev EIP-712 digest a balance syncer signs for a withdrawal voucher
+     */
+    function hashWithdrawalVoucher(WithdrawalVoucher calldata voucher) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            WITHDRAWAL_VOUCHER_TYPEHASH,
+            voucher.user,
+            voucher.pool,
+            voucher.amount,
+            voucher.nonce,
+            voucher.balanceNonce,
+            voucher.deadline
+        )));
+    }
+
+    // ------------------------------------
+    // Platform Fees
+    // ------------------------------------
+
+    /**
+     * @dev Pay a platform fee to the factory's fee recipients, split by basis points.
+     * Falls back to the factory's platform wallet when no split is configured;
+     * rounding dust goes to the last recipient.
+     */
+    function _distributeFee(uint256 amount) internal {
+        if (amount == 0) return;
+
+        (address[] memory wallets, uint256[] memory bps) = factory.getFeeRecipients();
+        if (wallets.length == 0) {
+            address wallet = factory.platformWallet();
+            token.safeTransfer(wallet, amount);
+            emit FeePaid(wallet, amount);
+            return;
+        }
+
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < wallets.length; i++) {
+            uint256 share = i == wallets.length - 1 ? remaining : (amount * bps[i]) / BASIS_POINTS;
+            remaining -= share;
+            if (share > 0) {
+                token.safeTransfer(wallets[i], share);
+                emit FeePaid(wallets[i], share);
+            }
+        }
+    }
+
+    /**
+     * @dev Wallet receiving emergency withdrawals, as configured on the factory
+     */
+    function platformWallet() public view returns (address) {
+        return factory.platformWallet();
+    }
+
     // ------------------------------------
     // View Helpers
     // ------------------------------------
@@ -385,6 +1120,30 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
         return totalDeposits;
     }
 
+    /**
+     * @dev The pool's token balance against its obligations: player
+     * liabilities, LP capital, unclaimed LP rewards and the stakes of open
+     * on-chain bets. `surplus` is negative when the balance does not cover them.
+     */
+    function solvency() external view returns (Solvency memory) {
+        uint256 tokenBalance = token.balanceOf(address(this));
+        uint256 obligations = totalDeposits + lpCapital + accumulatedFees + openBetStakes;
+        return Solvency({
+            tokenBalance: tokenBalance,
+            playerLiabilities: totalDeposits,
+            lpCapital: lpCapital,
+            lpRewards: accumulatedFees,
+            openBetStakes: openBetStakes,
+            surplus: int256(tokenBalance) - int256(obligations)
+        });
+    }
+
+    // Reverts unless the token balance covers every ledger
+    function _checkCovered() internal view {
+        uint256 obligations = totalDeposits + lpCapital + accumulatedFees + openBetStakes;
+        if (token.balanceOf(address(this)) < obligations) revert InsufficientBalance();
+    }
+
     function getPendingRewards(address provider) external view returns (uint256) {
         uint256 userShares = shares[provider];
         if (userShares == 0) return 0;
@@ -394,15 +1153,25 @@ contract TokenPool is Pausable, Ownable, ReentrancyGuard {
     // ------------------------------------
     // Emergency Admin
     // ------------------------------------
+    /**
+     * @dev Sweep the pool to the platform wallet. Open on-chain bets must be
+     * settled or refunded first, or their callbacks would pay out of zeroed ledgers.
+     * Liquidity is closed for good afterwards; see emergencyWithdrawn.
+     */
     function emergencyWithdraw() external onlyOwner whenPaused {
+        if (openBetStakes > 0) revert OpenBetsPending(openBetStakes);
         uint256 balance = token.balanceOf(address(this));
         if (balance > 0) {
-            token.safeTransfer(platformWallet, balance);
+            token.safeTransfer(platformWallet(), balance);
         }
         totalDeposits = 0;
+        lpCapital = 0;
+        openBetStakes = 0;
+        reservedPayouts = 0;
         totalShares = 0;
         accumulatedFees = 0;
         accRewardPerShare = 0;
+        emergencyWithdrawn = true;
     }
 
 }
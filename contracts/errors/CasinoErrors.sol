@@ -14,3 +14,32 @@ error ExceedsFirebaseBalance();
 error BalanceProofExpired();
 error InvalidNonce();
 error EmptyUpdates();
+error InvalidSignature();
+error InvalidVoucher();
+error VoucherExpired();
+error InvalidFeeSplit();
+error NoPendingFeeChange();
+error FeeChangeNotReady();
+error GameAlreadySettled(bytes32 gameId);
+error InvalidExposureLimit();
+error BetTooLarge(uint256 betAmount, uint256 maxBet);
+error PayoutTooLarge(uint256 winAmount, uint256 maxPayout);
+error NetLossLimitExceeded(uint256 netLoss, uint256 maxNetLoss);
+error FairSessionExists(bytes32 sessionId);
+error UnknownFairSession(bytes32 sessionId);
+error ClientSeedAlreadySet(bytes32 sessionId);
+error ClientSeedNotSet(bytes32 sessionId);
+error InvalidServerSeed(bytes32 sessionId);
+error InvalidGameChoice(uint8 game, uint256 choice);
+error OutcomeMismatch(bytes32 gameId, uint256 winAmount, uint256 expectedWinAmount);
+error UnknownBet(bytes32 gameId);
+error RefundNotReady(bytes32 gameId);
+error ShareTokenAlreadySet();
+error NoShareTokenImplementation();
+error NoLPCapital();
+error NotRoleMember(uint64 roleId, address account);
+error FairBetPending(bytes32 sessionId);
+error FairBetMismatch(bytes32 sessionId);
+error NotOperator(address account);
+error OpenBetsPending(uint256 openBetStakes);
+error PoolEmergencyWithdrawn();
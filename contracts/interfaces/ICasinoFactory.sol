@@ -2,7 +2,9 @@
 pragma solidity ^0.8.20;
 
 interface ICasinoFactory {
-    function operators(address) external view returns (bool);
+    function hasRole(uint64 roleId, address account) external view returns (bool);
     function owner() external view returns (address);
     function router() external view returns (address);
+    function platformWallet() external view returns (address);
+    function getFeeRecipients() external view returns (address[] memory wallets, uint256[] memory bps);
 }
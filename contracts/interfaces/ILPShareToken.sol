@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IERC4626} from "./IERC4626.sol";
+
+/**
+ * @dev ERC-4626 token over one pool's LP shares (see LPShareToken). The pool
+ * keeps the share ledger and reports every change through notifyTransfer.
+ */
+interface ILPShareToken is IERC4626 {
+    function pool() external view returns (address);
+    function notifyTransfer(address from, address to, uint256 value) external;
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev Source of randomness for on-chain games (a VRF coordinator adapter, or
+ * MockVRFCoordinator in tests). Each request is answered later by calling
+ * fulfillRandomness on the contract that made it.
+ */
+interface IRandomnessProvider {
+    function requestRandomness() external returns (uint256 requestId);
+}
+
+interface IRandomnessConsumer {
+    function fulfillRandomness(uint256 requestId, uint256 randomness) external;
+}
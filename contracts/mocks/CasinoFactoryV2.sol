@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../CasinoFactory.sol";
+
+/**
+ * @title CasinoFactoryV2
+ * @dev Upgrade target for tests: adds a function without touching storage
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract CasinoFactoryV2 is CasinoFactory {
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../LPShareToken.sol";
+
+/**
+ * @title LPShareTokenV2
+ * @dev Upgrade target for tests: adds a function
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract LPShareTokenV2 is LPShareToken {
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
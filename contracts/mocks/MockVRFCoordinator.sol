@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IRandomnessProvider, IRandomnessConsumer} from "../interfaces/IRandomnessProvider.sol";
+
+/**
+ * @title MockVRFCoordinator
+ * @dev Local stand-in for a VRF coordinator: requests are recorded and answered
+ * by whoever calls fulfill, with any number they choose (see
+ * scripts/lib/randomness.js). Never deploy it outside tests and local nodes.
+ */
+contract MockVRFCoordinator is IRandomnessProvider {
+    uint256 public requestCount;
+    mapping(uint256 => address) public consumers; // open requests
+
+    event RandomnessRequested(uint256 indexed requestId, address indexed consumer);
+    event RandomnessFulfilled(uint256 indexed requestId, address indexed consumer, uint256 randomness);
+
+    error UnknownRequest(uint256 requestId);
+
+    function requestRandomness() external returns (uint256 requestId) {
+        requestId = ++requestCount;
+        consumers[requestId] = msg.sender;
+        emit RandomnessRequested(requestId, msg.sender);
+    }
+
+    /**
+     * @dev Answer an open request; a reverting consumer reverts this call too
+     */
+    function fulfill(uint256 requestId, uint256 randomness) external {
+        address consumer = consumers[requestId];
+        if (consumer == address(0)) revert UnknownRequest(requestId);
+        delete consumers[requestId];
+
+        IRandomnessConsumer(consumer).fulfillRandomness(requestId, randomness);
+        emit RandomnessFulfilled(requestId, consumer, randomness);
+    }
+}
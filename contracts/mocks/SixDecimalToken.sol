@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../TestToken.sol";
+
+/**
+ * @title SixDecimalToken
+ * @dev TestToken with USDC-style 6 decimals, for checking that off-chain
+ * balances are scaled by the token's own decimals
+ */
+contract SixDecimalToken is TestToken {
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+/**
+ * @title TokenPoolBadLayout
+ * @dev Upgrade target for tests: a pool whose first slots no longer match TokenPool
+ */
+contract TokenPoolBadLayout is Initializable {
+    address public token;
+    uint256 public platformFee;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+}
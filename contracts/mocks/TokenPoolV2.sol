@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../TokenPool.sol";
+
+/**
+ * @title TokenPoolV2
+ * @dev Upgrade target for tests: appends state and adds a function
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract TokenPoolV2 is TokenPool {
+    uint256 public dailyBetLimit;
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -1,4 +1,22 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@nomicfoundation/hardhat-ignition-ethers");
+require("@openzeppelin/hardhat-upgrades");
+require("dotenv").config();
+const { NETWORKS } = require("./scripts/lib/networks");
+
+// Named networks from scripts/lib/networks.js; deployments sign with the
+// network's deployer key when set (localhost falls back to the node's accounts).
+// A chain id left unset here is still required by the scripts before they send anything
+function namedNetworks() {
+  return Object.fromEntries(Object.entries(NETWORKS).map(([name, config]) => {
+    const deployerKey = process.env[config.keys.deployer];
+    return [name, {
+      url: config.url || process.env[config.urlEnv] || "",
+      chainId: config.chainId || Number(process.env[config.chainIdEnv]) || undefined,
+      ...(deployerKey ? { accounts: [deployerKey] } : {})
+    }];
+  }));
+}
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -39,7 +57,8 @@ module.exports = {
   networks: {
     hardhat: {
       allowUnlimitedContractSize: true
-    }
+    },
+    ...namedNetworks()
   },
   paths: {
     sources: "./contracts",
@@ -0,0 +1,71 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { ethers } = require("ethers");
+const { getRoleId } = require("../../scripts/lib/roles");
+const CasinoRouterModule = require("./CasinoRouter");
+const TestTokenModule = require("./TestToken");
+
+/**
+ * Build the full deployment: factory, router, operators, roles and initial pools.
+ *
+ * Operators, roles and pools are lists, which Ignition parameters cannot drive, so
+ * they come from the "Casino" section of ignition/parameters/<network>.json
+ * and are baked into the module (see scripts/deploy.js):
+ * - operators: [{ address, name }], each granted the balance syncer and game settler roles
+ * - roles: [{ role, address, name, executionDelay }] for single roles, e.g. a game
+ *   server that may only settle ("game-settler"); see scripts/lib/roles.js
+ * - tokens: token addresses that get a pool
+ * - testToken: deploy TestToken and create its pool; `{ mint: { [address]: "1000" } }`
+ *   also mints whole tokens to test accounts
+ * - owner: hand the factory to this address once everything above is set up.
+ *   Ownership is two-step, so the new owner still has to accept it
+ *
+ * Future IDs are keyed by address, so adding entries and redeploying only runs
+ * the new calls.
+ */
+function buildCasinoModule(config = {}) {
+    return buildModule("Casino", (m) => {
+        const { factory, router } = m.useModule(CasinoRouterModule);
+        const contracts = { factory, router };
+        const setup = [];
+
+        for (const { address, name } of config.operators || []) {
+            const operator = ethers.getAddress(address);
+            setup.push(m.call(factory, "setOperator", [operator, true, name], { id: `setOperator_${operator}` }));
+        }
+
+        for (const { role, address, name, executionDelay = 0 } of config.roles || []) {
+            const account = ethers.getAddress(address);
+            const roleId = getRoleId(role);
+            setup.push(m.call(factory, "grantRole", [roleId, account, executionDelay, name], {
+                id: `grantRole_${roleId}_${account}`
+            }));
+        }
+
+        for (const address of config.tokens || []) {
+            const token = ethers.getAddress(address);
+            setup.push(m.call(factory, "createPool", [token], { id: `createPool_${token}` }));
+        }
+
+        if (config.testToken) {
+            const { testToken } = m.useModule(TestTokenModule);
+            setup.push(m.call(factory, "createPool", [testToken], { id: "createPool_TestToken" }));
+
+            for (const [address, amount] of Object.entries(config.testToken.mint || {})) {
+                const to = ethers.getAddress(address);
+                m.call(testToken, "mint", [to, ethers.parseEther(amount)], { id: `mint_${to}` });
+            }
+            contracts.testToken = testToken;
+        }
+
+        if (config.owner) {
+            const owner = ethers.getAddress(config.owner);
+            m.call(factory, "transferOwnership", [owner], { id: `transferOwnership_${owner}`, after: setup });
+        }
+
+        return contracts;
+    });
+}
+
+module.exports = {
+    buildCasinoModule
+};
@@ -0,0 +1,34 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * CasinoFactory behind a UUPS proxy, initialized in the proxy's constructor
+ * with the platform wallet (defaults to the deployer) and the TokenPool
+ * implementation its pool beacon starts on. The LPShareToken implementation
+ * starts the share token beacon, so every pool gets an ERC-4626 share token.
+ * `feeWallets`/`feeBps` optionally split platform fees; see setFeeRecipients.
+ * Roles live in an AccessManager administered by the factory.
+ *
+ * scripts/deploy.js registers the implementations with
+ * @openzeppelin/hardhat-upgrades so later upgrades are checked against them.
+ */
+module.exports = buildModule("CasinoFactory", (m) => {
+    const platformWallet = m.getParameter("platformWallet", m.getAccount(0));
+    const feeWallets = m.getParameter("feeWallets", []);
+    const feeBps = m.getParameter("feeBps", []);
+
+    const poolImplementation = m.contract("TokenPool", [], { id: "TokenPoolImplementation" });
+    const implementation = m.contract("CasinoFactory", [], { id: "CasinoFactoryImplementation" });
+    const initialize = m.encodeFunctionCall(implementation, "initialize", [platformWallet, poolImplementation]);
+    const proxy = m.contract("ERC1967Proxy", [implementation, initialize]);
+
+    const factory = m.contractAt("CasinoFactory", proxy);
+    m.call(factory, "setFeeRecipients", [feeWallets, feeBps]);
+
+    const shareTokenImplementation = m.contract("LPShareToken", [], { id: "LPShareTokenImplementation" });
+    m.call(factory, "setShareTokenImplementation", [shareTokenImplementation]);
+
+    const accessManager = m.contract("AccessManager", [proxy]);
+    m.call(factory, "setAccessManager", [accessManager]);
+
+    return { factory, proxy, implementation, poolImplementation, shareTokenImplementation, accessManager };
+});
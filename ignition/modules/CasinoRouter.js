@@ -0,0 +1,14 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const CasinoFactoryModule = require("./CasinoFactory");
+
+/**
+ * CasinoRouter, registered as the factory's router
+ */
+module.exports = buildModule("CasinoRouter", (m) => {
+    const { factory } = m.useModule(CasinoFactoryModule);
+
+    const router = m.contract("CasinoRouter", [factory]);
+    m.call(factory, "setRouter", [router]);
+
+    return { factory, router };
+});
@@ -0,0 +1,9 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * Mintable ERC20 for test networks
+ */
+module.exports = buildModule("TestToken", (m) => {
+    const testToken = m.contract("TestToken");
+    return { testToken };
+});
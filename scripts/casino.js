@@ -0,0 +1,574 @@
+#!/usr/bin/env node
+const { ethers } = require('ethers');
+const { parseArgs } = require('util');
+const {
+    loadArtifact,
+    getFactoryContract,
+    getPoolContract,
+    getAccessManagerContract,
+    getTokenContract
+} = require('./lib/contracts');
+const { parseFeeRecipients } = require('./lib/fee-config');
+const { connect } = require('./lib/networks');
+const { getRoleId, getRoleName } = require('./lib/roles');
+const { verifyRound } = require('./lib/fair-play');
+require('dotenv').config();
+
+const BLOCK_RANGE = 10000;
+
+const OPTIONS = {
+    json: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    from: { type: 'string' },
+    all: { type: 'boolean', default: false },
+    'from-block': { type: 'string', default: '0' },
+    'platform-fee': { type: 'string' },
+    'game-lp-fee': { type: 'string' },
+    'game-platform-fee': { type: 'string' },
+    'execution-delay': { type: 'string', default: '0' },
+    'max-bet': { type: 'string' },
+    'max-payout': { type: 'string' },
+    'max-net-loss': { type: 'string' },
+    'loss-window': { type: 'string' },
+    network: { type: 'string' },
+    help: { type: 'boolean', default: false }
+};
+
+function parseBps(value, name) {
+    if (value == null) return undefined;
+    if (!/^\d+$/.test(value)) throw new Error(`--${name} must be a whole number of basis points`);
+    return BigInt(value);
+}
+
+function requireArgs(args, count, command) {
+    if (args.length < count) {
+        throw new Error(`Usage: casino ${command.name} ${command.usage}`);
+    }
+}
+
+// ------------------------------------
+// Read commands
+// ------------------------------------
+
+async function showStatus(factory) {
+    const [tokens] = await factory.getDeployedPools();
+    const [wallets, bps] = await factory.getFeeRecipients();
+    return {
+        factory: await factory.getAddress(),
+        owner: await factory.owner(),
+        pendingOwner: await factory.pendingOwner(),
+        poolBeacon: await factory.poolBeacon(),
+        poolImplementation: await factory.poolImplementation(),
+        shareTokenBeacon: await factory.shareTokenBeacon(),
+        accessManager: await factory.authority(),
+        paused: await factory.paused(),
+        platformWallet: await factory.platformWallet(),
+        router: await factory.router(),
+        poolCreationFee: ethers.formatEther(await factory.poolCreationFee()),
+        feeRecipients: wallets.map((wallet, i) => ({ wallet, bps: Number(bps[i]) })),
+        pools: tokens.length
+    };
+}
+
+async function listPools(factory) {
+    const runner = factory.runner;
+    const [tokens, pools] = await factory.getDeployedPools();
+
+    const rows = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = getTokenContract(tokens[i], runner);
+        const pool = getPoolContract(pools[i], runner);
+        const decimals = Number(await token.decimals());
+        const format = value => ethers.formatUnits(value, decimals);
+
+        rows.push({
+            token: tokens[i],
+            symbol: await token.symbol(),
+            pool: pools[i],
+            shareToken: await pool.shareToken(),
+            paused: await pool.paused(),
+            tokenBalance: format(await token.balanceOf(pools[i])),
+            totalDeposits: format(await pool.totalDeposits()),
+            lpCapital: format(await pool.lpCapital()),
+            totalShares: (await pool.totalShares()).toString(),
+            accumulatedFees: format(await pool.accumulatedFees()),
+            platformFee: Number(await pool.platformFee()),
+            gameLpFee: Number(await pool.gameLpFee()),
+            gamePlatformFee: Number(await pool.gamePlatformFee()),
+            maxBetBps: Number(await pool.maxBetBps()),
+            maxPayoutBps: Number(await pool.maxPayoutBps()),
+            maxNetLossBps: Number(await pool.maxNetLossBps()),
+            lossWindow: Number(await pool.lossWindow())
+        });
+    }
+    return rows;
+}
+
+/**
+ * Operators are not enumerable on-chain, so collect every address that
+ * appeared in OperatorUpdated and report its current status
+ */
+async function listOperators(factory, options) {
+    const toBlock = await factory.runner.provider.getBlockNumber();
+    const addresses = new Set();
+    for (let start = options.fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+        const end = Math.min(start + BLOCK_RANGE - 1, toBlock);
+        const events = await factory.queryFilter(factory.filters.OperatorUpdated(), start, end);
+        events.forEach(event => addresses.add(event.args.operator));
+    }
+
+    const rows = [];
+    for (const address of addresses) {
+        const active = await factory.operators(address);
+        if (!active && !options.all) continue;
+        rows.push({ operator: address, active, name: await factory.operatorNames(address) });
+    }
+    return rows;
+}
+
+/**
+ * Like listOperators, from RoleMemberUpdated: every role grant with its name and
+ * execution delay. Grants still waiting out a role's grant delay are inactive.
+ */
+async function listRoles(factory, options) {
+    const toBlock = await factory.runner.provider.getBlockNumber();
+    const members = new Map();
+    for (let start = options.fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+        const end = Math.min(start + BLOCK_RANGE - 1, toBlock);
+        const events = await factory.queryFilter(factory.filters.RoleMemberUpdated(), start, end);
+        events.forEach(event => members.set(`${event.args.roleId}:${event.args.account}`, event.args));
+    }
+
+    const manager = getAccessManagerContract(await factory.authority(), factory.runner);
+    const rows = [];
+    for (const { roleId, account } of members.values()) {
+        const [active, executionDelay] = await manager.hasRole(roleId, account);
+        if (!active && !options.all) continue;
+        rows.push({
+            role: getRoleName(roleId),
+            account,
+            active,
+            name: await factory.roleMemberNames(roleId, account),
+            executionDelay: Number(executionDelay)
+        });
+    }
+    return rows;
+}
+
+async function showUser(factory, tokenAddress, user) {
+    const [exists, poolAddress] = await factory.getPool(tokenAddress);
+    if (!exists) throw new Error(`No pool for token ${tokenAddress}`);
+
+    const pool = getPoolContract(poolAddress, factory.runner);
+    const decimals = Number(await getTokenContract(tokenAddress, factory.runner).decimals());
+    return {
+        user: ethers.getAddress(user),
+        token: ethers.getAddress(tokenAddress),
+        pool: poolAddress,
+        firebaseBalance: ethers.formatUnits(await pool.firebaseBalances(user), decimals),
+        balanceNonce: Number(await pool.balanceNonces(user)),
+        lastBalanceUpdate: Number(await pool.lastBalanceUpdate(user)),
+        voucherNonce: Number(await pool.nonces(user)),
+        shares: (await pool.shares(user)).toString(),
+        pendingRewards: ethers.formatUnits(await pool.getPendingRewards(user), decimals)
+    };
+}
+
+/**
+ * Recompute a provably fair round from the pool's events. `gameId` is the
+ * bytes32 round ID or the game document path it was derived from.
+ */
+async function verifyFairRound(factory, tokenAddress, gameId, options) {
+    const [exists, poolAddress] = await factory.getPool(tokenAddress);
+    if (!exists) throw new Error(`No pool for token ${tokenAddress}`);
+
+    const pool = getPoolContract(poolAddress, factory.runner);
+    const decimals = Number(await getTokenContract(tokenAddress, factory.runner).decimals());
+    const id = ethers.isHexString(gameId, 32) ? gameId : ethers.id(gameId);
+    const round = await verifyRound(pool, id, { fromBlock: options.fromBlock });
+    const { winAmount, ...result } = round.outcome || {};
+    return {
+        ok: round.valid,
+        ...round,
+        betAmount: ethers.formatUnits(round.betAmount, decimals),
+        winAmount: ethers.formatUnits(round.winAmount, decimals),
+        outcome: round.outcome && { ...result, winAmount: ethers.formatUnits(winAmount, decimals) }
+    };
+}
+
+// ------------------------------------
+// Write commands
+// ------------------------------------
+
+// Each write command maps its arguments to one or more factory calls
+const WRITE_COMMANDS = {
+    'set-operator': {
+        usage: '<address> <name>',
+        args: 2,
+        calls: ([operator, ...name]) => [{ method: 'setOperator', args: [operator, true, name.join(' ')] }]
+    },
+    'remove-operator': {
+        usage: '<address>',
+        args: 1,
+        calls: ([operator]) => [{ method: 'setOperator', args: [operator, false, ''] }]
+    },
+    'grant-role': {
+        usage: '<role> <address> <name> [--execution-delay seconds]',
+        args: 3,
+        calls: ([role, account, ...name], factory, fees, values) => [{
+            method: 'grantRole',
+            args: [getRoleId(role), account, Number(values['execution-delay']), name.join(' ')]
+        }]
+    },
+    'revoke-role': {
+        usage: '<role> <address>',
+        args: 2,
+        calls: ([role, account]) => [{ method: 'revokeRole', args: [getRoleId(role), account] }]
+    },
+    'set-role-grant-delay': {
+        usage: '<role> <seconds>',
+        args: 2,
+        calls: ([role, delay]) => [{ method: 'setRoleGrantDelay', args: [getRoleId(role), Number(delay)] }]
+    },
+    'set-router': {
+        usage: '<address>',
+        args: 1,
+        calls: ([router]) => [{ method: 'setRouter', args: [router] }]
+    },
+    'set-platform-wallet': {
+        usage: '<address>',
+        args: 1,
+        calls: ([wallet]) => [{ method: 'updatePlatformWallet', args: [wallet] }]
+    },
+    'set-fee-recipients': {
+        usage: '[<address>:<bps>,...]',
+        args: 0,
+        calls: ([split]) => {
+            const { wallets, bps } = parseFeeRecipients(split);
+            return [{ method: 'setFeeRecipients', args: [wallets, bps] }];
+        }
+    },
+    'set-pool-creation-fee': {
+        usage: '<amount in ETH>',
+        args: 1,
+        calls: ([amount]) => [{ method: 'setPoolCreationFee', args: [ethers.parseEther(amount)] }]
+    },
+    'create-pool': {
+        usage: '<token>',
+        args: 1,
+        calls: async ([token], factory) => [
+            { method: 'createPool', args: [token], value: await factory.poolCreationFee() }
+        ]
+    },
+    'set-fees': {
+        usage: '<token> [--platform-fee bps] [--game-lp-fee bps --game-platform-fee bps]',
+        args: 1,
+        calls: ([token], factory, fees) => {
+            const calls = [];
+            if (fees.platformFee != null) {
+                calls.push({ method: 'setPlatformFee', args: [token, fees.platformFee] });
+            }
+            if (fees.gameLpFee != null || fees.gamePlatformFee != null) {
+                if (fees.gameLpFee == null || fees.gamePlatformFee == null) {
+                    throw new Error('Game fees are set together: pass both the LP and platform fee');
+                }
+                calls.push({ method: 'setGameFee', args: [token, fees.gameLpFee, fees.gamePlatformFee] });
+            }
+            if (calls.length === 0) throw new Error('Pass at least one fee to change');
+            return calls;
+        }
+    },
+    'set-default-fees': {
+        usage: '--platform-fee bps --game-lp-fee bps --game-platform-fee bps',
+        args: 0,
+        calls: (args, factory, fees) => {
+            if (Object.values(fees).some(fee => fee == null)) throw new Error('Pass all three default fees');
+            return [{ method: 'setDefaultFees', args: [fees.platformFee, fees.gameLpFee, fees.gamePlatformFee] }];
+        }
+    },
+    'set-exposure-limits': {
+        usage: '<token> [--max-bet bps] [--max-payout bps] [--max-net-loss bps --loss-window s]',
+        args: 1,
+        // Limits are set together, so keep the pool's current value for any not passed
+        calls: async ([token], factory, fees, values) => {
+            const [exists, poolAddress] = await factory.getPool(token);
+            if (!exists) throw new Error(`No pool for token ${token}`);
+            const pool = getPoolContract(poolAddress, factory.runner);
+            const limit = (name, current) => parseBps(values[name], name) ?? current;
+            return [{
+                method: 'setExposureLimits',
+                args: [
+                    token,
+                    limit('max-bet', await pool.maxBetBps()),
+                    limit('max-payout', await pool.maxPayoutBps()),
+                    limit('max-net-loss', await pool.maxNetLossBps()),
+                    values['loss-window'] != null ? BigInt(values['loss-window']) : await pool.lossWindow()
+                ]
+            }];
+        }
+    },
+    'execute-fee-change': {
+        usage: '<token>',
+        args: 1,
+        calls: ([token]) => [{ method: 'executeFeeChange', args: [token] }]
+    },
+    'cancel-fee-change': {
+        usage: '<token>',
+        args: 1,
+        calls: ([token]) => [{ method: 'cancelFeeChange', args: [token] }]
+    },
+    'set-fee-timelock': {
+        usage: '<seconds>',
+        args: 1,
+        calls: ([delay]) => [{ method: 'setFeeTimelock', args: [BigInt(delay)] }]
+    },
+    'execute-fee-timelock': {
+        usage: '',
+        args: 0,
+        calls: () => [{ method: 'executeFeeTimelock', args: [] }]
+    },
+    'pause': {
+        usage: '',
+        args: 0,
+        calls: () => [{ method: 'pause', args: [] }]
+    },
+    'unpause': {
+        usage: '',
+        args: 0,
+        calls: () => [{ method: 'unpause', args: [] }]
+    },
+    'emergency-withdraw': {
+        usage: '<token>',
+        args: 1,
+        calls: ([token]) => [{ method: 'emergencyWithdrawFromPool', args: [token] }]
+    },
+    'transfer-ownership': {
+        usage: '<address>',
+        args: 1,
+        calls: ([newOwner]) => [{ method: 'transferOwnership', args: [newOwner] }]
+    },
+    // Sent by the pending owner: run with the new owner's key
+    'accept-ownership': {
+        usage: '',
+        args: 0,
+        calls: () => [{ method: 'acceptOwnership', args: [] }]
+    },
+    // Implementations are deployed and layout-checked by scripts/upgrade.js
+    'upgrade-factory': {
+        usage: '<implementation>',
+        args: 1,
+        calls: ([implementation]) => [{ method: 'upgradeToAndCall', args: [implementation, '0x'] }]
+    },
+    'upgrade-pools': {
+        usage: '<implementation>',
+        args: 1,
+        calls: ([implementation]) => [{ method: 'upgradePools', args: [implementation] }]
+    },
+    // Creates the share token beacon the first time
+    'upgrade-share-tokens': {
+        usage: '<implementation>',
+        args: 1,
+        calls: ([implementation]) => [{ method: 'setShareTokenImplementation', args: [implementation] }]
+    },
+    // Open to anyone, not just the owner
+    'create-share-token': {
+        usage: '<token>',
+        args: 1,
+        calls: ([token]) => [{ method: 'createShareToken', args: [token] }]
+    }
+};
+
+const READ_COMMANDS = {
+    'status': { usage: '', args: 0 },
+    'pools': { usage: '', args: 0 },
+    'operators': { usage: '[--all] [--from-block n]', args: 0 },
+    'roles': { usage: '[--all] [--from-block n]', args: 0 },
+    'user': { usage: '<token> <user>', args: 2 },
+    'verify-round': { usage: '<token> <gameId> [--from-block n]', args: 2 }
+};
+
+/**
+ * Describe a revert, decoding custom errors from the factory, pool and
+ * AccessManager ABIs
+ */
+function describeError(error) {
+    let data = error.data;
+    for (let inner = error; !data && inner; inner = inner.error || inner.info?.error) {
+        data = inner.data;
+    }
+
+    if (typeof data === 'string' && data.length >= 10) {
+        const artifacts = [
+            loadArtifact('CasinoFactory'),
+            loadArtifact('TokenPool'),
+            loadArtifact('AccessManager', 'access/manager/AccessManager.sol')
+        ];
+        for (const { abi } of artifacts) {
+            const parsed = new ethers.Interface(abi).parseError(data);
+            if (parsed) return `${parsed.name}(${parsed.args.join(', ')})`;
+        }
+    }
+    return error.shortMessage || error.message;
+}
+
+/**
+ * Simulate each call as `from` without sending anything
+ */
+async function simulate(factory, calls, from) {
+    const results = [];
+    for (const call of calls) {
+        const fn = factory.getFunction(call.method);
+        const overrides = { from, value: call.value || 0n };
+        const tx = await fn.populateTransaction(...call.args, overrides);
+
+        const result = { method: call.method, args: call.args, to: tx.to, from, data: tx.data, value: overrides.value };
+        try {
+            await fn.staticCall(...call.args, overrides);
+            result.gasEstimate = await fn.estimateGas(...call.args, overrides);
+            result.ok = true;
+        } catch (error) {
+            result.ok = false;
+            result.error = describeError(error);
+        }
+        results.push(result);
+    }
+    return { dryRun: true, ok: results.every(result => result.ok), calls: results };
+}
+
+async function send(factory, calls) {
+    const results = [];
+    for (const call of calls) {
+        const tx = await factory.getFunction(call.method)(...call.args, { value: call.value || 0n });
+        const receipt = await tx.wait();
+        results.push({
+            method: call.method,
+            args: call.args,
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            events: receipt.logs
+                .map(log => factory.interface.parseLog(log))
+                .filter(Boolean)
+                .map(event => ({ name: event.name, args: event.args.toArray() }))
+        });
+    }
+    return { dryRun: false, ok: true, calls: results };
+}
+
+/**
+ * Run one CLI command against `context.factoryAddress`. `context.runner` is the
+ * signer for write commands (or a provider for read-only and dry-run use).
+ * Returns a plain result object.
+ */
+async function runCommand(argv, context = {}) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [name, ...args] = positionals;
+    const factory = getFactoryContract(context.factoryAddress, context.runner);
+
+    if (READ_COMMANDS[name]) {
+        requireArgs(args, READ_COMMANDS[name].args, { name, ...READ_COMMANDS[name] });
+        switch (name) {
+            case 'status':
+                return showStatus(factory);
+            case 'pools':
+                return listPools(factory);
+            case 'operators':
+                return listOperators(factory, { fromBlock: Number(values['from-block']), all: values.all });
+            case 'roles':
+                return listRoles(factory, { fromBlock: Number(values['from-block']), all: values.all });
+            case 'user':
+                return showUser(factory, args[0], args[1]);
+            case 'verify-round':
+                return verifyFairRound(factory, args[0], args[1], { fromBlock: Number(values['from-block']) });
+        }
+    }
+
+    const command = WRITE_COMMANDS[name];
+    if (!command) throw new Error(usage());
+    requireArgs(args, command.args, { name, ...command });
+
+    const fees = {
+        platformFee: parseBps(values['platform-fee'], 'platform-fee'),
+        gameLpFee: parseBps(values['game-lp-fee'], 'game-lp-fee'),
+        gamePlatformFee: parseBps(values['game-platform-fee'], 'game-platform-fee')
+    };
+    const calls = await command.calls(args, factory, fees, values);
+
+    if (values['dry-run']) {
+        // Simulate as --from, or as the signer when there is one
+        const from = values.from || (context.runner.getAddress ? await context.runner.getAddress() : null);
+        if (!from) throw new Error('--dry-run needs --from <address> when no owner key is set');
+        return simulate(factory, calls, ethers.getAddress(from));
+    }
+
+    if (!context.runner || !context.runner.sendTransaction) {
+        throw new Error(`${name} sends a transaction: set the network's owner key or pass --dry-run`);
+    }
+    return send(factory, calls);
+}
+
+function usage() {
+    const lines = ['Usage: casino <command> [args] [--network name] [--json] [--dry-run [--from address]]', '', 'Read commands:'];
+    for (const [name, command] of Object.entries(READ_COMMANDS)) lines.push(`  ${name} ${command.usage}`.trimEnd());
+    lines.push('', 'Admin commands (factory owner; accept-ownership is sent by the pending owner):');
+    for (const [name, command] of Object.entries(WRITE_COMMANDS)) lines.push(`  ${name} ${command.usage}`.trimEnd());
+    return lines.join('\n');
+}
+
+function toJson(result) {
+    return JSON.stringify(result, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+}
+
+/**
+ * Indented "key: value" lines for humans
+ */
+function toText(value, indent = '') {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return `${indent}(none)`;
+        return value.map(item => (
+            item !== null && typeof item === 'object'
+                ? `${indent}-\n${toText(item, indent + '  ')}`
+                : `${indent}- ${item}`
+        )).join('\n');
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).map(([key, item]) => (
+            item !== null && typeof item === 'object'
+                ? `${indent}${key}:\n${toText(item, indent + '  ')}`
+                : `${indent}${key}: ${item}`
+        )).join('\n');
+    }
+    return `${indent}${value}`;
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    if (values.help || positionals.length === 0) {
+        console.log(usage());
+        return;
+    }
+
+    // Refuses to run when the provider's chain does not match the registry
+    const network = await connect(values.network);
+    const runner = network.hasKey('owner') ? network.wallet('owner') : network.provider;
+
+    const result = await runCommand(argv, { runner, factoryAddress: network.deployment.contracts.CasinoFactory });
+    console.log(values.json ? toJson(result) : toText(result));
+    if (result.ok === false) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(describeError(error));
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    runCommand,
+    toJson,
+    toText,
+    READ_COMMANDS,
+    WRITE_COMMANDS
+};
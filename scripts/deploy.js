@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { buildCasinoModule } = require('../ignition/modules/Casino');
+const { deploymentPath, readDeployment, writeDeployment } = require('./lib/deployments');
+const { NETWORKS, getRpcUrl, getChainId, assertChainId } = require('./lib/networks');
+
+const PARAMETERS_DIR = path.join(__dirname, '..', 'ignition', 'parameters');
+
+/**
+ * Ignition parameters for a network: ignition/parameters/<network>.json, if any
+ */
+function readParameters(network, dir = PARAMETERS_DIR) {
+    const file = path.join(dir, `${network}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/**
+ * Accept a pending ownership transfer as the new owner, using a Hardhat account
+ * or the network's owner key. Returns the owner still to accept, if any.
+ */
+async function acceptOwnership(hre, factory) {
+    const pendingOwner = await factory.pendingOwner();
+    if (pendingOwner === hre.ethers.ZeroAddress) return null;
+
+    const network = hre.network.name;
+    const ownerKey = NETWORKS[network] && process.env[NETWORKS[network].keys.owner];
+    const candidates = await hre.ethers.getSigners();
+    if (ownerKey) candidates.push(new hre.ethers.Wallet(ownerKey, hre.ethers.provider));
+
+    const signer = candidates.find(candidate => candidate.address === pendingOwner);
+    if (!signer) return pendingOwner;
+
+    await (await factory.connect(signer).acceptOwnership()).wait();
+    return null;
+}
+
+/**
+ * Register the factory proxy and the pool and share token beacons'
+ * implementations with @openzeppelin/hardhat-upgrades, recording their storage
+ * layouts in .openzeppelin/ so scripts/upgrade.js can check new versions against them
+ */
+async function registerImplementations(hre, factory) {
+    const CasinoFactory = await hre.ethers.getContractFactory('CasinoFactory');
+    const TokenPool = await hre.ethers.getContractFactory('TokenPool');
+    const LPShareToken = await hre.ethers.getContractFactory('LPShareToken');
+    await hre.upgrades.forceImport(await factory.getAddress(), CasinoFactory, { kind: 'uups' });
+    await hre.upgrades.forceImport(await factory.poolBeacon(), TokenPool);
+    await hre.upgrades.forceImport(await factory.shareTokenBeacon(), LPShareToken);
+}
+
+/**
+ * Deploy (or resume) the Casino module on hre's network and record the
+ * addresses in deployments/<network>.json. Ignition keeps its journal under
+ * ignition/deployments/chain-<id>, so rerunning only sends what is missing.
+ */
+async function deploy(hre, options = {}) {
+    const network = hre.network.name;
+    const provider = hre.ethers.provider;
+
+    // Never deploy onto a chain other than the one the network (or an existing registry) names
+    if (NETWORKS[network]) {
+        getRpcUrl(network); // throws with the env var to set when the URL is missing
+        await assertChainId(provider, getChainId(network), `network "${network}"`);
+    }
+    if (fs.existsSync(deploymentPath(network, options.registryDir))) {
+        const existing = readDeployment(network, options.registryDir);
+        await assertChainId(provider, existing.chainId, `deployments/${network}.json`);
+    }
+
+    const { Casino: config, ...parameters } = options.parameters || readParameters(network);
+
+    const { factory, router, testToken } = await hre.ignition.deploy(buildCasinoModule(config), {
+        parameters,
+        deploymentId: options.deploymentId
+    });
+
+    await registerImplementations(hre, factory);
+
+    const contracts = {
+        CasinoFactory: await factory.getAddress(),
+        CasinoRouter: await router.getAddress(),
+        PoolBeacon: await factory.poolBeacon(),
+        ShareTokenBeacon: await factory.shareTokenBeacon(),
+        AccessManager: await factory.authority()
+    };
+    if (testToken) {
+        contracts.TestToken = await testToken.getAddress();
+    }
+
+    const [tokens, poolAddresses] = await factory.getDeployedPools();
+    const pools = Object.fromEntries(tokens.map((token, i) => [token, poolAddresses[i]]));
+    const { chainId } = await provider.getNetwork();
+
+    const pendingOwner = await acceptOwnership(hre, factory);
+    if (pendingOwner) {
+        console.warn(
+            `Ownership of CasinoFactory is pending for ${pendingOwner}. ` +
+            `Accept it with that key: npm run casino -- accept-ownership --network ${network}`
+        );
+    }
+
+    return writeDeployment(network, { chainId, contracts, pools }, options.registryDir);
+}
+
+async function main() {
+    const hre = require('hardhat');
+    const deployment = await deploy(hre);
+    console.log(JSON.stringify(deployment, null, 2));
+    console.log(`Wrote deployments/${deployment.network}.json`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Deployment failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    deploy,
+    acceptOwnership,
+    readParameters
+};
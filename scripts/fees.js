@@ -0,0 +1,144 @@
+const { ethers } = require('ethers');
+const { parseArgs } = require('util');
+const { getFactoryContract } = require('./lib/contracts');
+const { connect } = require('./lib/networks');
+require('dotenv').config();
+
+const USAGE = `Usage (all commands accept --network name):
+  node fees.js show [token...]
+  node fees.js set <token> [--platform-fee bps] [--game-lp-fee bps --game-platform-fee bps]
+  node fees.js defaults --platform-fee bps --game-lp-fee bps --game-platform-fee bps
+  node fees.js execute <token>
+  node fees.js cancel <token>
+  node fees.js timelock <seconds>`;
+
+function toSchedule(fees) {
+    return {
+        platformFee: Number(fees.platformFee),
+        gameLpFee: Number(fees.gameLpFee),
+        gamePlatformFee: Number(fees.gamePlatformFee)
+    };
+}
+
+/**
+ * Current and queued fee schedules (in basis points) for the given tokens,
+ * or for every pool when no tokens are passed
+ */
+async function getFeeSchedules(factory, tokens) {
+    if (!tokens || tokens.length === 0) {
+        [tokens] = await factory.getDeployedPools();
+    }
+
+    const feeTimelock = Number(await factory.feeTimelock());
+    const pools = [];
+    for (const token of tokens) {
+        const [, pool] = await factory.getPool(token);
+        const fees = toSchedule(await factory.getPoolFees(token));
+        const pending = await factory.pendingFeeChanges(token);
+
+        pools.push({
+            token: ethers.getAddress(token),
+            pool,
+            ...fees,
+            pending: pending.eta === 0n ? null : { ...toSchedule(pending.fees), eta: Number(pending.eta) }
+        });
+    }
+
+    return {
+        feeTimelock,
+        defaultFees: toSchedule(await factory.defaultFees()),
+        pools
+    };
+}
+
+/**
+ * Change any of a pool's fees; fees left undefined keep their current (or queued) value.
+ * Returns the transaction receipts.
+ */
+async function updatePoolFees(factory, token, { platformFee, gameLpFee, gamePlatformFee }) {
+    const receipts = [];
+    if (platformFee != null) {
+        receipts.push(await (await factory.setPlatformFee(token, platformFee)).wait());
+    }
+    if (gameLpFee != null || gamePlatformFee != null) {
+        if (gameLpFee == null || gamePlatformFee == null) {
+            throw new Error('Game fees are set together: pass both the LP and platform fee');
+        }
+        receipts.push(await (await factory.setGameFee(token, gameLpFee, gamePlatformFee)).wait());
+    }
+    return receipts;
+}
+
+function parseBps(value, name) {
+    if (value == null) return undefined;
+    if (!/^\d+$/.test(value)) throw new Error(`--${name} must be a whole number of basis points`);
+    return Number(value);
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'platform-fee': { type: 'string' },
+            'game-lp-fee': { type: 'string' },
+            'game-platform-fee': { type: 'string' },
+            network: { type: 'string' }
+        }
+    });
+    const [command, ...args] = positionals;
+    const fees = {
+        platformFee: parseBps(values['platform-fee'], 'platform-fee'),
+        gameLpFee: parseBps(values['game-lp-fee'], 'game-lp-fee'),
+        gamePlatformFee: parseBps(values['game-platform-fee'], 'game-platform-fee')
+    };
+
+    const network = await connect(values.network);
+    const factoryAddress = network.deployment.contracts.CasinoFactory;
+    if (command === 'show') {
+        const factory = getFactoryContract(factoryAddress, network.provider);
+        console.log(JSON.stringify(await getFeeSchedules(factory, args), null, 2));
+        return;
+    }
+
+    // Every other command changes state and must be sent by the factory owner
+    const factory = getFactoryContract(factoryAddress, network.wallet('owner'));
+
+    switch (command) {
+        case 'set':
+            if (!args[0]) throw new Error(USAGE);
+            await updatePoolFees(factory, args[0], fees);
+            break;
+        case 'defaults':
+            if (Object.values(fees).some(fee => fee == null)) throw new Error(USAGE);
+            await (await factory.setDefaultFees(fees.platformFee, fees.gameLpFee, fees.gamePlatformFee)).wait();
+            break;
+        case 'execute':
+            if (!args[0]) throw new Error(USAGE);
+            await (await factory.executeFeeChange(args[0])).wait();
+            break;
+        case 'cancel':
+            if (!args[0]) throw new Error(USAGE);
+            await (await factory.cancelFeeChange(args[0])).wait();
+            break;
+        case 'timelock':
+            if (!args[0]) throw new Error(USAGE);
+            await (await factory.setFeeTimelock(BigInt(args[0]))).wait();
+            break;
+        default:
+            throw new Error(USAGE);
+    }
+
+    console.log(JSON.stringify(await getFeeSchedules(factory, args[0] && command !== 'timelock' ? [args[0]] : []), null, 2));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    getFeeSchedules,
+    updatePoolFees
+};
@@ -0,0 +1,261 @@
+const { ethers } = require('ethers');
+const { parseArgs } = require('util');
+const { loadArtifact } = require('./lib/contracts');
+const EventStore = require('./lib/event-store');
+const { connect } = require('./lib/networks');
+require('dotenv').config();
+
+const POOL_EVENTS = [
+    'Deposit',
+    'Withdrawal',
+    'GameResult',
+    'LiquidityAdded',
+    'LiquidityRemoved',
+    'RewardsClaimed',
+    'FirebaseBalanceUpdated'
+];
+
+/**
+ * Map decoded event args onto the store's normalized columns
+ */
+function normalizeArgs(eventName, args) {
+    switch (eventName) {
+        case 'PoolCreated':
+            return {};
+        case 'Deposit':
+        case 'Withdrawal':
+            return { account: args.user, amount: args.amount, net_amount: args.netAmount };
+        case 'GameResult':
+            return { account: args.user, bet_amount: args.betAmount, win_amount: args.winAmount, fee: args.houseFee };
+        case 'LiquidityAdded':
+        case 'LiquidityRemoved':
+            return { account: args.provider, amount: args.amount, shares: args.shares };
+        case 'RewardsClaimed':
+            return { account: args.provider, amount: args.amount };
+        case 'FirebaseBalanceUpdated':
+            return { account: args.user, balance: args.balance };
+        default:
+            return {};
+    }
+}
+
+function stringifyArgs(fragment, args) {
+    const named = {};
+    fragment.inputs.forEach((input, i) => {
+        const value = args[i];
+        named[input.name] = typeof value === 'bigint' ? value.toString() : value;
+    });
+    return JSON.stringify(named);
+}
+
+/**
+ * Backfills and tails CasinoFactory / TokenPool logs into an EventStore.
+ *
+ * Pools are discovered from the factory's PoolCreated events. The hash of every
+ * block that produced a log (and of each range end) is recorded; when the stored
+ * hash of the cursor block no longer matches the chain, the index is rolled back
+ * to the newest block that still matches and re-synced from there.
+ */
+class EventIndexer {
+    constructor(provider, factoryAddress, store, options = {}) {
+        this.provider = provider;
+        this.factoryAddress = ethers.getAddress(factoryAddress);
+        this.store = store;
+        this.startBlock = options.startBlock || 0;
+        this.blockRange = options.blockRange || 2000;
+        this.confirmations = options.confirmations || 0;
+        this.pollIntervalMs = options.pollIntervalMs || 4000;
+        this.reorgDepth = options.reorgDepth || 128;
+
+        this.factoryInterface = new ethers.Interface(loadArtifact('CasinoFactory').abi);
+        this.poolInterface = new ethers.Interface(loadArtifact('TokenPool').abi);
+        this.poolCreatedTopic = this.factoryInterface.getEvent('PoolCreated').topicHash;
+        this.poolTopics = POOL_EVENTS.map(name => this.poolInterface.getEvent(name).topicHash);
+
+        this.running = false;
+        this.timer = null;
+    }
+
+    /**
+     * Index everything up to the current head once
+     */
+    async sync() {
+        await this.handleReorg();
+
+        const head = await this.provider.getBlockNumber() - this.confirmations;
+        const cursor = this.store.getCursor();
+        let from = cursor == null ? this.startBlock : cursor + 1;
+
+        while (from <= head) {
+            const to = Math.min(from + this.blockRange - 1, head);
+            await this.indexRange(from, to);
+            from = to + 1;
+        }
+
+        if (head > this.reorgDepth) {
+            this.store.pruneBlocks(head - this.reorgDepth);
+        }
+        return head;
+    }
+
+    async indexRange(fromBlock, toBlock) {
+        const events = [];
+        const blocks = new Map();
+
+        // Factory logs first so pools created in this range are queried below
+        const factoryLogs = await this.provider.getLogs({
+            address: this.factoryAddress,
+            topics: [this.poolCreatedTopic],
+            fromBlock,
+            toBlock
+        });
+        const newPools = factoryLogs.map(log => {
+            const parsed = this.factoryInterface.parseLog(log);
+            events.push(this.toRow(log, parsed, parsed.args.token));
+            blocks.set(log.blockNumber, log.blockHash);
+            return {
+                token: parsed.args.token,
+                pool: parsed.args.pool,
+                blockNumber: log.blockNumber,
+                txHash: log.transactionHash
+            };
+        });
+
+        const pools = [...this.store.getPools(), ...newPools];
+        if (pools.length > 0) {
+            const tokenByPool = new Map(pools.map(p => [p.pool.toLowerCase(), p.token]));
+            const poolLogs = await this.provider.getLogs({
+                address: pools.map(p => p.pool),
+                topics: [this.poolTopics],
+                fromBlock,
+                toBlock
+            });
+            for (const log of poolLogs) {
+                const parsed = this.poolInterface.parseLog(log);
+                events.push(this.toRow(log, parsed, tokenByPool.get(log.address.toLowerCase())));
+                blocks.set(log.blockNumber, log.blockHash);
+            }
+        }
+
+        const end = await this.provider.getBlock(toBlock);
+        blocks.set(end.number, end.hash);
+
+        this.store.commitRange({
+            toBlock,
+            pools: newPools,
+            events,
+            blocks: [...blocks].map(([number, hash]) => ({ number, hash }))
+        });
+    }
+
+    toRow(log, parsed, token) {
+        const normalized = normalizeArgs(parsed.name, parsed.args);
+        for (const key of Object.keys(normalized)) {
+            if (typeof normalized[key] === 'bigint') normalized[key] = normalized[key].toString();
+        }
+        return {
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            txHash: log.transactionHash,
+            logIndex: log.index,
+            contract: ethers.getAddress(log.address),
+            token,
+            event: parsed.name,
+            ...normalized,
+            args: stringifyArgs(parsed.fragment, parsed.args)
+        };
+    }
+
+    /**
+     * Roll back to the newest stored block whose hash still matches the chain
+     */
+    async handleReorg() {
+        const cursor = this.store.getCursor();
+        if (cursor == null) return null;
+
+        const stored = this.store.getRecentBlocks(cursor, this.reorgDepth);
+        if (stored.length === 0 || stored[0].number !== cursor) return null;
+
+        for (const [i, block] of stored.entries()) {
+            const onChain = await this.provider.getBlock(block.number);
+            if (onChain && onChain.hash === block.hash) {
+                if (i === 0) return null;
+                console.log(`Reorg detected, rolling back to block ${block.number}`);
+                this.store.rollback(block.number);
+                return block.number;
+            }
+        }
+
+        // Nothing within reach matches; re-index from the start block
+        console.log('Reorg deeper than stored history, re-indexing from start block');
+        this.store.rollback(this.startBlock - 1);
+        return this.startBlock - 1;
+    }
+
+    async start() {
+        this.running = true;
+        const tick = async () => {
+            try {
+                const head = await this.sync();
+                console.log(`Indexed up to block ${head}`);
+            } catch (error) {
+                console.error('Indexer sync failed:', error);
+            }
+            if (this.running) {
+                this.timer = setTimeout(tick, this.pollIntervalMs);
+            }
+        };
+        await tick();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            'from-block': { type: 'string', default: '0' },
+            db: { type: 'string' },
+            confirmations: { type: 'string', default: '0' },
+            once: { type: 'boolean', default: false },
+            network: { type: 'string' }
+        }
+    });
+
+    const network = await connect(values.network);
+    const store = new EventStore(values.db || process.env.INDEXER_DB_PATH);
+    const indexer = new EventIndexer(network.provider, network.deployment.contracts.CasinoFactory, store, {
+        startBlock: Number(values['from-block']),
+        confirmations: Number(values.confirmations)
+    });
+
+    if (values.once) {
+        const head = await indexer.sync();
+        console.log(`Indexed up to block ${head}`);
+        store.close();
+        return;
+    }
+
+    await indexer.start();
+    process.on('SIGINT', () => {
+        console.log('Shutting down indexer...');
+        indexer.stop();
+        store.close();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Indexer failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = EventIndexer;
@@ -0,0 +1,166 @@
+/**
+ * Buffers Firebase balance changes for a single pool and pushes them on-chain
+ * through TokenPool.batchUpdateFirebaseBalances.
+ *
+ * A flush is triggered when `maxBatchSize` users are pending or `flushIntervalMs`
+ * after the first buffered change, whichever comes first. Only the latest
+ * balance per user is kept, so a user appears at most once in a batch.
+ *
+ * `options.adjustBalance(user, balance)` maps a store balance to the balance
+ * to push; OperatorService uses it to leave out games the pool has not settled
+ * yet. The journal keeps store balances, so a rebuilt batch is adjusted afresh.
+ */
+class BalanceBatcher {
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.maxBatchSize = options.maxBatchSize || 50;
+        this.flushIntervalMs = options.flushIntervalMs || 5000;
+        this.maxRetries = options.maxRetries || 3;
+        // Optional TxQueue; without one the pool's signer sends directly
+        this.txQueue = options.txQueue || null;
+        this.adjustBalance = options.adjustBalance || null;
+
+        this.pending = new Map();
+        this.timer = null;
+        // Flushes are chained so two batches never read the same nonces
+        this.flushing = Promise.resolve();
+    }
+
+    /**
+     * Queue a user's latest balance (in token base units)
+     */
+    add(user, balance) {
+        this.pending.set(user, balance);
+
+        if (this.pending.size >= this.maxBatchSize) {
+            return this.flush();
+        }
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.flush().catch(error => console.error('Batch flush failed:', error));
+            }, this.flushIntervalMs);
+        }
+    }
+
+    /**
+     * Send everything currently buffered
+     */
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const entries = [...this.pending.entries()];
+        this.pending.clear();
+        if (entries.length === 0) return this.flushing;
+
+        this.flushing = this.flushing
+            .catch(() => {})
+            .then(() => this.submit(entries, 0));
+        return this.flushing;
+    }
+
+    async submit(entries, attempt) {
+        // Balances replayed by a restarted watcher are often already on-chain
+        const updates = await this.withoutUnchanged(await this.buildUpdates(entries));
+        if (updates.length === 0) return;
+
+        try {
+            await this.sendBatch(updates);
+            console.log(`Synced ${updates.length} balance(s) to pool ${await this.pool.getAddress()}`);
+        } catch (error) {
+            if (!this.isInvalidNonce(error) || attempt >= this.maxRetries) {
+                throw error;
+            }
+
+            // Another tx (deposit, game result, manual update) consumed a nonce
+            // between our read and the send. Retry with fresh nonces, splitting
+            // the batch so one contended user doesn't block everyone else.
+            if (entries.length === 1) {
+                await this.submit(entries, attempt + 1);
+                return;
+            }
+
+            const middle = Math.ceil(entries.length / 2);
+            await this.submit(entries.slice(0, middle), attempt + 1);
+            await this.submit(entries.slice(middle), attempt + 1);
+        }
+    }
+
+    async withoutUnchanged(updates) {
+        const onChain = await Promise.all(updates.map(({ user }) => this.pool.firebaseBalances(user)));
+        return updates.filter(({ balance }, i) => balance !== onChain[i]);
+    }
+
+    /**
+     * Updates for [user, storeBalance] entries. The nonce is read before the
+     * balance is adjusted, so a settlement landing in between fails the push
+     * with InvalidNonce instead of being counted twice.
+     */
+    async buildUpdates(entries) {
+        return Promise.all(entries.map(async ([user, storeBalance]) => {
+            const nonce = await this.getNextNonce(user);
+            const balance = this.adjustBalance ? await this.adjustBalance(user, storeBalance) : storeBalance;
+            return { user, balance, nonce, storeBalance };
+        }));
+    }
+
+    encodeUpdates(updates) {
+        return updates.map(({ user, balance, nonce }) => ({ user, balance, nonce }));
+    }
+
+    /**
+     * TxQueue rebuilder for a 'balance-sync' entry a previous run never sent:
+     * the same balances with the users' current nonces, since anything mined
+     * since then may have used the journaled ones
+     */
+    async rebuild(entry) {
+        const entries = entry.params.balances.map(([user, balance]) => [user, BigInt(balance)]);
+        const updates = await this.buildUpdates(entries);
+        return {
+            data: this.pool.interface.encodeFunctionData('batchUpdateFirebaseBalances', [this.encodeUpdates(updates)])
+        };
+    }
+
+    async getNextNonce(user) {
+        const currentNonce = await this.pool.balanceNonces(user);
+        return currentNonce + 1n;
+    }
+
+    async sendBatch(updates) {
+        const calls = this.encodeUpdates(updates);
+        try {
+            if (this.txQueue) {
+                return await this.txQueue.enqueue({
+                    to: await this.pool.getAddress(),
+                    data: this.pool.interface.encodeFunctionData('batchUpdateFirebaseBalances', [calls]),
+                    label: `batchUpdateFirebaseBalances(${updates.length})`,
+                    kind: 'balance-sync',
+                    params: { balances: updates.map(update => [update.user, update.storeBalance.toString()]) }
+                });
+            }
+            const tx = await this.pool.batchUpdateFirebaseBalances(calls);
+            return await tx.wait();
+        } catch (error) {
+            // A mined revert carries no reason, so replay the call to find out why
+            if (error.receipt) {
+                await this.pool.batchUpdateFirebaseBalances.staticCall(calls);
+            }
+            throw error;
+        }
+    }
+
+    isInvalidNonce(error) {
+        if (error.revert) {
+            return error.revert.name === 'InvalidNonce';
+        }
+        if (error.data) {
+            const parsed = this.pool.interface.parseError(error.data);
+            return parsed !== null && parsed.name === 'InvalidNonce';
+        }
+        return false;
+    }
+}
+
+module.exports = BalanceBatcher;
@@ -0,0 +1,70 @@
+const { ethers } = require('ethers');
+
+/**
+ * Off-chain player balances keyed by (user, token).
+ *
+ * Balances are decimal strings in whole token units ("12.5"), the format the
+ * game backend writes. Addresses are normalized to checksummed form.
+ *
+ * Implementations provide:
+ * - get(user, token) -> balance string, or null when there is none
+ * - set(user, token, balance)
+ * - update(user, token, fn) -> atomically replace the balance with fn(current)
+ *   and return the new value; fn receives null when there is no balance and
+ *   may throw to abort without writing
+ * - watch(onChange) -> unsubscribe function; onChange({ user, token, balance })
+ *   is called for every balance already stored, then for every later write,
+ *   so writes made while nobody was watching are not missed
+ * - close()
+ *
+ * debit() and credit() are built on update(), so every backend gets the same
+ * checks.
+ */
+class BalanceStore {
+    async get(user, token) {
+        throw new Error(`${this.constructor.name} does not implement get()`);
+    }
+
+    async set(user, token, balance) {
+        throw new Error(`${this.constructor.name} does not implement set()`);
+    }
+
+    async update(user, token, fn) {
+        throw new Error(`${this.constructor.name} does not implement update()`);
+    }
+
+    watch(onChange) {
+        throw new Error(`${this.constructor.name} does not implement watch()`);
+    }
+
+    async close() {}
+
+    /**
+     * Subtract `amount` (token base units) from the balance in one transaction.
+     * Rejects without writing when there is no balance or it is too small.
+     */
+    async debit(user, token, amount, decimals) {
+        return this.update(user, token, current => {
+            if (current === null) {
+                throw new Error('No balance found for user');
+            }
+            const balance = ethers.parseUnits(current, decimals);
+            if (balance < amount) {
+                throw new Error('Insufficient balance');
+            }
+            return ethers.formatUnits(balance - amount, decimals);
+        });
+    }
+
+    /**
+     * Add `amount` (token base units) to the balance in one transaction
+     */
+    async credit(user, token, amount, decimals) {
+        return this.update(user, token, current => {
+            const balance = current === null ? 0n : ethers.parseUnits(current, decimals);
+            return ethers.formatUnits(balance + amount, decimals);
+        });
+    }
+}
+
+module.exports = BalanceStore;
@@ -0,0 +1,60 @@
+const admin = require('firebase-admin');
+const BalanceStore = require('./balance-store');
+const { getFirestore, balanceDocRef } = require('../firebase');
+
+/**
+ * Balances in Firestore at balances/{user}/tokens/{token} as { balance, lastUpdate }
+ */
+class FirestoreBalanceStore extends BalanceStore {
+    constructor(db = getFirestore()) {
+        super();
+        this.db = db;
+    }
+
+    async get(user, token) {
+        const doc = await balanceDocRef(this.db, user, token).get();
+        return doc.exists ? doc.data().balance.toString() : null;
+    }
+
+    async set(user, token, balance) {
+        await balanceDocRef(this.db, user, token).set({
+            balance: String(balance),
+            lastUpdate: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    }
+
+    async update(user, token, fn) {
+        const ref = balanceDocRef(this.db, user, token);
+        return this.db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            const balance = String(fn(doc.exists ? doc.data().balance.toString() : null));
+            transaction.set(ref, {
+                balance,
+                lastUpdate: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            return balance;
+        });
+    }
+
+    watch(onChange) {
+        // The first snapshot lists every existing document as added
+        return this.db.collectionGroup('tokens').onSnapshot(async snapshot => {
+            for (const change of snapshot.docChanges()) {
+                if (change.type === 'removed') continue;
+
+                const userDoc = change.doc.ref.parent.parent;
+                if (!userDoc || userDoc.parent.id !== 'balances') continue;
+
+                await onChange({
+                    user: userDoc.id,
+                    token: change.doc.id,
+                    balance: change.doc.data().balance.toString()
+                });
+            }
+        }, error => {
+            console.error('Firestore listener error:', error);
+        });
+    }
+}
+
+module.exports = FirestoreBalanceStore;
@@ -0,0 +1,36 @@
+const BalanceStore = require('./balance-store');
+const MemoryBalanceStore = require('./memory');
+
+const BACKENDS = ['firestore', 'sqlite', 'memory'];
+
+/**
+ * Build the balance store selected by `options.backend` or BALANCE_STORE
+ * (firestore, sqlite or memory; default firestore). Backends are loaded lazily
+ * so the others' dependencies are never needed.
+ */
+function createBalanceStore(options = {}) {
+    const backend = options.backend || process.env.BALANCE_STORE || 'firestore';
+
+    switch (backend) {
+        case 'firestore': {
+            const FirestoreBalanceStore = require('./firestore');
+            return new FirestoreBalanceStore(options.db);
+        }
+        case 'sqlite': {
+            const SqliteBalanceStore = require('./sqlite');
+            return new SqliteBalanceStore(options.path || process.env.BALANCE_STORE_PATH || undefined, {
+                pollIntervalMs: options.pollIntervalMs || Number(process.env.BALANCE_STORE_POLL_MS) || undefined
+            });
+        }
+        case 'memory':
+            return new MemoryBalanceStore();
+        default:
+            throw new Error(`Unknown balance store "${backend}", expected one of: ${BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    BalanceStore,
+    MemoryBalanceStore,
+    createBalanceStore
+};
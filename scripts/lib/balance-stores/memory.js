@@ -0,0 +1,61 @@
+const { ethers } = require('ethers');
+const BalanceStore = require('./balance-store');
+
+/**
+ * Process-local balance store for tests and local runs
+ */
+class MemoryBalanceStore extends BalanceStore {
+    constructor() {
+        super();
+        this.balances = new Map();
+        this.watchers = new Set();
+    }
+
+    key(user, token) {
+        return `${ethers.getAddress(user)}/${ethers.getAddress(token)}`;
+    }
+
+    async get(user, token) {
+        const balance = this.balances.get(this.key(user, token));
+        return balance === undefined ? null : balance;
+    }
+
+    async set(user, token, balance) {
+        this.write(user, token, String(balance));
+    }
+
+    // Reads and writes are synchronous, so nothing can interleave with fn
+    async update(user, token, fn) {
+        const current = this.balances.get(this.key(user, token));
+        const balance = String(fn(current === undefined ? null : current));
+        this.write(user, token, balance);
+        return balance;
+    }
+
+    watch(onChange) {
+        this.watchers.add(onChange);
+        for (const [key, balance] of this.balances) {
+            const [user, token] = key.split('/');
+            this.notify(onChange, { user, token, balance });
+        }
+        return () => this.watchers.delete(onChange);
+    }
+
+    write(user, token, balance) {
+        this.balances.set(this.key(user, token), balance);
+
+        const change = { user: ethers.getAddress(user), token: ethers.getAddress(token), balance };
+        for (const onChange of this.watchers) {
+            this.notify(onChange, change);
+        }
+    }
+
+    // Delivered asynchronously, like the Firestore and SQLite watchers
+    notify(onChange, change) {
+        setImmediate(() => {
+            if (this.watchers.has(onChange)) onChange(change);
+        });
+    }
+}
+
+module.exports = MemoryBalanceStore;
@@ -0,0 +1,105 @@
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const BalanceStore = require('./balance-store');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS balances (
+        user TEXT NOT NULL,
+        token TEXT NOT NULL,
+        balance TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (user, token)
+    );
+
+    CREATE INDEX IF NOT EXISTS balances_seq ON balances (seq);
+`;
+
+/**
+ * Balances in a SQLite table. Every write stamps the row with the next `seq`,
+ * so watchers poll for rows above the last sequence they saw and also pick up
+ * writes from other processes sharing the file. A new watcher starts from 0.
+ */
+class SqliteBalanceStore extends BalanceStore {
+    constructor(dbPath = path.join(process.cwd(), 'data', 'balances.db'), options = {}) {
+        super();
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+
+        this.selectBalance = this.db.prepare('SELECT balance FROM balances WHERE user = ? AND token = ?');
+        this.upsertBalance = this.db.prepare(`
+            INSERT INTO balances (user, token, balance, seq, updated_at)
+            VALUES (@user, @token, @balance, (SELECT COALESCE(MAX(seq), 0) + 1 FROM balances), @updatedAt)
+            ON CONFLICT (user, token) DO UPDATE SET
+                balance = excluded.balance,
+                seq = excluded.seq,
+                updated_at = excluded.updated_at
+        `);
+    }
+
+    async get(user, token) {
+        const row = this.selectBalance.get(ethers.getAddress(user), ethers.getAddress(token));
+        return row ? row.balance : null;
+    }
+
+    async set(user, token, balance) {
+        this.write(user, token, String(balance));
+    }
+
+    async update(user, token, fn) {
+        // IMMEDIATE takes the write lock up front so other processes cannot interleave
+        return this.db.transaction(() => {
+            const row = this.selectBalance.get(ethers.getAddress(user), ethers.getAddress(token));
+            const balance = String(fn(row ? row.balance : null));
+            this.write(user, token, balance);
+            return balance;
+        }).immediate();
+    }
+
+    watch(onChange) {
+        let lastSeq = 0;
+        const selectChanges = this.db.prepare(
+            'SELECT user, token, balance, seq FROM balances WHERE seq > ? ORDER BY seq'
+        );
+
+        let polling = false;
+        const timer = setInterval(async () => {
+            if (polling) return;
+            polling = true;
+            try {
+                for (const row of selectChanges.all(lastSeq)) {
+                    lastSeq = row.seq;
+                    await onChange({ user: row.user, token: row.token, balance: row.balance });
+                }
+            } catch (error) {
+                console.error('SQLite balance watcher error:', error);
+            } finally {
+                polling = false;
+            }
+        }, this.pollIntervalMs);
+
+        return () => clearInterval(timer);
+    }
+
+    async close() {
+        this.db.close();
+    }
+
+    write(user, token, balance) {
+        this.upsertBalance.run({
+            user: ethers.getAddress(user),
+            token: ethers.getAddress(token),
+            balance,
+            updatedAt: Date.now()
+        });
+    }
+}
+
+module.exports = SqliteBalanceStore;
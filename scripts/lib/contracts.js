@@ -0,0 +1,58 @@
+const { ethers } = require('ethers');
+const path = require('path');
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'artifacts', 'contracts');
+
+/**
+ * Load a compiled Hardhat artifact by contract name.
+ * `sourcePath` is relative to contracts/ and only needed for nested sources.
+ * Run `npx hardhat compile` first so the ABI matches the deployed contracts.
+ */
+function loadArtifact(contractName, sourcePath = `${contractName}.sol`) {
+    return require(path.join(ARTIFACTS_DIR, sourcePath, `${contractName}.json`));
+}
+
+function getFactoryContract(factoryAddress, runner) {
+    return new ethers.Contract(factoryAddress, loadArtifact('CasinoFactory').abi, runner);
+}
+
+function getPoolContract(poolAddress, runner) {
+    return new ethers.Contract(poolAddress, loadArtifact('TokenPool').abi, runner);
+}
+
+function getAccessManagerContract(managerAddress, runner) {
+    const artifact = loadArtifact('AccessManager', 'access/manager/AccessManager.sol');
+    return new ethers.Contract(managerAddress, artifact.abi, runner);
+}
+
+function getTokenContract(tokenAddress, runner) {
+    const artifact = loadArtifact('IERC20Metadata', 'token/ERC20/extensions/IERC20Metadata.sol');
+    return new ethers.Contract(tokenAddress, artifact.abi, runner);
+}
+
+/**
+ * Predict a token's pool address offline, matching CasinoFactory.computePoolAddress.
+ * Pools are BeaconProxy instances deployed with CREATE2 salted by the token
+ * address. The pool beacon is the first contract the factory proxy creates
+ * (in initialize), so its address follows from the factory's.
+ */
+function computePoolAddress(factoryAddress, tokenAddress) {
+    const beacon = ethers.getCreateAddress({ from: factoryAddress, nonce: 1 });
+    const initData = new ethers.Interface(loadArtifact('TokenPool').abi)
+        .encodeFunctionData('initialize', [tokenAddress, factoryAddress]);
+
+    const salt = ethers.zeroPadValue(ethers.getAddress(tokenAddress), 32);
+    const constructorArgs = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes'], [beacon, initData]);
+    const bytecode = loadArtifact('BeaconProxy', 'proxy/beacon/BeaconProxy.sol').bytecode;
+    const initCodeHash = ethers.keccak256(ethers.concat([bytecode, constructorArgs]));
+    return ethers.getCreate2Address(factoryAddress, salt, initCodeHash);
+}
+
+module.exports = {
+    loadArtifact,
+    computePoolAddress,
+    getFactoryContract,
+    getPoolContract,
+    getAccessManagerContract,
+    getTokenContract
+};
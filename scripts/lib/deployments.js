@@ -0,0 +1,73 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', '..', 'deployments');
+const REGISTRY_VERSION = 1;
+
+function deploymentPath(network, dir = DEPLOYMENTS_DIR) {
+    return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Read deployments/<network>.json, written by scripts/deploy.js
+ */
+function readDeployment(network, dir = DEPLOYMENTS_DIR) {
+    const file = deploymentPath(network, dir);
+    if (!fs.existsSync(file)) {
+        throw new Error(
+            `No deployment registry for "${network}" (${file}); ` +
+            `run npx hardhat run scripts/deploy.js --network ${network}`
+        );
+    }
+
+    const deployment = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (deployment.version !== REGISTRY_VERSION) {
+        throw new Error(`Unsupported registry version ${deployment.version} in ${file}`);
+    }
+    return deployment;
+}
+
+/**
+ * Write the registry with checksummed addresses and sorted pools, so
+ * redeploys produce minimal diffs
+ */
+function writeDeployment(network, { chainId, contracts, pools }, dir = DEPLOYMENTS_DIR) {
+    const deployment = {
+        version: REGISTRY_VERSION,
+        network,
+        chainId: Number(chainId),
+        contracts: Object.fromEntries(
+            Object.entries(contracts).map(([name, address]) => [name, ethers.getAddress(address)])
+        ),
+        pools: Object.fromEntries(
+            Object.entries(pools)
+                .map(([token, pool]) => [ethers.getAddress(token), ethers.getAddress(pool)])
+                .sort(([a], [b]) => a.localeCompare(b))
+        )
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(deploymentPath(network, dir), JSON.stringify(deployment, null, 2) + '\n');
+    return deployment;
+}
+
+/**
+ * Address of a deployed contract (CasinoFactory, CasinoRouter, TestToken)
+ */
+function getDeployedAddress(name, network, dir = DEPLOYMENTS_DIR) {
+    const deployment = readDeployment(network, dir);
+    const address = deployment.contracts[name];
+    if (!address) {
+        throw new Error(`${name} is not in the "${network}" deployment registry`);
+    }
+    return address;
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    deploymentPath,
+    readDeployment,
+    writeDeployment,
+    getDeployedAddress
+};
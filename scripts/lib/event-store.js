@@ -0,0 +1,154 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS pools (
+        token TEXT PRIMARY KEY,
+        pool TEXT NOT NULL UNIQUE,
+        block_number INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        contract TEXT NOT NULL,
+        token TEXT,
+        event TEXT NOT NULL,
+        account TEXT,
+        amount TEXT,
+        net_amount TEXT,
+        shares TEXT,
+        bet_amount TEXT,
+        win_amount TEXT,
+        fee TEXT,
+        balance TEXT,
+        args TEXT NOT NULL,
+        UNIQUE (tx_hash, log_index)
+    );
+
+    CREATE INDEX IF NOT EXISTS events_account ON events (account, event);
+    CREATE INDEX IF NOT EXISTS events_token ON events (token, event);
+    CREATE INDEX IF NOT EXISTS events_block ON events (block_number);
+`;
+
+const EVENT_COLUMNS = ['account', 'amount', 'net_amount', 'shares', 'bet_amount', 'win_amount', 'fee', 'balance'];
+
+/**
+ * SQLite store for indexed factory and pool events.
+ * uint256 values are stored as decimal strings; `args` keeps every event argument as JSON.
+ */
+class EventStore {
+    constructor(dbPath = path.join(process.cwd(), 'data', 'events.db')) {
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.insertEvent = this.db.prepare(`
+            INSERT OR IGNORE INTO events
+                (block_number, block_hash, tx_hash, log_index, contract, token, event, ${EVENT_COLUMNS.join(', ')}, args)
+            VALUES
+                (@blockNumber, @blockHash, @txHash, @logIndex, @contract, @token, @event, ${EVENT_COLUMNS.map(c => '@' + c).join(', ')}, @args)
+        `);
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    getCursor() {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('last_block');
+        return row ? Number(row.value) : null;
+    }
+
+    getPools() {
+        return this.db.prepare('SELECT token, pool, block_number AS blockNumber FROM pools ORDER BY block_number').all();
+    }
+
+    getBlockHash(number) {
+        const row = this.db.prepare('SELECT hash FROM blocks WHERE number = ?').get(number);
+        return row ? row.hash : null;
+    }
+
+    /**
+     * Stored block hashes at or below `number`, newest first
+     */
+    getRecentBlocks(number, limit) {
+        return this.db.prepare('SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT ?')
+            .all(number, limit);
+    }
+
+    /**
+     * Persist one indexed block range atomically: new pools, events,
+     * the block hashes seen and the new cursor
+     */
+    commitRange({ toBlock, pools, events, blocks }) {
+        this.db.transaction(() => {
+            const addPool = this.db.prepare(
+                'INSERT OR IGNORE INTO pools (token, pool, block_number, tx_hash) VALUES (?, ?, ?, ?)'
+            );
+            pools.forEach(p => addPool.run(p.token, p.pool, p.blockNumber, p.txHash));
+
+            events.forEach(event => {
+                const row = { token: null, ...event };
+                EVENT_COLUMNS.forEach(column => {
+                    if (row[column] === undefined) row[column] = null;
+                });
+                this.insertEvent.run(row);
+            });
+
+            const addBlock = this.db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)');
+            blocks.forEach(b => addBlock.run(b.number, b.hash));
+
+            this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('last_block', String(toBlock));
+        })();
+    }
+
+    /**
+     * Drop everything indexed above `blockNumber` after a reorg
+     */
+    rollback(blockNumber) {
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM events WHERE block_number > ?').run(blockNumber);
+            this.db.prepare('DELETE FROM pools WHERE block_number > ?').run(blockNumber);
+            this.db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+            this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('last_block', String(blockNumber));
+        })();
+    }
+
+    pruneBlocks(belowNumber) {
+        this.db.prepare('DELETE FROM blocks WHERE number < ?').run(belowNumber);
+    }
+
+    /**
+     * Query helper for support scripts; every filter is optional
+     */
+    getEvents({ event, account, token, fromBlock = 0 } = {}) {
+        const clauses = ['block_number >= @fromBlock'];
+        if (event) clauses.push('event = @event');
+        if (account) clauses.push('account = @account');
+        if (token) clauses.push('token = @token');
+        return this.db.prepare(
+            `SELECT * FROM events WHERE ${clauses.join(' AND ')} ORDER BY block_number, log_index`
+        ).all({ event, account, token, fromBlock });
+    }
+}
+
+module.exports = EventStore;
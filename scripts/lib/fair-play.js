@@ -0,0 +1,138 @@
+const { ethers } = require('ethers');
+
+// Must match contracts/FairPlay.sol
+const GAMES = { dice: 0, 'coin-flip': 1, slots: 2 };
+const DICE_SIDES = 10000n;
+const SLOT_SYMBOLS = 6n;
+const SLOT_MULTIPLIERS = [5n, 10n, 20n, 30n, 50n, 100n];
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function randomSeed() {
+    return ethers.hexlify(ethers.randomBytes(32));
+}
+
+// keccak256 of the seed as a bytes32, as TokenPool checks it
+function hashSeed(seed) {
+    return ethers.keccak256(coder.encode(['bytes32'], [seed]));
+}
+
+/**
+ * Server seeds for a session of up to `length` rounds, in the order they are
+ * revealed, and the `commitment` to pass to commitServerSeed. Each seed hashes
+ * to the one before it and the first hashes to the commitment, so only
+ * `lastSeed` needs to be kept secret to rebuild the chain.
+ */
+function createSeedChain(length, lastSeed = randomSeed()) {
+    const seeds = [lastSeed];
+    while (seeds.length < length) seeds.unshift(hashSeed(seeds[0]));
+    return { commitment: hashSeed(seeds[0]), seeds };
+}
+
+function roundRandomness(serverSeed, clientSeed, nonce) {
+    return BigInt(ethers.keccak256(coder.encode(['bytes32', 'bytes32', 'uint256'], [serverSeed, clientSeed, nonce])));
+}
+
+/**
+ * What a round shows the player and pays: `{ roll }`, `{ side }` or `{ reels }`
+ * plus `winAmount` (gross, before the pool's game fees). `game` is a GAMES name
+ * or id; amounts are in token base units.
+ */
+function computeOutcome(game, choice, betAmount, randomness) {
+    const id = typeof game === 'string' ? GAMES[game] : Number(game);
+    choice = BigInt(choice);
+    betAmount = BigInt(betAmount);
+
+    if (id === GAMES.dice) {
+        if (choice === 0n || choice >= DICE_SIDES) throw new Error(`Dice needs a target from 1 to ${DICE_SIDES - 1n}`);
+        const roll = randomness % DICE_SIDES;
+        return { roll, winAmount: roll < choice ? (betAmount * DICE_SIDES) / choice : 0n };
+    }
+    if (id === GAMES['coin-flip']) {
+        if (choice > 1n) throw new Error('Coin flip needs side 0 or 1');
+        const side = randomness % 2n;
+        return { side, winAmount: side === choice ? betAmount * 2n : 0n };
+    }
+    if (id === GAMES.slots) {
+        if (choice !== 0n) throw new Error('Slots take no choice');
+        const reels = [0n, 1n, 2n].map(i => (randomness / SLOT_SYMBOLS ** i) % SLOT_SYMBOLS);
+        const threeOfAKind = reels.every(symbol => symbol === reels[0]);
+        return { reels, winAmount: threeOfAKind ? betAmount * SLOT_MULTIPLIERS[Number(reels[0])] : 0n };
+    }
+    throw new Error(`Unknown game ${game}`);
+}
+
+/**
+ * Outcome of a session's round `nonce` (0 for the first round)
+ */
+function computeRound({ serverSeed, clientSeed, nonce, game, choice, betAmount }) {
+    return computeOutcome(game, choice, betAmount, roundRandomness(serverSeed, clientSeed, nonce));
+}
+
+/**
+ * Check a settled round from the pool's events alone: the revealed seed hashes
+ * back to the session's commitment, the player set the client seed and placed
+ * the bet that was settled, and the outcome pays what GameResult recorded. `gameId` is the bytes32 round ID.
+ */
+async function verifyRound(pool, gameId, { fromBlock = 0 } = {}) {
+    const [revealed] = await pool.queryFilter(pool.filters.FairRoundRevealed(gameId), fromBlock);
+    if (!revealed) throw new Error(`No provably fair round ${gameId}`);
+    const { sessionId, serverSeed, nonce, game, choice } = revealed.args;
+
+    const [committed] = await pool.queryFilter(pool.filters.ServerSeedCommitted(sessionId), fromBlock);
+    const [clientSeedSet] = await pool.queryFilter(pool.filters.ClientSeedSet(sessionId), fromBlock);
+    const bets = await pool.queryFilter(pool.filters.FairBetPlaced(sessionId), fromBlock);
+    const placed = bets.find(event => event.args.nonce === nonce);
+    const receipt = await revealed.getTransactionReceipt();
+    const result = receipt.logs
+        .map(log => pool.interface.parseLog(log))
+        .find(event => event && event.name === 'GameResult' && event.args.gameId === gameId);
+
+    // The round's seed is nonce + 1 hashes away from the commitment
+    let hash = serverSeed;
+    for (let i = 0n; i <= nonce; i++) hash = hashSeed(hash);
+
+    const clientSeed = clientSeedSet ? clientSeedSet.args.clientSeed : null;
+    const outcome = clientSeed
+        ? computeRound({ serverSeed, clientSeed, nonce, game, choice, betAmount: result.args.betAmount })
+        : null;
+
+    const checks = {
+        commitment: Boolean(committed) && hash === committed.args.serverSeedHash,
+        clientSeed: Boolean(committed && clientSeedSet) && clientSeedSet.args.player === committed.args.player,
+        player: Boolean(committed) && result.args.user === committed.args.player,
+        // The player picked the game, choice and stake before the seed was revealed
+        bet: Boolean(committed && placed) &&
+            placed.args.player === committed.args.player &&
+            placed.args.game === game &&
+            placed.args.choice === choice &&
+            placed.args.betAmount === result.args.betAmount,
+        payout: Boolean(outcome) && outcome.winAmount === result.args.winAmount
+    };
+    return {
+        gameId,
+        sessionId,
+        player: result.args.user,
+        serverSeed,
+        clientSeed,
+        nonce,
+        game: Object.keys(GAMES).find(name => GAMES[name] === Number(game)),
+        choice,
+        betAmount: result.args.betAmount,
+        winAmount: result.args.winAmount,
+        outcome,
+        valid: Object.values(checks).every(Boolean),
+        checks
+    };
+}
+
+module.exports = {
+    GAMES,
+    randomSeed,
+    hashSeed,
+    createSeedChain,
+    roundRandomness,
+    computeOutcome,
+    computeRound,
+    verifyRound
+};
@@ -0,0 +1,33 @@
+const { ethers } = require('ethers');
+
+const BASIS_POINTS = 10000n;
+
+/**
+ * Parse a fee split such as "0xabc...:7000,0xdef...:3000" into the
+ * { wallets, bps } arrays CasinoFactory.setFeeRecipients expects.
+ * An empty or missing value means "send every fee to the platform wallet".
+ */
+function parseFeeRecipients(value) {
+    const wallets = [];
+    const bps = [];
+    if (!value || !value.trim()) return { wallets, bps };
+
+    for (const entry of value.split(',')) {
+        const [wallet, weight] = entry.trim().split(':');
+        if (!weight || !/^\d+$/.test(weight)) {
+            throw new Error(`Invalid fee recipient "${entry}", expected <address>:<bps>`);
+        }
+        wallets.push(ethers.getAddress(wallet));
+        bps.push(BigInt(weight));
+    }
+
+    const total = bps.reduce((sum, b) => sum + b, 0n);
+    if (total !== BASIS_POINTS) {
+        throw new Error(`Fee recipient weights must sum to ${BASIS_POINTS} bps, got ${total}`);
+    }
+    return { wallets, bps };
+}
+
+module.exports = {
+    parseFeeRecipients
+};
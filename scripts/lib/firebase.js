@@ -0,0 +1,38 @@
+const { ethers } = require('ethers');
+const admin = require('firebase-admin');
+
+/**
+ * Initialize firebase-admin from FIREBASE_* env vars (once) and return Firestore.
+ * With FIRESTORE_EMULATOR_HOST set no credentials are needed.
+ */
+function getFirestore() {
+    if (!admin.apps.length && process.env.FIRESTORE_EMULATOR_HOST) {
+        admin.initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || 'demo-casino' });
+    } else if (!admin.apps.length) {
+        admin.initializeApp({
+            credential: admin.credential.cert({
+                projectId: process.env.FIREBASE_PROJECT_ID,
+                clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                // WARNING: Private key should be stored securely, not in code
+                privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+            })
+        });
+    }
+    return admin.firestore();
+}
+
+/**
+ * Reference to a user's balance document for one token:
+ * balances/{user}/tokens/{token}, both keyed by checksummed address
+ */
+function balanceDocRef(db, userAddress, tokenAddress) {
+    return db.collection('balances')
+        .doc(ethers.getAddress(userAddress))
+        .collection('tokens')
+        .doc(ethers.getAddress(tokenAddress));
+}
+
+module.exports = {
+    getFirestore,
+    balanceDocRef
+};
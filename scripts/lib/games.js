@@ -0,0 +1,68 @@
+const { ethers } = require('ethers');
+const admin = require('firebase-admin');
+
+const GAMES_COLLECTION = 'games';
+
+/**
+ * On-chain game ID for a Firestore game document (a snapshot or reference):
+ * the keccak256 of its path, e.g. "games/abc123". Every retry of the same
+ * document maps to the same ID, which the pool settles only once.
+ */
+function gameIdFromDocument(doc) {
+    const ref = doc.ref || doc;
+    return ethers.id(ref.path);
+}
+
+/**
+ * Call `onGame(snapshot)` for every game document with status "completed":
+ * first the ones already waiting, then each one as it completes. Calls are not
+ * awaited, so a batching `onGame` sees the whole snapshot at once.
+ * games/{id} holds { user, token, betAmount, winAmount, status } with the
+ * amounts in whole token units, like balances. Returns the unsubscribe function.
+ */
+function watchCompletedGames(db, onGame) {
+    const query = db.collection(GAMES_COLLECTION).where('status', '==', 'completed');
+    return query.onSnapshot(snapshot => {
+        for (const change of snapshot.docChanges()) {
+            if (change.type !== 'removed') onGame(change.doc);
+        }
+    }, error => {
+        console.error('Firestore games listener error:', error);
+    });
+}
+
+/**
+ * `user`'s completed games in `token`, i.e. games the store already counts
+ * that are not marked settled yet. Addresses are compared case-insensitively.
+ */
+async function completedGamesOf(db, user, token) {
+    const snapshot = await db.collection(GAMES_COLLECTION).where('status', '==', 'completed').get();
+    return snapshot.docs.filter(doc => {
+        const game = doc.data();
+        return String(game.user).toLowerCase() === user.toLowerCase() &&
+            String(game.token).toLowerCase() === token.toLowerCase();
+    });
+}
+
+/**
+ * Record the settlement on the game document, which also takes it out of
+ * watchCompletedGames. Without a txHash (the game was already settled
+ * on-chain) any settlementTx recorded earlier is kept.
+ */
+async function markGameSettled(doc, { gameId, txHash }) {
+    const fields = {
+        status: 'settled',
+        gameId,
+        settledAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (txHash) fields.settlementTx = txHash;
+    await (doc.ref || doc).set(fields, { merge: true });
+}
+
+module.exports = {
+    GAMES_COLLECTION,
+    gameIdFromDocument,
+    watchCompletedGames,
+    completedGamesOf,
+    markGameSettled
+};
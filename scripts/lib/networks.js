@@ -0,0 +1,145 @@
+const { ethers } = require('ethers');
+const { readDeployment } = require('./deployments');
+
+/**
+ * Named networks shared by hardhat.config.cjs and the scripts.
+ * RPC URLs, chain ids and keys are referenced by env var name so no secret, and
+ * no guess about which chain a deployment lives on, is in the repo.
+ * `keys` maps a role (deployer, owner, syncer, settler, user) to the env var holding its key.
+ */
+const NETWORKS = {
+    localhost: {
+        url: 'http://127.0.0.1:8545',
+        chainId: 31337,
+        keys: {
+            deployer: 'DEPLOYER_PRIVATE_KEY',
+            owner: 'OWNER_PRIVATE_KEY',
+            syncer: 'SYNCER_PRIVATE_KEY',
+            settler: 'SETTLER_PRIVATE_KEY',
+            user: 'USER_PRIVATE_KEY'
+        }
+    },
+    staging: {
+        urlEnv: 'STAGING_RPC_URL',
+        chainIdEnv: 'STAGING_CHAIN_ID',
+        keys: {
+            deployer: 'STAGING_DEPLOYER_PRIVATE_KEY',
+            owner: 'STAGING_OWNER_PRIVATE_KEY',
+            syncer: 'STAGING_SYNCER_PRIVATE_KEY',
+            settler: 'STAGING_SETTLER_PRIVATE_KEY',
+            user: 'STAGING_USER_PRIVATE_KEY'
+        }
+    },
+    production: {
+        urlEnv: 'PRODUCTION_RPC_URL',
+        chainIdEnv: 'PRODUCTION_CHAIN_ID',
+        keys: {
+            deployer: 'PRODUCTION_DEPLOYER_PRIVATE_KEY',
+            owner: 'PRODUCTION_OWNER_PRIVATE_KEY',
+            syncer: 'PRODUCTION_SYNCER_PRIVATE_KEY',
+            settler: 'PRODUCTION_SETTLER_PRIVATE_KEY'
+        }
+    }
+};
+
+/**
+ * Network named by --network (or --network=name) on the command line,
+ * then NETWORK, then localhost
+ */
+function getNetworkName(argv = process.argv) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--network' && argv[i + 1]) return argv[i + 1];
+        if (argv[i].startsWith('--network=')) return argv[i].slice('--network='.length);
+    }
+    return process.env.NETWORK || 'localhost';
+}
+
+function getNetworkConfig(name) {
+    const config = NETWORKS[name];
+    if (!config) {
+        throw new Error(`Unknown network "${name}", expected one of: ${Object.keys(NETWORKS).join(', ')}`);
+    }
+    return config;
+}
+
+function getRpcUrl(name) {
+    const config = getNetworkConfig(name);
+    const url = config.url || process.env[config.urlEnv];
+    if (!url) throw new Error(`Set ${config.urlEnv} to reach the "${name}" network`);
+    return url;
+}
+
+/**
+ * Chain id the network must be on. There is no default: a network whose
+ * chain id env var is unset or not a positive integer throws.
+ */
+function getChainId(name) {
+    const config = getNetworkConfig(name);
+    if (config.chainId) return config.chainId;
+
+    const value = process.env[config.chainIdEnv];
+    const chainId = Number(value);
+    if (!value || !Number.isSafeInteger(chainId) || chainId <= 0) {
+        throw new Error(`Set ${config.chainIdEnv} to the chain id of the "${name}" network`);
+    }
+    return chainId;
+}
+
+/**
+ * Throw unless the provider is on `expected`; `source` names where the
+ * expectation comes from in the message
+ */
+async function assertChainId(provider, expected, source) {
+    const { chainId } = await provider.getNetwork();
+    if (chainId !== BigInt(expected)) {
+        throw new Error(`Chain id mismatch: provider is on chain ${chainId} but ${source} expects ${expected}`);
+    }
+}
+
+/**
+ * Connect to a named network and load its deployment registry, refusing to
+ * continue when the provider's chain id differs from the network config or
+ * the registry. `options.provider` replaces the RPC provider (tests) and
+ * `options.registryDir` the deployments directory.
+ */
+async function connect(name = getNetworkName(), options = {}) {
+    const config = getNetworkConfig(name);
+    const chainId = getChainId(name);
+    const provider = options.provider || new ethers.JsonRpcProvider(getRpcUrl(name));
+    const deployment = readDeployment(name, options.registryDir);
+
+    await assertChainId(provider, chainId, `network "${name}"`);
+    await assertChainId(provider, deployment.chainId, `deployments/${name}.json`);
+
+    return {
+        name,
+        provider,
+        deployment,
+        /**
+         * Private key for a role from the network's env var
+         */
+        privateKey(role) {
+            const envVar = config.keys[role];
+            if (!envVar || !process.env[envVar]) {
+                throw new Error(`Set ${envVar || `a ${role} key`} to act as ${role} on "${name}"`);
+            }
+            return process.env[envVar];
+        },
+        hasKey(role) {
+            return Boolean(config.keys[role] && process.env[config.keys[role]]);
+        },
+        wallet(role) {
+            return new ethers.Wallet(this.privateKey(role), provider);
+        }
+    };
+}
+
+module.exports = {
+    NETWORKS,
+    getNetworkName,
+    getNetworkConfig,
+    getRpcUrl,
+    getChainId,
+    assertChainId,
+    connect
+};
@@ -0,0 +1,62 @@
+const { ethers } = require('ethers');
+const { computeOutcome } = require('./fair-play');
+
+/**
+ * Helpers for answering MockVRFCoordinator requests on Hardhat and local
+ * nodes, where no real VRF service is watching. `coordinator` is the mock's
+ * ethers contract, connected to a signer for the fulfilling calls.
+ */
+
+function randomWord() {
+    return BigInt(ethers.hexlify(ethers.randomBytes(32)));
+}
+
+/**
+ * Request IDs that were made but not answered yet, oldest first
+ */
+async function pendingRequests(coordinator, { fromBlock = 0 } = {}) {
+    const requested = await coordinator.queryFilter(coordinator.filters.RandomnessRequested(), fromBlock);
+    const fulfilled = await coordinator.queryFilter(coordinator.filters.RandomnessFulfilled(), fromBlock);
+    const answered = new Set(fulfilled.map(event => event.args.requestId));
+    return requested.map(event => event.args.requestId).filter(requestId => !answered.has(requestId));
+}
+
+/**
+ * Answer one request, with a random word unless `randomness` is given.
+ * Resolves with { requestId, randomness, txHash }.
+ */
+async function fulfillRequest(coordinator, requestId, randomness = randomWord()) {
+    const tx = await coordinator.fulfill(requestId, randomness);
+    const receipt = await tx.wait();
+    return { requestId: BigInt(requestId), randomness: BigInt(randomness), txHash: receipt.hash };
+}
+
+/**
+ * Answer every pending request in order with random words
+ */
+async function fulfillPending(coordinator, options = {}) {
+    const results = [];
+    for (const requestId of await pendingRequests(coordinator, options)) {
+        results.push(await fulfillRequest(coordinator, requestId));
+    }
+    return results;
+}
+
+/**
+ * Smallest random number that makes a bet win (`win` true) or lose, for
+ * forcing an outcome in tests. `game` is a GAMES name or id.
+ */
+function randomnessFor(game, choice, { win = true, limit = 100000 } = {}) {
+    for (let randomness = 0n; randomness < BigInt(limit); randomness++) {
+        if ((computeOutcome(game, choice, 1n, randomness).winAmount > 0n) === win) return randomness;
+    }
+    throw new Error(`No randomness below ${limit} makes ${game} ${win ? 'win' : 'lose'}`);
+}
+
+module.exports = {
+    randomWord,
+    pendingRequests,
+    fulfillRequest,
+    fulfillPending,
+    randomnessFor
+};
@@ -0,0 +1,30 @@
+/**
+ * Role ids in the factory's AccessManager (contracts/CasinoRoles.sol), keyed
+ * by the names the casino CLI and deployment parameters use
+ */
+const ROLES = {
+    'balance-syncer': 1n,
+    'game-settler': 2n,
+    'pauser': 3n,
+    'fee-manager': 4n,
+    'on-chain-game': 5n
+};
+
+function getRoleId(name) {
+    const roleId = ROLES[name];
+    if (roleId === undefined) {
+        throw new Error(`Unknown role "${name}", expected one of: ${Object.keys(ROLES).join(', ')}`);
+    }
+    return roleId;
+}
+
+function getRoleName(roleId) {
+    const entry = Object.entries(ROLES).find(([, id]) => id === BigInt(roleId));
+    return entry ? entry[0] : String(roleId);
+}
+
+module.exports = {
+    ROLES,
+    getRoleId,
+    getRoleName
+};
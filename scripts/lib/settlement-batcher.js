@@ -0,0 +1,136 @@
+/**
+ * Collects game rounds for a single pool and settles them on-chain through
+ * TokenPool.processGameResults, so high-volume games (slots) pay for one
+ * transaction per batch instead of one per round.
+ *
+ * A flush is triggered when `maxBatchSize` rounds are pending or `flushIntervalMs`
+ * after the first buffered round, whichever comes first. Rounds the pool has
+ * already settled are dropped before sending, and a batch that reverts is split
+ * and retried so one bad round only fails itself.
+ */
+class SettlementBatcher {
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.maxBatchSize = options.maxBatchSize || 100;
+        this.flushIntervalMs = options.flushIntervalMs || 5000;
+        // Optional TxQueue; without one the pool's signer sends directly
+        this.txQueue = options.txQueue || null;
+
+        // Game ID -> { settlement, promise, resolve, reject }
+        this.pending = new Map();
+        this.timer = null;
+        // Flushes are chained so a round is never checked while an earlier batch settles it
+        this.flushing = Promise.resolve();
+    }
+
+    /**
+     * Queue a round `{ gameId, user, betAmount, winAmount }` (amounts in token
+     * base units). Resolves with `{ gameId, txHash, alreadySettled }` once the
+     * batch holding it is mined; adding a round that is already pending returns
+     * the same promise.
+     */
+    add(settlement) {
+        const existing = this.pending.get(settlement.gameId);
+        if (existing) return existing.promise;
+
+        const entry = { settlement };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        this.pending.set(settlement.gameId, entry);
+
+        if (this.pending.size >= this.maxBatchSize) {
+            this.flush().catch(error => console.error('Settlement flush failed:', error));
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.flush().catch(error => console.error('Settlement flush failed:', error));
+            }, this.flushIntervalMs);
+        }
+        return entry.promise;
+    }
+
+    /**
+     * Send everything currently buffered. Failed rounds reject their own
+     * promises, so this only rejects if the batch could not be checked at all.
+     */
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const entries = [...this.pending.values()];
+        this.pending.clear();
+        if (entries.length === 0) return this.flushing;
+
+        this.flushing = this.flushing
+            .catch(() => {})
+            .then(() => this.submit(entries))
+            .catch(error => {
+                for (const entry of entries) entry.reject(error);
+                throw error;
+            });
+        return this.flushing;
+    }
+
+    async submit(entries) {
+        const settled = await Promise.all(
+            entries.map(entry => this.pool.settledGames(entry.settlement.gameId))
+        );
+        const unsettled = [];
+        entries.forEach((entry, i) => {
+            if (settled[i]) {
+                entry.resolve({ gameId: entry.settlement.gameId, txHash: null, alreadySettled: true });
+            } else {
+                unsettled.push(entry);
+            }
+        });
+        if (unsettled.length === 0) return;
+
+        try {
+            const receipt = await this.sendBatch(unsettled.map(entry => entry.settlement));
+            for (const entry of unsettled) {
+                entry.resolve({ gameId: entry.settlement.gameId, txHash: receipt.hash, alreadySettled: false });
+            }
+            console.log(`Settled ${unsettled.length} game(s) on pool ${await this.pool.getAddress()}`);
+        } catch (error) {
+            if (!this.isRevert(error) || unsettled.length === 1) {
+                for (const entry of unsettled) entry.reject(error);
+                return;
+            }
+
+            // One round (an unfunded bet, a game settled elsewhere) reverts the
+            // whole batch, so split it until the offending round is on its own
+            const middle = Math.ceil(unsettled.length / 2);
+            await this.submit(unsettled.slice(0, middle));
+            await this.submit(unsettled.slice(middle));
+        }
+    }
+
+    async sendBatch(settlements) {
+        try {
+            if (this.txQueue) {
+                return await this.txQueue.enqueue({
+                    to: await this.pool.getAddress(),
+                    data: this.pool.interface.encodeFunctionData('processGameResults', [settlements]),
+                    label: `processGameResults(${settlements.length})`
+                });
+            }
+            const tx = await this.pool.processGameResults(settlements);
+            return await tx.wait();
+        } catch (error) {
+            // A mined revert carries no reason, so replay the call to find out why
+            if (error.receipt) {
+                await this.pool.processGameResults.staticCall(settlements);
+            }
+            throw error;
+        }
+    }
+
+    isRevert(error) {
+        return Boolean(error.revert || error.data || error.receipt) || error.code === 'CALL_EXCEPTION';
+    }
+}
+
+module.exports = SettlementBatcher;
@@ -0,0 +1,329 @@
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FEE_FIELDS = ['gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Persistent outbound transaction queue for a single wallet.
+ *
+ * Every request is written to a JSON journal before anything is sent, and the
+ * signed transaction hash is recorded before it is broadcast. Account nonces
+ * are assigned sequentially from one place, transactions that stay unmined for
+ * `stuckAfterMs` are re-signed with bumped fees, and `start()` resumes whatever
+ * the journal still holds after a restart.
+ *
+ * A request that fails to prepare because of the RPC (timeouts, rate limits,
+ * dropped connections) is retried with exponential backoff and keeps its place
+ * in line; only a revert is final. Requests can carry a `kind` and JSON
+ * `params`; `options.rebuilders[kind]` re-encodes an unsent entry on `start()`
+ * so it is not replayed with state read before the restart.
+ *
+ * Journal entry status: queued -> sent -> removed once confirmed or failed.
+ * Failed entries are moved to `failedPath`, one JSON line each. `stop()`
+ * rejects every request still waiting; they stay journaled for the next start.
+ */
+class TxQueue {
+    constructor(wallet, options = {}) {
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+        this.journalPath = options.journalPath || path.join(process.cwd(), 'data', 'tx-journal.json');
+        this.stuckAfterMs = options.stuckAfterMs || 60000;
+        this.gasBumpPercent = BigInt(options.gasBumpPercent || 15);
+        this.pollIntervalMs = options.pollIntervalMs || 5000;
+        this.failedPath = options.failedPath || path.join(path.dirname(this.journalPath), 'tx-failed.jsonl');
+        this.retryBaseMs = options.retryBaseMs || 1000;
+        this.retryMaxMs = options.retryMaxMs || 60000;
+        this.rebuilders = options.rebuilders || {};
+
+        this.entries = [];
+        this.waiters = new Map();
+        this.nextNonce = null;
+        this.timer = null;
+        this.stopped = false;
+        // Sends and journal updates run one at a time
+        this.chain = Promise.resolve();
+    }
+
+    async start() {
+        this.stopped = false;
+        this.entries = this.readJournal();
+
+        // Journals written before failed entries were moved out
+        for (const entry of this.entries.filter(e => e.status === 'failed')) {
+            this.moveToFailed(entry);
+        }
+        await this.syncNonce();
+
+        // Anything still queued never got a nonce; send it in journal order
+        for (const entry of this.entries.filter(e => e.status === 'queued')) {
+            this.schedule(() => this.resume(entry)).catch(() => {});
+        }
+        await this.schedule(() => this.checkPending());
+
+        this.timer = setInterval(() => {
+            this.schedule(() => this.checkPending())
+                .catch(error => console.error('Tx queue poll failed:', error));
+        }, this.pollIntervalMs);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        const waiters = [...this.waiters.values()];
+        this.waiters.clear();
+        waiters.forEach(waiter => waiter.reject(new Error('Transaction queue stopped')));
+    }
+
+    /**
+     * Journal a transaction request and send it when its turn comes.
+     * Resolves with the receipt once mined, rejects if it fails or reverts.
+     */
+    enqueue(request) {
+        const entry = {
+            id: crypto.randomUUID(),
+            label: request.label || null,
+            to: request.to,
+            data: request.data || '0x',
+            value: (request.value || 0n).toString(),
+            kind: request.kind || null,
+            params: request.params || null,
+            status: 'queued',
+            nonce: null,
+            hashes: [],
+            createdAt: Date.now()
+        };
+        this.entries.push(entry);
+        this.writeJournal();
+
+        // Journaled either way, so a stopped queue sends it on the next start
+        if (this.stopped) return Promise.reject(new Error('Transaction queue stopped'));
+
+        const done = new Promise((resolve, reject) => {
+            this.waiters.set(entry.id, { resolve, reject });
+        });
+        this.schedule(() => this.send(entry)).catch(() => {});
+        return done;
+    }
+
+    schedule(task) {
+        const run = this.chain.then(task);
+        this.chain = run.catch(() => {});
+        return run;
+    }
+
+    async syncNonce() {
+        const pendingCount = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+        const journalled = this.entries
+            .filter(e => e.status === 'sent')
+            .map(e => e.nonce + 1);
+        this.nextNonce = Math.max(pendingCount, ...journalled);
+    }
+
+    /**
+     * Send an entry left queued by a previous run, re-encoding it first when
+     * its kind has a rebuilder. A rebuilder returning null drops the entry.
+     */
+    async resume(entry) {
+        const rebuild = entry.kind && this.rebuilders[entry.kind];
+        if (rebuild) {
+            let request;
+            try {
+                request = await rebuild(entry);
+            } catch (error) {
+                this.settle(entry, 'failed', error);
+                return;
+            }
+            if (!request) {
+                this.entries = this.entries.filter(e => e !== entry);
+                this.writeJournal();
+                return;
+            }
+            Object.assign(entry, request);
+            this.writeJournal();
+        }
+        return this.send(entry);
+    }
+
+    async send(entry, resynced = false) {
+        let populated;
+        for (let attempt = 1; !populated; attempt++) {
+            // Left queued when stopping; the next start() picks it up
+            if (this.stopped) return;
+            try {
+                populated = await this.wallet.populateTransaction({
+                    to: entry.to,
+                    data: entry.data,
+                    value: BigInt(entry.value),
+                    nonce: this.nextNonce
+                });
+            } catch (error) {
+                // Reverts at estimation time never consume a nonce
+                if (this.isRevert(error)) {
+                    this.settle(entry, 'failed', error);
+                    return;
+                }
+                const delay = Math.min(this.retryBaseMs * 2 ** (attempt - 1), this.retryMaxMs);
+                console.error(`Preparing ${entry.label || entry.id} failed, retrying in ${delay}ms:`, error.message);
+                await sleep(delay);
+            }
+        }
+
+        entry.nonce = this.nextNonce;
+        for (const field of FEE_FIELDS) {
+            entry[field] = populated[field] != null ? populated[field].toString() : null;
+        }
+        entry.chainId = populated.chainId.toString();
+
+        const signed = await this.sign(entry);
+        entry.status = 'sent';
+        this.writeJournal();
+        this.nextNonce++;
+
+        try {
+            await this.provider.broadcastTransaction(signed);
+        } catch (error) {
+            if (error.code === 'NONCE_EXPIRED' && !resynced) {
+                // Something else used this nonce; take the next free one and retry
+                entry.status = 'queued';
+                entry.nonce = null;
+                entry.hashes = [];
+                this.writeJournal();
+                await this.syncNonce();
+                return this.send(entry, true);
+            }
+            // Stays 'sent'; checkPending rebroadcasts it once it looks stuck
+            console.error(`Broadcast of ${entry.id} failed:`, error.message);
+        }
+    }
+
+    // ethers reports reverts as CALL_EXCEPTION; Hardhat's in-process provider
+    // throws with the revert data instead
+    isRevert(error) {
+        return error.code === 'CALL_EXCEPTION' ||
+            (typeof error.data === 'string' && error.data.startsWith('0x'));
+    }
+
+    async sign(entry) {
+        const tx = {
+            to: entry.to,
+            data: entry.data,
+            value: BigInt(entry.value),
+            nonce: entry.nonce,
+            chainId: BigInt(entry.chainId)
+        };
+        for (const field of FEE_FIELDS) {
+            if (entry[field] != null) tx[field] = BigInt(entry[field]);
+        }
+
+        const signed = await this.wallet.signTransaction(tx);
+        entry.hashes.push(ethers.Transaction.from(signed).hash);
+        entry.sentAt = Date.now();
+        return signed;
+    }
+
+    async checkPending() {
+        const sent = this.entries.filter(e => e.status === 'sent');
+        if (sent.length === 0) return;
+
+        const minedCount = await this.provider.getTransactionCount(this.wallet.address, 'latest');
+
+        for (const entry of sent) {
+            const receipt = await this.findReceipt(entry);
+            if (receipt) {
+                if (receipt.status === 1) {
+                    this.settle(entry, 'confirmed', null, receipt);
+                } else {
+                    this.settle(entry, 'failed', new Error(`Transaction ${receipt.hash} reverted`), receipt);
+                }
+            } else if (minedCount > entry.nonce) {
+                this.settle(entry, 'failed', new Error(`Nonce ${entry.nonce} was used by another transaction`));
+            } else if (Date.now() - entry.sentAt >= this.stuckAfterMs) {
+                await this.bump(entry);
+            }
+        }
+    }
+
+    async findReceipt(entry) {
+        for (const hash of entry.hashes) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) return receipt;
+        }
+        return null;
+    }
+
+    /**
+     * Re-sign a stuck transaction with the same nonce and higher fees
+     */
+    async bump(entry) {
+        const scale = (value) => (BigInt(value) * (100n + this.gasBumpPercent) + 99n) / 100n;
+        for (const field of ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+            if (entry[field] != null) entry[field] = scale(entry[field]).toString();
+        }
+
+        const signed = await this.sign(entry);
+        this.writeJournal();
+        console.log(`Bumped gas for ${entry.id} (nonce ${entry.nonce})`);
+
+        try {
+            await this.provider.broadcastTransaction(signed);
+        } catch (error) {
+            console.error(`Rebroadcast of ${entry.id} failed:`, error.message);
+        }
+    }
+
+    settle(entry, status, error, receipt) {
+        const waiter = this.waiters.get(entry.id);
+        this.waiters.delete(entry.id);
+
+        if (status === 'confirmed') {
+            this.entries = this.entries.filter(e => e !== entry);
+            this.writeJournal();
+            if (waiter) waiter.resolve(receipt);
+            return;
+        }
+
+        entry.status = 'failed';
+        entry.error = error.shortMessage || error.message;
+        this.moveToFailed(entry);
+        console.error(`Transaction ${entry.label || entry.id} failed: ${entry.error}`);
+        if (waiter) {
+            if (receipt) error.receipt = receipt;
+            waiter.reject(error);
+        }
+    }
+
+    moveToFailed(entry) {
+        fs.mkdirSync(path.dirname(this.failedPath), { recursive: true });
+        fs.appendFileSync(this.failedPath, JSON.stringify({ ...entry, failedAt: Date.now() }) + '\n');
+        this.entries = this.entries.filter(e => e !== entry);
+        this.writeJournal();
+    }
+
+    readFailed() {
+        if (!fs.existsSync(this.failedPath)) return [];
+        return fs.readFileSync(this.failedPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    readJournal() {
+        if (!fs.existsSync(this.journalPath)) return [];
+        return JSON.parse(fs.readFileSync(this.journalPath, 'utf8')).entries;
+    }
+
+    writeJournal() {
+        // Write to a temp file and rename so a crash never leaves half a journal
+        fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+        const tmpPath = `${this.journalPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ entries: this.entries }, null, 2));
+        fs.renameSync(tmpPath, this.journalPath);
+    }
+}
+
+module.exports = TxQueue;
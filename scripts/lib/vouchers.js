@@ -0,0 +1,71 @@
+const { ethers } = require('ethers');
+const { ROLES } = require('./roles');
+
+// Must match TokenPool.WITHDRAWAL_VOUCHER_TYPEHASH and its EIP712("TokenPool", "1") domain
+const VOUCHER_TYPES = {
+    WithdrawalVoucher: [
+        { name: 'user', type: 'address' },
+        { name: 'pool', type: 'address' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'balanceNonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+async function getVoucherDomain(pool) {
+    const { chainId } = await pool.runner.provider.getNetwork();
+    return {
+        name: 'TokenPool',
+        version: '1',
+        chainId,
+        verifyingContract: await pool.getAddress()
+    };
+}
+
+/**
+ * Build a voucher for `user` using the pool's current voucher and balance
+ * nonces. Build it before debiting the off-chain balance: a balance pushed
+ * after that carries a later balance nonce, so the pool does not debit twice.
+ * `amount` is in token base units; the voucher expires `ttlSeconds` from now.
+ */
+async function buildVoucher(pool, user, amount, ttlSeconds = 600) {
+    const latest = await pool.runner.provider.getBlock('latest');
+    return {
+        user: ethers.getAddress(user),
+        pool: await pool.getAddress(),
+        amount: BigInt(amount),
+        nonce: await pool.nonces(user),
+        balanceNonce: await pool.balanceNonces(user),
+        deadline: BigInt(latest.timestamp + ttlSeconds)
+    };
+}
+
+async function signVoucher(signer, pool, voucher) {
+    return signer.signTypedData(await getVoucherDomain(pool), VOUCHER_TYPES, voucher);
+}
+
+/**
+ * Recover the voucher signer and check it is a balance syncer, the voucher
+ * targets this pool, its nonce is unused and it has not expired
+ */
+async function verifyVoucher(pool, factory, voucher, signature) {
+    const signer = ethers.verifyTypedData(await getVoucherDomain(pool), VOUCHER_TYPES, voucher, signature);
+    const latest = await pool.runner.provider.getBlock('latest');
+
+    const checks = {
+        balanceSyncer: await factory.hasRole(ROLES['balance-syncer'], signer),
+        pool: ethers.getAddress(voucher.pool) === await pool.getAddress(),
+        nonce: BigInt(voucher.nonce) === await pool.nonces(voucher.user),
+        deadline: BigInt(voucher.deadline) >= BigInt(latest.timestamp)
+    };
+    return { signer, valid: Object.values(checks).every(Boolean), checks };
+}
+
+module.exports = {
+    VOUCHER_TYPES,
+    getVoucherDomain,
+    buildVoucher,
+    signVoucher,
+    verifyVoucher
+};
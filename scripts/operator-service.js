@@ -1,122 +1,303 @@
 const { ethers } = require('ethers');
-const admin = require('firebase-admin');
+const path = require('path');
+const { getFactoryContract, getPoolContract, getTokenContract } = require('./lib/contracts');
+const BalanceBatcher = require('./lib/balance-batcher');
+const SettlementBatcher = require('./lib/settlement-batcher');
+const TxQueue = require('./lib/tx-queue');
+const { createBalanceStore } = require('./lib/balance-stores');
+const { buildVoucher, signVoucher } = require('./lib/vouchers');
+const { gameIdFromDocument, watchCompletedGames, completedGamesOf, markGameSettled } = require('./lib/games');
+const { getFirestore } = require('./lib/firebase');
+const { connect } = require('./lib/networks');
 require('dotenv').config();
 
+/**
+ * `privateKeys` is { syncer, settler }: the balance syncer key pushes balances
+ * and signs withdrawal vouchers, the game settler key settles games. A single
+ * key string serves both roles (local runs and tests).
+ */
 class OperatorService {
-    constructor(privateKey, factoryAddress, providerUrl) {
-        // Setup provider and wallet
-        this.provider = new ethers.providers.JsonRpcProvider(providerUrl);
-        this.wallet = new ethers.Wallet(privateKey, this.provider);
+    constructor(privateKeys, factoryAddress, providerUrl, options = {}) {
+        const keys = typeof privateKeys === 'string'
+            ? { syncer: privateKeys, settler: privateKeys }
+            : privateKeys;
+
+        // Setup provider and wallets; options.provider replaces providerUrl (tests)
+        this.provider = options.provider || new ethers.JsonRpcProvider(providerUrl);
+        this.syncerWallet = new ethers.Wallet(keys.syncer, this.provider);
+        this.settlerWallet = keys.settler && keys.settler !== keys.syncer
+            ? new ethers.Wallet(keys.settler, this.provider)
+            : this.syncerWallet;
         this.factoryAddress = factoryAddress;
 
-        // Initialize Firebase
-        if (!admin.apps.length) {
-            admin.initializeApp({
-                credential: admin.credential.cert({
-                    projectId: process.env.FIREBASE_PROJECT_ID,
-                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-                    // WARNING: Private key should be stored securely, not in code
-                    privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-                })
+        // Every transaction goes through its key's journaled queue
+        const journalPath = options.journalPath || path.join(process.cwd(), 'data', 'tx-journal.json');
+        this.syncQueue = new TxQueue(this.syncerWallet, {
+            journalPath,
+            stuckAfterMs: options.stuckAfterMs,
+            pollIntervalMs: options.pollIntervalMs,
+            // Balance batches left unsent by a previous run get fresh nonces
+            rebuilders: {
+                'balance-sync': async entry => (await this.getBatcher(entry.to)).rebuild(entry)
+            }
+        });
+        this.settleQueue = this.settlerWallet === this.syncerWallet
+            ? this.syncQueue
+            : new TxQueue(this.settlerWallet, {
+                journalPath: path.join(path.dirname(journalPath), 'tx-settlement-journal.json'),
+                failedPath: path.join(path.dirname(journalPath), 'tx-settlement-failed.jsonl'),
+                stuckAfterMs: options.stuckAfterMs,
+                pollIntervalMs: options.pollIntervalMs
             });
-        }
-        this.db = admin.firestore();
+
+        // One balance batcher per pool address
+        this.batchOptions = {
+            maxBatchSize: options.maxBatchSize,
+            flushIntervalMs: options.flushIntervalMs,
+            txQueue: this.syncQueue
+        };
+        this.batchers = new Map();
+
+        // Token address -> { poolAddress, decimals } for tokens that have a pool
+        this.tokenPools = new Map();
+
+        // Off-chain balances; BALANCE_STORE picks the backend when none is given
+        this.balanceStore = options.balanceStore || createBalanceStore();
+
+        // Firestore with the games to settle; settlement is off without one
+        this.gamesDb = options.gamesDb || null;
+        // One settlement batcher per pool address
+        this.settlementOptions = {
+            maxBatchSize: options.settlementBatchSize,
+            flushIntervalMs: options.settlementIntervalMs,
+            txQueue: this.settleQueue
+        };
+        this.settlementBatchers = new Map();
     }
 
     async start() {
         console.log('Starting operator service...');
-        
-        // Listen for balance changes in Firebase
-        this.db.collection('balances').onSnapshot(async (snapshot) => {
-            for (const change of snapshot.docChanges()) {
-                if (change.type === 'modified') {
-                    await this.handleBalanceChange(change.doc.id, change.doc.data());
-                }
-            }
-        }, error => {
-            console.error('Firebase listener error:', error);
-        });
+
+        // Resume transactions left pending by a previous run
+        await this.startQueues();
+
+        // Push every stored balance, then every later write; unchanged ones are skipped
+        this.unsubscribe = this.balanceStore.watch(({ user, token, balance }) =>
+            this.handleBalanceChange(user, token, balance)
+        );
+
+        // Settle completed games, including any left unsettled by a previous run
+        if (this.gamesDb) {
+            this.unsubscribeGames = watchCompletedGames(this.gamesDb, doc =>
+                this.settleGame(doc).catch(error => console.error('Error settling game:', error))
+            );
+        }
 
         console.log('Operator service started');
     }
 
-    async handleBalanceChange(userAddress, balanceData) {
-        try {
-            const blockNumber = await this.provider.getBlockNumber();
-            
-            // Create balance hash
-            const messageHash = ethers.utils.solidityKeccak256(
-                ['address', 'uint256', 'uint256'],
-                [userAddress, balanceData.balance, blockNumber]
-            );
-            
-            // Sign the hash
-            const signature = await this.wallet.signMessage(
-                ethers.utils.arrayify(messageHash)
-            );
+    /**
+     * Stop listening and stop the transaction queues, then hand buffered
+     * batches to the queues' journals. Nothing waits on the RPC, so a stop
+     * during an outage returns; the next start sends what is journaled.
+     */
+    async stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.unsubscribeGames) {
+            this.unsubscribeGames();
+            this.unsubscribeGames = null;
+        }
+        this.stopQueues();
+        await this.flushAll();
+    }
+
+    async startQueues() {
+        await this.syncQueue.start();
+        if (this.settleQueue !== this.syncQueue) await this.settleQueue.start();
+    }
 
-            // Get pool address from factory
-            const factory = await this.getFactoryContract();
-            const [exists, poolAddress] = await factory.getPool(balanceData.token);
-            
-            if (!exists) {
-                console.error(`No pool found for token ${balanceData.token}`);
+    stopQueues() {
+        this.syncQueue.stop();
+        this.settleQueue.stop();
+    }
+
+    /**
+     * Queue a user's new off-chain balance (whole token units) for the token's pool
+     */
+    async handleBalanceChange(userAddress, tokenAddress, balance) {
+        try {
+            const tokenPool = await this.resolveTokenPool(tokenAddress);
+            if (!tokenPool) {
+                console.error(`No pool found for token ${tokenAddress}`);
                 return;
             }
 
-            // Update balance on chain
-            const pool = await this.getPoolContract(poolAddress);
-            const tx = await pool.updateFirebaseBalance(
+            // Buffer the change; nonces are resolved when the batch is flushed
+            const batcher = await this.getBatcher(tokenPool.poolAddress);
+            await batcher.add(
                 userAddress,
-                ethers.utils.parseUnits(balanceData.balance.toString(), 18),
-                signature
+                ethers.parseUnits(balance, tokenPool.decimals)
             );
-            
-            await tx.wait();
-            console.log(`Updated balance for ${userAddress}: ${balanceData.balance}`);
-            
+
         } catch (error) {
             console.error('Error handling balance change:', error);
         }
     }
 
-    async signWithdrawal(userAddress, amount) {
-        const blockNumber = await this.provider.getBlockNumber();
-        
-        // Create withdrawal hash
-        const messageHash = ethers.utils.solidityKeccak256(
-            ['address', 'uint256', 'uint256'],
-            [userAddress, amount, blockNumber]
+    /**
+     * Look up the pool for a token through the factory, along with the
+     * token's decimals used to scale off-chain balances
+     */
+    async resolveTokenPool(tokenAddress) {
+        const key = ethers.getAddress(tokenAddress);
+        if (this.tokenPools.has(key)) {
+            return this.tokenPools.get(key);
+        }
+
+        const factory = await this.getFactoryContract();
+        const [exists, poolAddress] = await factory.getPool(key);
+        if (!exists) return null;
+
+        const token = getTokenContract(key, this.provider);
+        const tokenPool = { poolAddress, decimals: Number(await token.decimals()) };
+        this.tokenPools.set(key, tokenPool);
+        return tokenPool;
+    }
+
+    async getBatcher(poolAddress) {
+        if (!this.batchers.has(poolAddress)) {
+            const pool = await this.getPoolContract(poolAddress);
+            // Settlement owns the games' part of the balance; see withoutUnsettledGames
+            const adjustBalance = this.gamesDb
+                ? (user, balance) => this.withoutUnsettledGames(pool, user, balance)
+                : undefined;
+            this.batchers.set(poolAddress, new BalanceBatcher(pool, { ...this.batchOptions, adjustBalance }));
+        }
+        return this.batchers.get(poolAddress);
+    }
+
+    async getSettlementBatcher(poolAddress) {
+        if (!this.settlementBatchers.has(poolAddress)) {
+            const pool = await this.getPoolContract(poolAddress, this.settlerWallet);
+            this.settlementBatchers.set(poolAddress, new SettlementBatcher(pool, this.settlementOptions));
+        }
+        return this.settlementBatchers.get(poolAddress);
+    }
+
+    /**
+     * Flush every batcher. One pool failing does not stop the others; the
+     * failures are logged and returned.
+     */
+    async flushAll() {
+        const results = await Promise.allSettled(
+            [...this.batchers.values(), ...this.settlementBatchers.values()].map(batcher => batcher.flush())
         );
-        
-        // Sign the hash
-        return await this.wallet.signMessage(ethers.utils.arrayify(messageHash));
+        const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+        failures.forEach(error => console.error('Batch flush failed:', error));
+        return failures;
+    }
+
+    /**
+     * Settle a completed game from its Firestore document and mark the document
+     * settled. Rounds are collected per pool and settled in batches. The game ID
+     * comes from the document path, so retries, duplicate snapshots and restarts
+     * all settle the same ID, which the pool accepts once.
+     * Resolves with { gameId, txHash, alreadySettled }.
+     */
+    async settleGame(doc) {
+        const game = doc.data();
+        const tokenPool = await this.resolveTokenPool(game.token);
+        if (!tokenPool) {
+            throw new Error(`No pool found for token ${game.token}`);
+        }
+
+        const batcher = await this.getSettlementBatcher(tokenPool.poolAddress);
+        const result = await batcher.add({
+            gameId: gameIdFromDocument(doc),
+            user: game.user,
+            betAmount: ethers.parseUnits(String(game.betAmount), tokenPool.decimals),
+            winAmount: ethers.parseUnits(String(game.winAmount || 0), tokenPool.decimals)
+        });
+        await markGameSettled(doc, result);
+        return result;
+    }
+
+    /**
+     * The balance to push for a user's store balance. Settling a game applies
+     * its stake and net win on-chain, so games the store already counts but
+     * the pool has not settled are taken back out, leaving each game to its
+     * settlement. The game server must write a completed game no later than
+     * the balance that includes it.
+     */
+    async withoutUnsettledGames(pool, userAddress, balance) {
+        const tokenAddress = await pool.token();
+        const games = await completedGamesOf(this.gamesDb, userAddress, tokenAddress);
+        if (games.length === 0) return balance;
+
+        const { decimals } = await this.resolveTokenPool(tokenAddress);
+        const feeBps = (await pool.gameLpFee()) + (await pool.gamePlatformFee());
+        for (const doc of games) {
+            if (await pool.settledGames(gameIdFromDocument(doc))) continue;
+            const game = doc.data();
+            const betAmount = ethers.parseUnits(String(game.betAmount), decimals);
+            const winAmount = ethers.parseUnits(String(game.winAmount || 0), decimals);
+            // Net of the game fees, as _settleStake credits it
+            const netWin = winAmount - (winAmount * feeBps) / 10000n;
+            balance += betAmount - netWin;
+        }
+        return balance > 0n ? balance : 0n;
+    }
+
+    /**
+     * Sign an EIP-712 withdrawal voucher the user can redeem on the pool or router.
+     * `amount` is in token base units.
+     */
+    async signWithdrawal(tokenAddress, userAddress, amount, ttlSeconds) {
+        const tokenPool = await this.resolveTokenPool(tokenAddress);
+        if (!tokenPool) {
+            throw new Error(`No pool found for token ${tokenAddress}`);
+        }
+
+        const pool = await this.getPoolContract(tokenPool.poolAddress);
+        const voucher = await buildVoucher(pool, userAddress, amount, ttlSeconds);
+        const signature = await signVoucher(this.syncerWallet, pool, voucher);
+        return { voucher, signature };
     }
 
     async getFactoryContract() {
-        const factoryAbi = [
-            "function getPool(address token) view returns (bool exists, address pool)",
-            "function operators(address) view returns (bool)"
-        ];
-        return new ethers.Contract(this.factoryAddress, factoryAbi, this.wallet);
+        return getFactoryContract(this.factoryAddress, this.syncerWallet);
     }
 
-    async getPoolContract(poolAddress) {
-        const poolAbi = [
-            "function updateFirebaseBalance(address user, uint256 balance, bytes memory signature) external",
-            "function firebaseBalances(address) view returns (uint256)",
-            "function lastBalanceUpdate(address) view returns (uint256)"
-        ];
-        return new ethers.Contract(poolAddress, poolAbi, this.wallet);
+    async getPoolContract(poolAddress, runner = this.syncerWallet) {
+        return getPoolContract(poolAddress, runner);
     }
 }
 
 // Example usage:
 async function main() {
+    // --network picks the chain; refuses to start if it does not match the registry
+    const network = await connect();
+    const settleGames = process.env.SETTLE_GAMES === 'true';
     const operatorService = new OperatorService(
-        process.env.OPERATOR_PRIVATE_KEY,
-        process.env.FACTORY_ADDRESS,
-        process.env.PROVIDER_URL
+        {
+            syncer: network.privateKey('syncer'),
+            settler: settleGames ? network.privateKey('settler') : undefined
+        },
+        network.deployment.contracts.CasinoFactory,
+        null,
+        {
+            provider: network.provider,
+            maxBatchSize: Number(process.env.BATCH_SIZE) || undefined,
+            flushIntervalMs: Number(process.env.BATCH_INTERVAL_MS) || undefined,
+            journalPath: process.env.TX_JOURNAL_PATH,
+            gamesDb: settleGames ? getFirestore() : undefined,
+            settlementBatchSize: Number(process.env.SETTLEMENT_BATCH_SIZE) || undefined,
+            settlementIntervalMs: Number(process.env.SETTLEMENT_INTERVAL_MS) || undefined,
+            stuckAfterMs: Number(process.env.TX_STUCK_AFTER_MS) || undefined
+        }
     );
 
     await operatorService.start();
@@ -124,6 +305,8 @@ async function main() {
     // Keep the process running
     process.on('SIGINT', async () => {
         console.log('Shutting down operator service...');
+        await operatorService.stop();
+        await operatorService.balanceStore.close();
         process.exit(0);
     });
 }
@@ -0,0 +1,200 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { getFactoryContract, getPoolContract, getTokenContract } = require('./lib/contracts');
+const { createBalanceStore } = require('./lib/balance-stores');
+const { connect } = require('./lib/networks');
+require('dotenv').config();
+
+// Events whose first indexed argument is a user with an off-chain balance
+const USER_EVENTS = ['FirebaseBalanceUpdated', 'Deposit', 'Withdrawal'];
+const BLOCK_RANGE = 10000;
+
+/**
+ * Collect every address that appears in a pool's balance-related events
+ */
+async function collectPoolUsers(pool, fromBlock, toBlock) {
+    const users = new Set();
+    for (let start = fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+        const end = Math.min(start + BLOCK_RANGE - 1, toBlock);
+        for (const eventName of USER_EVENTS) {
+            const events = await pool.queryFilter(pool.filters[eventName](), start, end);
+            events.forEach(event => users.add(event.args[0]));
+        }
+    }
+    return [...users];
+}
+
+/**
+ * Compare balance-store balances with TokenPool.firebaseBalances for every pool
+ * deployed by the factory. Balances in the report are in token base units.
+ * A stored value that does not parse is reported as 'invalid' with its error,
+ * without stopping the rest of the report.
+ */
+async function reconcile(factory, balanceStore, options = {}) {
+    const provider = factory.runner.provider;
+    const fromBlock = options.fromBlock || 0;
+    const toBlock = options.toBlock != null ? options.toBlock : await provider.getBlockNumber();
+
+    const rows = [];
+    const [tokens, pools] = await factory.getDeployedPools();
+
+    for (let i = 0; i < tokens.length; i++) {
+        const pool = getPoolContract(pools[i], factory.runner);
+        const decimals = Number(await getTokenContract(tokens[i], factory.runner).decimals());
+        const users = await collectPoolUsers(pool, fromBlock, toBlock);
+
+        for (const user of users) {
+            const onChainBalance = await pool.firebaseBalances(user, { blockTag: toBlock });
+            const stored = await balanceStore.get(user, tokens[i]);
+
+            let storedBalance = null;
+            let status;
+            let error = null;
+            if (stored === null) {
+                status = onChainBalance === 0n ? 'match' : 'missing-in-store';
+            } else {
+                try {
+                    storedBalance = ethers.parseUnits(stored, decimals);
+                    status = storedBalance === onChainBalance ? 'match' : 'drift';
+                } catch (parseError) {
+                    status = 'invalid';
+                    error = `Stored balance ${JSON.stringify(stored)} does not parse with ${decimals} decimals: ${parseError.shortMessage || parseError.message}`;
+                }
+            }
+
+            rows.push({
+                token: tokens[i],
+                pool: pools[i],
+                user,
+                decimals,
+                storedBalance,
+                onChainBalance,
+                drift: status === 'invalid' ? null : (storedBalance || 0n) - onChainBalance,
+                status,
+                error
+            });
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Push the stored value on-chain for every drifted row through the
+ * operator's batcher and transaction queue. Resolves with the number of rows
+ * fixed; rejects with an AggregateError of every batch that failed.
+ */
+async function fixDrift(operatorService, rows) {
+    const drifted = rows.filter(row => row.status === 'drift');
+    if (drifted.length === 0) return 0;
+
+    // A failed batch can surface from both add() and flushAll()
+    const failures = new Set();
+    await operatorService.syncQueue.start();
+    try {
+        for (const row of drifted) {
+            const batcher = await operatorService.getBatcher(row.pool);
+            try {
+                await batcher.add(row.user, row.storedBalance);
+            } catch (error) {
+                failures.add(error);
+            }
+        }
+        (await operatorService.flushAll()).forEach(error => failures.add(error));
+    } finally {
+        operatorService.syncQueue.stop();
+    }
+
+    if (failures.size > 0) {
+        throw new AggregateError([...failures], `${failures.size} corrective batch(es) failed`);
+    }
+    return drifted.length;
+}
+
+function toJson(rows) {
+    return JSON.stringify(rows, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+}
+
+// Quoted only when it holds a comma, quote or newline
+function csvField(value) {
+    if (value == null) return '';
+    const text = value.toString();
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    const columns = ['token', 'pool', 'user', 'decimals', 'storedBalance', 'onChainBalance', 'drift', 'status', 'error'];
+    const lines = rows.map(row => columns.map(column => csvField(row[column])).join(','));
+    return [columns.join(','), ...lines].join('\n');
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            format: { type: 'string', default: 'json' },
+            out: { type: 'string' },
+            'from-block': { type: 'string', default: '0' },
+            all: { type: 'boolean', default: false },
+            fix: { type: 'boolean', default: false },
+            network: { type: 'string' }
+        }
+    });
+
+    if (!['json', 'csv'].includes(values.format)) {
+        console.log('Usage: node reconcile.js [--network name] [--format json|csv] [--out file] [--from-block n] [--all] [--fix]');
+        process.exit(1);
+    }
+
+    const network = await connect(values.network);
+    const factory = getFactoryContract(network.deployment.contracts.CasinoFactory, network.provider);
+    const balanceStore = createBalanceStore();
+
+    const rows = await reconcile(factory, balanceStore, { fromBlock: Number(values['from-block']) });
+    const outOfSync = rows.filter(row => row.status !== 'match');
+    const report = values.all ? rows : outOfSync;
+    const output = values.format === 'csv' ? toCsv(report) : toJson(report);
+
+    if (values.out) {
+        fs.writeFileSync(values.out, output);
+    } else {
+        console.log(output);
+    }
+    console.error(`Checked ${rows.length} balance(s), ${outOfSync.length} out of sync`);
+
+    if (values.fix) {
+        // Loaded lazily so a read-only run never needs the syncer key
+        const OperatorService = require('./operator-service');
+        const operatorService = new OperatorService(
+            network.privateKey('syncer'),
+            network.deployment.contracts.CasinoFactory,
+            null,
+            { provider: network.provider, balanceStore }
+        );
+        try {
+            const fixed = await fixDrift(operatorService, rows);
+            console.error(`Fixed ${fixed} balance(s)`);
+        } catch (error) {
+            for (const failure of error.errors || [error]) {
+                console.error('Corrective update failed:', failure.shortMessage || failure.message);
+            }
+            process.exitCode = 1;
+        }
+    }
+
+    await balanceStore.close();
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Reconciliation failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    reconcile,
+    fixDrift,
+    toJson,
+    toCsv
+};
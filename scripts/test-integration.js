@@ -1,6 +1,8 @@
 const { ethers } = require('ethers');
 const admin = require('firebase-admin');
 const OperatorService = require('./operator-service');
+const { getDeployedAddress } = require('./lib/deployments');
+const { getNetworkName, getRpcUrl } = require('./lib/networks');
 
 async function runTests() {
     console.log('Starting integration tests...\n');
@@ -8,24 +10,24 @@ async function runTests() {
     try {
         // Initialize services
         const operatorService = new OperatorService(
-            process.env.OPERATOR_PRIVATE_KEY,
-            process.env.FACTORY_ADDRESS,
-            process.env.PROVIDER_URL
+            process.env.SYNCER_PRIVATE_KEY,
+            getDeployedAddress('CasinoFactory', getNetworkName()),
+            getRpcUrl(getNetworkName())
         );
 
-        const provider = new ethers.providers.JsonRpcProvider(process.env.PROVIDER_URL);
-        const operatorWallet = new ethers.Wallet(process.env.OPERATOR_PRIVATE_KEY, provider);
+        const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(getNetworkName()));
+        const operatorWallet = new ethers.Wallet(process.env.SYNCER_PRIVATE_KEY, provider);
         const userWallet = new ethers.Wallet(process.env.USER_PRIVATE_KEY, provider);
 
         console.log('Test 1: Deposit and Firebase Balance Update');
         try {
             // Get pool contract
             const factory = new ethers.Contract(
-                process.env.FACTORY_ADDRESS,
+                getDeployedAddress('CasinoFactory', getNetworkName()),
                 ["function getPool(address token) view returns (bool exists, address pool)"],
                 provider
             );
-            const [exists, poolAddress] = await factory.getPool(process.env.TEST_TOKEN_ADDRESS);
+            const [exists, poolAddress] = await factory.getPool(getDeployedAddress('TestToken', getNetworkName()));
             
             if (!exists) {
                 throw new Error('Pool not found for token');
@@ -54,7 +56,7 @@ async function runTests() {
 
             await userBalanceRef.set({
                 balance: ethers.utils.formatEther(depositAmount),
-                token: process.env.TEST_TOKEN_ADDRESS,
+                token: getDeployedAddress('TestToken', getNetworkName()),
                 lastUpdate: admin.firestore.FieldValue.serverTimestamp()
             });
             console.log('✓ Firebase balance updated');
@@ -81,7 +83,7 @@ async function runTests() {
             console.log('✓ Withdrawal signature obtained');
 
             // Execute withdrawal
-            const [, poolAddress] = await factory.getPool(process.env.TEST_TOKEN_ADDRESS);
+            const [, poolAddress] = await factory.getPool(getDeployedAddress('TestToken', getNetworkName()));
             const pool = new ethers.Contract(
                 poolAddress,
                 ["function withdraw(uint256 amount, bytes memory signature) external"],
@@ -123,7 +125,7 @@ async function runTests() {
             );
 
             // Attempt withdrawal
-            const [, poolAddress] = await factory.getPool(process.env.TEST_TOKEN_ADDRESS);
+            const [, poolAddress] = await factory.getPool(getDeployedAddress('TestToken', getNetworkName()));
             const pool = new ethers.Contract(
                 poolAddress,
                 ["function withdraw(uint256 amount, bytes memory signature) external"],
@@ -0,0 +1,174 @@
+const { parseArgs } = require('util');
+const { readDeployment } = require('./lib/deployments');
+const { assertChainId } = require('./lib/networks');
+
+const TARGETS = ['factory', 'pools', 'share-tokens'];
+
+/**
+ * Upgrade the factory proxy, every pool (through the factory's pool beacon)
+ * and/or every LP share token (through the share token beacon) to the
+ * compiled CasinoFactory, TokenPool and LPShareToken. A factory that has no
+ * share token beacon yet gets one, and pools without a share token get theirs.
+ *
+ * Each new implementation is first checked by @openzeppelin/hardhat-upgrades
+ * against the storage layout of the one it replaces (recorded in .openzeppelin/
+ * by scripts/deploy.js and by earlier upgrades), then deployed and switched to.
+ * When the signer is not the factory owner the implementation is still
+ * deployed, and the result lists the casino CLI command the owner must send.
+ *
+ * Options: targets (default all), validateOnly, registryDir, and
+ * factoryContract/poolContract/shareTokenContract to upgrade to other
+ * contract names.
+ */
+async function upgrade(hre, options = {}) {
+    const { ethers, upgrades } = hre;
+    const network = hre.network.name;
+    const deployment = readDeployment(network, options.registryDir);
+    await assertChainId(ethers.provider, deployment.chainId, `deployments/${network}.json`);
+
+    const factory = await ethers.getContractAt('CasinoFactory', deployment.contracts.CasinoFactory);
+    const [signer] = await ethers.getSigners();
+    const isOwner = (await factory.owner()) === signer.address;
+
+    // Addresses are read when a target's turn comes, after any factory upgrade
+    const plans = {
+        factory: {
+            contract: options.factoryContract || 'CasinoFactory',
+            address: () => factory.getAddress(),
+            kind: 'uups',
+            current: () => upgrades.erc1967.getImplementationAddress(deployment.contracts.CasinoFactory),
+            send: implementation => factory.upgradeToAndCall(implementation, '0x'),
+            command: 'upgrade-factory'
+        },
+        pools: {
+            contract: options.poolContract || 'TokenPool',
+            address: () => factory.poolBeacon(),
+            kind: 'beacon',
+            current: () => factory.poolImplementation(),
+            send: implementation => factory.upgradePools(implementation),
+            command: 'upgrade-pools'
+        },
+        'share-tokens': {
+            contract: options.shareTokenContract || 'LPShareToken',
+            address: () => factory.shareTokenBeacon(),
+            kind: 'beacon',
+            current: async () => {
+                const beacon = await factory.shareTokenBeacon();
+                return beacon === ethers.ZeroAddress ? null : upgrades.beacon.getImplementationAddress(beacon);
+            },
+            send: implementation => factory.setShareTokenImplementation(implementation),
+            command: 'upgrade-share-tokens',
+            after: () => createMissingShareTokens(ethers, factory)
+        }
+    };
+
+    const results = [];
+    for (const target of options.targets || TARGETS) {
+        const plan = plans[target];
+        if (!plan) throw new Error(`Unknown upgrade target "${target}", expected one of: ${TARGETS.join(', ')}`);
+
+        const Implementation = await ethers.getContractFactory(plan.contract);
+        const result = { target, contract: plan.contract, previous: await plan.current() };
+        // Nothing to upgrade from when the target's beacon does not exist yet
+        const address = result.previous ? await plan.address() : null;
+
+        if (options.validateOnly) {
+            // Throws with the incompatible storage slots, if any
+            if (address) {
+                await upgrades.validateUpgrade(address, Implementation, { kind: plan.kind });
+            } else {
+                await upgrades.validateImplementation(Implementation, { kind: plan.kind });
+            }
+            results.push({ ...result, valid: true });
+            continue;
+        }
+
+        // Validates, then deploys the implementation (or reuses an identical one)
+        const implementation = address
+            ? await upgrades.prepareUpgrade(address, Implementation, { kind: plan.kind })
+            : await upgrades.deployImplementation(Implementation, { kind: plan.kind });
+        result.implementation = implementation;
+
+        if (implementation === result.previous) {
+            results.push({ ...result, upgraded: false });
+        } else if (isOwner) {
+            await (await plan.send(implementation)).wait();
+            // A beacon the send just created is recorded for later upgrades
+            if (!address) await upgrades.forceImport(await plan.address(), Implementation);
+            results.push({ ...result, upgraded: true });
+        } else {
+            results.push({
+                ...result,
+                upgraded: false,
+                ownerCommand: `npm run casino -- ${plan.command} ${implementation} --network ${network}`
+            });
+        }
+
+        if (plan.after && (await plan.current())) {
+            results.at(-1).created = await plan.after();
+        }
+    }
+    return results;
+}
+
+/**
+ * Give every pool without an LP share token its token (anyone may send
+ * createShareToken). Returns the tokens whose pools got one.
+ */
+async function createMissingShareTokens(ethers, factory) {
+    const [tokens, pools] = await factory.getDeployedPools();
+    const created = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const pool = await ethers.getContractAt('TokenPool', pools[i]);
+        if ((await pool.shareToken()) !== ethers.ZeroAddress) continue;
+
+        await (await factory.createShareToken(tokens[i])).wait();
+        created.push(tokens[i]);
+    }
+    return created;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        options: {
+            network: { type: 'string' },
+            'validate-only': { type: 'boolean', default: false }
+        },
+        allowPositionals: true
+    });
+
+    // Selects the Hardhat network before hardhat is loaded
+    if (values.network) process.env.HARDHAT_NETWORK = values.network;
+    const hre = require('hardhat');
+
+    const results = await upgrade(hre, {
+        targets: positionals.length > 0 ? positionals : undefined,
+        validateOnly: values['validate-only']
+    });
+
+    for (const result of results) {
+        if (result.valid) {
+            console.log(`${result.target}: ${result.contract} is upgrade safe`);
+        } else if (result.upgraded) {
+            console.log(`${result.target}: upgraded ${result.previous} -> ${result.implementation}`);
+        } else if (result.ownerCommand) {
+            console.log(`${result.target}: deployed ${result.implementation}; the owner must run: ${result.ownerCommand}`);
+        } else {
+            console.log(`${result.target}: already on ${result.implementation}`);
+        }
+        if (result.created?.length) {
+            console.log(`${result.target}: created share tokens for ${result.created.join(', ')}`);
+        }
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Upgrade failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    upgrade
+};
@@ -1,87 +1,102 @@
 const { ethers } = require('ethers');
-const admin = require('firebase-admin');
+const { parseArgs } = require('util');
 const OperatorService = require('./operator-service');
+const { loadArtifact } = require('./lib/contracts');
+const { connect } = require('./lib/networks');
 require('dotenv').config();
 
-async function withdrawWinnings(userAddress, tokenAddress, amount) {
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a signed voucher can no longer pay out: its nonce is still unused and
+ * either it never left this process or its deadline has passed. Once a redeem
+ * is broadcast the voucher is public and anyone can still submit it, so this
+ * waits out the deadline unless the nonce moves first.
+ */
+async function voucherUnused(pool, voucher, broadcast, pollIntervalMs) {
+    const redeemed = async () => (await pool.nonces(voucher.user)) !== voucher.nonce;
+    if (broadcast) {
+        while (BigInt((await pool.runner.provider.getBlock('latest')).timestamp) <= voucher.deadline) {
+            if (await redeemed()) return false;
+            await sleep(pollIntervalMs);
+        }
+    }
+    return !(await redeemed());
+}
+
+/**
+ * Redeem `amount` (whole token units) of the user's off-chain balance on-chain.
+ * The voucher is signed first, binding it to the balance nonce before the
+ * debit, so a push of the debited balance and the redeem never both take the
+ * amount off the on-chain balance. The balance is credited back only once the
+ * voucher is known to be unused; a failure after the redeem may have been sent
+ * (e.g. a wait() timeout) leaves it debited until the voucher expires.
+ * `options` can supply the operatorService, balanceStore, userWallet,
+ * routerAddress and pollIntervalMs; otherwise they are built for `options.network`.
+ */
+async function withdrawWinnings(userAddress, tokenAddress, amount, options = {}) {
     try {
-        // Initialize services
-        const operatorService = new OperatorService(
-            process.env.OPERATOR_PRIVATE_KEY,
-            process.env.FACTORY_ADDRESS,
-            process.env.PROVIDER_URL
+        // Initialize services on options.network unless they are passed in
+        const needsNetwork = !options.operatorService || !options.userWallet || !options.routerAddress;
+        const network = needsNetwork ? await connect(options.network) : null;
+        const operatorService = options.operatorService || new OperatorService(
+            network.privateKey('syncer'),
+            network.deployment.contracts.CasinoFactory,
+            null,
+            { provider: network.provider }
         );
 
-        // Get user's Firebase balance
-        const balanceDoc = await admin.firestore()
-            .collection('balances')
-            .doc(userAddress)
-            .get();
-
-        if (!balanceDoc.exists) {
-            throw new Error('No balance found for user');
-        }
-
-        const userData = balanceDoc.data();
-        if (userData.balance < amount) {
-            throw new Error('Insufficient balance');
+        const tokenPool = await operatorService.resolveTokenPool(tokenAddress);
+        if (!tokenPool) {
+            throw new Error('Pool not found for token');
         }
+        const withdrawAmount = ethers.parseUnits(amount.toString(), tokenPool.decimals);
 
-        // Get withdrawal signature from operator
-        const signature = await operatorService.signWithdrawal(
+        // Get a signed withdrawal voucher from the operator
+        const { voucher, signature } = await operatorService.signWithdrawal(
+            tokenAddress,
             userAddress,
-            ethers.utils.parseUnits(amount.toString(), 18)
+            withdrawAmount
         );
 
-        // Setup contract interaction
-        const provider = new ethers.providers.JsonRpcProvider(process.env.PROVIDER_URL);
-        const userWallet = new ethers.Wallet(process.env.USER_PRIVATE_KEY, provider);
-
-        // Get pool address from factory
-        const factory = new ethers.Contract(
-            process.env.FACTORY_ADDRESS,
-            ["function getPool(address token) view returns (bool exists, address pool)"],
-            provider
-        );
-        const [exists, poolAddress] = await factory.getPool(tokenAddress);
-        
-        if (!exists) {
-            throw new Error('Pool not found for token');
+        // Reserve the amount off-chain; rejects when the balance is too small
+        const balanceStore = options.balanceStore || operatorService.balanceStore;
+        await balanceStore.debit(userAddress, tokenAddress, withdrawAmount, tokenPool.decimals);
+
+        let userWallet, accountNonce, tx, receipt;
+        try {
+            // Setup contract interaction
+            userWallet = options.userWallet ||
+                network.wallet('user');
+            const router = new ethers.Contract(
+                options.routerAddress || network.deployment.contracts.CasinoRouter,
+                loadArtifact('CasinoRouter').abi,
+                userWallet
+            );
+
+            // Execute withdrawal
+            console.log('Executing withdrawal...');
+            accountNonce = await userWallet.getNonce('pending');
+            tx = await router.withdrawWithVoucher(tokenAddress, voucher, signature);
+
+            // Wait for transaction confirmation
+            receipt = await tx.wait();
+            console.log('Withdrawal successful:', receipt.hash);
+        } catch (error) {
+            // Give the reserved amount back only if nothing can leave the pool for it
+            const pool = await operatorService.getPoolContract(tokenPool.poolAddress);
+            // A redeem that reverted in gas estimation never used an account nonce
+            const broadcast = tx !== undefined ||
+                (accountNonce !== undefined && await userWallet.getNonce('pending') !== accountNonce);
+            if (await voucherUnused(pool, voucher, broadcast, options.pollIntervalMs ?? 5000)) {
+                await balanceStore.credit(userAddress, tokenAddress, withdrawAmount, tokenPool.decimals);
+            } else {
+                console.error(`Voucher ${voucher.nonce} for ${userAddress} was redeemed; balance left debited`);
+            }
+            throw error;
         }
 
-        // Get pool contract
-        const pool = new ethers.Contract(
-            poolAddress,
-            [
-                "function withdraw(uint256 amount, bytes memory signature) external",
-                "function firebaseBalances(address) view returns (uint256)"
-            ],
-            userWallet
-        );
-
-        // Execute withdrawal
-        console.log('Executing withdrawal...');
-        const tx = await pool.withdraw(
-            ethers.utils.parseUnits(amount.toString(), 18),
-            signature
-        );
-        
-        // Wait for transaction confirmation
-        const receipt = await tx.wait();
-        console.log('Withdrawal successful:', receipt.transactionHash);
-
-        // Update Firebase balance
-        const newBalance = userData.balance - amount;
-        await admin.firestore()
-            .collection('balances')
-            .doc(userAddress)
-            .update({
-                balance: newBalance,
-                lastUpdate: admin.firestore.FieldValue.serverTimestamp()
-            });
-
-        console.log('Firebase balance updated');
-        return receipt.transactionHash;
+        return receipt.hash;
 
     } catch (error) {
         console.error('Withdrawal failed:', error);
@@ -91,16 +106,21 @@ async function withdrawWinnings(userAddress, tokenAddress, amount) {
 
 // Example usage
 async function main() {
-    if (process.argv.length < 5) {
-        console.log('Usage: node withdraw.js <userAddress> <tokenAddress> <amount>');
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: { network: { type: 'string' } }
+    });
+    if (positionals.length < 3) {
+        console.log('Usage: node withdraw.js [--network name] <userAddress> <tokenAddress> <amount>');
         process.exit(1);
     }
 
-    const [,, userAddress, tokenAddress, amount] = process.argv;
+    const [userAddress, tokenAddress, amount] = positionals;
 
     try {
-        const txHash = await withdrawWinnings(userAddress, tokenAddress, parseFloat(amount));
+        const txHash = await withdrawWinnings(userAddress, tokenAddress, amount, { network: values.network });
         console.log(`Withdrawal successful! Transaction hash: ${txHash}`);
+        process.exit(0);
     } catch (error) {
         console.error('Error:', error.message);
         process.exit(1);
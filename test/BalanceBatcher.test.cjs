@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BalanceBatcher = require("../scripts/lib/balance-batcher");
+const TxQueue = require("../scripts/lib/tx-queue");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Balance Batcher", function () {
+    let token, factory, pool;
+    let owner, platformWallet, operator, player, player2, player3;
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, player2, player3] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        await factory.createPool(await token.getAddress());
+        const [, poolAddress] = await factory.getPool(await token.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress, operator);
+        // Tokens held beyond the ledgers back the balances pushed below
+        await token.mint(poolAddress, ethers.parseEther("1000"));
+    });
+
+    it("Should flush buffered balances in a single transaction", async function () {
+        const batcher = new BalanceBatcher(pool, { maxBatchSize: 10, flushIntervalMs: 60000 });
+
+        batcher.add(player.address, ethers.parseEther("10"));
+        batcher.add(player2.address, ethers.parseEther("20"));
+        // Only the latest balance per user is sent
+        batcher.add(player.address, ethers.parseEther("15"));
+
+        const blockBefore = await ethers.provider.getBlockNumber();
+        await batcher.flush();
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+
+        expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("15"));
+        expect(await pool.firebaseBalances(player2.address)).to.equal(ethers.parseEther("20"));
+        expect(await pool.balanceNonces(player.address)).to.equal(1);
+        expect(await pool.balanceNonces(player2.address)).to.equal(1);
+    });
+
+    it("Should flush automatically once the size threshold is reached", async function () {
+        const batcher = new BalanceBatcher(pool, { maxBatchSize: 2, flushIntervalMs: 60000 });
+
+        batcher.add(player.address, ethers.parseEther("1"));
+        expect(batcher.pending.size).to.equal(1);
+
+        await batcher.add(player2.address, ethers.parseEther("2"));
+        expect(batcher.pending.size).to.equal(0);
+        expect(await pool.firebaseBalances(player2.address)).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should split and retry a batch rejected with InvalidNonce", async function () {
+        const batcher = new BalanceBatcher(pool, { maxBatchSize: 10, flushIntervalMs: 60000 });
+
+        // player2's nonce moves on-chain after the batcher has read it
+        await pool.updateFirebaseBalance(player2.address, ethers.parseEther("1"), 1);
+        const readNonce = batcher.getNextNonce.bind(batcher);
+        let stale = true;
+        batcher.getNextNonce = async (user) => {
+            if (user === player2.address && stale) {
+                stale = false;
+                return 1n;
+            }
+            return readNonce(user);
+        };
+
+        batcher.add(player.address, ethers.parseEther("10"));
+        batcher.add(player2.address, ethers.parseEther("20"));
+        batcher.add(player3.address, ethers.parseEther("30"));
+        await batcher.flush();
+
+        expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("10"));
+        expect(await pool.firebaseBalances(player2.address)).to.equal(ethers.parseEther("20"));
+        expect(await pool.firebaseBalances(player3.address)).to.equal(ethers.parseEther("30"));
+        expect(await pool.balanceNonces(player2.address)).to.equal(2);
+    });
+
+    it("Should surface errors other than InvalidNonce", async function () {
+        const outsider = await ethers.getContractAt("TokenPool", await pool.getAddress(), player);
+        const batcher = new BalanceBatcher(outsider, { maxBatchSize: 10, flushIntervalMs: 60000 });
+
+        batcher.add(player.address, ethers.parseEther("10"));
+        await expect(batcher.flush()).to.be.revertedWithCustomError(pool, "NotAuthorized");
+        expect(await pool.balanceNonces(player.address)).to.equal(0);
+    });
+
+    it("Should send batches through the transaction queue", async function () {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("10") });
+        await factory.setOperator(wallet.address, true, "queue-operator");
+
+        const journalPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tx-queue-")), "journal.json");
+        const txQueue = new TxQueue(wallet, { journalPath, pollIntervalMs: 50 });
+        await txQueue.start();
+
+        try {
+            const queuedPool = pool.connect(wallet);
+            const batcher = new BalanceBatcher(queuedPool, { maxBatchSize: 10, flushIntervalMs: 60000, txQueue });
+
+            // A stale nonce is rejected at estimation time and retried with a fresh one
+            await pool.updateFirebaseBalance(player2.address, ethers.parseEther("1"), 1);
+            const readNonce = batcher.getNextNonce.bind(batcher);
+            let stale = true;
+            batcher.getNextNonce = async (user) => {
+                if (user === player2.address && stale) {
+                    stale = false;
+                    return 1n;
+                }
+                return readNonce(user);
+            };
+
+            batcher.add(player.address, ethers.parseEther("10"));
+            batcher.add(player2.address, ethers.parseEther("20"));
+            await batcher.flush();
+
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("10"));
+            expect(await pool.firebaseBalances(player2.address)).to.equal(ethers.parseEther("20"));
+        } finally {
+            txQueue.stop();
+        }
+    });
+
+    it("Should rebuild a batch left unsent by a restart with fresh nonces", async function () {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("10") });
+        await factory.setOperator(wallet.address, true, "queue-operator");
+        const queuedPool = pool.connect(wallet);
+        const batcher = new BalanceBatcher(queuedPool, { maxBatchSize: 10, flushIntervalMs: 60000 });
+
+        // Journaled with nonce 1 before the crash, which a later update then used
+        const journalPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tx-queue-")), "journal.json");
+        const balance = ethers.parseEther("10");
+        fs.writeFileSync(journalPath, JSON.stringify({
+            entries: [{
+                id: "unsent",
+                label: "batchUpdateFirebaseBalances(1)",
+                to: await pool.getAddress(),
+                data: pool.interface.encodeFunctionData("batchUpdateFirebaseBalances", [
+                    [{ user: player.address, balance, nonce: 1n }]
+                ]),
+                value: "0",
+                kind: "balance-sync",
+                params: { balances: [[player.address, balance.toString()]] },
+                status: "queued",
+                nonce: null,
+                hashes: [],
+                createdAt: Date.now()
+            }]
+        }));
+        await pool.updateFirebaseBalance(player.address, ethers.parseEther("1"), 1);
+
+        const txQueue = new TxQueue(wallet, {
+            journalPath,
+            pollIntervalMs: 50,
+            rebuilders: { "balance-sync": entry => batcher.rebuild(entry) }
+        });
+        await txQueue.start();
+
+        try {
+            await txQueue.chain;
+            await txQueue.schedule(() => txQueue.checkPending());
+
+            expect(await pool.firebaseBalances(player.address)).to.equal(balance);
+            expect(await pool.balanceNonces(player.address)).to.equal(2);
+            expect(txQueue.entries).to.have.length(0);
+            expect(txQueue.readFailed()).to.have.length(0);
+        } finally {
+            txQueue.stop();
+        }
+    });
+});
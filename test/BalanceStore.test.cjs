@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { useFirestore } = require("./helpers/firestore.cjs");
+const { MemoryBalanceStore, createBalanceStore } = require("../scripts/lib/balance-stores");
+const FirestoreBalanceStore = require("../scripts/lib/balance-stores/firestore");
+const SqliteBalanceStore = require("../scripts/lib/balance-stores/sqlite");
+
+const USER = ethers.Wallet.createRandom().address;
+const TOKEN = ethers.Wallet.createRandom().address;
+
+function nextChange(store, matches = () => true) {
+    return new Promise(resolve => {
+        const unsubscribe = store.watch(change => {
+            if (!matches(change)) return;
+            unsubscribe();
+            resolve(change);
+        });
+    });
+}
+
+/**
+ * The same behaviour is expected from every backend
+ */
+function behavesLikeABalanceStore(createStore) {
+    let store;
+
+    beforeEach(async function () {
+        store = await createStore();
+    });
+
+    afterEach(async function () {
+        await store.close();
+    });
+
+    it("Should get and set balances keyed by checksummed address", async function () {
+        expect(await store.get(USER, TOKEN)).to.equal(null);
+
+        await store.set(USER.toLowerCase(), TOKEN.toLowerCase(), "12.5");
+        expect(await store.get(USER, TOKEN)).to.equal("12.5");
+        expect(await store.get(TOKEN, USER)).to.equal(null);
+    });
+
+    it("Should debit and credit in base units", async function () {
+        await store.set(USER, TOKEN, "100");
+
+        expect(await store.debit(USER, TOKEN, ethers.parseEther("30.5"), 18)).to.equal("69.5");
+        expect(await store.credit(USER, TOKEN, ethers.parseEther("0.5"), 18)).to.equal("70.0");
+        expect(await store.get(USER, TOKEN)).to.equal("70.0");
+
+        // Crediting a user with no balance starts from zero
+        const other = ethers.Wallet.createRandom().address;
+        expect(await store.credit(other, TOKEN, 1500000n, 6)).to.equal("1.5");
+    });
+
+    it("Should reject a debit without writing", async function () {
+        await expect(store.debit(USER, TOKEN, 1n, 18)).to.be.rejectedWith("No balance found for user");
+        expect(await store.get(USER, TOKEN)).to.equal(null);
+
+        await store.set(USER, TOKEN, "10");
+        await expect(store.debit(USER, TOKEN, ethers.parseEther("10.1"), 18)).to.be.rejectedWith("Insufficient balance");
+        expect(await store.get(USER, TOKEN)).to.equal("10");
+    });
+
+    it("Should never overdraw under concurrent debits", async function () {
+        await store.set(USER, TOKEN, "5");
+
+        const results = await Promise.allSettled(
+            Array.from({ length: 8 }, () => store.debit(USER, TOKEN, ethers.parseEther("1"), 18))
+        );
+        expect(results.filter(result => result.status === "fulfilled")).to.have.length(5);
+        expect(await store.get(USER, TOKEN)).to.equal("0.0");
+    });
+
+    it("Should report balances stored before the watch started", async function () {
+        await store.set(USER, TOKEN, "3");
+        expect(await nextChange(store)).to.deep.equal({ user: USER, token: TOKEN, balance: "3" });
+    });
+
+    it("Should report writes made after the watch started", async function () {
+        await store.set(USER, TOKEN, "1");
+
+        const change = nextChange(store, change => change.balance !== "1");
+        await store.debit(USER, TOKEN, ethers.parseEther("0.25"), 18);
+        expect(await change).to.deep.equal({ user: USER, token: TOKEN, balance: "0.75" });
+    });
+}
+
+describe("Balance Stores", function () {
+    describe("Memory", function () {
+        behavesLikeABalanceStore(() => new MemoryBalanceStore());
+    });
+
+    describe("SQLite", function () {
+        behavesLikeABalanceStore(() => new SqliteBalanceStore(":memory:", { pollIntervalMs: 10 }));
+    });
+
+    describe("Firestore", function () {
+        const firestore = useFirestore();
+        behavesLikeABalanceStore(() => new FirestoreBalanceStore(firestore.db));
+    });
+
+    it("Should pick the backend from BALANCE_STORE", async function () {
+        const previous = process.env.BALANCE_STORE;
+        try {
+            process.env.BALANCE_STORE = "memory";
+            expect(createBalanceStore()).to.be.instanceOf(MemoryBalanceStore);
+
+            const store = createBalanceStore({ backend: "sqlite", path: ":memory:" });
+            expect(store).to.be.instanceOf(SqliteBalanceStore);
+            await store.close();
+
+            process.env.BALANCE_STORE = "postgres";
+            expect(() => createBalanceStore()).to.throw('Unknown balance store "postgres"');
+        } finally {
+            if (previous === undefined) delete process.env.BALANCE_STORE;
+            else process.env.BALANCE_STORE = previous;
+        }
+    });
+});
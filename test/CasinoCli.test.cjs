@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { runCommand, toJson, toText } = require("../scripts/casino");
+const { ROLES } = require("../scripts/lib/roles");
+const { GAMES, createSeedChain, computeRound } = require("../scripts/lib/fair-play");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Casino Admin CLI", function () {
+    let token, factory, pool, tokenAddress, factoryAddress;
+    let owner, platformWallet, operator, player, stranger;
+
+    function casino(runner, ...argv) {
+        return runCommand(argv, { runner, factoryAddress });
+    }
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, stranger] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+        tokenAddress = await token.getAddress();
+
+        factory = await deployFactory(platformWallet.address);
+        factoryAddress = await factory.getAddress();
+    });
+
+    describe("Admin commands", function () {
+        it("Should create a pool and manage operators", async function () {
+            const result = await casino(owner, "create-pool", tokenAddress);
+            expect(result.ok).to.be.true;
+            expect(result.calls[0].events.map(event => event.name)).to.include("PoolCreated");
+
+            const [exists] = await factory.getPool(tokenAddress);
+            expect(exists).to.be.true;
+
+            await casino(owner, "set-operator", operator.address, "game", "server");
+            expect(await factory.operatorNames(operator.address)).to.equal("game server");
+
+            await casino(owner, "remove-operator", operator.address);
+            expect(await factory.operators(operator.address)).to.be.false;
+        });
+
+        it("Should grant, list and revoke roles", async function () {
+            await casino(owner, "grant-role", "game-settler", operator.address, "game", "server");
+            await casino(owner, "grant-role", "fee-manager", stranger.address, "treasury", "--execution-delay", "3600");
+            expect(await factory.hasRole(ROLES["game-settler"], operator.address)).to.be.true;
+            expect(await factory.hasRole(ROLES["balance-syncer"], operator.address)).to.be.false;
+
+            expect(await casino(ethers.provider, "roles")).to.deep.equal([
+                { role: "game-settler", account: operator.address, active: true, name: "game server", executionDelay: 0 },
+                { role: "fee-manager", account: stranger.address, active: true, name: "treasury", executionDelay: 3600 }
+            ]);
+
+            await casino(owner, "revoke-role", "game-settler", operator.address);
+            expect(await casino(ethers.provider, "roles")).to.have.length(1);
+            expect(await casino(ethers.provider, "roles", "--all")).to.have.length(2);
+
+            await expect(casino(owner, "grant-role", "admin", operator.address, "x")).to.be.rejectedWith('Unknown role "admin"');
+        });
+
+        it("Should pay the pool creation fee when one is set", async function () {
+            await casino(owner, "set-pool-creation-fee", "0.5");
+            expect(await factory.poolCreationFee()).to.equal(ethers.parseEther("0.5"));
+
+            const balanceBefore = await ethers.provider.getBalance(platformWallet.address);
+            await casino(owner, "create-pool", tokenAddress);
+            expect(await ethers.provider.getBalance(platformWallet.address))
+                .to.equal(balanceBefore + ethers.parseEther("0.5"));
+        });
+
+        it("Should update wallets, router and fees", async function () {
+            await casino(owner, "create-pool", tokenAddress);
+            await casino(owner, "set-platform-wallet", stranger.address);
+            await casino(owner, "set-router", player.address);
+            await casino(owner, "set-fee-recipients", `${platformWallet.address}:6000,${stranger.address}:4000`);
+            await casino(owner, "set-fees", tokenAddress, "--platform-fee", "300", "--game-lp-fee", "150", "--game-platform-fee", "50");
+
+            const status = await casino(owner, "status");
+            expect(status.platformWallet).to.equal(stranger.address);
+            expect(status.router).to.equal(player.address);
+            expect(status.feeRecipients).to.deep.equal([
+                { wallet: platformWallet.address, bps: 6000 },
+                { wallet: stranger.address, bps: 4000 }
+            ]);
+
+            const [poolRow] = await casino(owner, "pools");
+            expect(poolRow).to.include({ platformFee: 300, gameLpFee: 150, gamePlatformFee: 50 });
+        });
+
+        it("Should set exposure limits, keeping the ones not passed", async function () {
+            await casino(owner, "create-pool", tokenAddress);
+            await casino(owner, "set-exposure-limits", tokenAddress, "--max-bet", "100", "--max-net-loss", "500", "--loss-window", "86400");
+            await casino(owner, "set-exposure-limits", tokenAddress, "--max-payout", "250");
+
+            const [poolRow] = await casino(owner, "pools");
+            expect(poolRow).to.include({ maxBetBps: 100, maxPayoutBps: 250, maxNetLossBps: 500, lossWindow: 86400 });
+
+            const invalid = await casino(owner, "set-exposure-limits", tokenAddress, "--max-net-loss", "500", "--loss-window", "0", "--dry-run");
+            expect(invalid.calls[0].error).to.equal("InvalidExposureLimit()");
+        });
+
+        it("Should pause and drain a pool in an emergency", async function () {
+            await casino(owner, "create-pool", tokenAddress);
+            const [, poolAddress] = await factory.getPool(tokenAddress);
+            pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+            await token.mint(player.address, ethers.parseEther("10"));
+            await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+            await pool.connect(player).deposit(ethers.parseEther("10"));
+
+            // Emergency withdrawals are only allowed while paused
+            const early = await casino(owner, "emergency-withdraw", tokenAddress, "--dry-run");
+            expect(early.ok).to.be.false;
+            expect(early.calls[0].error).to.equal("ExpectedPause()");
+
+            await casino(owner, "pause");
+            expect(await pool.paused()).to.be.true;
+
+            await casino(owner, "emergency-withdraw", tokenAddress);
+            expect(await token.balanceOf(platformWallet.address)).to.equal(ethers.parseEther("10"));
+
+            await casino(owner, "unpause");
+            expect(await pool.paused()).to.be.false;
+        });
+    });
+
+    describe("Ownership", function () {
+        it("Should transfer ownership in two steps", async function () {
+            await casino(owner, "transfer-ownership", stranger.address);
+            const status = await casino(ethers.provider, "status");
+            expect(status).to.include({ owner: owner.address, pendingOwner: stranger.address });
+
+            const early = await casino(player, "accept-ownership", "--dry-run");
+            expect(early.calls[0].error).to.equal(`OwnableUnauthorizedAccount(${player.address})`);
+
+            await casino(stranger, "accept-ownership");
+            expect(await factory.owner()).to.equal(stranger.address);
+        });
+    });
+
+    describe("Dry runs", function () {
+        it("Should simulate without sending", async function () {
+            const blockBefore = await ethers.provider.getBlockNumber();
+            const result = await casino(owner, "set-operator", operator.address, "ops", "--dry-run");
+
+            expect(result.dryRun).to.be.true;
+            expect(result.ok).to.be.true;
+            expect(result.calls[0]).to.include({ method: "setOperator", to: factoryAddress, from: owner.address });
+            expect(result.calls[0].gasEstimate > 0n).to.be.true;
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+            expect(await factory.operators(operator.address)).to.be.false;
+        });
+
+        it("Should report reverts for the simulated sender", async function () {
+            const result = await casino(ethers.provider, "pause", "--dry-run", "--from", stranger.address);
+            expect(result.ok).to.be.false;
+            expect(result.calls[0].error).to.equal(`AccessManagedUnauthorized(${stranger.address})`);
+        });
+
+        it("Should refuse to send without a signer", async function () {
+            await expect(casino(ethers.provider, "pause")).to.be.rejectedWith("owner key");
+            await expect(casino(ethers.provider, "pause", "--dry-run")).to.be.rejectedWith("--from");
+        });
+    });
+
+    describe("Read commands", function () {
+        beforeEach(async function () {
+            await factory.createPool(tokenAddress);
+            const [, poolAddress] = await factory.getPool(tokenAddress);
+            pool = await ethers.getContractAt("TokenPool", poolAddress);
+        });
+
+        it("Should list pools with balances", async function () {
+            await token.mint(player.address, ethers.parseEther("40"));
+            await token.connect(player).approve(await pool.getAddress(), ethers.MaxUint256);
+            await pool.connect(player).deposit(ethers.parseEther("40"));
+
+            const rows = await casino(ethers.provider, "pools");
+            expect(rows).to.have.length(1);
+            expect(rows[0]).to.include({
+                token: tokenAddress,
+                pool: await pool.getAddress(),
+                shareToken: await pool.shareToken(),
+                paused: false,
+                tokenBalance: "40.0",
+                totalDeposits: "40.0",
+                lpCapital: "0.0"
+            });
+        });
+
+        it("Should list operators with their names", async function () {
+            await factory.setOperator(operator.address, true, "game-server");
+            await factory.setOperator(stranger.address, true, "retired");
+            await factory.setOperator(stranger.address, false, "");
+
+            expect(await casino(ethers.provider, "operators")).to.deep.equal([
+                { operator: operator.address, active: true, name: "game-server" }
+            ]);
+            expect(await casino(ethers.provider, "operators", "--all")).to.have.length(2);
+        });
+
+        it("Should show a user's balances and nonces", async function () {
+            await factory.setOperator(operator.address, true, "game-server");
+            await token.mint(await pool.getAddress(), ethers.parseEther("12.5"));
+            await pool.connect(operator).updateFirebaseBalance(player.address, ethers.parseEther("12.5"), 1);
+
+            const user = await casino(ethers.provider, "user", tokenAddress, player.address);
+            expect(user).to.include({
+                user: player.address,
+                firebaseBalance: "12.5",
+                balanceNonce: 1,
+                voucherNonce: 0
+            });
+        });
+
+        it("Should verify a provably fair round", async function () {
+            await factory.setOperator(operator.address, true, "game-server");
+            await token.mint(player.address, ethers.parseEther("10"));
+            await token.connect(player).approve(await pool.getAddress(), ethers.MaxUint256);
+            await pool.connect(player).addLiquidity(ethers.parseEther("5"));
+            await pool.connect(player).deposit(ethers.parseEther("5"));
+
+            const sessionId = ethers.id("sessions/1");
+            const clientSeed = ethers.id("client");
+            const { commitment, seeds } = createSeedChain(1);
+            await pool.connect(operator).commitServerSeed(sessionId, player.address, commitment);
+            await pool.connect(player).setClientSeed(sessionId, clientSeed);
+            const betAmount = ethers.parseEther("1");
+            await pool.connect(player).placeFairBet(sessionId, GAMES["coin-flip"], 1, betAmount);
+            const { winAmount } = computeRound({ serverSeed: seeds[0], clientSeed, nonce: 0, game: "coin-flip", choice: 1, betAmount });
+            await pool.connect(operator).processFairGameResult({
+                gameId: ethers.id("games/flip-1"), sessionId, serverSeed: seeds[0], game: GAMES["coin-flip"], choice: 1, betAmount, winAmount
+            });
+
+            // The document path works as well as the bytes32 ID
+            const result = await casino(ethers.provider, "verify-round", tokenAddress, "games/flip-1");
+            expect(result).to.include({ ok: true, valid: true, game: "coin-flip", betAmount: "1.0" });
+            expect(result.outcome.winAmount).to.equal(ethers.formatEther(winAmount));
+            await expect(casino(ethers.provider, "verify-round", tokenAddress, "games/none")).to.be.rejectedWith("No provably fair round");
+        });
+
+        it("Should format results as JSON or text", async function () {
+            const status = await casino(ethers.provider, "status");
+            expect(JSON.parse(toJson(status)).pools).to.equal(1);
+            expect(toText(status)).to.include(`platformWallet: ${platformWallet.address}`);
+            expect(toText({ calls: [{ gasUsed: 21000n }] })).to.equal("calls:\n  -\n    gasUsed: 21000");
+        });
+    });
+});
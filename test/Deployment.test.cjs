@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy, readParameters } = require("../scripts/deploy");
+const { readDeployment, getDeployedAddress, deploymentPath } = require("../scripts/lib/deployments");
+const { ROLES } = require("../scripts/lib/roles");
+
+const { ethers } = hre;
+
+describe("Ignition Deployment", function () {
+    let owner, platformWallet, operator, player, feeWallet;
+    let registryDir;
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, feeWallet] = await ethers.getSigners();
+        registryDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    it("Should deploy and wire the factory, router, operators, roles and test pool", async function () {
+        const deployment = await deploy(hre, {
+            registryDir,
+            parameters: {
+                Casino: {
+                    operators: [{ address: operator.address, name: "operator" }],
+                    roles: [{ role: "game-settler", address: feeWallet.address, name: "game-server" }],
+                    testToken: { mint: { [player.address]: "1000" } }
+                }
+            }
+        });
+
+        const factory = await ethers.getContractAt("CasinoFactory", deployment.contracts.CasinoFactory);
+        const router = await ethers.getContractAt("CasinoRouter", deployment.contracts.CasinoRouter);
+        const testToken = await ethers.getContractAt("TestToken", deployment.contracts.TestToken);
+
+        expect(await factory.owner()).to.equal(owner.address);
+        expect(await factory.platformWallet()).to.equal(owner.address);
+        expect(await factory.router()).to.equal(await router.getAddress());
+        expect(await router.factory()).to.equal(await factory.getAddress());
+        expect(await factory.operatorNames(operator.address)).to.equal("operator");
+        expect(await factory.getRoleMemberName(ROLES["game-settler"], feeWallet.address)).to.equal("game-server");
+        expect(await factory.hasRole(ROLES["balance-syncer"], feeWallet.address)).to.be.false;
+        expect(await factory.authority()).to.equal(deployment.contracts.AccessManager);
+        expect(await testToken.balanceOf(player.address)).to.equal(ethers.parseEther("1000"));
+
+        const [, poolAddress] = await factory.getPool(deployment.contracts.TestToken);
+        expect(deployment.pools).to.deep.equal({ [deployment.contracts.TestToken]: poolAddress });
+        expect(deployment).to.include({ version: 1, network: "hardhat", chainId: 31337 });
+
+        // Pools come with an LP share token from the share token beacon
+        expect(deployment.contracts.ShareTokenBeacon).to.equal(await factory.shareTokenBeacon());
+        const pool = await ethers.getContractAt("TokenPool", poolAddress);
+        const shareToken = await ethers.getContractAt("LPShareToken", await pool.shareToken());
+        expect(await shareToken.pool()).to.equal(poolAddress);
+    });
+
+    it("Should apply module parameters and create pools for listed tokens", async function () {
+        const TestToken = await ethers.getContractFactory("TestToken");
+        const token = await TestToken.deploy();
+        const tokenAddress = await token.getAddress();
+
+        const deployment = await deploy(hre, {
+            registryDir,
+            parameters: {
+                CasinoFactory: {
+                    platformWallet: platformWallet.address,
+                    feeWallets: [platformWallet.address, feeWallet.address],
+                    feeBps: [7000, 3000]
+                },
+                Casino: { tokens: [tokenAddress] }
+            }
+        });
+
+        const factory = await ethers.getContractAt("CasinoFactory", deployment.contracts.CasinoFactory);
+        expect(await factory.platformWallet()).to.equal(platformWallet.address);
+        const [wallets, bps] = await factory.getFeeRecipients();
+        expect(wallets).to.deep.equal([platformWallet.address, feeWallet.address]);
+        expect(bps).to.deep.equal([7000n, 3000n]);
+
+        expect(Object.keys(deployment.pools)).to.deep.equal([tokenAddress]);
+        expect(deployment.contracts.TestToken).to.be.undefined;
+    });
+
+    it("Should hand the factory to the configured owner", async function () {
+        const deployment = await deploy(hre, {
+            registryDir,
+            parameters: { Casino: { owner: feeWallet.address, tokens: [] } }
+        });
+
+        // The deployer finishes setup, then the new owner accepts from its own account
+        const factory = await ethers.getContractAt("CasinoFactory", deployment.contracts.CasinoFactory);
+        expect(await factory.owner()).to.equal(feeWallet.address);
+        expect(await factory.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should leave the transfer pending when the new owner's key is not available", async function () {
+        const multisig = ethers.Wallet.createRandom().address;
+        const deployment = await deploy(hre, { registryDir, parameters: { Casino: { owner: multisig } } });
+
+        const factory = await ethers.getContractAt("CasinoFactory", deployment.contracts.CasinoFactory);
+        expect(await factory.owner()).to.equal(owner.address);
+        expect(await factory.pendingOwner()).to.equal(multisig);
+    });
+
+    describe("Registry", function () {
+        it("Should read back what the deployment wrote", async function () {
+            const deployment = await deploy(hre, { registryDir, parameters: {} });
+
+            expect(readDeployment("hardhat", registryDir)).to.deep.equal(deployment);
+            expect(getDeployedAddress("CasinoRouter", "hardhat", registryDir))
+                .to.equal(deployment.contracts.CasinoRouter);
+            expect(() => getDeployedAddress("TestToken", "hardhat", registryDir))
+                .to.throw('TestToken is not in the "hardhat" deployment registry');
+        });
+
+        it("Should reject missing or unknown registries", async function () {
+            expect(() => readDeployment("sepolia", registryDir)).to.throw('No deployment registry for "sepolia"');
+
+            fs.writeFileSync(deploymentPath("sepolia", registryDir), JSON.stringify({ version: 2 }));
+            expect(() => readDeployment("sepolia", registryDir)).to.throw("Unsupported registry version 2");
+        });
+
+        it("Should refuse to deploy onto a chain other than the registry's", async function () {
+            fs.writeFileSync(deploymentPath("hardhat", registryDir), JSON.stringify({ version: 1, chainId: 25 }));
+            await expect(deploy(hre, { registryDir, parameters: {} }))
+                .to.be.rejectedWith("Chain id mismatch: provider is on chain 31337 but deployments/hardhat.json expects 25");
+        });
+
+        it("Should ship parameters for the local node", function () {
+            const parameters = readParameters("localhost");
+            expect(parameters.Casino.operators).to.have.length(1);
+            expect(readParameters("unknown-network")).to.deep.equal({});
+        });
+    });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const EventIndexer = require("../scripts/indexer");
+const EventStore = require("../scripts/lib/event-store");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Event Indexer", function () {
+    let token, token2, factory, router, pool;
+    let owner, platformWallet, operator, player, liquidityProvider;
+    let store, indexer;
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, liquidityProvider] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+        token2 = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        const CasinoRouter = await ethers.getContractFactory("CasinoRouter");
+        router = await CasinoRouter.deploy(await factory.getAddress());
+        await factory.setRouter(await router.getAddress());
+
+        await factory.createPool(await token.getAddress());
+        const [, poolAddress] = await factory.getPool(await token.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+        await token.mint(player.address, ethers.parseEther("1000"));
+        await token.mint(liquidityProvider.address, ethers.parseEther("1000"));
+        await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+        await token.connect(liquidityProvider).approve(poolAddress, ethers.MaxUint256);
+
+        const startBlock = (await factory.deploymentTransaction().wait()).blockNumber;
+        store = new EventStore(":memory:");
+        indexer = new EventIndexer(ethers.provider, await factory.getAddress(), store, { startBlock, blockRange: 5 });
+    });
+
+    afterEach(function () {
+        store.close();
+    });
+
+    it("Should backfill pools and pool events", async function () {
+        await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("500"));
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+        await pool.connect(operator).processGameResult(ethers.id("game-1"), player.address, ethers.parseEther("10"), 0);
+        await pool.connect(operator).updateFirebaseBalance(player.address, ethers.parseEther("90"), 10);
+
+        const head = await indexer.sync();
+        expect(store.getCursor()).to.equal(head);
+
+        const pools = store.getPools();
+        expect(pools).to.have.length(1);
+        expect(pools[0].pool).to.equal(await pool.getAddress());
+
+        const deposits = store.getEvents({ event: "Deposit", account: player.address });
+        expect(deposits).to.have.length(1);
+        expect(deposits[0].amount).to.equal(ethers.parseEther("100").toString());
+        expect(deposits[0].token).to.equal(await token.getAddress());
+
+        const games = store.getEvents({ event: "GameResult" });
+        expect(games[0].bet_amount).to.equal(ethers.parseEther("10").toString());
+        expect(games[0].win_amount).to.equal("0");
+        expect(JSON.parse(games[0].args).gameId).to.equal(ethers.id("game-1"));
+
+        expect(store.getEvents({ event: "LiquidityAdded" })[0].shares).to.not.be.null;
+        const balances = store.getEvents({ event: "FirebaseBalanceUpdated", account: player.address });
+        expect(balances[balances.length - 1].balance).to.equal(ethers.parseEther("90").toString());
+    });
+
+    it("Should pick up pools created while tailing", async function () {
+        await indexer.sync();
+        expect(store.getPools()).to.have.length(1);
+
+        await factory.createPool(await token2.getAddress());
+        const [, pool2Address] = await factory.getPool(await token2.getAddress());
+        await token2.mint(player.address, ethers.parseEther("10"));
+        await token2.connect(player).approve(pool2Address, ethers.MaxUint256);
+        const pool2 = await ethers.getContractAt("TokenPool", pool2Address, player);
+        await pool2.deposit(ethers.parseEther("5"));
+
+        await indexer.sync();
+        expect(store.getPools()).to.have.length(2);
+        expect(store.getEvents({ event: "Deposit", token: await token2.getAddress() })).to.have.length(1);
+    });
+
+    it("Should not duplicate rows when a range is indexed twice", async function () {
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+        await indexer.sync();
+        const cursor = store.getCursor();
+
+        store.rollback(cursor - 1);
+        await indexer.sync();
+        expect(store.getEvents({ event: "Deposit" })).to.have.length(1);
+    });
+
+    it("Should roll back events from reorged blocks", async function () {
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+        const snapshot = await network.provider.send("evm_snapshot");
+
+        await pool.connect(player).deposit(ethers.parseEther("50"));
+        await indexer.sync();
+        expect(store.getEvents({ event: "Deposit" })).to.have.length(2);
+
+        // Replace the tip with a different chain of the same height or longer
+        await network.provider.send("evm_revert", [snapshot]);
+        await pool.connect(player).deposit(ethers.parseEther("20"));
+        await network.provider.send("evm_mine");
+
+        await indexer.sync();
+        const deposits = store.getEvents({ event: "Deposit" });
+        expect(deposits.map(d => d.amount)).to.deep.equal([
+            ethers.parseEther("100").toString(),
+            ethers.parseEther("20").toString()
+        ]);
+    });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Exposure Limits", function () {
+    let token, factory, router, pool, tokenAddress;
+    let owner, platformWallet, operator, player, liquidityProvider;
+    let gameCount = 0;
+
+    function settle(betAmount, winAmount = 0n) {
+        gameCount++;
+        return pool.connect(operator).processGameResult(ethers.id(`game-${gameCount}`), player.address, betAmount, winAmount);
+    }
+
+    async function capitalShare(bps) {
+        return ((await pool.lpCapital()) * bps) / 10000n;
+    }
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, liquidityProvider] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+        tokenAddress = await token.getAddress();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        const CasinoRouter = await ethers.getContractFactory("CasinoRouter");
+        router = await CasinoRouter.deploy(await factory.getAddress());
+
+        await factory.createPool(tokenAddress);
+        const [, poolAddress] = await factory.getPool(tokenAddress);
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+        await token.mint(player.address, ethers.parseEther("1000"));
+        await token.mint(liquidityProvider.address, ethers.parseEther("10000"));
+        await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+        await token.connect(liquidityProvider).approve(poolAddress, ethers.MaxUint256);
+        await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("10000"));
+        await pool.connect(player).deposit(ethers.parseEther("500"));
+    });
+
+    describe("Configuration", function () {
+        it("Should start without limits", async function () {
+            expect(await pool.getMaxBet()).to.equal(ethers.MaxUint256);
+            expect(await pool.getMaxPayout()).to.equal(ethers.MaxUint256);
+            await settle(ethers.parseEther("500"));
+        });
+
+        it("Should only take limits from the factory owner", async function () {
+            await expect(factory.setExposureLimits(tokenAddress, 100, 500, 1000, 3600))
+                .to.emit(pool, "ExposureLimitsUpdated")
+                .withArgs(100, 500, 1000, 3600);
+            expect(await pool.maxBetBps()).to.equal(100);
+            expect(await pool.lossWindow()).to.equal(3600);
+
+            await expect(factory.connect(operator).setExposureLimits(tokenAddress, 0, 0, 0, 0))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+            await expect(pool.connect(operator).setExposureLimits(0, 0, 0, 0))
+                .to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+            await expect(factory.setExposureLimits(ethers.ZeroAddress, 100, 0, 0, 0))
+                .to.be.revertedWithCustomError(factory, "PoolDoesNotExist");
+        });
+
+        it("Should reject limits above 100% and a net loss limit without a window", async function () {
+            await expect(factory.setExposureLimits(tokenAddress, 10001, 0, 0, 0))
+                .to.be.revertedWithCustomError(pool, "InvalidExposureLimit");
+            await expect(factory.setExposureLimits(tokenAddress, 0, 0, 500, 0))
+                .to.be.revertedWithCustomError(pool, "InvalidExposureLimit");
+        });
+    });
+
+    describe("Enforcement", function () {
+        it("Should cap bets at a fraction of LP capital", async function () {
+            await factory.setExposureLimits(tokenAddress, 100, 0, 0, 0);
+            const maxBet = await capitalShare(100n);
+            expect(await pool.getMaxBet()).to.equal(maxBet);
+            expect(await router.getMaxBet(tokenAddress)).to.equal(maxBet);
+
+            await expect(settle(maxBet + 1n))
+                .to.be.revertedWithCustomError(pool, "BetTooLarge")
+                .withArgs(maxBet + 1n, maxBet);
+            await settle(maxBet);
+        });
+
+        it("Should cap single payouts at a fraction of LP capital", async function () {
+            await factory.setExposureLimits(tokenAddress, 0, 200, 0, 0);
+            const maxPayout = await capitalShare(200n);
+            expect(await router.getMaxPayout(tokenAddress)).to.equal(maxPayout);
+
+            await expect(settle(ethers.parseEther("10"), maxPayout + 1n))
+                .to.be.revertedWithCustomError(pool, "PayoutTooLarge")
+                .withArgs(maxPayout + 1n, maxPayout);
+            await settle(ethers.parseEther("10"), maxPayout);
+        });
+
+        it("Should cap the net loss within each window", async function () {
+            await factory.setExposureLimits(tokenAddress, 0, 0, 300, 3600);
+            const maxNetLoss = await capitalShare(300n);
+            expect(await pool.getMaxPayout()).to.equal(maxNetLoss);
+
+            // A win costs LP capital the payout minus the stake it keeps
+            const win = ethers.parseEther("200");
+            const cost = win - ethers.parseEther("1");
+            await settle(ethers.parseEther("1"), win);
+            expect(await pool.lossWindowNetLoss()).to.equal(cost);
+            expect(await pool.getMaxPayout()).to.equal(maxNetLoss - cost);
+
+            await expect(settle(ethers.parseEther("1"), win))
+                .to.be.revertedWithCustomError(pool, "NetLossLimitExceeded")
+                .withArgs(cost * 2n, maxNetLoss);
+
+            // Bets the pool keeps make room for more payouts in the same window
+            await settle(ethers.parseEther("100"));
+            expect(await pool.lossWindowNetLoss()).to.be.lessThan(cost);
+
+            // A new window starts from scratch
+            await time.increase(3600);
+            await settle(ethers.parseEther("1"), win);
+            await settle(ethers.parseEther("1"), win / 4n);
+            expect(await pool.lossWindowNetLoss()).to.be.greaterThan(cost);
+        });
+
+        it("Should revert a batch holding a round over the limits", async function () {
+            await factory.setExposureLimits(tokenAddress, 100, 0, 0, 0);
+            const maxBet = await capitalShare(100n);
+            const round = (id, betAmount) => ({ gameId: ethers.id(id), user: player.address, betAmount, winAmount: 0 });
+
+            await expect(pool.connect(operator).processGameResults([round("ok", maxBet / 2n), round("big", maxBet * 2n)]))
+                .to.be.revertedWithCustomError(pool, "BetTooLarge");
+            expect(await pool.settledGames(ethers.id("ok"))).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    GAMES,
+    hashSeed,
+    createSeedChain,
+    roundRandomness,
+    computeOutcome,
+    computeRound,
+    verifyRound
+} = require("../scripts/lib/fair-play");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Provably Fair Games", function () {
+    let token, factory, pool;
+    let owner, platformWallet, operator, player, liquidityProvider, stranger;
+
+    const sessionId = ethers.id("sessions/player-1");
+    const clientSeed = ethers.id("player chosen seed");
+    // Fixed seeds keep the outcomes, and so the wins and losses below, the same on every run
+    const chain = createSeedChain(8, ethers.id("server terminal seed"));
+
+    function fairRound(nonce, game, choice, betAmount, overrides = {}) {
+        const serverSeed = chain.seeds[nonce];
+        const { winAmount } = computeRound({ serverSeed, clientSeed, nonce, game, choice, betAmount });
+        return {
+            gameId: ethers.id(`games/round-${nonce}`),
+            sessionId,
+            serverSeed,
+            game: GAMES[game],
+            choice,
+            betAmount,
+            winAmount,
+            ...overrides
+        };
+    }
+
+    async function openSession() {
+        await pool.connect(operator).commitServerSeed(sessionId, player.address, chain.commitment);
+        await pool.connect(player).setClientSeed(sessionId, clientSeed);
+    }
+
+    // The player picks each round's bet before its seed is revealed
+    async function placeBet(round) {
+        await pool.connect(player).placeFairBet(round.sessionId, round.game, round.choice, round.betAmount);
+    }
+
+    async function placeAndSettle(round) {
+        await placeBet(round);
+        return pool.connect(operator).processFairGameResult(round);
+    }
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, liquidityProvider, stranger] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        await factory.createPool(await token.getAddress());
+        const [, poolAddress] = await factory.getPool(await token.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+        await token.mint(player.address, ethers.parseEther("1000"));
+        await token.mint(liquidityProvider.address, ethers.parseEther("10000"));
+        await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+        await token.connect(liquidityProvider).approve(poolAddress, ethers.MaxUint256);
+        await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("10000"));
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+    });
+
+    describe("Seeds and outcomes", function () {
+        it("Should chain each server seed to the one revealed before it", async function () {
+            expect(chain.seeds).to.have.length(8);
+            expect(hashSeed(chain.seeds[0])).to.equal(chain.commitment);
+            for (let i = 1; i < chain.seeds.length; i++) {
+                expect(hashSeed(chain.seeds[i])).to.equal(chain.seeds[i - 1]);
+            }
+            // Only the last seed is secret; the rest follow from it
+            expect(createSeedChain(8, chain.seeds[7])).to.deep.equal(chain);
+        });
+
+        it("Should compute dice, coin flip and slots outcomes", function () {
+            const bet = 1000n;
+            expect(computeOutcome("dice", 5000, bet, 4999n)).to.deep.equal({ roll: 4999n, winAmount: 2000n });
+            expect(computeOutcome("dice", 5000, bet, 15000n)).to.deep.equal({ roll: 5000n, winAmount: 0n });
+            expect(computeOutcome("dice", 100, bet, 99n).winAmount).to.equal(100000n);
+            expect(computeOutcome("coin-flip", 1, bet, 7n)).to.deep.equal({ side: 1n, winAmount: 2000n });
+            expect(computeOutcome(GAMES["coin-flip"], 0, bet, 7n).winAmount).to.equal(0n);
+            // Reels read 3, 3, 3 in base 6
+            expect(computeOutcome("slots", 0, bet, 3n + 3n * 6n + 3n * 36n)).to.deep.equal({ reels: [3n, 3n, 3n], winAmount: 30000n });
+            expect(computeOutcome("slots", 0, bet, 3n).winAmount).to.equal(0n);
+
+            expect(() => computeOutcome("dice", 10000, bet, 0n)).to.throw("target");
+            expect(() => computeOutcome("coin-flip", 2, bet, 0n)).to.throw("side");
+            expect(() => computeOutcome("roulette", 0, bet, 0n)).to.throw("Unknown game");
+        });
+    });
+
+    describe("Sessions", function () {
+        it("Should commit a server seed and take the player's client seed once", async function () {
+            await expect(pool.connect(operator).commitServerSeed(sessionId, player.address, chain.commitment))
+                .to.emit(pool, "ServerSeedCommitted")
+                .withArgs(sessionId, player.address, chain.commitment);
+            await expect(pool.connect(operator).commitServerSeed(sessionId, stranger.address, chain.commitment))
+                .to.be.revertedWithCustomError(pool, "FairSessionExists");
+
+            await expect(pool.connect(stranger).setClientSeed(sessionId, clientSeed))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+            await expect(pool.connect(player).setClientSeed(sessionId, clientSeed))
+                .to.emit(pool, "ClientSeedSet")
+                .withArgs(sessionId, player.address, clientSeed);
+            await expect(pool.connect(player).setClientSeed(sessionId, ethers.id("another")))
+                .to.be.revertedWithCustomError(pool, "ClientSeedAlreadySet");
+
+            const session = await pool.fairSessions(sessionId);
+            expect(session.player).to.equal(player.address);
+            expect(session.clientSeed).to.equal(clientSeed);
+            expect(session.nonce).to.equal(0);
+        });
+
+        it("Should only open sessions for game settlers", async function () {
+            await expect(pool.connect(stranger).commitServerSeed(sessionId, player.address, chain.commitment))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+            await expect(pool.connect(operator).commitServerSeed(sessionId, ethers.ZeroAddress, chain.commitment))
+                .to.be.revertedWithCustomError(pool, "InvalidWalletAddress");
+            await expect(pool.connect(player).setClientSeed(sessionId, clientSeed))
+                .to.be.revertedWithCustomError(pool, "UnknownFairSession");
+        });
+    });
+
+    describe("Settlement", function () {
+        it("Should settle rounds whose seeds and payouts check out", async function () {
+            await openSession();
+            const bet = ethers.parseEther("1");
+            const rounds = [
+                fairRound(0, "dice", 5000, bet),
+                fairRound(1, "coin-flip", 1, bet),
+                fairRound(2, "slots", 0, bet),
+                fairRound(3, "coin-flip", 0, bet),
+                fairRound(4, "dice", 9000, bet)
+            ];
+            // The fixed seeds give both outcomes
+            expect(rounds.some(round => round.winAmount > 0n)).to.be.true;
+            expect(rounds.some(round => round.winAmount === 0n)).to.be.true;
+
+            let balance = await pool.firebaseBalances(player.address);
+            const feeBps = (await pool.gameLpFee()) + (await pool.gamePlatformFee());
+            for (const [nonce, round] of rounds.entries()) {
+                await placeBet(round);
+                await expect(pool.connect(operator).processFairGameResult(round))
+                    .to.emit(pool, "FairRoundRevealed")
+                    .withArgs(round.gameId, sessionId, round.serverSeed, nonce, round.game, round.choice)
+                    .and.to.emit(pool, "GameResult");
+                balance = balance - bet + round.winAmount - (round.winAmount * feeBps) / 10000n;
+            }
+
+            expect(await pool.firebaseBalances(player.address)).to.equal(balance);
+            const session = await pool.fairSessions(sessionId);
+            expect(session.nonce).to.equal(rounds.length);
+            expect(session.seedHash).to.equal(chain.seeds[rounds.length - 1]);
+        });
+
+        it("Should reject a seed off the chain, a replay and a wrong payout", async function () {
+            await openSession();
+            const bet = ethers.parseEther("1");
+
+            // Seeds must be revealed in order
+            await placeBet(fairRound(0, "dice", 5000, bet));
+            await expect(pool.connect(operator).processFairGameResult(fairRound(1, "dice", 5000, bet)))
+                .to.be.revertedWithCustomError(pool, "InvalidServerSeed")
+                .withArgs(sessionId);
+            await expect(pool.connect(operator).processFairGameResult(fairRound(0, "dice", 5000, bet, { serverSeed: ethers.id("made up") })))
+                .to.be.revertedWithCustomError(pool, "InvalidServerSeed");
+
+            // The reported result must be what the seeds pay
+            const round = fairRound(0, "dice", 5000, bet);
+            const wrong = round.winAmount === 0n ? bet * 2n : 0n;
+            await expect(pool.connect(operator).processFairGameResult({ ...round, winAmount: wrong }))
+                .to.be.revertedWithCustomError(pool, "OutcomeMismatch")
+                .withArgs(round.gameId, wrong, round.winAmount);
+
+            await pool.connect(operator).processFairGameResult(round);
+            await expect(pool.connect(operator).processFairGameResult(round))
+                .to.be.revertedWithCustomError(pool, "GameAlreadySettled");
+            await placeBet(fairRound(1, "dice", 5000, bet));
+            // A revealed seed cannot be used again under another game ID
+            await expect(pool.connect(operator).processFairGameResult({ ...round, gameId: ethers.id("games/other") }))
+                .to.be.revertedWithCustomError(pool, "InvalidServerSeed");
+        });
+
+        it("Should only settle the bet the player placed", async function () {
+            await openSession();
+            const bet = ethers.parseEther("1");
+            const round = fairRound(0, "coin-flip", 1, bet);
+
+            // Nothing settles before the player bets
+            await expect(pool.connect(operator).processFairGameResult(round))
+                .to.be.revertedWithCustomError(pool, "FairBetMismatch")
+                .withArgs(sessionId);
+
+            await expect(pool.connect(player).placeFairBet(sessionId, round.game, round.choice, bet))
+                .to.emit(pool, "FairBetPlaced")
+                .withArgs(sessionId, player.address, 0, round.game, round.choice, bet);
+            await expect(pool.connect(player).placeFairBet(sessionId, round.game, 0, bet))
+                .to.be.revertedWithCustomError(pool, "FairBetPending")
+                .withArgs(sessionId);
+
+            // The operator cannot swap the choice, game or stake once the seed is known
+            const other = fairRound(0, "coin-flip", 0, bet);
+            await expect(pool.connect(operator).processFairGameResult(other))
+                .to.be.revertedWithCustomError(pool, "FairBetMismatch");
+            await expect(pool.connect(operator).processFairGameResult(fairRound(0, "dice", 1, bet)))
+                .to.be.revertedWithCustomError(pool, "FairBetMismatch");
+            await expect(pool.connect(operator).processFairGameResult(fairRound(0, "coin-flip", 1, bet * 2n)))
+                .to.be.revertedWithCustomError(pool, "FairBetMismatch");
+
+            await pool.connect(operator).processFairGameResult(round);
+            expect(await pool.fairBets(sessionId)).to.equal(ethers.ZeroHash);
+        });
+
+        it("Should only take valid bets from the session's player", async function () {
+            await pool.connect(operator).commitServerSeed(sessionId, player.address, chain.commitment);
+            const bet = ethers.parseEther("1");
+
+            await expect(pool.connect(player).placeFairBet(sessionId, GAMES.dice, 5000, bet))
+                .to.be.revertedWithCustomError(pool, "ClientSeedNotSet");
+            await pool.connect(player).setClientSeed(sessionId, clientSeed);
+
+            await expect(pool.connect(stranger).placeFairBet(sessionId, GAMES.dice, 5000, bet))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+            await expect(pool.connect(player).placeFairBet(ethers.id("unknown"), GAMES.dice, 5000, bet))
+                .to.be.revertedWithCustomError(pool, "UnknownFairSession");
+            await expect(pool.connect(player).placeFairBet(sessionId, GAMES.dice, 5000, 0))
+                .to.be.revertedWithCustomError(pool, "InvalidAmount");
+            await expect(pool.connect(player).placeFairBet(sessionId, GAMES["coin-flip"], 2, bet))
+                .to.be.revertedWithCustomError(pool, "InvalidGameChoice")
+                .withArgs(GAMES["coin-flip"], 2);
+        });
+
+        it("Should wait for the client seed and a game settler", async function () {
+            await pool.connect(operator).commitServerSeed(sessionId, player.address, chain.commitment);
+            const round = fairRound(0, "dice", 5000, ethers.parseEther("1"));
+
+            await expect(pool.connect(operator).processFairGameResult(round))
+                .to.be.revertedWithCustomError(pool, "ClientSeedNotSet");
+            await pool.connect(player).setClientSeed(sessionId, clientSeed);
+            await expect(pool.connect(stranger).processFairGameResult(round))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+            await expect(pool.connect(operator).processFairGameResult({ ...round, sessionId: ethers.id("unknown") }))
+                .to.be.revertedWithCustomError(pool, "UnknownFairSession");
+        });
+    });
+
+    describe("Verification", function () {
+        it("Should verify a settled round from the pool's events", async function () {
+            await openSession();
+            const bet = ethers.parseEther("2");
+            await placeAndSettle(fairRound(0, "coin-flip", 0, bet));
+            const round = fairRound(1, "dice", 3000, bet);
+            await placeAndSettle(round);
+
+            // A verifier with only a provider reads everything from events
+            const readOnly = pool.connect(ethers.provider);
+            const result = await verifyRound(readOnly, round.gameId);
+            expect(result.valid).to.be.true;
+            expect(result.checks).to.deep.equal({ commitment: true, clientSeed: true, player: true, bet: true, payout: true });
+            expect(result).to.include({ sessionId, player: player.address, clientSeed, nonce: 1n, game: "dice", winAmount: round.winAmount });
+            expect(result.outcome.roll).to.equal(roundRandomness(chain.seeds[1], clientSeed, 1) % 10000n);
+
+            await expect(verifyRound(readOnly, ethers.id("games/missing"))).to.be.rejectedWith("No provably fair round");
+        });
+    });
+});
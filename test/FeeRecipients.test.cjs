@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseFeeRecipients } = require("../scripts/lib/fee-config");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Fee Recipients", function () {
+    let token, factory, pool, poolAddress;
+    let owner, platformWallet, operator, player, liquidityProvider, treasury, partner;
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, liquidityProvider, treasury, partner] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        await factory.createPool(await token.getAddress());
+        [, poolAddress] = await factory.getPool(await token.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+        await token.mint(player.address, ethers.parseEther("1000"));
+        await token.mint(liquidityProvider.address, ethers.parseEther("1000"));
+        await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+        await token.connect(liquidityProvider).approve(poolAddress, ethers.MaxUint256);
+    });
+
+    it("Should send fees to the factory's platform wallet by default", async function () {
+        const amount = ethers.parseEther("100");
+        const fee = (amount * 250n) / 10000n;
+
+        await expect(pool.connect(liquidityProvider).addLiquidity(amount))
+            .to.changeTokenBalance(token, platformWallet, fee);
+        expect(await pool.platformWallet()).to.equal(platformWallet.address);
+    });
+
+    it("Should follow platform wallet updates", async function () {
+        await factory.updatePlatformWallet(treasury.address);
+
+        const amount = ethers.parseEther("100");
+        const fee = (amount * 250n) / 10000n;
+        await expect(pool.connect(liquidityProvider).addLiquidity(amount))
+            .to.changeTokenBalances(token, [treasury, platformWallet], [fee, 0]);
+    });
+
+    it("Should split fees between recipients by basis points", async function () {
+        await expect(factory.setFeeRecipients([treasury.address, partner.address], [7000, 3000]))
+            .to.emit(factory, "FeeRecipientsUpdated");
+
+        const amount = ethers.parseEther("100");
+        const fee = (amount * 250n) / 10000n;
+        const treasuryShare = (fee * 7000n) / 10000n;
+
+        const tx = pool.connect(liquidityProvider).addLiquidity(amount);
+        await expect(tx).to.changeTokenBalances(
+            token,
+            [treasury, partner, platformWallet],
+            [treasuryShare, fee - treasuryShare, 0]
+        );
+        await expect(tx).to.emit(pool, "FeePaid").withArgs(partner.address, fee - treasuryShare);
+    });
+
+    it("Should route game and withdrawal fees through the split", async function () {
+        await factory.setFeeRecipients([treasury.address, partner.address], [5000, 5000]);
+        await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("500"));
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+
+        // Losing bet: 1% platform fee
+        const bet = ethers.parseEther("10");
+        const gameFee = (bet * 100n) / 10000n;
+        await expect(pool.connect(operator).processGameResult(ethers.id("game-1"), player.address, bet, 0))
+            .to.changeTokenBalances(token, [treasury, partner], [gameFee / 2n, gameFee / 2n]);
+
+        // Withdrawal: 2.5% platform fee
+        const withdrawAmount = ethers.parseEther("50");
+        const withdrawFee = (withdrawAmount * 250n) / 10000n;
+        await expect(pool.connect(player).withdraw(withdrawAmount))
+            .to.changeTokenBalances(token, [treasury, partner], [withdrawFee / 2n, withdrawFee / 2n]);
+    });
+
+    it("Should give rounding dust to the last recipient", async function () {
+        await factory.setFeeRecipients([treasury.address, partner.address], [3333, 6667]);
+
+        // 2.5% of 40 wei is 1 wei; the first recipient's share rounds down to zero
+        await expect(pool.connect(liquidityProvider).addLiquidity(40))
+            .to.changeTokenBalances(token, [treasury, partner], [0, 1]);
+    });
+
+    it("Should fall back to the platform wallet when the split is cleared", async function () {
+        await factory.setFeeRecipients([treasury.address], [10000]);
+        await factory.setFeeRecipients([], []);
+
+        const amount = ethers.parseEther("100");
+        await expect(pool.connect(liquidityProvider).addLiquidity(amount))
+            .to.changeTokenBalance(token, platformWallet, (amount * 250n) / 10000n);
+    });
+
+    it("Should reject invalid fee splits", async function () {
+        await expect(factory.setFeeRecipients([treasury.address, partner.address], [5000, 4000]))
+            .to.be.revertedWithCustomError(factory, "InvalidFeeSplit");
+        await expect(factory.setFeeRecipients([treasury.address], [5000, 5000]))
+            .to.be.revertedWithCustomError(factory, "InvalidFeeSplit");
+        await expect(factory.setFeeRecipients([treasury.address, partner.address], [10000, 0]))
+            .to.be.revertedWithCustomError(factory, "InvalidFeeSplit");
+        await expect(factory.setFeeRecipients([ethers.ZeroAddress], [10000]))
+            .to.be.revertedWithCustomError(factory, "InvalidWalletAddress");
+        await expect(factory.connect(player).setFeeRecipients([treasury.address], [10000]))
+            .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should parse fee recipient config strings", function () {
+        const { wallets, bps } = parseFeeRecipients(`${treasury.address}:7000, ${partner.address}:3000`);
+        expect(wallets).to.deep.equal([treasury.address, partner.address]);
+        expect(bps).to.deep.equal([7000n, 3000n]);
+
+        expect(parseFeeRecipients("").wallets).to.have.length(0);
+        expect(() => parseFeeRecipients(`${treasury.address}:5000`)).to.throw(/sum to 10000/);
+        expect(() => parseFeeRecipients(treasury.address)).to.throw(/expected <address>:<bps>/);
+    });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getFeeSchedules, updatePoolFees } = require("../scripts/fees");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Fee Schedule", function () {
+    let token, token2, factory, pool, pool2, tokenAddress;
+    let owner, platformWallet, operator, player, liquidityProvider;
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, liquidityProvider] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+        token2 = await TestToken.deploy();
+        tokenAddress = await token.getAddress();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        await factory.createPool(tokenAddress);
+        await factory.createPool(await token2.getAddress());
+        const [, poolAddress] = await factory.getPool(tokenAddress);
+        const [, pool2Address] = await factory.getPool(await token2.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+        pool2 = await ethers.getContractAt("TokenPool", pool2Address);
+
+        await token.mint(player.address, ethers.parseEther("1000"));
+        await token.mint(liquidityProvider.address, ethers.parseEther("1000"));
+        await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+        await token.connect(liquidityProvider).approve(poolAddress, ethers.MaxUint256);
+    });
+
+    it("Should charge each pool its own fees", async function () {
+        await factory.setPlatformFee(tokenAddress, 500);
+        await factory.setGameFee(tokenAddress, 300, 200);
+
+        const amount = ethers.parseEther("100");
+        await expect(pool.connect(liquidityProvider).addLiquidity(amount))
+            .to.changeTokenBalance(token, platformWallet, (amount * 500n) / 10000n);
+
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+        const bet = ethers.parseEther("10");
+        const before = await pool.accumulatedFees();
+        await expect(pool.connect(operator).processGameResult(ethers.id("game-1"), player.address, bet, 0))
+            .to.changeTokenBalance(token, platformWallet, (bet * 200n) / 10000n);
+        expect((await pool.accumulatedFees()) - before).to.equal((bet * 300n) / 10000n);
+
+        const untouched = await factory.getPoolFees(await token2.getAddress());
+        expect(untouched.platformFee).to.equal(250);
+    });
+
+    it("Should apply default fees to new pools", async function () {
+        await expect(factory.setDefaultFees(100, 150, 50))
+            .to.emit(factory, "DefaultFeesUpdated")
+            .withArgs(100, 150, 50);
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        const token3 = await TestToken.deploy();
+        await factory.createPool(await token3.getAddress());
+
+        const fees = await factory.getPoolFees(await token3.getAddress());
+        expect(fees.platformFee).to.equal(100);
+        expect(fees.gameLpFee).to.equal(150);
+        expect(fees.gamePlatformFee).to.equal(50);
+        expect(await pool.platformFee()).to.equal(250);
+    });
+
+    it("Should enforce MAX_FEE and owner-only access", async function () {
+        await expect(factory.setGameFee(tokenAddress, 800, 300))
+            .to.be.revertedWithCustomError(factory, "FeeTooHigh");
+        await expect(factory.setDefaultFees(1001, 0, 0))
+            .to.be.revertedWithCustomError(factory, "FeeTooHigh");
+        await expect(factory.connect(player).setPlatformFee(tokenAddress, 100))
+            .to.be.revertedWithCustomError(factory, "AccessManagedUnauthorized");
+        await expect(pool.connect(owner).setFees(0, 0, 0))
+            .to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should queue fee changes behind the timelock", async function () {
+        await factory.setFeeTimelock(3600);
+
+        await expect(factory.setPlatformFee(tokenAddress, 400)).to.emit(factory, "FeeChangeQueued");
+        await factory.setGameFee(tokenAddress, 100, 100);
+        expect(await pool.platformFee()).to.equal(250);
+
+        await expect(factory.executeFeeChange(tokenAddress))
+            .to.be.revertedWithCustomError(factory, "FeeChangeNotReady");
+
+        await time.increase(3600);
+        // Anyone can execute once the delay has passed; both queued setters apply together
+        await expect(factory.connect(player).executeFeeChange(tokenAddress))
+            .to.emit(factory, "PlatformFeeUpdated")
+            .withArgs(tokenAddress, 250, 400);
+        expect(await pool.platformFee()).to.equal(400);
+        expect(await pool.gameLpFee()).to.equal(100);
+
+        await expect(factory.executeFeeChange(tokenAddress))
+            .to.be.revertedWithCustomError(factory, "NoPendingFeeChange");
+    });
+
+    it("Should cancel a queued fee change", async function () {
+        await factory.setFeeTimelock(3600);
+        await factory.setPlatformFee(tokenAddress, 400);
+
+        await expect(factory.cancelFeeChange(tokenAddress)).to.emit(factory, "FeeChangeCancelled");
+        await time.increase(3600);
+        await expect(factory.executeFeeChange(tokenAddress))
+            .to.be.revertedWithCustomError(factory, "NoPendingFeeChange");
+        expect(await pool.platformFee()).to.equal(250);
+    });
+
+    it("Should delay timelock reductions by the current delay", async function () {
+        await factory.setFeeTimelock(3600);
+        await factory.setFeeTimelock(0);
+        expect(await factory.feeTimelock()).to.equal(3600);
+
+        await expect(factory.executeFeeTimelock())
+            .to.be.revertedWithCustomError(factory, "FeeChangeNotReady");
+        await time.increase(3600);
+        await factory.executeFeeTimelock();
+        expect(await factory.feeTimelock()).to.equal(0);
+
+        await factory.setPlatformFee(tokenAddress, 300);
+        expect(await pool.platformFee()).to.equal(300);
+    });
+
+    it("Should read and change schedules from the admin tooling", async function () {
+        await updatePoolFees(factory, tokenAddress, { gameLpFee: 250, gamePlatformFee: 150 });
+
+        let schedules = await getFeeSchedules(factory);
+        expect(schedules.pools).to.have.length(2);
+        expect(schedules.pools[0]).to.include({ token: tokenAddress, platformFee: 250, gameLpFee: 250, gamePlatformFee: 150 });
+        expect(schedules.pools[0].pending).to.be.null;
+
+        await factory.setFeeTimelock(60);
+        await updatePoolFees(factory, tokenAddress, { platformFee: 100 });
+        schedules = await getFeeSchedules(factory, [tokenAddress]);
+        expect(schedules.feeTimelock).to.equal(60);
+        expect(schedules.pools[0].pending).to.include({ platformFee: 100, gameLpFee: 250 });
+
+        await expect(updatePoolFees(factory, tokenAddress, { gameLpFee: 100 }))
+            .to.be.rejectedWith(/set together/);
+    });
+});
@@ -1,7 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const admin = require("firebase-admin");
-require('dotenv').config();
+const { useFirestore } = require("./helpers/firestore.cjs");
+const { deployFactory } = require("./helpers/casino.cjs");
+const { balanceDocRef } = require("../scripts/lib/firebase");
 
 describe("Casino Firebase Integration", function () {
     let tokenPool;
@@ -20,55 +22,8 @@ describe("Casino Firebase Integration", function () {
         return currentNonce + BigInt(1);
     }
 
-    // Firebase setup
-    before(async function () {
-        try {
-            // Initialize Firebase Admin with service account
-            if (!admin.apps.length) {
-                admin.initializeApp({
-                    credential: admin.credential.cert({
-                        projectId: process.env.FIREBASE_PROJECT_ID,
-                        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-                        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-                    }),
-                    databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`,
-                    projectId: process.env.FIREBASE_PROJECT_ID
-                });
-            }
-
-            // Initialize Firestore with specific database
-            db = admin.firestore();
-            db.settings({
-                databaseId: 'roodatabase'
-            });
-
-            // Try to create test collections
-            try {
-                // Create a test collection and document to ensure database exists
-                const testRef = db.collection('test').doc('init');
-                await testRef.set({
-                    initialized: true,
-                    timestamp: admin.firestore.FieldValue.serverTimestamp()
-                });
-
-                // Create balances collection
-                const balancesRef = db.collection('balances').doc('init');
-                await balancesRef.set({
-                    initialized: true,
-                    timestamp: admin.firestore.FieldValue.serverTimestamp()
-                });
-
-                console.log('Firebase collections initialized successfully');
-            } catch (error) {
-                console.error('Error initializing Firebase collections:', error);
-                throw error;
-            }
-
-        } catch (error) {
-            console.error("Firebase initialization error:", error);
-            throw error;
-        }
-    });
+    // Offline Firestore (fake or emulator), cleaned before every test
+    const firestore = useFirestore();
 
     beforeEach(async function () {
         // Get signers
@@ -84,9 +39,7 @@ describe("Casino Firebase Integration", function () {
         const tokenAddress = await token.getAddress();
 
         // Deploy factory
-        const CasinoFactory = await ethers.getContractFactory("CasinoFactory");
-        factory = await CasinoFactory.deploy();
-        await factory.initialize(await platformWallet.getAddress());
+        factory = await deployFactory(await platformWallet.getAddress());
 
         // Set operator
         await factory.setOperator(await operator.getAddress(), true, "test-operator");
@@ -99,20 +52,18 @@ describe("Casino Firebase Integration", function () {
         // Deploy router
         const CasinoRouter = await ethers.getContractFactory("CasinoRouter");
         router = await CasinoRouter.deploy(await factory.getAddress());
+        await factory.setRouter(await router.getAddress());
 
         // Mint tokens to user
         await token.mint(await user.getAddress(), ethers.parseEther("1000"));
         await token.connect(user).approve(await router.getAddress(), ethers.parseEther("1000"));
 
-        // Clear any existing balance documents for this user
-        if (user) {
-            const userBalanceRef = db.collection('balances').doc(await user.getAddress());
-            try {
-                await userBalanceRef.delete();
-            } catch (error) {
-                // Ignore if document doesn't exist
-            }
-        }
+        // LP capital to pay winnings from
+        await token.mint(await owner.getAddress(), ethers.parseEther("1000"));
+        await token.approve(poolAddress, ethers.parseEther("1000"));
+        await tokenPool.addLiquidity(ethers.parseEther("1000"));
+
+        db = firestore.db;
     });
 
     describe("Deposit and Firebase Balance", function () {
@@ -123,7 +74,7 @@ describe("Casino Firebase Integration", function () {
             await router.connect(user).depositToPool(await token.getAddress(), depositAmount);
 
             // Update Firebase balance
-            const userBalanceRef = db.collection('balances').doc(await user.getAddress());
+            const userBalanceRef = balanceDocRef(db, await user.getAddress(), await token.getAddress());
             await userBalanceRef.set({
                 balance: depositAmount.toString(),
                 lastUpdate: admin.firestore.FieldValue.serverTimestamp()
@@ -143,7 +94,7 @@ describe("Casino Firebase Integration", function () {
             await router.connect(user).depositToPool(await token.getAddress(), depositAmount);
 
             // Set Firebase balance
-            const userBalanceRef = db.collection('balances').doc(await user.getAddress());
+            const userBalanceRef = balanceDocRef(db, await user.getAddress(), await token.getAddress());
             await userBalanceRef.set({
                 balance: depositAmount.toString(),
                 lastUpdate: admin.firestore.FieldValue.serverTimestamp()
@@ -172,7 +123,7 @@ describe("Casino Firebase Integration", function () {
             await router.connect(user).depositToPool(await token.getAddress(), depositAmount);
 
             // Update Firebase with game result
-            const userBalanceRef = db.collection('balances').doc(await user.getAddress());
+            const userBalanceRef = balanceDocRef(db, await user.getAddress(), await token.getAddress());
             await userBalanceRef.set({
                 balance: (BigInt(depositAmount) + BigInt(winAmount)).toString(),
                 lastUpdate: admin.firestore.FieldValue.serverTimestamp()
@@ -180,6 +131,7 @@ describe("Casino Firebase Integration", function () {
 
             // Process game result through operator
             await tokenPool.connect(operator).processGameResult(
+                ethers.id("game-win"),
                 await user.getAddress(),
                 betAmount,
                 winAmount
@@ -206,9 +158,9 @@ describe("Casino Firebase Integration", function () {
             ];
 
             let currentBalance = BigInt(depositAmount);
-            const userBalanceRef = db.collection('balances').doc(await user.getAddress());
+            const userBalanceRef = balanceDocRef(db, await user.getAddress(), await token.getAddress());
 
-            for (const session of sessions) {
+            for (const [i, session] of sessions.entries()) {
                 const betAmount = ethers.parseEther(session.bet);
                 
                 if (session.loss) {
@@ -226,6 +178,7 @@ describe("Casino Firebase Integration", function () {
 
                 // Process game result
                 await tokenPool.connect(operator).processGameResult(
+                    ethers.id(`game-${i}`),
                     await user.getAddress(),
                     betAmount,
                     session.loss ? 0 : ethers.parseEther(session.win)
@@ -237,24 +190,4 @@ describe("Casino Firebase Integration", function () {
             }
         });
     });
-
-    after(async function () {
-        // Cleanup Firebase test data
-        if (user) {
-            const userBalanceRef = db.collection('balances').doc(await user.getAddress());
-            try {
-                await userBalanceRef.delete();
-            } catch (error) {
-                console.error("Error cleaning up Firebase data:", error);
-            }
-        }
-
-        // Clean up initialization documents
-        try {
-            await db.collection('test').doc('init').delete();
-            await db.collection('balances').doc('init').delete();
-        } catch (error) {
-            // Ignore if documents don't exist
-        }
-    });
 });
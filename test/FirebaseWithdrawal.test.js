@@ -1,207 +1,268 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 const admin = require('firebase-admin');
+const { useFirestore, seedBalances } = require("./helpers/firestore.cjs");
+const { deployFactory } = require("./helpers/casino.cjs");
+const OperatorService = require("../scripts/operator-service");
+const withdrawWinnings = require("../scripts/withdraw");
+const { balanceDocRef } = require("../scripts/lib/firebase");
+const { signVoucher } = require("../scripts/lib/vouchers");
+const FirestoreBalanceStore = require("../scripts/lib/balance-stores/firestore");
 
 describe("Firebase Withdrawal Integration", function () {
     let testToken, factory, router, pool;
     let owner, platformWallet, player, operator;
+    let operatorService, watcher;
 
-    before(async function () {
-        // Initialize Firebase Admin
-        if (!admin.apps.length) {
-            admin.initializeApp({
-                projectId: "trollslots",
-                credential: admin.credential.cert({
-                    projectId: "trollslots",
-                    clientEmail: "firebase-adminsdk-zbglg@trollslots.iam.gserviceaccount.com",
-                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
-                })
-            });
+    const firestore = useFirestore();
+
+    async function waitFor(condition, timeoutMs = 5000) {
+        const deadline = Date.now() + timeoutMs;
+        while (!(await condition())) {
+            if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+            await new Promise(resolve => setTimeout(resolve, 20));
         }
-    });
+    }
+
+    // A second operator service that pushes store balances on-chain, as in production
+    async function startWatcher(options) {
+        watcher = new OperatorService(operator.privateKey, await factory.getAddress(), null, {
+            provider: ethers.provider,
+            balanceStore: new FirestoreBalanceStore(firestore.db),
+            journalPath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "withdrawal-")), "journal.json"),
+            ...options
+        });
+        const pushed = [];
+        const handleBalanceChange = watcher.handleBalanceChange.bind(watcher);
+        watcher.handleBalanceChange = async (user, token, balance) => {
+            await handleBalanceChange(user, token, balance);
+            pushed.push(balance);
+        };
+        await watcher.start();
+        return pushed;
+    }
 
     beforeEach(async function () {
-        [owner, platformWallet, player, operator] = await ethers.getSigners();
+        [owner, platformWallet, player] = await ethers.getSigners();
+
+        // The operator service signs locally, so it needs a key-backed wallet
+        operator = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: operator.address, value: ethers.parseEther("10") });
 
         // Deploy TestToken
         const TestToken = await ethers.getContractFactory("TestToken");
         testToken = await TestToken.deploy();
-        await testToken.deployed();
 
         // Deploy Factory
-        const CasinoFactory = await ethers.getContractFactory("CasinoFactory");
-        factory = await CasinoFactory.deploy();
-        await factory.deployed();
-
-        // Initialize factory
-        await factory.initialize(platformWallet.address);
+        factory = await deployFactory(platformWallet.address);
         await factory.setOperator(operator.address, true, "test-operator");
 
         // Create pool
-        await factory.createPool(testToken.address);
-        const [exists, poolAddress] = await factory.getPool(testToken.address);
-        const TokenPool = await ethers.getContractFactory("TokenPool");
-        pool = TokenPool.attach(poolAddress);
+        await factory.createPool(await testToken.getAddress());
+        const [, poolAddress] = await factory.getPool(await testToken.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
 
         // Deploy Router
         const CasinoRouter = await ethers.getContractFactory("CasinoRouter");
-        router = await CasinoRouter.deploy(factory.address);
-        await router.deployed();
+        router = await CasinoRouter.deploy(await factory.getAddress());
+        await factory.setRouter(await router.getAddress());
 
         // Mint tokens to player
-        await testToken.mint(player.address, ethers.utils.parseEther("1000"));
-        await testToken.connect(player).approve(router.address, ethers.utils.parseEther("1000"));
+        await testToken.mint(player.address, ethers.parseEther("1000"));
+        await testToken.connect(player).approve(await router.getAddress(), ethers.parseEther("1000"));
+
+        operatorService = new OperatorService(operator.privateKey, await factory.getAddress(), null, {
+            provider: ethers.provider,
+            balanceStore: new FirestoreBalanceStore(firestore.db)
+        });
+    });
+
+    afterEach(async function () {
+        if (watcher) await watcher.stop();
+        watcher = null;
     });
 
     describe("Firebase Balance Verification", function () {
         it("Should deposit and update Firebase balance", async function () {
-            const depositAmount = ethers.utils.parseEther("100");
-            
+            const depositAmount = ethers.parseEther("100");
+
             // Deposit through router
-            await router.connect(player).depositToPool(testToken.address, depositAmount);
+            await router.connect(player).depositToPool(await testToken.getAddress(), depositAmount);
 
             // Update Firebase balance
-            const userBalanceRef = admin.firestore()
-                .collection('balances')
-                .doc(player.address);
-            
+            const userBalanceRef = balanceDocRef(admin.firestore(), player.address, await testToken.getAddress());
             await userBalanceRef.set({
-                balance: ethers.utils.formatEther(depositAmount),
-                token: testToken.address,
+                balance: ethers.formatEther(depositAmount),
                 lastUpdate: admin.firestore.FieldValue.serverTimestamp()
             });
 
             // Verify Firebase balance
             const balanceDoc = await userBalanceRef.get();
             expect(balanceDoc.exists).to.be.true;
-            expect(parseFloat(balanceDoc.data().balance)).to.equal(
-                parseFloat(ethers.utils.formatEther(depositAmount))
-            );
+            expect(balanceDoc.data().balance).to.equal("100.0");
+            expect(balanceDoc.data().lastUpdate).to.be.instanceOf(admin.firestore.Timestamp);
         });
 
-        it("Should withdraw with operator signature", async function () {
-            const depositAmount = ethers.utils.parseEther("100");
-            const withdrawAmount = ethers.utils.parseEther("50");
-            
-            // Initial deposit
-            await router.connect(player).depositToPool(testToken.address, depositAmount);
+        it("Should withdraw with an operator-signed voucher", async function () {
+            const tokenAddress = await testToken.getAddress();
+            await router.connect(player).depositToPool(tokenAddress, ethers.parseEther("100"));
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "100" } });
 
-            // Update Firebase balance
-            const userBalanceRef = admin.firestore()
-                .collection('balances')
-                .doc(player.address);
-            
-            await userBalanceRef.set({
-                balance: ethers.utils.formatEther(depositAmount),
-                token: testToken.address,
-                lastUpdate: admin.firestore.FieldValue.serverTimestamp()
+            const withdrawAmount = ethers.parseEther("50");
+            const fee = (withdrawAmount * 250n) / 10000n;
+            const balanceBefore = await testToken.balanceOf(player.address);
+
+            await withdrawWinnings(player.address, tokenAddress, "50", {
+                operatorService,
+                userWallet: player,
+                routerAddress: await router.getAddress()
             });
 
-            // Create withdrawal signature
-            const blockNumber = await ethers.provider.getBlockNumber();
-            const withdrawalHash = ethers.utils.solidityKeccak256(
-                ['address', 'uint256', 'uint256'],
-                [player.address, withdrawAmount, blockNumber]
-            );
-            const messageHashBytes = ethers.utils.arrayify(withdrawalHash);
-            const signature = await operator.signMessage(messageHashBytes);
-
-            // Update Firebase balance for withdrawal
-            await pool.connect(operator).updateFirebaseBalance(
-                player.address,
-                withdrawAmount,
-                signature
-            );
-
-            // Execute withdrawal
-            await router.connect(player).withdrawFromPoolWithSignature(
-                testToken.address,
-                withdrawAmount,
-                signature
-            );
+            expect(await testToken.balanceOf(player.address)).to.equal(balanceBefore + withdrawAmount - fee);
+            expect(await pool.nonces(player.address)).to.equal(1);
 
             // Verify Firebase balance updated
-            const afterBalanceDoc = await userBalanceRef.get();
-            expect(parseFloat(afterBalanceDoc.data().balance)).to.equal(
-                parseFloat(ethers.utils.formatEther(depositAmount.sub(withdrawAmount)))
-            );
+            const afterBalanceDoc = await balanceDocRef(firestore.db, player.address, tokenAddress).get();
+            expect(afterBalanceDoc.data().balance).to.equal("50.0");
         });
 
-        it("Should prevent withdrawal with invalid signature", async function () {
-            const depositAmount = ethers.utils.parseEther("100");
-            const withdrawAmount = ethers.utils.parseEther("50");
-            
-            // Initial deposit
-            await router.connect(player).depositToPool(testToken.address, depositAmount);
+        it("Should debit the on-chain balance once when the debited balance is pushed first", async function () {
+            const tokenAddress = await testToken.getAddress();
+            await router.connect(player).depositToPool(tokenAddress, ethers.parseEther("100"));
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "100" } });
+            await startWatcher({ maxBatchSize: 1 });
 
-            // Update Firebase balance
-            const userBalanceRef = admin.firestore()
-                .collection('balances')
-                .doc(player.address);
-            
-            await userBalanceRef.set({
-                balance: ethers.utils.formatEther(depositAmount),
-                token: testToken.address,
-                lastUpdate: admin.firestore.FieldValue.serverTimestamp()
+            // The watcher pushes the debited balance before the redeem is sent
+            const balanceStore = new FirestoreBalanceStore(firestore.db);
+            const debit = balanceStore.debit.bind(balanceStore);
+            balanceStore.debit = async (...args) => {
+                const result = await debit(...args);
+                await waitFor(async () => (await pool.firebaseBalances(player.address)) === ethers.parseEther("50"));
+                return result;
+            };
+
+            const balanceBefore = await testToken.balanceOf(player.address);
+            await withdrawWinnings(player.address, tokenAddress, "50", {
+                operatorService,
+                balanceStore,
+                userWallet: player,
+                routerAddress: await router.getAddress()
+            });
+
+            const withdrawAmount = ethers.parseEther("50");
+            expect(await testToken.balanceOf(player.address)).to.equal(balanceBefore + withdrawAmount - (withdrawAmount * 250n) / 10000n);
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("50"));
+            expect(await pool.totalDeposits()).to.equal(ethers.parseEther("50"));
+            expect((await pool.solvency()).surplus).to.equal(0);
+        });
+
+        it("Should debit the on-chain balance once when the redeem lands first", async function () {
+            const tokenAddress = await testToken.getAddress();
+            await router.connect(player).depositToPool(tokenAddress, ethers.parseEther("100"));
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "100" } });
+            const pushed = await startWatcher({ maxBatchSize: 10, flushIntervalMs: 60000 });
+
+            await withdrawWinnings(player.address, tokenAddress, "50", {
+                operatorService,
+                userWallet: player,
+                routerAddress: await router.getAddress()
             });
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("50"));
+
+            // The debited balance the watcher pushes afterwards is already on-chain
+            await waitFor(async () => pushed.includes("50.0"));
+            expect(await watcher.flushAll()).to.deep.equal([]);
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("50"));
+            expect(await pool.totalDeposits()).to.equal(ethers.parseEther("50"));
+            expect((await pool.solvency()).surplus).to.equal(0);
+        });
+
+        it("Should prevent withdrawal with invalid signature", async function () {
+            const tokenAddress = await testToken.getAddress();
+            await router.connect(player).depositToPool(tokenAddress, ethers.parseEther("100"));
+
+            const { voucher } = await operatorService.signWithdrawal(tokenAddress, player.address, ethers.parseEther("50"));
+            // Signed by the player instead of an operator
+            const invalidSignature = await signVoucher(player, pool, voucher);
 
-            // Try to withdraw with invalid signature
-            const invalidSignature = ethers.utils.hexlify(ethers.utils.randomBytes(65));
-            
             await expect(
-                router.connect(player).withdrawFromPoolWithSignature(
-                    testToken.address,
-                    withdrawAmount,
-                    invalidSignature
-                )
-            ).to.be.revertedWith("Invalid withdrawal signature");
+                router.connect(player).withdrawWithVoucher(tokenAddress, voucher, invalidSignature)
+            ).to.be.revertedWithCustomError(pool, "InvalidSignature");
         });
 
         it("Should prevent withdrawal exceeding Firebase balance", async function () {
-            const depositAmount = ethers.utils.parseEther("100");
-            const withdrawAmount = ethers.utils.parseEther("150"); // More than deposit
-            
-            // Initial deposit
-            await router.connect(player).depositToPool(testToken.address, depositAmount);
+            const tokenAddress = await testToken.getAddress();
+            await router.connect(player).depositToPool(tokenAddress, ethers.parseEther("100"));
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "100" } });
 
-            // Update Firebase balance
-            const userBalanceRef = admin.firestore()
-                .collection('balances')
-                .doc(player.address);
-            
-            await userBalanceRef.set({
-                balance: ethers.utils.formatEther(depositAmount),
-                token: testToken.address,
-                lastUpdate: admin.firestore.FieldValue.serverTimestamp()
+            await expect(withdrawWinnings(player.address, tokenAddress, "150", {
+                operatorService,
+                userWallet: player,
+                routerAddress: await router.getAddress()
+            })).to.be.rejectedWith("Insufficient balance");
+
+            // Nothing left the pool and the Firestore balance is untouched
+            expect(await pool.nonces(player.address)).to.equal(0);
+            const balanceDoc = await balanceDocRef(firestore.db, player.address, tokenAddress).get();
+            expect(balanceDoc.data().balance).to.equal("100");
+        });
+
+        it("Should keep the Firebase balance debited when the receipt is lost after a redeem", async function () {
+            const tokenAddress = await testToken.getAddress();
+            await router.connect(player).depositToPool(tokenAddress, ethers.parseEther("100"));
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "100" } });
+
+            // The redeem is mined, but waiting for its receipt fails
+            const flakyProvider = new Proxy(ethers.provider, {
+                get(target, prop) {
+                    if (prop === "getTransactionReceipt") {
+                        return async () => { throw new Error("receipt timeout"); };
+                    }
+                    const value = target[prop];
+                    return typeof value === "function" ? value.bind(target) : value;
+                }
             });
 
-            // Create withdrawal signature
-            const blockNumber = await ethers.provider.getBlockNumber();
-            const withdrawalHash = ethers.utils.solidityKeccak256(
-                ['address', 'uint256', 'uint256'],
-                [player.address, withdrawAmount, blockNumber]
-            );
-            const messageHashBytes = ethers.utils.arrayify(withdrawalHash);
-            const signature = await operator.signMessage(messageHashBytes);
+            await expect(withdrawWinnings(player.address, tokenAddress, "50", {
+                operatorService,
+                userWallet: player.connect(flakyProvider),
+                routerAddress: await router.getAddress()
+            })).to.be.rejectedWith("receipt timeout");
 
-            // Try to withdraw more than Firebase balance
-            await expect(
-                router.connect(player).withdrawFromPoolWithSignature(
-                    testToken.address,
-                    withdrawAmount,
-                    signature
-                )
-            ).to.be.revertedWith("Exceeds Firebase balance");
+            expect(await pool.nonces(player.address)).to.equal(1);
+            const balanceDoc = await balanceDocRef(firestore.db, player.address, tokenAddress).get();
+            expect(balanceDoc.data().balance).to.equal("50.0");
         });
-    });
 
-    after(async function () {
-        // Cleanup Firebase test data
-        if (player?.address) {
-            const userBalanceRef = admin.firestore()
-                .collection('balances')
-                .doc(player.address);
-            await userBalanceRef.delete();
-        }
+        it("Should restore the Firebase balance once a reverted redeem's voucher expires", async function () {
+            const tokenAddress = await testToken.getAddress();
+            // Nothing was deposited on-chain, so the pool cannot pay out
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "100" } });
+            const startBlock = await ethers.provider.getBlockNumber();
+
+            const withdrawal = expect(withdrawWinnings(player.address, tokenAddress, "50", {
+                operatorService,
+                userWallet: player,
+                routerAddress: await router.getAddress(),
+                pollIntervalMs: 10
+            })).to.be.rejected;
+
+            // The reverted redeem is mined, so anyone could resubmit the voucher until it expires
+            while (await ethers.provider.getBlockNumber() === startBlock) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            const pendingDoc = await balanceDocRef(firestore.db, player.address, tokenAddress).get();
+            expect(pendingDoc.data().balance).to.equal("50.0");
+
+            await time.increase(600);
+            await withdrawal;
+
+            const balanceDoc = await balanceDocRef(firestore.db, player.address, tokenAddress).get();
+            expect(balanceDoc.data().balance).to.equal("100.0");
+        });
     });
 });
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Game Settlement", function () {
+    let token, factory, pool;
+    let owner, platformWallet, operator, player, liquidityProvider;
+
+    const gameId = ethers.id("games/round-1");
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, liquidityProvider] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        await factory.createPool(await token.getAddress());
+        const [, poolAddress] = await factory.getPool(await token.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+        await token.mint(player.address, ethers.parseEther("1000"));
+        await token.mint(liquidityProvider.address, ethers.parseEther("1000"));
+        await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+        await token.connect(liquidityProvider).approve(poolAddress, ethers.MaxUint256);
+        await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("500"));
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+    });
+
+    it("Should record the game ID and emit it with the result", async function () {
+        expect(await pool.settledGames(gameId)).to.be.false;
+
+        const bet = ethers.parseEther("10");
+        const lpFee = (bet * (await pool.gameLpFee())) / 10000n;
+        await expect(pool.connect(operator).processGameResult(gameId, player.address, bet, 0))
+            .to.emit(pool, "GameResult")
+            .withArgs(gameId, player.address, bet, 0, lpFee, (timestamp) => timestamp > 0n);
+        expect(await pool.settledGames(gameId)).to.be.true;
+    });
+
+    it("Should settle each game only once", async function () {
+        await pool.connect(operator).processGameResult(gameId, player.address, ethers.parseEther("10"), ethers.parseEther("20"));
+        const balance = await pool.firebaseBalances(player.address);
+
+        await expect(pool.connect(operator).processGameResult(gameId, player.address, ethers.parseEther("10"), ethers.parseEther("20")))
+            .to.be.revertedWithCustomError(pool, "GameAlreadySettled")
+            .withArgs(gameId);
+        // Not even the factory owner can replay it, with the same or different amounts
+        await expect(pool.connect(owner).processGameResult(gameId, player.address, 0, 0))
+            .to.be.revertedWithCustomError(pool, "GameAlreadySettled");
+        expect(await pool.firebaseBalances(player.address)).to.equal(balance);
+
+        await pool.connect(operator).processGameResult(ethers.id("games/round-2"), player.address, ethers.parseEther("10"), 0);
+        expect(await pool.firebaseBalances(player.address)).to.equal(balance - ethers.parseEther("10"));
+    });
+
+    it("Should leave a game unsettled when its settlement reverts", async function () {
+        await expect(pool.connect(operator).processGameResult(gameId, player.address, ethers.parseEther("1000"), 0))
+            .to.be.revertedWithCustomError(pool, "InsufficientBalance");
+        expect(await pool.settledGames(gameId)).to.be.false;
+
+        await pool.connect(operator).processGameResult(gameId, player.address, ethers.parseEther("10"), 0);
+        expect(await pool.settledGames(gameId)).to.be.true;
+    });
+
+    describe("Batches", function () {
+        function round(id, betAmount, winAmount = 0n) {
+            return { gameId: ethers.id(`games/${id}`), user: player.address, betAmount, winAmount };
+        }
+
+        it("Should settle every round in one transaction with aggregated fee transfers", async function () {
+            const rounds = [
+                round("spin-1", ethers.parseEther("1")),
+                round("spin-2", ethers.parseEther("1"), ethers.parseEther("3")),
+                round("spin-3", ethers.parseEther("2"))
+            ];
+
+            const tx = await pool.connect(operator).processGameResults(rounds);
+            const receipt = await tx.wait();
+            const events = receipt.logs
+                .map(log => pool.interface.parseLog(log))
+                .filter(event => event !== null);
+
+            const results = events.filter(event => event.name === "GameResult");
+            expect(results.map(event => event.args.gameId)).to.deep.equal(rounds.map(r => r.gameId));
+            for (const r of rounds) {
+                expect(await pool.settledGames(r.gameId)).to.be.true;
+            }
+
+            // One platform fee transfer covering every round
+            const gameLpFee = await pool.gameLpFee();
+            const gamePlatformFee = await pool.gamePlatformFee();
+            const feeBases = [ethers.parseEther("1"), ethers.parseEther("3"), ethers.parseEther("2")];
+            const platformFees = feeBases.reduce((sum, amount) => sum + (amount * gamePlatformFee) / 10000n, 0n);
+            const feesPaid = events.filter(event => event.name === "FeePaid");
+            expect(feesPaid).to.have.length(1);
+            expect(feesPaid[0].args.amount).to.equal(platformFees);
+
+            const lpFees = results.reduce((sum, event) => sum + event.args.houseFee, 0n);
+            expect(lpFees).to.equal(feeBases.reduce((sum, amount) => sum + (amount * gameLpFee) / 10000n, 0n));
+            expect(await pool.accumulatedFees()).to.equal(lpFees);
+        });
+
+        it("Should leave the same state as settling the rounds one by one", async function () {
+            const rounds = [
+                round("spin-1", ethers.parseEther("5"), ethers.parseEther("8")),
+                round("spin-2", ethers.parseEther("5"))
+            ];
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+            for (const r of rounds) {
+                await pool.connect(operator).processGameResult(r.gameId, r.user, r.betAmount, r.winAmount);
+            }
+            const single = [
+                await pool.firebaseBalances(player.address),
+                await pool.totalDeposits(),
+                await pool.lpCapital(),
+                await pool.accumulatedFees(),
+                await pool.accRewardPerShare(),
+                await token.balanceOf(platformWallet.address)
+            ];
+            await ethers.provider.send("evm_revert", [snapshot]);
+
+            await pool.connect(operator).processGameResults(rounds);
+            expect([
+                await pool.firebaseBalances(player.address),
+                await pool.totalDeposits(),
+                await pool.lpCapital(),
+                await pool.accumulatedFees(),
+                await pool.accRewardPerShare(),
+                await token.balanceOf(platformWallet.address)
+            ]).to.deep.equal(single);
+        });
+
+        it("Should revert the whole batch on a duplicate or invalid round", async function () {
+            await pool.connect(operator).processGameResult(gameId, player.address, ethers.parseEther("1"), 0);
+
+            const fresh = round("spin-1", ethers.parseEther("1"));
+            await expect(pool.connect(operator).processGameResults([fresh, { ...fresh }]))
+                .to.be.revertedWithCustomError(pool, "GameAlreadySettled")
+                .withArgs(fresh.gameId);
+            await expect(pool.connect(operator).processGameResults([fresh, { ...fresh, gameId }]))
+                .to.be.revertedWithCustomError(pool, "GameAlreadySettled")
+                .withArgs(gameId);
+            await expect(pool.connect(operator).processGameResults([fresh, round("spin-2", ethers.parseEther("1000"))]))
+                .to.be.revertedWithCustomError(pool, "InsufficientBalance");
+            expect(await pool.settledGames(fresh.gameId)).to.be.false;
+
+            await expect(pool.connect(operator).processGameResults([]))
+                .to.be.revertedWithCustomError(pool, "EmptyUpdates");
+            await expect(pool.connect(player).processGameResults([fresh]))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+        });
+    });
+});
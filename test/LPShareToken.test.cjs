@@ -0,0 +1,281 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { ROLES } = require("../scripts/lib/roles");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("LP Share Token", function () {
+    let token, factory, pool, vault;
+    let owner, platformWallet, operator, player, liquidityProvider, liquidityProvider2, stranger;
+    let gameCount = 0;
+
+    function settle(betAmount, winAmount = 0n) {
+        gameCount++;
+        return pool.connect(operator).processGameResult(ethers.id(`game-${gameCount}`), player.address, betAmount, winAmount);
+    }
+
+    async function expectSolvent() {
+        expect((await pool.solvency()).surplus).to.be.gte(0n);
+    }
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, liquidityProvider, liquidityProvider2, stranger] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+        await factory.createPool(await token.getAddress());
+        const [, poolAddress] = await factory.getPool(await token.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+        vault = await ethers.getContractAt("LPShareToken", await pool.shareToken());
+
+        for (const account of [player, liquidityProvider, liquidityProvider2, stranger]) {
+            await token.mint(account.address, ethers.parseEther("10000"));
+            await token.connect(account).approve(poolAddress, ethers.MaxUint256);
+            await token.connect(account).approve(await vault.getAddress(), ethers.MaxUint256);
+        }
+        await pool.connect(player).deposit(ethers.parseEther("1000"));
+    });
+
+    describe("ERC-20", function () {
+        it("Should show pool shares as token balances", async function () {
+            expect(await vault.name()).to.equal(`Roo Casino LP ${await token.symbol()}`);
+            expect(await vault.symbol()).to.equal(`rLP-${await token.symbol()}`);
+            expect(await vault.decimals()).to.equal(await token.decimals());
+            expect(await vault.asset()).to.equal(await token.getAddress());
+            expect(await vault.pool()).to.equal(await pool.getAddress());
+
+            // Liquidity added on the pool itself is minted on the token too
+            const shares = ethers.parseEther("975");
+            await expect(pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("1000")))
+                .to.emit(vault, "Transfer")
+                .withArgs(ethers.ZeroAddress, liquidityProvider.address, shares);
+            expect(await vault.balanceOf(liquidityProvider.address)).to.equal(shares);
+            expect(await vault.totalSupply()).to.equal(await pool.totalShares());
+
+            await expect(pool.connect(liquidityProvider).removeLiquidity(shares))
+                .to.emit(vault, "Transfer")
+                .withArgs(liquidityProvider.address, ethers.ZeroAddress, shares);
+            expect(await vault.totalSupply()).to.equal(0);
+        });
+
+        it("Should transfer shares and spend allowances", async function () {
+            await vault.connect(liquidityProvider).deposit(ethers.parseEther("1000"), liquidityProvider.address);
+            const shares = await vault.balanceOf(liquidityProvider.address);
+
+            await expect(vault.connect(liquidityProvider).transfer(liquidityProvider2.address, shares / 4n))
+                .to.emit(vault, "Transfer")
+                .withArgs(liquidityProvider.address, liquidityProvider2.address, shares / 4n);
+            expect(await pool.shares(liquidityProvider2.address)).to.equal(shares / 4n);
+
+            await vault.connect(liquidityProvider).approve(stranger.address, shares / 4n);
+            await vault.connect(stranger).transferFrom(liquidityProvider.address, stranger.address, shares / 4n);
+            expect(await vault.allowance(liquidityProvider.address, stranger.address)).to.equal(0);
+            expect(await vault.balanceOf(stranger.address)).to.equal(shares / 4n);
+
+            await expect(vault.connect(stranger).transferFrom(liquidityProvider.address, stranger.address, 1n))
+                .to.be.revertedWithCustomError(vault, "ERC20InsufficientAllowance")
+                .withArgs(stranger.address, 0, 1);
+            await expect(vault.connect(liquidityProvider).transfer(stranger.address, shares))
+                .to.be.revertedWithCustomError(vault, "ERC20InsufficientBalance")
+                .withArgs(liquidityProvider.address, shares / 2n, shares);
+            await expect(vault.connect(liquidityProvider).transfer(ethers.ZeroAddress, 1n))
+                .to.be.revertedWithCustomError(vault, "ERC20InvalidReceiver");
+        });
+
+        it("Should keep rewards with whoever held the shares when they accrued", async function () {
+            await vault.connect(liquidityProvider).deposit(ethers.parseEther("1000"), liquidityProvider.address);
+            await settle(ethers.parseEther("100"));
+
+            const pending = await pool.getPendingRewards(liquidityProvider.address);
+            expect(pending).to.be.greaterThan(0n);
+            const fee = (pending * (await pool.gamePlatformFee())) / 10000n;
+            const balanceBefore = await token.balanceOf(liquidityProvider.address);
+
+            // The transfer pays out what the sender earned; the receiver starts from nothing
+            const half = (await vault.balanceOf(liquidityProvider.address)) / 2n;
+            await expect(vault.connect(liquidityProvider).transfer(liquidityProvider2.address, half))
+                .to.emit(pool, "RewardsClaimed")
+                .withArgs(liquidityProvider.address, pending - fee, (timestamp) => timestamp > 0n);
+            expect(await token.balanceOf(liquidityProvider.address)).to.equal(balanceBefore + pending - fee);
+            expect(await pool.getPendingRewards(liquidityProvider.address)).to.equal(0);
+            expect(await pool.getPendingRewards(liquidityProvider2.address)).to.equal(0);
+
+            // Later rewards follow the new balances
+            await settle(ethers.parseEther("100"));
+            const pending1 = await pool.getPendingRewards(liquidityProvider.address);
+            expect(pending1).to.be.greaterThan(0n);
+            expect(await pool.getPendingRewards(liquidityProvider2.address)).to.equal(pending1);
+            expect(pending1 * 2n).to.be.lte(await pool.accumulatedFees());
+            await expectSolvent();
+        });
+    });
+
+    describe("ERC-4626", function () {
+        beforeEach(async function () {
+            await vault.connect(liquidityProvider).deposit(ethers.parseEther("1000"), liquidityProvider.address);
+            // A lost bet moves the share price away from 1:1
+            await settle(ethers.parseEther("100"));
+        });
+
+        it("Should deposit after the platform fee", async function () {
+            const assets = ethers.parseEther("200");
+            const shares = await vault.previewDeposit(assets);
+            expect(shares).to.be.lessThan(await vault.convertToShares(assets));
+            const platformBefore = await token.balanceOf(platformWallet.address);
+
+            await expect(vault.connect(liquidityProvider2).deposit(assets, stranger.address))
+                .to.emit(vault, "Deposit")
+                .withArgs(liquidityProvider2.address, stranger.address, assets, shares);
+            expect(await vault.balanceOf(stranger.address)).to.equal(shares);
+            expect(await token.balanceOf(platformWallet.address)).to.equal(platformBefore + (assets * 250n) / 10000n);
+            await expectSolvent();
+        });
+
+        it("Should mint exactly the shares asked for", async function () {
+            const shares = ethers.parseEther("100");
+            const assets = await vault.previewMint(shares);
+            expect(await vault.previewDeposit(assets)).to.be.gte(shares);
+            const balanceBefore = await token.balanceOf(liquidityProvider2.address);
+
+            await expect(vault.connect(liquidityProvider2).mint(shares, liquidityProvider2.address))
+                .to.emit(vault, "Deposit")
+                .withArgs(liquidityProvider2.address, liquidityProvider2.address, assets, shares);
+            expect(await vault.balanceOf(liquidityProvider2.address)).to.equal(shares);
+            expect(await token.balanceOf(liquidityProvider2.address)).to.equal(balanceBefore - assets);
+            await expectSolvent();
+        });
+
+        it("Should withdraw exactly the assets asked for", async function () {
+            const assets = ethers.parseEther("50");
+            const shares = await vault.previewWithdraw(assets);
+            const sharesBefore = await vault.balanceOf(liquidityProvider.address);
+
+            await expect(vault.connect(liquidityProvider).withdraw(assets, stranger.address, liquidityProvider.address))
+                .to.emit(vault, "Withdraw")
+                .withArgs(liquidityProvider.address, stranger.address, liquidityProvider.address, assets, shares);
+            expect(await token.balanceOf(stranger.address)).to.equal(ethers.parseEther("10050"));
+            expect(await vault.balanceOf(liquidityProvider.address)).to.equal(sharesBefore - shares);
+            await expectSolvent();
+
+            // The whole position comes out after the fee
+            const maxAssets = await vault.maxWithdraw(liquidityProvider.address);
+            expect(maxAssets).to.be.closeTo(await vault.previewRedeem(sharesBefore - shares), 1n);
+            await vault.connect(liquidityProvider).withdraw(maxAssets, liquidityProvider.address, liquidityProvider.address);
+            expect(await vault.balanceOf(liquidityProvider.address)).to.be.lte(1n);
+            await expectSolvent();
+        });
+
+        it("Should redeem for another owner within the allowance", async function () {
+            const shares = ethers.parseEther("100");
+            const assets = await vault.previewRedeem(shares);
+            expect(assets).to.be.lessThan(await vault.convertToAssets(shares));
+
+            await expect(vault.connect(stranger).redeem(shares, stranger.address, liquidityProvider.address))
+                .to.be.revertedWithCustomError(vault, "ERC20InsufficientAllowance");
+
+            await vault.connect(liquidityProvider).approve(stranger.address, shares);
+            await expect(vault.connect(stranger).redeem(shares, stranger.address, liquidityProvider.address))
+                .to.emit(vault, "Withdraw")
+                .withArgs(stranger.address, stranger.address, liquidityProvider.address, assets, shares);
+            expect(await token.balanceOf(stranger.address)).to.equal(ethers.parseEther("10000") + assets);
+            expect(await vault.allowance(liquidityProvider.address, stranger.address)).to.equal(0);
+            await expectSolvent();
+        });
+
+        it("Should report the pool's limits", async function () {
+            await factory.grantRole(ROLES["on-chain-game"], stranger.address, 0, "game");
+            const capital = await vault.totalAssets();
+            const bet = ethers.parseEther("10");
+            const reserve = capital / 2n;
+            await pool.connect(stranger).openOnChainBet(ethers.id("bet"), player.address, bet, bet + reserve);
+
+            // Capital reserved for the open bet cannot be redeemed
+            const balance = await vault.balanceOf(liquidityProvider.address);
+            const maxShares = ((capital - reserve) * balance) / capital;
+            expect(await vault.maxRedeem(liquidityProvider.address)).to.equal(maxShares);
+            await expect(vault.connect(liquidityProvider).redeem(balance, liquidityProvider.address, liquidityProvider.address))
+                .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxRedeem")
+                .withArgs(liquidityProvider.address, balance, maxShares);
+            await vault.connect(liquidityProvider).redeem(maxShares, liquidityProvider.address, liquidityProvider.address);
+
+            await factory.pause();
+            expect(await vault.maxDeposit(liquidityProvider.address)).to.equal(0);
+            await expect(vault.connect(liquidityProvider).deposit(1n, liquidityProvider.address))
+                .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxDeposit");
+        });
+
+        it("Should close the vault after an emergency withdrawal", async function () {
+            const balance = await vault.balanceOf(liquidityProvider.address);
+            await factory.pause();
+            await factory.emergencyWithdrawFromPool(await token.getAddress());
+            await factory.unpause();
+            expect(await pool.emergencyWithdrawn()).to.be.true;
+
+            // The old balance outlives the supply, but nothing can use it
+            expect(await vault.balanceOf(liquidityProvider.address)).to.equal(balance);
+            expect(await vault.totalSupply()).to.equal(0);
+            expect(await vault.maxRedeem(liquidityProvider.address)).to.equal(0);
+            expect(await vault.maxWithdraw(liquidityProvider.address)).to.equal(0);
+            expect(await vault.maxDeposit(liquidityProvider2.address)).to.equal(0);
+            expect(await vault.maxMint(liquidityProvider2.address)).to.equal(0);
+            await expect(vault.connect(liquidityProvider).redeem(balance, liquidityProvider.address, liquidityProvider.address))
+                .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxRedeem");
+            await expect(vault.connect(liquidityProvider2).deposit(1n, liquidityProvider2.address))
+                .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxDeposit");
+            await expect(vault.connect(liquidityProvider).transfer(stranger.address, balance))
+                .to.be.revertedWithCustomError(pool, "PoolEmergencyWithdrawn");
+
+            // New capital cannot buy in next to the stale shares, nor can they claim it
+            await expect(pool.connect(liquidityProvider2).addLiquidity(ethers.parseEther("100")))
+                .to.be.revertedWithCustomError(pool, "PoolEmergencyWithdrawn");
+            await expect(pool.connect(liquidityProvider).removeLiquidity(balance))
+                .to.be.revertedWithCustomError(pool, "PoolEmergencyWithdrawn");
+        });
+    });
+
+    describe("Access", function () {
+        it("Should only take share changes from its pool and token", async function () {
+            await expect(vault.connect(stranger).notifyTransfer(stranger.address, player.address, 1n))
+                .to.be.revertedWithCustomError(vault, "NotAuthorized");
+            await expect(pool.connect(stranger).transferShares(liquidityProvider.address, stranger.address, 1n))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+            await expect(pool.connect(stranger).addLiquidityFor(stranger.address, 100n, 1n))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+            await expect(pool.connect(stranger).removeLiquidityFor(liquidityProvider.address, stranger.address, 1n, 0n))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+
+            await expect(factory.createShareToken(await token.getAddress()))
+                .to.be.revertedWithCustomError(factory, "ShareTokenAlreadySet");
+            await expect(factory.createShareToken(stranger.address))
+                .to.be.revertedWithCustomError(factory, "PoolDoesNotExist");
+            await expect(factory.connect(stranger).setShareTokenImplementation(stranger.address))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should give pools created before the share token beacon their token", async function () {
+            const TokenPool = await ethers.getContractFactory("TokenPool");
+            const CasinoFactory = await ethers.getContractFactory("CasinoFactory");
+            const poolImplementation = await upgrades.deployImplementation(TokenPool, { kind: "beacon" });
+            const bare = await upgrades.deployProxy(CasinoFactory, [platformWallet.address, poolImplementation], { kind: "uups" });
+
+            await bare.createPool(await token.getAddress());
+            const [, poolAddress] = await bare.getPool(await token.getAddress());
+            const oldPool = await ethers.getContractAt("TokenPool", poolAddress);
+            await token.connect(liquidityProvider).approve(poolAddress, ethers.MaxUint256);
+            await oldPool.connect(liquidityProvider).addLiquidity(ethers.parseEther("100"));
+            expect(await oldPool.shareToken()).to.equal(ethers.ZeroAddress);
+
+            await expect(bare.createShareToken(await token.getAddress()))
+                .to.be.revertedWithCustomError(bare, "NoShareTokenImplementation");
+            const LPShareToken = await ethers.getContractFactory("LPShareToken");
+            await bare.setShareTokenImplementation(await upgrades.deployImplementation(LPShareToken, { kind: "beacon" }));
+
+            await expect(bare.connect(stranger).createShareToken(await token.getAddress()))
+                .to.emit(bare, "ShareTokenCreated");
+            const shareToken = await ethers.getContractAt("LPShareToken", await oldPool.shareToken());
+            expect(await shareToken.balanceOf(liquidityProvider.address)).to.equal(ethers.parseEther("97.5"));
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeDeployment } = require("../scripts/lib/deployments");
+const { NETWORKS, getNetworkName, getRpcUrl, getChainId, connect } = require("../scripts/lib/networks");
+
+describe("Network Configuration", function () {
+    let registryDir;
+    const contracts = { CasinoFactory: ethers.ZeroAddress, CasinoRouter: ethers.ZeroAddress };
+
+    beforeEach(function () {
+        registryDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    // Run `fn` with env vars set (undefined deletes them), restoring them afterwards
+    async function withEnv(vars, fn) {
+        const previous = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+        const apply = values => Object.entries(values).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+        try {
+            apply(vars);
+            return await fn();
+        } finally {
+            apply(previous);
+        }
+    }
+
+    it("Should take the network from --network, then NETWORK", function () {
+        const previous = process.env.NETWORK;
+        try {
+            delete process.env.NETWORK;
+            expect(getNetworkName(["node", "script.js"])).to.equal("localhost");
+            expect(getNetworkName(["node", "script.js", "--network", "staging", "x"])).to.equal("staging");
+            expect(getNetworkName(["node", "script.js", "--network=production"])).to.equal("production");
+
+            process.env.NETWORK = "staging";
+            expect(getNetworkName(["node", "script.js"])).to.equal("staging");
+            expect(getNetworkName(["node", "script.js", "--network", "localhost"])).to.equal("localhost");
+        } finally {
+            if (previous === undefined) delete process.env.NETWORK;
+            else process.env.NETWORK = previous;
+        }
+    });
+
+    it("Should give every named network its own chain id and keys", function () {
+        const chainIds = Object.values(NETWORKS).map(config => config.chainId || config.chainIdEnv);
+        expect(new Set(chainIds).size).to.equal(chainIds.length);
+
+        const syncerKeys = Object.values(NETWORKS).map(config => config.keys.syncer);
+        expect(new Set(syncerKeys).size).to.equal(syncerKeys.length);
+        // Balance syncing and game settlement never share a key
+        Object.values(NETWORKS).forEach(config => expect(config.keys.settler).to.not.equal(config.keys.syncer));
+
+        expect(getRpcUrl("localhost")).to.equal("http://127.0.0.1:8545");
+        expect(() => getRpcUrl("mainnet")).to.throw('Unknown network "mainnet"');
+    });
+
+    it("Should take remote chain ids from env and never guess one", async function () {
+        expect(getChainId("localhost")).to.equal(31337);
+        await withEnv({ STAGING_CHAIN_ID: undefined, PRODUCTION_CHAIN_ID: "abc" }, async () => {
+            expect(() => getChainId("staging")).to.throw('Set STAGING_CHAIN_ID to the chain id of the "staging" network');
+            expect(() => getChainId("production")).to.throw("Set PRODUCTION_CHAIN_ID");
+
+            // Nothing connects without one, whatever chain the provider is on
+            writeDeployment("staging", { chainId: 31337, contracts, pools: {} }, registryDir);
+            await expect(connect("staging", { provider: ethers.provider, registryDir }))
+                .to.be.rejectedWith("Set STAGING_CHAIN_ID");
+        });
+        await withEnv({ STAGING_CHAIN_ID: "4242" }, async () => {
+            expect(getChainId("staging")).to.equal(4242);
+        });
+    });
+
+    it("Should connect when the chain matches the config and registry", async function () {
+        writeDeployment("localhost", { chainId: 31337, contracts, pools: {} }, registryDir);
+
+        const network = await connect("localhost", { provider: ethers.provider, registryDir });
+        expect(network.deployment.contracts.CasinoFactory).to.equal(ethers.ZeroAddress);
+        expect(network.provider).to.equal(ethers.provider);
+    });
+
+    it("Should refuse a provider on another chain", async function () {
+        // Staging is configured for another chain than the Hardhat one
+        writeDeployment("staging", { chainId: 31337, contracts, pools: {} }, registryDir);
+        await withEnv({ STAGING_CHAIN_ID: "4242" }, async () => {
+            await expect(connect("staging", { provider: ethers.provider, registryDir }))
+                .to.be.rejectedWith('Chain id mismatch: provider is on chain 31337 but network "staging" expects 4242');
+        });
+
+        // A registry recorded on a different chain is refused too
+        writeDeployment("localhost", { chainId: 1, contracts, pools: {} }, registryDir);
+        await expect(connect("localhost", { provider: ethers.provider, registryDir }))
+            .to.be.rejectedWith("deployments/localhost.json expects 1");
+    });
+
+    it("Should read role keys from the network's env vars", async function () {
+        writeDeployment("localhost", { chainId: 31337, contracts, pools: {} }, registryDir);
+        const network = await connect("localhost", { provider: ethers.provider, registryDir });
+
+        await withEnv({ SYNCER_PRIVATE_KEY: undefined }, async () => {
+            expect(network.hasKey("syncer")).to.be.false;
+            expect(() => network.wallet("syncer")).to.throw("Set SYNCER_PRIVATE_KEY");
+        });
+
+        const wallet = ethers.Wallet.createRandom();
+        await withEnv({ SYNCER_PRIVATE_KEY: wallet.privateKey }, async () => {
+            expect(network.wallet("syncer").address).to.equal(wallet.address);
+        });
+    });
+});
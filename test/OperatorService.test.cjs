@@ -0,0 +1,381 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { useFirestore, seedBalances } = require("./helpers/firestore.cjs");
+const { deployFactory } = require("./helpers/casino.cjs");
+const OperatorService = require("../scripts/operator-service");
+const { reconcile, fixDrift, toCsv } = require("../scripts/reconcile");
+const { getFactoryContract } = require("../scripts/lib/contracts");
+const FirestoreBalanceStore = require("../scripts/lib/balance-stores/firestore");
+const { MemoryBalanceStore } = require("../scripts/lib/balance-stores");
+const { gameIdFromDocument } = require("../scripts/lib/games");
+const { verifyVoucher } = require("../scripts/lib/vouchers");
+const { ROLES } = require("../scripts/lib/roles");
+
+describe("Operator Service", function () {
+    let token, factory, pool, tokenAddress;
+    let owner, platformWallet, player, player2, operator;
+    let operatorService, balanceStore;
+
+    const firestore = useFirestore();
+
+    async function waitFor(condition, timeoutMs = 5000) {
+        const deadline = Date.now() + timeoutMs;
+        while (!(await condition())) {
+            if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    }
+
+    beforeEach(async function () {
+        [owner, platformWallet, player, player2] = await ethers.getSigners();
+
+        // The operator service signs locally, so it needs a key-backed wallet
+        operator = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: operator.address, value: ethers.parseEther("10") });
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+        tokenAddress = await token.getAddress();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        await factory.createPool(tokenAddress);
+        const [, poolAddress] = await factory.getPool(tokenAddress);
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+        // Tokens held beyond the ledgers back the balances the service pushes
+        await token.mint(poolAddress, ethers.parseEther("1000"));
+
+        balanceStore = new FirestoreBalanceStore(firestore.db);
+        const journalDir = fs.mkdtempSync(path.join(os.tmpdir(), "operator-"));
+        operatorService = new OperatorService(operator.privateKey, await factory.getAddress(), null, {
+            provider: ethers.provider,
+            balanceStore,
+            journalPath: path.join(journalDir, "journal.json"),
+            pollIntervalMs: 100,
+            maxBatchSize: 1,
+            settlementIntervalMs: 50
+        });
+    });
+
+    afterEach(async function () {
+        await operatorService.stop();
+    });
+
+    it("Should push Firestore balance changes on-chain", async function () {
+        // Balances written while the service was down come with the initial snapshot
+        await seedBalances(firestore.db, { [player2.address]: { [tokenAddress]: "5" } });
+        await operatorService.start();
+        await waitFor(async () => (await pool.firebaseBalances(player2.address)) > 0n);
+        expect(await pool.firebaseBalances(player2.address)).to.equal(ethers.parseEther("5"));
+
+        await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "12.5" } });
+        await waitFor(async () => (await pool.firebaseBalances(player.address)) > 0n);
+
+        expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("12.5"));
+        expect(await pool.balanceNonces(player.address)).to.equal(1);
+
+        // A restart replays both balances, but they are already on-chain
+        await operatorService.stop();
+        const blockBefore = await ethers.provider.getBlockNumber();
+        const replayed = [];
+        const handleBalanceChange = operatorService.handleBalanceChange.bind(operatorService);
+        operatorService.handleBalanceChange = async (...args) => {
+            await handleBalanceChange(...args);
+            replayed.push(args[0]);
+        };
+        await operatorService.start();
+        await waitFor(async () => replayed.length === 2);
+        await operatorService.flushAll();
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        expect(await pool.balanceNonces(player2.address)).to.equal(1);
+    });
+
+    it("Should ignore tokens without a pool", async function () {
+        await operatorService.start();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        const other = await TestToken.deploy();
+        await seedBalances(firestore.db, { [player.address]: { [await other.getAddress()]: "1" } });
+        await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "2" } });
+
+        await waitFor(async () => (await pool.firebaseBalances(player.address)) > 0n);
+        expect(operatorService.batchers.size).to.equal(1);
+    });
+
+    it("Should sync from a non-Firestore balance store", async function () {
+        await operatorService.stop();
+        operatorService = new OperatorService(operator.privateKey, await factory.getAddress(), null, {
+            provider: ethers.provider,
+            balanceStore: new MemoryBalanceStore(),
+            journalPath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "operator-")), "journal.json"),
+            pollIntervalMs: 100,
+            maxBatchSize: 1
+        });
+        await operatorService.start();
+
+        await operatorService.balanceStore.set(player.address, tokenAddress, "7");
+        await waitFor(async () => (await pool.firebaseBalances(player.address)) > 0n);
+        expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("7"));
+    });
+
+    it("Should scale balances by the token's decimals", async function () {
+        const SixDecimalToken = await ethers.getContractFactory("SixDecimalToken");
+        const usdc = await SixDecimalToken.deploy();
+        const usdcAddress = await usdc.getAddress();
+        await factory.createPool(usdcAddress);
+        const [, usdcPoolAddress] = await factory.getPool(usdcAddress);
+        const usdcPool = await ethers.getContractAt("TokenPool", usdcPoolAddress);
+        await usdc.mint(usdcPoolAddress, ethers.parseUnits("100", 6));
+
+        await operatorService.start();
+        await seedBalances(firestore.db, { [player.address]: { [usdcAddress]: "12.345678" } });
+        await waitFor(async () => (await usdcPool.balanceNonces(player.address)) > 0n);
+
+        const [event] = await usdcPool.queryFilter(usdcPool.filters.BatchBalanceUpdate());
+        expect(event.args.balances).to.deep.equal([ethers.parseUnits("12.345678", 6)]);
+        expect(await usdcPool.firebaseBalances(player.address)).to.equal(12345678n);
+    });
+
+    describe("Game settlement", function () {
+        beforeEach(async function () {
+            await token.mint(player.address, ethers.parseEther("100"));
+            await token.connect(player).approve(await pool.getAddress(), ethers.MaxUint256);
+            await pool.connect(player).deposit(ethers.parseEther("40"));
+            // LP capital to pay out wins
+            await token.mint(owner.address, ethers.parseEther("1000"));
+            await token.approve(await pool.getAddress(), ethers.MaxUint256);
+            await pool.addLiquidity(ethers.parseEther("1000"));
+        });
+
+        function completeGame(id, betAmount, winAmount = "0") {
+            return firestore.db.collection("games").doc(id).set({
+                user: player.address,
+                token: tokenAddress,
+                betAmount,
+                winAmount,
+                status: "completed"
+            });
+        }
+
+        function serviceWithGames() {
+            return new OperatorService(operator.privateKey, factory.target, null, {
+                provider: ethers.provider,
+                balanceStore,
+                gamesDb: firestore.db,
+                journalPath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "operator-")), "journal.json"),
+                pollIntervalMs: 100,
+                maxBatchSize: 1,
+                settlementIntervalMs: 50
+            });
+        }
+
+        it("Should settle completed games in batches and mark them settled", async function () {
+            // Games completed while the service was down are settled on start
+            await completeGame("round-1", "5");
+            await completeGame("round-2", "2.5");
+            await operatorService.stop();
+            operatorService = new OperatorService(operator.privateKey, await factory.getAddress(), null, {
+                provider: ethers.provider,
+                balanceStore,
+                gamesDb: firestore.db,
+                journalPath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "operator-")), "journal.json"),
+                pollIntervalMs: 100,
+                settlementIntervalMs: 50
+            });
+            await operatorService.start();
+
+            const ref = firestore.db.collection("games").doc("round-1");
+            const ref2 = firestore.db.collection("games").doc("round-2");
+            await waitFor(async () => (await ref2.get()).get("status") === "settled");
+            const game = (await ref.get()).data();
+            expect(game.status).to.equal("settled");
+            expect(game.gameId).to.equal(gameIdFromDocument(ref));
+            expect(await pool.settledGames(game.gameId)).to.be.true;
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("32.5"));
+            // Both rounds went out in one transaction
+            expect((await ref2.get()).get("settlementTx")).to.equal(game.settlementTx);
+
+            await completeGame("round-3", "10");
+            await waitFor(async () => (await pool.firebaseBalances(player.address)) === ethers.parseEther("22.5"));
+        });
+
+        it("Should settle with the settler key and sync with the syncer key", async function () {
+            const syncer = ethers.Wallet.createRandom().connect(ethers.provider);
+            const settler = ethers.Wallet.createRandom().connect(ethers.provider);
+            for (const wallet of [syncer, settler]) {
+                await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("10") });
+            }
+            await factory.grantRole(ROLES["balance-syncer"], syncer.address, 0, "syncer");
+            await factory.grantRole(ROLES["game-settler"], settler.address, 0, "settler");
+
+            await operatorService.stop();
+            operatorService = new OperatorService(
+                { syncer: syncer.privateKey, settler: settler.privateKey },
+                await factory.getAddress(),
+                null,
+                {
+                    provider: ethers.provider,
+                    balanceStore,
+                    gamesDb: firestore.db,
+                    journalPath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "operator-")), "journal.json"),
+                    pollIntervalMs: 100,
+                    maxBatchSize: 1,
+                    settlementIntervalMs: 50
+                }
+            );
+            expect(operatorService.settleQueue).to.not.equal(operatorService.syncQueue);
+            await operatorService.start();
+
+            await completeGame("round-1", "5");
+            const ref = firestore.db.collection("games").doc("round-1");
+            await waitFor(async () => (await ref.get()).get("status") === "settled");
+            const settlementTx = await ethers.provider.getTransaction((await ref.get()).get("settlementTx"));
+            expect(settlementTx.from).to.equal(settler.address);
+
+            await seedBalances(firestore.db, { [player2.address]: { [tokenAddress]: "3" } });
+            await waitFor(async () => (await pool.firebaseBalances(player2.address)) > 0n);
+            const [update] = await pool.queryFilter(pool.filters.BatchBalanceUpdate());
+            expect((await update.getTransaction()).from).to.equal(syncer.address);
+
+            const { voucher, signature } = await operatorService.signWithdrawal(tokenAddress, player.address, 1n);
+            const { signer, valid } = await verifyVoucher(pool, factory, voucher, signature);
+            expect(signer).to.equal(syncer.address);
+            expect(valid).to.be.true;
+        });
+
+        it("Should count a game once when its balance and its settlement race", async function () {
+            await operatorService.stop();
+            operatorService = serviceWithGames();
+            await operatorService.start();
+
+            // The game server writes a lost round and the balance that includes it
+            await completeGame("round-1", "5");
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "35" } });
+            const ref = firestore.db.collection("games").doc("round-1");
+            await waitFor(async () => (await ref.get()).get("status") === "settled");
+            await operatorService.flushAll();
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("35"));
+
+            // A win is credited net of the game fees, which the store mirrors
+            await completeGame("round-2", "5", "10");
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "39.7" } });
+            const ref2 = firestore.db.collection("games").doc("round-2");
+            await waitFor(async () => (await ref2.get()).get("status") === "settled");
+            await operatorService.flushAll();
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("39.7"));
+
+            // The balance never went through a double-counted value on the way
+            const updates = await pool.queryFilter(pool.filters.FirebaseBalanceUpdated(player.address));
+            expect(updates.map(event => ethers.formatEther(event.args.balance))).to.deep.equal(["40.0", "35.0", "39.7"]);
+        });
+
+        it("Should push balances without games the pool has not settled", async function () {
+            await operatorService.stop();
+            operatorService = serviceWithGames();
+            await operatorService.startQueues();
+            await completeGame("round-1", "5", "10");
+
+            // Until round-1 settles, its +4.7 is left to the settlement
+            const batcher = await operatorService.getBatcher(await pool.getAddress());
+            await batcher.add(player.address, ethers.parseEther("44.7"));
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("40"));
+
+            await operatorService.settleGame(await firestore.db.collection("games").doc("round-1").get());
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("44.7"));
+            await batcher.add(player.address, ethers.parseEther("44.7"));
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("44.7"));
+        });
+
+        it("Should not settle a game twice across retries", async function () {
+            await operatorService.start();
+            await completeGame("round-1", "5");
+            const doc = await firestore.db.collection("games").doc("round-1").get();
+
+            // Concurrent deliveries share one transaction
+            const [first, second] = await Promise.all([operatorService.settleGame(doc), operatorService.settleGame(doc)]);
+            expect(first.txHash).to.equal(second.txHash);
+            expect(first.alreadySettled).to.be.false;
+
+            // A later retry, e.g. after a restart, finds it settled on-chain
+            const retry = await operatorService.settleGame(doc);
+            expect(retry).to.include({ gameId: first.gameId, alreadySettled: true });
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("35"));
+            expect((await doc.ref.get()).get("settlementTx")).to.equal(first.txHash);
+        });
+    });
+
+    describe("Reconciliation", function () {
+        beforeEach(async function () {
+            await token.mint(player.address, ethers.parseEther("100"));
+            await token.mint(player2.address, ethers.parseEther("100"));
+            await token.connect(player).approve(await pool.getAddress(), ethers.MaxUint256);
+            await token.connect(player2).approve(await pool.getAddress(), ethers.MaxUint256);
+            await pool.connect(player).deposit(ethers.parseEther("40"));
+            await pool.connect(player2).deposit(ethers.parseEther("10"));
+        });
+
+        it("Should report matches, drift and missing documents", async function () {
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "40" } });
+            await seedBalances(firestore.db, { [owner.address]: { [tokenAddress]: "3" } });
+
+            const factoryContract = getFactoryContract(await factory.getAddress(), ethers.provider);
+            let rows = await reconcile(factoryContract, balanceStore);
+            const byUser = Object.fromEntries(rows.map(row => [row.user, row]));
+            expect(byUser[player.address].status).to.equal("match");
+            expect(byUser[player2.address].status).to.equal("missing-in-store");
+
+            await balanceStore.set(player.address, tokenAddress, "35");
+            rows = await reconcile(factoryContract, balanceStore);
+            const drifted = rows.find(row => row.user === player.address);
+            expect(drifted.status).to.equal("drift");
+            expect(drifted.drift).to.equal(ethers.parseEther("-5"));
+        });
+
+        it("Should report a malformed stored balance and check the rest", async function () {
+            await seedBalances(firestore.db, {
+                [player.address]: { [tokenAddress]: "1,000" },
+                [player2.address]: { [tokenAddress]: "10" }
+            });
+
+            const factoryContract = getFactoryContract(await factory.getAddress(), ethers.provider);
+            const rows = await reconcile(factoryContract, balanceStore);
+            const byUser = Object.fromEntries(rows.map(row => [row.user, row]));
+            expect(byUser[player.address]).to.include({ status: "invalid", storedBalance: null, drift: null });
+            expect(byUser[player.address].error).to.match(/^Stored balance "1,000" does not parse with 18 decimals/);
+            expect(byUser[player2.address]).to.include({ status: "match", error: null });
+
+            // Nothing is pushed for it, and the CSV keeps the error in one field
+            expect(await fixDrift(operatorService, rows)).to.equal(0);
+            const line = toCsv(rows).split("\n").find(row => row.includes(player.address));
+            expect(line.endsWith(`,invalid,"${byUser[player.address].error.replace(/"/g, '""')}"`)).to.be.true;
+        });
+
+        it("Should fix drift through the operator", async function () {
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "30" } });
+
+            const factoryContract = getFactoryContract(await factory.getAddress(), ethers.provider);
+            const rows = await reconcile(factoryContract, balanceStore);
+            expect(await fixDrift(operatorService, rows)).to.equal(1);
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("30"));
+
+            const after = await reconcile(factoryContract, balanceStore);
+            expect(after.find(row => row.user === player.address).status).to.equal("match");
+        });
+
+        it("Should reject when a corrective batch fails", async function () {
+            await seedBalances(firestore.db, { [player.address]: { [tokenAddress]: "30" } });
+            await factory.setOperator(operator.address, false, "test-operator");
+
+            const factoryContract = getFactoryContract(await factory.getAddress(), ethers.provider);
+            const rows = await reconcile(factoryContract, balanceStore);
+            const error = await fixDrift(operatorService, rows).catch(error => error);
+            expect(error).to.be.instanceOf(AggregateError);
+            expect(error.errors).to.have.length(1);
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("40"));
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Factory Ownership", function () {
+    let factory, token, pool;
+    let owner, platformWallet, newOwner, attacker, player;
+
+    beforeEach(async function () {
+        [owner, platformWallet, newOwner, attacker, player] = await ethers.getSigners();
+        factory = await deployFactory(platformWallet.address);
+    });
+
+    describe("Initialization", function () {
+        it("Should initialize in the proxy deployment, owned by the deployer", async function () {
+            // There is no window between deployment and setup for an attacker to use
+            expect(await factory.owner()).to.equal(owner.address);
+            expect(await factory.platformWallet()).to.equal(platformWallet.address);
+
+            await expect(factory.connect(attacker).initialize(attacker.address, attacker.address))
+                .to.be.revertedWithCustomError(factory, "InvalidInitialization");
+            expect(await factory.platformWallet()).to.equal(platformWallet.address);
+        });
+
+        it("Should lock the implementation contracts", async function () {
+            const implementation = await ethers.getContractAt(
+                "CasinoFactory",
+                await upgrades.erc1967.getImplementationAddress(await factory.getAddress())
+            );
+            await expect(implementation.connect(attacker).initialize(attacker.address, attacker.address))
+                .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+
+            const poolImplementation = await ethers.getContractAt("TokenPool", await factory.poolImplementation());
+            await expect(poolImplementation.connect(attacker).initialize(attacker.address, attacker.address))
+                .to.be.revertedWithCustomError(poolImplementation, "InvalidInitialization");
+        });
+    });
+
+    describe("Two-step transfer", function () {
+        it("Should keep the current owner until the new one accepts", async function () {
+            await expect(factory.transferOwnership(newOwner.address))
+                .to.emit(factory, "OwnershipTransferStarted")
+                .withArgs(owner.address, newOwner.address);
+            expect(await factory.owner()).to.equal(owner.address);
+            expect(await factory.pendingOwner()).to.equal(newOwner.address);
+
+            // The pending owner has no admin rights yet
+            await expect(factory.connect(newOwner).pause())
+                .to.be.revertedWithCustomError(factory, "AccessManagedUnauthorized");
+
+            await expect(factory.connect(newOwner).acceptOwnership())
+                .to.emit(factory, "OwnershipTransferred")
+                .withArgs(owner.address, newOwner.address);
+            expect(await factory.owner()).to.equal(newOwner.address);
+            expect(await factory.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+            await expect(factory.pause())
+                .to.be.revertedWithCustomError(factory, "AccessManagedUnauthorized");
+            await factory.connect(newOwner).pause();
+        });
+
+        it("Should reject hijack attempts on a pending transfer", async function () {
+            await expect(factory.connect(attacker).transferOwnership(attacker.address))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+
+            await factory.transferOwnership(newOwner.address);
+            await expect(factory.connect(attacker).acceptOwnership())
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+                .withArgs(attacker.address);
+
+            // A mistyped address can be replaced, or cleared with the zero address
+            await factory.transferOwnership(ethers.ZeroAddress);
+            await expect(factory.connect(newOwner).acceptOwnership())
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+            expect(await factory.owner()).to.equal(owner.address);
+        });
+
+        it("Should move pool administration with the factory", async function () {
+            const TestToken = await ethers.getContractFactory("TestToken");
+            token = await TestToken.deploy();
+            await factory.createPool(await token.getAddress());
+            const [, poolAddress] = await factory.getPool(await token.getAddress());
+            pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+            await factory.transferOwnership(newOwner.address);
+            await expect(pool.connect(newOwner).processGameResult(ethers.id("game-1"), player.address, 0, 0))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+
+            await factory.connect(newOwner).acceptOwnership();
+            await pool.connect(newOwner).processGameResult(ethers.id("game-1"), player.address, 0, 0);
+            await expect(pool.connect(owner).processGameResult(ethers.id("game-2"), player.address, 0, 0))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+        });
+    });
+});
@@ -0,0 +1,53 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { computePoolAddress } = require("../scripts/lib/contracts");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Pool Address Prediction", function () {
+    let token, factory, factoryAddress, tokenAddress;
+    let owner, platformWallet;
+
+    beforeEach(async function () {
+        [owner, platformWallet] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+        tokenAddress = await token.getAddress();
+
+        factory = await deployFactory(platformWallet.address);
+        factoryAddress = await factory.getAddress();
+    });
+
+    it("Should deploy the pool at the predicted address", async function () {
+        const predicted = await factory.computePoolAddress(tokenAddress);
+        expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+
+        await expect(factory.createPool(tokenAddress))
+            .to.emit(factory, "PoolCreated")
+            .withArgs(tokenAddress, predicted);
+
+        const [, poolAddress] = await factory.getPool(tokenAddress);
+        expect(poolAddress).to.equal(predicted);
+        expect(await factory.computePoolAddress(tokenAddress)).to.equal(poolAddress);
+    });
+
+    it("Should compute the same address offline from the artifact", async function () {
+        const offline = computePoolAddress(factoryAddress, tokenAddress);
+        expect(offline).to.equal(await factory.computePoolAddress(tokenAddress));
+
+        await factory.createPool(tokenAddress);
+        const [, poolAddress] = await factory.getPool(tokenAddress);
+        expect(offline).to.equal(poolAddress);
+    });
+
+    it("Should give each token and factory its own address", async function () {
+        const TestToken = await ethers.getContractFactory("TestToken");
+        const token2 = await TestToken.deploy();
+        expect(computePoolAddress(factoryAddress, await token2.getAddress()))
+            .to.not.equal(computePoolAddress(factoryAddress, tokenAddress));
+
+        const factory2 = await deployFactory(platformWallet.address);
+        expect(await factory2.computePoolAddress(tokenAddress))
+            .to.not.equal(await factory.computePoolAddress(tokenAddress));
+    });
+});
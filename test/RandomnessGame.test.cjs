@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { GAMES } = require("../scripts/lib/fair-play");
+const { ROLES } = require("../scripts/lib/roles");
+const { pendingRequests, fulfillRequest, fulfillPending, randomnessFor } = require("../scripts/lib/randomness");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Randomness Game", function () {
+    let token, factory, pool, coordinator, game;
+    let owner, platformWallet, player, liquidityProvider, stranger;
+
+    async function placeBet(gameName, choice, betAmount) {
+        const receipt = await (await game.connect(player).placeBet(GAMES[gameName], choice, betAmount)).wait();
+        const event = receipt.logs.map(log => game.interface.parseLog(log)).find(e => e && e.name === "BetPlaced");
+        return { gameId: event.args.gameId, requestId: event.args.requestId };
+    }
+
+    async function expectSolvent() {
+        expect((await pool.solvency()).surplus).to.be.gte(0n);
+    }
+
+    beforeEach(async function () {
+        [owner, platformWallet, player, liquidityProvider, stranger] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.createPool(await token.getAddress());
+        const [, poolAddress] = await factory.getPool(await token.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+        const MockVRFCoordinator = await ethers.getContractFactory("MockVRFCoordinator");
+        coordinator = await MockVRFCoordinator.deploy();
+        const RandomnessGame = await ethers.getContractFactory("RandomnessGame");
+        game = await RandomnessGame.deploy(poolAddress, await coordinator.getAddress(), owner.address);
+        await factory.grantRole(ROLES["on-chain-game"], await game.getAddress(), 0, "randomness-game");
+
+        await token.mint(liquidityProvider.address, ethers.parseEther("1000"));
+        await token.connect(liquidityProvider).approve(poolAddress, ethers.MaxUint256);
+        await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("1000"));
+
+        await token.mint(player.address, ethers.parseEther("100"));
+        await token.connect(player).approve(await game.getAddress(), ethers.MaxUint256);
+    });
+
+    describe("Bets", function () {
+        it("Should pay a winning bet straight to the player after the fee split", async function () {
+            const bet = ethers.parseEther("10");
+            const capital = await pool.lpCapital();
+            const { gameId, requestId } = await placeBet("coin-flip", 1, bet);
+            expect(await token.balanceOf(player.address)).to.equal(ethers.parseEther("90"));
+
+            const win = bet * 2n;
+            const lpFee = (win * (await pool.gameLpFee())) / 10000n;
+            const platformFee = (win * (await pool.gamePlatformFee())) / 10000n;
+            const platformBefore = await token.balanceOf(platformWallet.address);
+            const randomness = randomnessFor("coin-flip", 1);
+
+            await expect(coordinator.fulfill(requestId, randomness))
+                .to.emit(game, "BetSettled")
+                .withArgs(gameId, player.address, randomness, win)
+                .and.to.emit(pool, "GameResult")
+                .withArgs(gameId, player.address, bet, win, lpFee, (timestamp) => timestamp > 0n);
+
+            expect(await token.balanceOf(player.address)).to.equal(ethers.parseEther("90") + win - lpFee - platformFee);
+            expect(await token.balanceOf(platformWallet.address)).to.equal(platformBefore + platformFee);
+            expect(await pool.lpCapital()).to.equal(capital + bet - win);
+            expect(await pool.accumulatedFees()).to.equal(lpFee);
+            expect(await pool.openBetStakes()).to.equal(0);
+            await expectSolvent();
+        });
+
+        it("Should keep a losing stake as LP capital", async function () {
+            const bet = ethers.parseEther("10");
+            const capital = await pool.lpCapital();
+            const { requestId } = await placeBet("dice", 2500, bet);
+            await fulfillRequest(coordinator, requestId, randomnessFor("dice", 2500, { win: false }));
+
+            const fees = (bet * ((await pool.gameLpFee()) + (await pool.gamePlatformFee()))) / 10000n;
+            expect(await token.balanceOf(player.address)).to.equal(ethers.parseEther("90"));
+            expect(await pool.lpCapital()).to.equal(capital + bet - fees);
+            expect(await pool.firebaseBalances(player.address)).to.equal(0);
+            await expectSolvent();
+        });
+
+        it("Should reserve LP capital for the largest payout of open bets", async function () {
+            const bet = ethers.parseEther("5");
+            const { requestId } = await placeBet("slots", 0, bet);
+            expect(await pool.openBetStakes()).to.equal(bet);
+            expect(await pool.reservedPayouts()).to.equal(bet * 100n - bet);
+            await expectSolvent();
+
+            // Neither a second bet nor the LP can take the reserved capital
+            await expect(game.connect(player).placeBet(GAMES.slots, 0, ethers.parseEther("10")))
+                .to.be.revertedWithCustomError(pool, "InsufficientBalance");
+            await expect(pool.connect(liquidityProvider).removeLiquidity(await pool.shares(liquidityProvider.address)))
+                .to.be.revertedWithCustomError(pool, "InsufficientBalance");
+
+            await fulfillRequest(coordinator, requestId, randomnessFor("slots", 0));
+            expect(await pool.reservedPayouts()).to.equal(0);
+            expect(await token.balanceOf(player.address)).to.be.greaterThan(ethers.parseEther("100"));
+            await expectSolvent();
+        });
+
+        it("Should apply the pool's exposure limits to the largest payout", async function () {
+            await factory.setExposureLimits(await token.getAddress(), 0, 500, 1000, 3600);
+            // 2x of 30 is over 5% of LP capital
+            await expect(game.connect(player).placeBet(GAMES["coin-flip"], 0, ethers.parseEther("30")))
+                .to.be.revertedWithCustomError(pool, "PayoutTooLarge");
+
+            // The worst case counts against the loss window until the bet settles
+            const bet = ethers.parseEther("10");
+            const { requestId } = await placeBet("coin-flip", 0, bet);
+            expect(await pool.lossWindowNetLoss()).to.equal(bet);
+            await fulfillRequest(coordinator, requestId, randomnessFor("coin-flip", 0, { win: false }));
+            const fees = (bet * ((await pool.gameLpFee()) + (await pool.gamePlatformFee()))) / 10000n;
+            expect(await pool.lossWindowNetLoss()).to.equal(fees - bet);
+        });
+
+        it("Should reject invalid choices and callers without the role", async function () {
+            await expect(game.connect(player).placeBet(GAMES.dice, 0, ethers.parseEther("1")))
+                .to.be.revertedWithCustomError(game, "InvalidGameChoice")
+                .withArgs(GAMES.dice, 0);
+            await expect(pool.connect(stranger).openOnChainBet(ethers.id("x"), stranger.address, 1, 2))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+            await expect(pool.connect(stranger).settleOnChainBet(ethers.id("x"), 0))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+
+            // Only the provider that received the request can answer it
+            const { gameId, requestId } = await placeBet("dice", 5000, ethers.parseEther("1"));
+            await expect(game.connect(stranger).fulfillRandomness(requestId, 0))
+                .to.be.revertedWithCustomError(game, "NotAuthorized");
+            await fulfillRequest(coordinator, requestId);
+            await expect(coordinator.fulfill(requestId, 0))
+                .to.be.revertedWithCustomError(coordinator, "UnknownRequest");
+            await expect(game.refundBet(gameId)).to.be.revertedWithCustomError(game, "UnknownBet");
+        });
+    });
+
+    describe("Refunds", function () {
+        it("Should refund a bet the provider never answers", async function () {
+            const bet = ethers.parseEther("10");
+            const { gameId, requestId } = await placeBet("dice", 5000, bet);
+
+            // The current provider can still answer, so not even a day later can the player back out
+            await time.increase(24 * 60 * 60);
+            await expect(game.connect(player).refundBet(gameId))
+                .to.be.revertedWithCustomError(game, "RefundNotReady");
+            await expect(game.connect(stranger).refundBet(gameId))
+                .to.be.revertedWithCustomError(game, "RefundNotReady");
+
+            // Replacing the provider strands the request; only a refund returns the stake
+            const MockVRFCoordinator = await ethers.getContractFactory("MockVRFCoordinator");
+            const replacement = await MockVRFCoordinator.deploy();
+            await expect(game.connect(stranger).setRandomnessProvider(await replacement.getAddress()))
+                .to.be.revertedWithCustomError(game, "OwnableUnauthorizedAccount");
+            await game.setRandomnessProvider(await replacement.getAddress());
+            await expect(coordinator.fulfill(requestId, 0)).to.be.revertedWithCustomError(game, "NotAuthorized");
+
+            await expect(game.connect(stranger).refundBet(gameId))
+                .to.emit(pool, "OnChainBetRefunded")
+                .withArgs(gameId, player.address, bet);
+            expect(await token.balanceOf(player.address)).to.equal(ethers.parseEther("100"));
+            expect(await pool.openBetStakes()).to.equal(0);
+            expect(await pool.reservedPayouts()).to.equal(0);
+            await expectSolvent();
+        });
+
+        it("Should let the owner cancel a bet left unanswered", async function () {
+            const bet = ethers.parseEther("10");
+            const { gameId, requestId } = await placeBet("coin-flip", 1, bet);
+
+            await expect(game.refundBet(gameId)).to.be.revertedWithCustomError(game, "RefundNotReady");
+            await time.increase(24 * 60 * 60);
+            await expect(game.refundBet(gameId))
+                .to.emit(game, "BetRefunded")
+                .withArgs(gameId, player.address, bet);
+            expect(await token.balanceOf(player.address)).to.equal(ethers.parseEther("100"));
+
+            // A late answer finds nothing to settle
+            await expect(coordinator.fulfill(requestId, 0))
+                .to.be.revertedWithCustomError(game, "UnknownBet");
+            await expectSolvent();
+        });
+
+        it("Should hold an emergency withdrawal back until open bets are closed", async function () {
+            const bet = ethers.parseEther("10");
+            const { requestId } = await placeBet("coin-flip", 1, bet);
+
+            await factory.pause();
+            await expect(factory.emergencyWithdrawFromPool(await token.getAddress()))
+                .to.be.revertedWithCustomError(pool, "OpenBetsPending")
+                .withArgs(bet);
+
+            // Bets still settle while paused, and then the pool can be swept
+            await fulfillRequest(coordinator, requestId, randomnessFor("coin-flip", 1, { win: false }));
+            expect(await pool.openBetStakes()).to.equal(0);
+            await factory.emergencyWithdrawFromPool(await token.getAddress());
+            expect(await token.balanceOf(await pool.getAddress())).to.equal(0);
+        });
+    });
+
+    describe("Local fulfilment", function () {
+        it("Should answer every pending request", async function () {
+            await placeBet("dice", 5000, ethers.parseEther("1"));
+            await placeBet("coin-flip", 1, ethers.parseEther("1"));
+            expect(await pendingRequests(coordinator)).to.deep.equal([1n, 2n]);
+
+            const results = await fulfillPending(coordinator);
+            expect(results.map(result => result.requestId)).to.deep.equal([1n, 2n]);
+            expect(await pendingRequests(coordinator)).to.deep.equal([]);
+            expect(await pool.openBetStakes()).to.equal(0);
+            await expectSolvent();
+        });
+    });
+});
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLES } = require("../scripts/lib/roles");
+const { buildVoucher, signVoucher } = require("../scripts/lib/vouchers");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Operator Roles", function () {
+    let token, factory, manager, pool, tokenAddress;
+    let owner, platformWallet, syncer, settler, pauser, feeManager, player;
+
+    beforeEach(async function () {
+        [owner, platformWallet, syncer, settler, pauser, feeManager, player] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+        tokenAddress = await token.getAddress();
+
+        factory = await deployFactory(platformWallet.address);
+        manager = await ethers.getContractAt("AccessManager", await factory.authority());
+        await factory.grantRole(ROLES["balance-syncer"], syncer.address, 0, "balance-sync");
+        await factory.grantRole(ROLES["game-settler"], settler.address, 0, "game-server");
+
+        await factory.createPool(tokenAddress);
+        const [, poolAddress] = await factory.getPool(tokenAddress);
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+        await token.mint(player.address, ethers.parseEther("1000"));
+        await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+    });
+
+    describe("Pool roles", function () {
+        async function nextNonce() {
+            return (await pool.balanceNonces(player.address)) + 1n;
+        }
+
+        it("Should keep a game settler from rewriting balances", async function () {
+            await pool.connect(syncer).updateFirebaseBalance(player.address, ethers.parseEther("50"), await nextNonce());
+            await pool.connect(settler).processGameResult(ethers.id("game-1"), player.address, ethers.parseEther("10"), 0);
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("40"));
+
+            await expect(pool.connect(settler).updateFirebaseBalance(player.address, ethers.parseEther("1000"), await nextNonce()))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+            await expect(pool.connect(settler).batchUpdateFirebaseBalances([
+                { user: player.address, balance: ethers.parseEther("1000"), nonce: await nextNonce() }
+            ])).to.be.revertedWithCustomError(pool, "NotAuthorized");
+
+            // Nor can it sign withdrawal vouchers
+            const voucher = await buildVoucher(pool, player.address, ethers.parseEther("10"));
+            const signature = await signVoucher(settler, pool, voucher);
+            await expect(pool.redeemWithdrawalVoucher(voucher, signature))
+                .to.be.revertedWithCustomError(pool, "InvalidSignature");
+        });
+
+        it("Should keep a balance syncer from settling games", async function () {
+            await pool.connect(syncer).updateFirebaseBalance(player.address, ethers.parseEther("50"), await nextNonce());
+            await expect(pool.connect(syncer).processGameResult(ethers.id("game-1"), player.address, ethers.parseEther("10"), 0))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+
+            const voucher = await buildVoucher(pool, player.address, ethers.parseEther("10"));
+            await pool.redeemWithdrawalVoucher(voucher, await signVoucher(syncer, pool, voucher));
+            expect(await pool.nonces(player.address)).to.equal(1);
+        });
+
+        it("Should give operators both pool roles", async function () {
+            await factory.setOperator(player.address, true, "legacy-operator");
+            expect(await factory.isOperator(player.address)).to.be.true;
+            expect(await factory.getRoleMemberName(ROLES["balance-syncer"], player.address)).to.equal("legacy-operator");
+            expect(await factory.getRoleMemberName(ROLES["game-settler"], player.address)).to.equal("legacy-operator");
+
+            await factory.revokeRole(ROLES["balance-syncer"], player.address);
+            expect(await factory.isOperator(player.address)).to.be.false;
+
+            await factory.setOperator(player.address, false, "");
+            expect(await factory.hasRole(ROLES["game-settler"], player.address)).to.be.false;
+        });
+
+        it("Should name any balance syncer or game settler as an operator", async function () {
+            expect(await factory.getOperatorName(syncer.address)).to.equal("balance-sync");
+            expect(await factory.getOperatorName(settler.address)).to.equal("game-server");
+
+            await factory.revokeRole(ROLES["game-settler"], settler.address);
+            await expect(factory.getOperatorName(settler.address))
+                .to.be.revertedWithCustomError(factory, "NotOperator")
+                .withArgs(settler.address);
+            await expect(factory.getOperatorName(pauser.address))
+                .to.be.revertedWithCustomError(factory, "NotOperator")
+                .withArgs(pauser.address);
+        });
+    });
+
+    describe("Factory roles", function () {
+        it("Should let a pauser pause but not change fees", async function () {
+            await factory.grantRole(ROLES.pauser, pauser.address, 0, "on-call");
+
+            await factory.connect(pauser).pause();
+            expect(await pool.paused()).to.be.true;
+            await factory.connect(pauser).unpause();
+
+            await expect(factory.connect(pauser).setPlatformFee(tokenAddress, 100))
+                .to.be.revertedWithCustomError(factory, "AccessManagedUnauthorized")
+                .withArgs(pauser.address);
+            await expect(factory.connect(settler).pause())
+                .to.be.revertedWithCustomError(factory, "AccessManagedUnauthorized");
+        });
+
+        it("Should let a fee manager change fees but nothing else", async function () {
+            await factory.grantRole(ROLES["fee-manager"], feeManager.address, 0, "treasury");
+
+            await factory.connect(feeManager).setGameFee(tokenAddress, 300, 100);
+            await factory.connect(feeManager).setDefaultFees(200, 150, 50);
+            expect(await pool.gameLpFee()).to.equal(300);
+
+            await expect(factory.connect(feeManager).setFeeTimelock(0))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+            await expect(factory.connect(feeManager).grantRole(ROLES.pauser, feeManager.address, 0, "self"))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should make members with an execution delay schedule their calls", async function () {
+            await factory.grantRole(ROLES["fee-manager"], feeManager.address, 3600, "treasury");
+            const data = factory.interface.encodeFunctionData("setPlatformFee", [tokenAddress, 100]);
+
+            await expect(factory.connect(feeManager).setPlatformFee(tokenAddress, 100))
+                .to.be.revertedWithCustomError(manager, "AccessManagerNotScheduled");
+
+            await manager.connect(feeManager).schedule(await factory.getAddress(), data, 0);
+            await expect(manager.connect(feeManager).execute(await factory.getAddress(), data))
+                .to.be.revertedWithCustomError(manager, "AccessManagerNotReady");
+
+            await time.increase(3600);
+            await manager.connect(feeManager).execute(await factory.getAddress(), data);
+            expect(await pool.platformFee()).to.equal(100);
+
+            // Delayed members cannot act on pools at all
+            await factory.grantRole(ROLES["game-settler"], feeManager.address, 3600, "slow-settler");
+            expect(await factory.hasRole(ROLES["game-settler"], feeManager.address)).to.be.false;
+        });
+    });
+
+    describe("Administration", function () {
+        it("Should name role members and forget them on revoke", async function () {
+            await expect(factory.grantRole(ROLES.pauser, pauser.address, 0, "on-call"))
+                .to.emit(factory, "RoleMemberUpdated")
+                .withArgs(ROLES.pauser, pauser.address, true, "on-call");
+            expect(await factory.getRoleMemberName(ROLES.pauser, pauser.address)).to.equal("on-call");
+
+            await factory.revokeRole(ROLES.pauser, pauser.address);
+            expect(await factory.roleMemberNames(ROLES.pauser, pauser.address)).to.equal("");
+            await expect(factory.getRoleMemberName(ROLES.pauser, pauser.address))
+                .to.be.revertedWithCustomError(factory, "NotRoleMember")
+                .withArgs(ROLES.pauser, pauser.address);
+            await expect(factory.connect(pauser).pause())
+                .to.be.revertedWithCustomError(factory, "AccessManagedUnauthorized");
+        });
+
+        it("Should hold new grants back for the role's grant delay", async function () {
+            await factory.setRoleGrantDelay(ROLES["balance-syncer"], 3600);
+            await time.increase(5 * 24 * 3600); // the AccessManager's minimum setback
+
+            await factory.grantRole(ROLES["balance-syncer"], player.address, 0, "new-sync");
+            expect(await factory.hasRole(ROLES["balance-syncer"], player.address)).to.be.false;
+            await expect(pool.connect(player).updateFirebaseBalance(player.address, 1, 100))
+                .to.be.revertedWithCustomError(pool, "NotAuthorized");
+
+            await time.increase(3600);
+            expect(await factory.hasRole(ROLES["balance-syncer"], player.address)).to.be.true;
+        });
+
+        it("Should only administer roles for the owner", async function () {
+            await expect(factory.connect(settler).grantRole(ROLES["balance-syncer"], settler.address, 0, "escalate"))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+            await expect(factory.connect(settler).revokeRole(ROLES["game-settler"], settler.address))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+
+            // The factory is the manager's only admin
+            await expect(manager.connect(owner).grantRole(ROLES["balance-syncer"], settler.address, 0))
+                .to.be.revertedWithCustomError(manager, "AccessManagerUnauthorizedAccount");
+        });
+
+        it("Should only connect a manager the factory administers", async function () {
+            const AccessManager = await ethers.getContractFactory("AccessManager");
+            const foreign = await AccessManager.deploy(owner.address);
+
+            await expect(factory.setAccessManager(await foreign.getAddress()))
+                .to.be.revertedWithCustomError(factory, "NotAuthorized");
+            expect(await factory.authority()).to.equal(await manager.getAddress());
+        });
+    });
+});
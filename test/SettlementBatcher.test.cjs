@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const SettlementBatcher = require("../scripts/lib/settlement-batcher");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Settlement Batcher", function () {
+    let token, factory, pool;
+    let owner, platformWallet, operator, player, player2;
+
+    function round(id, user, betAmount, winAmount = 0n) {
+        return { gameId: ethers.id(`games/${id}`), user: user.address, betAmount, winAmount };
+    }
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, player2] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        await factory.createPool(await token.getAddress());
+        const [, poolAddress] = await factory.getPool(await token.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress, operator);
+
+        for (const user of [player, player2]) {
+            await token.mint(user.address, ethers.parseEther("100"));
+            await token.connect(user).approve(poolAddress, ethers.MaxUint256);
+            await pool.connect(user).deposit(ethers.parseEther("20"));
+        }
+    });
+
+    it("Should settle buffered rounds in a single transaction", async function () {
+        const batcher = new SettlementBatcher(pool, { maxBatchSize: 10, flushIntervalMs: 60000 });
+
+        const first = batcher.add(round("spin-1", player, ethers.parseEther("1")));
+        const second = batcher.add(round("spin-2", player2, ethers.parseEther("2")));
+        // A round that is already pending shares its promise
+        expect(batcher.add(round("spin-1", player, ethers.parseEther("1")))).to.equal(first);
+
+        const blockBefore = await ethers.provider.getBlockNumber();
+        await batcher.flush();
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+
+        const [a, b] = await Promise.all([first, second]);
+        expect(a).to.include({ gameId: ethers.id("games/spin-1"), alreadySettled: false });
+        expect(a.txHash).to.equal(b.txHash);
+        expect(await pool.firebaseBalances(player2.address)).to.equal(ethers.parseEther("18"));
+    });
+
+    it("Should flush on the size and time thresholds", async function () {
+        const batcher = new SettlementBatcher(pool, { maxBatchSize: 2, flushIntervalMs: 50 });
+
+        const first = batcher.add(round("spin-1", player, ethers.parseEther("1")));
+        expect(batcher.pending.size).to.equal(1);
+        const second = batcher.add(round("spin-2", player, ethers.parseEther("1")));
+        expect(batcher.pending.size).to.equal(0);
+        await Promise.all([first, second]);
+
+        // Below the size threshold the timer sends it
+        const result = await batcher.add(round("spin-3", player, ethers.parseEther("1")));
+        expect(result.alreadySettled).to.be.false;
+        expect(await pool.settledGames(ethers.id("games/spin-3"))).to.be.true;
+    });
+
+    it("Should skip settled rounds and fail only the round that reverts", async function () {
+        const batcher = new SettlementBatcher(pool, { maxBatchSize: 10, flushIntervalMs: 60000 });
+        const settled = round("spin-1", player, ethers.parseEther("1"));
+        await pool.processGameResult(settled.gameId, settled.user, settled.betAmount, 0);
+
+        const results = [
+            batcher.add(settled),
+            batcher.add(round("spin-2", player, ethers.parseEther("1"))),
+            batcher.add(round("spin-3", player2, ethers.parseEther("1000"))),
+            batcher.add(round("spin-4", player2, ethers.parseEther("1")))
+        ].map(promise => promise.catch(error => error));
+        await batcher.flush();
+
+        const [skipped, ok, failed, ok2] = await Promise.all(results);
+        expect(skipped).to.include({ alreadySettled: true, txHash: null });
+        expect(ok.alreadySettled).to.be.false;
+        expect(ok2.alreadySettled).to.be.false;
+        expect(failed).to.be.an("error");
+        expect(await pool.settledGames(ethers.id("games/spin-3"))).to.be.false;
+        expect(await pool.firebaseBalances(player2.address)).to.equal(ethers.parseEther("19"));
+    });
+});
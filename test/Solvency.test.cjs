@@ -0,0 +1,303 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFactory } = require("./helpers/casino.cjs");
+const { buildVoucher, signVoucher } = require("../scripts/lib/vouchers");
+
+describe("Pool Solvency", function () {
+    let token, factory, pool;
+    let owner, platformWallet, operator, players, providers;
+    let gameCount = 0;
+
+    function settle(player, betAmount, winAmount = 0n) {
+        gameCount++;
+        return pool.connect(operator).processGameResult(ethers.id(`game-${gameCount}`), player.address, betAmount, winAmount);
+    }
+
+    async function push(player, balance) {
+        const nonce = (await pool.balanceNonces(player.address)) + 1n;
+        return pool.connect(operator).updateFirebaseBalance(player.address, balance, nonce);
+    }
+
+    async function redeem(player, amount) {
+        const voucher = await buildVoucher(pool, player.address, amount);
+        return pool.redeemWithdrawalVoucher(voucher, await signVoucher(operator, pool, voucher));
+    }
+
+    async function surplus() {
+        return (await pool.solvency()).surplus;
+    }
+
+    async function expectSolvent() {
+        const solvency = await pool.solvency();
+        const obligations = solvency.playerLiabilities + solvency.lpCapital + solvency.lpRewards + solvency.openBetStakes;
+        expect(solvency.tokenBalance).to.equal(await token.balanceOf(await pool.getAddress()));
+        expect(solvency.playerLiabilities).to.equal(await pool.totalDeposits());
+        let balances = 0n;
+        for (const player of players) balances += await pool.firebaseBalances(player.address);
+        expect(solvency.playerLiabilities).to.equal(balances);
+        expect(solvency.lpCapital).to.equal(await pool.lpCapital());
+        expect(solvency.lpRewards).to.equal(await pool.accumulatedFees());
+        expect(solvency.openBetStakes).to.equal(await pool.openBetStakes());
+        expect(solvency.surplus).to.equal(solvency.tokenBalance - obligations);
+        expect(solvency.surplus).to.be.gte(0n);
+    }
+
+    beforeEach(async function () {
+        let player, player2, liquidityProvider, liquidityProvider2;
+        [owner, platformWallet, operator, player, player2, liquidityProvider, liquidityProvider2] = await ethers.getSigners();
+        players = [player, player2];
+        providers = [liquidityProvider, liquidityProvider2];
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        await factory.createPool(await token.getAddress());
+        const [, poolAddress] = await factory.getPool(await token.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+        for (const account of [...players, ...providers]) {
+            await token.mint(account.address, ethers.parseEther("10000"));
+            await token.connect(account).approve(poolAddress, ethers.MaxUint256);
+        }
+    });
+
+    describe("Ledgers", function () {
+        it("Should keep player deposits out of LP capital", async function () {
+            const [player] = players;
+            const [liquidityProvider] = providers;
+            await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("1000"));
+            const capital = await pool.lpCapital();
+
+            await pool.connect(player).deposit(ethers.parseEther("500"));
+            expect(await pool.totalDeposits()).to.equal(ethers.parseEther("500"));
+            expect(await pool.lpCapital()).to.equal(capital);
+
+            // A player withdrawal leaves the LP's claim untouched
+            await pool.connect(player).withdraw(ethers.parseEther("500"));
+            expect(await pool.lpCapital()).to.equal(capital);
+
+            const shares = await pool.shares(liquidityProvider.address);
+            const balanceBefore = await token.balanceOf(liquidityProvider.address);
+            await pool.connect(liquidityProvider).removeLiquidity(shares);
+            const fee = (capital * (await pool.platformFee())) / 10000n;
+            expect(await token.balanceOf(liquidityProvider.address)).to.equal(balanceBefore + capital - fee);
+            await expectSolvent();
+        });
+
+        it("Should price new shares on LP capital only", async function () {
+            const [player] = players;
+            const [liquidityProvider, liquidityProvider2] = providers;
+            await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("1000"));
+            // Player money in the pool does not make shares more expensive
+            await pool.connect(player).deposit(ethers.parseEther("5000"));
+
+            await pool.connect(liquidityProvider2).addLiquidity(ethers.parseEther("1000"));
+            expect(await pool.shares(liquidityProvider2.address)).to.equal(await pool.shares(liquidityProvider.address));
+        });
+
+        it("Should move lost bets to LP capital and pay wins from it", async function () {
+            const [player] = players;
+            const [liquidityProvider] = providers;
+            await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("1000"));
+            await pool.connect(player).deposit(ethers.parseEther("100"));
+            const capital = await pool.lpCapital();
+            const gameLpFee = await pool.gameLpFee();
+            const gamePlatformFee = await pool.gamePlatformFee();
+
+            const bet = ethers.parseEther("10");
+            await settle(player, bet);
+            const kept = bet - (bet * (gameLpFee + gamePlatformFee)) / 10000n;
+            expect(await pool.totalDeposits()).to.equal(ethers.parseEther("90"));
+            expect(await pool.lpCapital()).to.equal(capital + kept);
+
+            // The win is credited to the player's balance, not transferred
+            const win = ethers.parseEther("30");
+            const netWin = win - (win * (gameLpFee + gamePlatformFee)) / 10000n;
+            const walletBefore = await token.balanceOf(player.address);
+            await settle(player, bet, win);
+            expect(await token.balanceOf(player.address)).to.equal(walletBefore);
+            expect(await pool.firebaseBalances(player.address)).to.equal(ethers.parseEther("80") + netWin);
+            expect(await pool.totalDeposits()).to.equal(ethers.parseEther("80") + netWin);
+            expect(await pool.lpCapital()).to.equal(capital + kept + bet - win);
+            await expectSolvent();
+        });
+
+        it("Should not pay wins the LP capital cannot cover", async function () {
+            const [player] = players;
+            const [liquidityProvider] = providers;
+            await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("100"));
+            await pool.connect(player).deposit(ethers.parseEther("1000"));
+            const capital = await pool.lpCapital();
+
+            // Other players' deposits never fund a payout
+            await expect(settle(player, ethers.parseEther("10"), capital + ethers.parseEther("10") + 1n))
+                .to.be.revertedWithCustomError(pool, "InsufficientBalance");
+            await settle(player, ethers.parseEther("10"), capital + ethers.parseEther("10"));
+            expect(await pool.lpCapital()).to.equal(0);
+            await expectSolvent();
+        });
+
+        it("Should refuse new liquidity once LP capital is paid out", async function () {
+            const [player] = players;
+            const [liquidityProvider, liquidityProvider2] = providers;
+            await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("1000"));
+            await pool.connect(player).deposit(ethers.parseEther("100"));
+
+            // A win that takes every token of LP capital leaves shares with no price
+            const betAmount = ethers.parseEther("10");
+            await settle(player, betAmount, (await pool.lpCapital()) + betAmount);
+            expect(await pool.lpCapital()).to.equal(0);
+            expect(await pool.totalShares()).to.be.greaterThan(0n);
+
+            await expect(pool.previewAddLiquidity(ethers.parseEther("100")))
+                .to.be.revertedWithCustomError(pool, "NoLPCapital");
+            await expect(pool.connect(liquidityProvider2).addLiquidity(ethers.parseEther("100")))
+                .to.be.revertedWithCustomError(pool, "NoLPCapital");
+            await expectSolvent();
+        });
+
+        it("Should keep rewards earned before a provider adds more liquidity", async function () {
+            const [player] = players;
+            const [liquidityProvider] = providers;
+            await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("1000"));
+            await pool.connect(player).deposit(ethers.parseEther("100"));
+            await settle(player, ethers.parseEther("100"));
+
+            const pending = await pool.getPendingRewards(liquidityProvider.address);
+            expect(pending).to.be.greaterThan(0n);
+            const fee = (pending * (await pool.gamePlatformFee())) / 10000n;
+            const balanceBefore = await token.balanceOf(liquidityProvider.address);
+            const amount = ethers.parseEther("100");
+
+            // Adding liquidity pays out what was pending instead of writing it off
+            await pool.connect(liquidityProvider).addLiquidity(amount);
+            expect(await token.balanceOf(liquidityProvider.address)).to.equal(balanceBefore - amount + pending - fee);
+            expect(await pool.getPendingRewards(liquidityProvider.address)).to.equal(0);
+            await expectSolvent();
+        });
+    });
+
+    describe("Balance syncs", function () {
+        it("Should move player liabilities by the pushed difference", async function () {
+            const [player, player2] = players;
+            await pool.connect(player).deposit(ethers.parseEther("100"));
+
+            // A lower balance releases tokens; a raise can only spend those
+            await push(player, ethers.parseEther("60"));
+            expect(await pool.totalDeposits()).to.equal(ethers.parseEther("60"));
+            expect(await surplus()).to.equal(ethers.parseEther("40"));
+            await expect(push(player2, ethers.parseEther("40") + 1n))
+                .to.be.revertedWithCustomError(pool, "InsufficientBalance");
+            await push(player2, ethers.parseEther("40"));
+            expect(await pool.totalDeposits()).to.equal(ethers.parseEther("100"));
+            await expectSolvent();
+        });
+
+        it("Should take only the balance a voucher finds off player liabilities", async function () {
+            const [player, player2] = players;
+            await pool.connect(player).deposit(ethers.parseEther("100"));
+            await pool.connect(player2).deposit(ethers.parseEther("50"));
+            await push(player, ethers.parseEther("70"));
+
+            // 30 of the voucher comes off the balance, the rest from the tokens the push released
+            await redeem(player, ethers.parseEther("100"));
+            expect(await pool.firebaseBalances(player.address)).to.equal(0);
+            expect(await pool.totalDeposits()).to.equal(ethers.parseEther("50"));
+            expect(await surplus()).to.equal(0);
+            await expectSolvent();
+
+            // Other players' deposits never cover a voucher
+            await expect(redeem(player, ethers.parseEther("1")))
+                .to.be.revertedWithCustomError(pool, "InsufficientBalance");
+        });
+    });
+
+    describe("Invariant", function () {
+        it("Should cover every obligation through random activity", async function () {
+            // Small deterministic generator so a failure replays the same sequence
+            let seed = 0x5eed;
+            const random = max => {
+                seed = (seed * 1103515245 + 12345) % 2147483648;
+                return seed % max;
+            };
+            const amount = max => ethers.parseEther(String(1 + random(max)));
+
+            for (let step = 0; step < 60; step++) {
+                const player = players[random(players.length)];
+                const provider = providers[random(providers.length)];
+                const balance = await pool.firebaseBalances(player.address);
+                const shares = await pool.shares(provider.address);
+
+                switch (random(9)) {
+                    case 0:
+                        await pool.connect(player).deposit(amount(200));
+                        break;
+                    case 1:
+                        if (balance > 0n) await pool.connect(player).withdraw(balance / BigInt(1 + random(3)));
+                        break;
+                    case 2:
+                        await pool.connect(provider).addLiquidity(amount(300));
+                        break;
+                    case 3:
+                        if (shares > 0n) await pool.connect(provider).removeLiquidity(shares / BigInt(1 + random(3)));
+                        break;
+                    case 4:
+                        await pool.connect(provider).claimRewards();
+                        break;
+                    case 5: {
+                        // A pushed balance anywhere up to what the released tokens cover
+                        const free = await surplus();
+                        await push(player, (balance + free) * BigInt(random(101)) / 100n);
+                        break;
+                    }
+                    case 6: {
+                        const free = await surplus();
+                        const updates = [];
+                        for (const [i, each] of players.entries()) {
+                            const current = await pool.firebaseBalances(each.address);
+                            updates.push({
+                                user: each.address,
+                                balance: current + (i === 0 ? free : 0n) - current * BigInt(random(3)) / 4n,
+                                nonce: (await pool.balanceNonces(each.address)) + 1n
+                            });
+                        }
+                        await pool.connect(operator).batchUpdateFirebaseBalances(updates);
+                        break;
+                    }
+                    case 7: {
+                        // Vouchers may ask for more than the on-chain balance, as far as released tokens cover
+                        const redeemable = balance + (await surplus());
+                        if (redeemable > 0n) await redeem(player, redeemable * BigInt(1 + random(100)) / 100n);
+                        break;
+                    }
+                    default: {
+                        if (balance === 0n) break;
+                        const bet = balance / BigInt(2 + random(4));
+                        const capital = await pool.lpCapital();
+                        // Up to a 3x payout, as far as LP capital covers it
+                        let win = random(2) === 0 ? 0n : (bet * BigInt(1 + random(30))) / 10n;
+                        if (win > capital + bet) win = capital + bet;
+                        if (bet > 0n) await settle(player, bet, win);
+                    }
+                }
+                await expectSolvent();
+            }
+
+            // Everyone can leave, and the pool still holds at least what it owes
+            for (const player of players) {
+                const balance = await pool.firebaseBalances(player.address);
+                if (balance > 0n) await pool.connect(player).withdraw(balance);
+            }
+            for (const provider of providers) {
+                const shares = await pool.shares(provider.address);
+                if (shares > 0n) await pool.connect(provider).removeLiquidity(shares);
+            }
+            expect(await pool.totalDeposits()).to.equal(0);
+            expect(await pool.lpCapital()).to.equal(0);
+            await expectSolvent();
+        });
+    });
+});
@@ -1,7 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const admin = require("firebase-admin");
-require('dotenv').config();
+const { deployFactory } = require("./helpers/casino.cjs");
 
 describe("Casino System Integration", function () {
     let tokenPool;
@@ -13,7 +12,6 @@ describe("Casino System Integration", function () {
     let platformWallet;
     let factory;
     let router;
-    let db;
 
     // Helper function to get next nonce for a user
     async function getNextNonce(user) {
@@ -21,42 +19,6 @@ describe("Casino System Integration", function () {
         return currentNonce + BigInt(1);
     }
 
-    // Firebase setup
-    before(async function () {
-        try {
-            if (!admin.apps.length) {
-                admin.initializeApp({
-                    credential: admin.credential.cert({
-                        projectId: process.env.FIREBASE_PROJECT_ID,
-                        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-                        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-                    }),
-                    databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`,
-                    projectId: process.env.FIREBASE_PROJECT_ID
-                });
-            }
-
-            db = admin.firestore();
-            db.settings({ databaseId: 'roodatabase' });
-
-            // Initialize test collections
-            await db.collection('test').doc('init').set({
-                initialized: true,
-                timestamp: admin.firestore.FieldValue.serverTimestamp()
-            });
-
-            await db.collection('balances').doc('init').set({
-                initialized: true,
-                timestamp: admin.firestore.FieldValue.serverTimestamp()
-            });
-
-            console.log('Firebase collections initialized successfully');
-        } catch (error) {
-            console.error("Firebase initialization error:", error);
-            throw error;
-        }
-    });
-
     beforeEach(async function () {
         const signers = await ethers.getSigners();
         owner = signers[0];
@@ -66,9 +28,7 @@ describe("Casino System Integration", function () {
         platformWallet = signers[4];
 
         // Deploy factory first
-        const CasinoFactory = await ethers.getContractFactory("CasinoFactory");
-        factory = await CasinoFactory.deploy();
-        await factory.initialize(await platformWallet.getAddress());
+        factory = await deployFactory(await platformWallet.getAddress());
 
         // Set operator
         await factory.setOperator(await operator.getAddress(), true, "test-operator");
@@ -85,18 +45,6 @@ describe("Casino System Integration", function () {
 
         // Set pool creation fee
         await factory.setPoolCreationFee(ethers.parseEther("0.1")); // 0.1 ETH fee
-
-        // Clear any existing balance documents
-        if (user) {
-            try {
-                await db.collection('balances').doc(await user.getAddress()).delete();
-            } catch (error) {}
-        }
-        if (user2) {
-            try {
-                await db.collection('balances').doc(await user2.getAddress()).delete();
-            } catch (error) {}
-        }
     });
 
     describe("Pool Creation and Management", function () {
@@ -157,8 +105,14 @@ describe("Casino System Integration", function () {
             // Initial deposit (no fee)
             await router.connect(user).depositToPool(await token.getAddress(), depositAmount);
 
+            // Winnings are paid out of LP capital
+            await token.mint(await user2.getAddress(), ethers.parseEther("100"));
+            await token.connect(user2).approve(await tokenPool.getAddress(), ethers.parseEther("100"));
+            await tokenPool.connect(user2).addLiquidity(ethers.parseEther("100"));
+
             // Process game result
             await tokenPool.connect(operator).processGameResult(
+                ethers.id("game-win"),
                 await user.getAddress(),
                 betAmount,
                 winAmount
@@ -185,6 +139,7 @@ describe("Casino System Integration", function () {
             // Try to bet more than balance
             await expect(
                 tokenPool.connect(operator).processGameResult(
+                    ethers.id("game-overdraw"),
                     await user.getAddress(),
                     betAmount,
                     0
@@ -261,6 +216,7 @@ describe("Casino System Integration", function () {
             for(let i = 0; i < 10; i++) {
                 // Each bet is 100 USDC
                 await tokenPool.connect(operator).processGameResult(
+                    ethers.id(`game-${i}`),
                     await user.getAddress(),
                     betAmount,
                     0 // Loss
@@ -287,9 +243,9 @@ describe("Casino System Integration", function () {
             expect(user2Rewards).to.equal(user3Rewards);
 
             // Get pool state before new LP
-            const totalDeposits = await tokenPool.totalDeposits();
+            const lpCapital = await tokenPool.lpCapital();
             const totalSharesBefore = await tokenPool.totalShares();
-            console.log('Total deposits before:', ethers.formatEther(totalDeposits));
+            console.log('LP capital before:', ethers.formatEther(lpCapital));
             console.log('Total shares before:', ethers.formatEther(totalSharesBefore));
 
             // New LP joins with 200 USDC when pool value is higher
@@ -309,30 +265,18 @@ describe("Casino System Integration", function () {
             console.log('User4 shares:', ethers.formatEther(user4Shares));
             console.log('Total shares after:', ethers.formatEther(totalShares));
             console.log('User4 share percent:', Number(user4SharePercent));
-            console.log('Expected ~9% (200/1970)');
+            console.log('Expected ~9% (195/2140)');
 
             // Verify share percentage
-            // Initial pool: 1000 (500 + 500)
-            // After 10 bets: 2926.25 (including fees)
-            // New LP adds 200
-            // Expected share: (200/2926.25) ≈ 6.8%
-            expect(user4SharePercent).to.be.closeTo(7n, 1n); // Allow 1% margin
+            // Initial LP capital: 975 (500 + 500, less 2.5% platform fee)
+            // After 10 lost bets: 1945 (each keeps 97 after fees); player deposits are not LP capital
+            // New LP adds 200, 195 after fee
+            // Expected share: (195/2140) ≈ 9.1%
+            expect(user4SharePercent).to.be.closeTo(9n, 1n); // Allow 1% margin
 
             // Claim rewards
             await tokenPool.connect(user2).claimRewards();
             await tokenPool.connect(user3).claimRewards();
         });
     });
-
-    after(async function () {
-        // Cleanup Firebase test data
-        try {
-            if (user) await db.collection('balances').doc(await user.getAddress()).delete();
-            if (user2) await db.collection('balances').doc(await user2.getAddress()).delete();
-            await db.collection('test').doc('init').delete();
-            await db.collection('balances').doc('init').delete();
-        } catch (error) {
-            console.error("Error cleaning up Firebase data:", error);
-        }
-    });
 });
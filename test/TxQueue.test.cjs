@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TxQueue = require("../scripts/lib/tx-queue");
+
+describe("Transaction Queue", function () {
+    let token, wallet, recipient, journalPath;
+    let queues;
+
+    function createQueue(options = {}) {
+        const queue = new TxQueue(wallet, { journalPath, pollIntervalMs: 50, ...options });
+        queues.push(queue);
+        return queue;
+    }
+
+    function transferRequest(amount) {
+        return {
+            to: token.target,
+            data: token.interface.encodeFunctionData("transfer", [recipient.address, amount]),
+            label: "transfer"
+        };
+    }
+
+    function readJournal() {
+        return JSON.parse(fs.readFileSync(journalPath, "utf8")).entries;
+    }
+
+    beforeEach(async function () {
+        const [owner, other] = await ethers.getSigners();
+        recipient = other;
+        queues = [];
+        journalPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tx-queue-")), "journal.json");
+
+        // The queue signs locally, so it needs a key-backed wallet
+        wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("10") });
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+        await token.mint(wallet.address, ethers.parseEther("1000"));
+    });
+
+    afterEach(async function () {
+        queues.forEach(queue => queue.stop());
+        await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("Should assign sequential nonces to concurrent requests", async function () {
+        const queue = createQueue();
+        await queue.start();
+
+        const receipts = await Promise.all([
+            queue.enqueue(transferRequest(1n)),
+            queue.enqueue(transferRequest(2n)),
+            queue.enqueue(transferRequest(3n))
+        ]);
+
+        const nonces = await Promise.all(
+            receipts.map(async receipt => (await ethers.provider.getTransaction(receipt.hash)).nonce)
+        );
+        expect(nonces).to.deep.equal([0, 1, 2]);
+        expect(await token.balanceOf(recipient.address)).to.equal(6n);
+        expect(readJournal()).to.have.length(0);
+    });
+
+    it("Should journal the request before it is mined", async function () {
+        await network.provider.send("evm_setAutomine", [false]);
+        const queue = createQueue();
+        await queue.start();
+
+        queue.enqueue(transferRequest(5n));
+        await queue.chain;
+
+        const [entry] = readJournal();
+        expect(entry.status).to.equal("sent");
+        expect(entry.nonce).to.equal(0);
+        expect(entry.hashes).to.have.length(1);
+    });
+
+    it("Should bump gas on a stuck transaction", async function () {
+        await network.provider.send("evm_setAutomine", [false]);
+        // No poll timer, so only the check below can bump it
+        const queue = createQueue({ stuckAfterMs: 60000, pollIntervalMs: 60 * 60 * 1000 });
+        await queue.start();
+
+        const done = queue.enqueue(transferRequest(5n));
+        await queue.chain;
+        const [sent] = readJournal();
+
+        // Not stuck yet, then sent a minute ago
+        await queue.schedule(() => queue.checkPending());
+        expect(readJournal()[0].hashes).to.have.length(1);
+        queue.entries[0].sentAt -= 60000;
+        await queue.schedule(() => queue.checkPending());
+        const [bumped] = readJournal();
+        expect(bumped.hashes).to.have.length(2);
+        expect(BigInt(bumped.maxFeePerGas)).to.be.gt(BigInt(sent.maxFeePerGas));
+
+        await network.provider.send("evm_mine");
+        await queue.schedule(() => queue.checkPending());
+        const receipt = await done;
+        expect(receipt.hash).to.equal(bumped.hashes[1]);
+        expect(await token.balanceOf(recipient.address)).to.equal(5n);
+    });
+
+    it("Should resume pending work after a restart", async function () {
+        await network.provider.send("evm_setAutomine", [false]);
+        const first = createQueue();
+        await first.start();
+        first.enqueue(transferRequest(5n)).catch(() => {});
+        await first.chain;
+        first.stop();
+
+        // A request that was journaled but never sent before the crash
+        const entries = readJournal();
+        entries.push({
+            id: "resumed",
+            label: "transfer",
+            ...transferRequest(7n),
+            value: "0",
+            status: "queued",
+            nonce: null,
+            hashes: [],
+            createdAt: Date.now()
+        });
+        fs.writeFileSync(journalPath, JSON.stringify({ entries }));
+
+        const second = createQueue();
+        await second.start();
+        await network.provider.send("evm_mine");
+        await second.schedule(() => second.checkPending());
+
+        expect(await token.balanceOf(recipient.address)).to.equal(12n);
+        expect(readJournal()).to.have.length(0);
+    });
+
+    it("Should fail reverting requests without consuming a nonce", async function () {
+        const queue = createQueue();
+        await queue.start();
+
+        const tooMuch = ethers.parseEther("5000");
+        await expect(queue.enqueue(transferRequest(tooMuch)))
+            .to.be.revertedWithCustomError(token, "ERC20InsufficientBalance");
+        // Moved out of the journal so failures never pile up there
+        expect(readJournal()).to.have.length(0);
+        const [failed] = queue.readFailed();
+        expect(failed.status).to.equal("failed");
+        expect(failed.label).to.equal("transfer");
+
+        await queue.enqueue(transferRequest(1n));
+        expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(1);
+    });
+
+    it("Should retry a request the RPC fails to prepare", async function () {
+        const queue = createQueue({ retryBaseMs: 1 });
+        await queue.start();
+
+        const populate = wallet.populateTransaction.bind(wallet);
+        let outages = 2;
+        wallet.populateTransaction = async (tx) => {
+            if (outages-- > 0) {
+                throw Object.assign(new Error("rate limited"), { code: "SERVER_ERROR" });
+            }
+            return populate(tx);
+        };
+
+        const receipt = await queue.enqueue(transferRequest(5n));
+        expect(receipt.status).to.equal(1);
+        expect(outages).to.equal(-1);
+        expect(await token.balanceOf(recipient.address)).to.equal(5n);
+        expect(queue.readFailed()).to.have.length(0);
+    });
+
+    it("Should reject waiting requests when stopped during a retry", async function () {
+        const queue = createQueue({ retryBaseMs: 1 });
+        await queue.start();
+
+        let attempts = 0;
+        wallet.populateTransaction = async () => {
+            attempts++;
+            throw Object.assign(new Error("connection refused"), { code: "SERVER_ERROR" });
+        };
+
+        const done = queue.enqueue(transferRequest(5n));
+        while (attempts < 2) await new Promise(resolve => setTimeout(resolve, 1));
+        queue.stop();
+        await expect(done).to.be.rejectedWith("Transaction queue stopped");
+        await queue.chain;
+
+        // Still journaled for the next start, and nothing more is sent
+        expect(readJournal().map(entry => entry.status)).to.deep.equal(["queued"]);
+        await expect(queue.enqueue(transferRequest(1n))).to.be.rejectedWith("Transaction queue stopped");
+        expect(readJournal()).to.have.length(2);
+    });
+
+    it("Should rebuild unsent entries and move failed ones out of the journal on start", async function () {
+        fs.writeFileSync(journalPath, JSON.stringify({
+            entries: [
+                { id: "old-failure", status: "failed", error: "reverted", hashes: [] },
+                {
+                    id: "resumed",
+                    ...transferRequest(7n),
+                    value: "0",
+                    kind: "transfer",
+                    params: { amount: "9" },
+                    status: "queued",
+                    nonce: null,
+                    hashes: [],
+                    createdAt: Date.now()
+                },
+                {
+                    id: "dropped",
+                    ...transferRequest(3n),
+                    value: "0",
+                    kind: "transfer",
+                    params: null,
+                    status: "queued",
+                    nonce: null,
+                    hashes: [],
+                    createdAt: Date.now()
+                }
+            ]
+        }));
+
+        // Re-encoded from params; a null result drops the entry
+        const queue = createQueue({
+            rebuilders: {
+                transfer: async entry => entry.params ? transferRequest(BigInt(entry.params.amount)) : null
+            }
+        });
+        await queue.start();
+        await queue.chain;
+        await queue.schedule(() => queue.checkPending());
+
+        expect(await token.balanceOf(recipient.address)).to.equal(9n);
+        expect(readJournal()).to.have.length(0);
+        expect(queue.readFailed().map(entry => entry.id)).to.deep.equal(["old-failure"]);
+    });
+});
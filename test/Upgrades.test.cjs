@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy } = require("../scripts/deploy");
+const { upgrade } = require("../scripts/upgrade");
+const { runCommand } = require("../scripts/casino");
+const { writeDeployment } = require("../scripts/lib/deployments");
+const { buildVoucher, signVoucher } = require("../scripts/lib/vouchers");
+
+const { ethers, upgrades } = hre;
+
+describe("Upgrades", function () {
+    let owner, operator, player, liquidityProvider, newOwner;
+    let registryDir, factory, token, pool, poolAddress;
+
+    async function poolState() {
+        return {
+            tokenBalance: await token.balanceOf(poolAddress),
+            totalDeposits: await pool.totalDeposits(),
+            lpCapital: await pool.lpCapital(),
+            totalShares: await pool.totalShares(),
+            accRewardPerShare: await pool.accRewardPerShare(),
+            firebaseBalance: await pool.firebaseBalances(player.address),
+            balanceNonce: await pool.balanceNonces(player.address),
+            voucherNonce: await pool.nonces(player.address),
+            shares: await pool.shares(liquidityProvider.address),
+            pendingRewards: await pool.getPendingRewards(liquidityProvider.address),
+            fees: [await pool.platformFee(), await pool.gameLpFee(), await pool.gamePlatformFee()],
+            owner: await pool.owner()
+        };
+    }
+
+    beforeEach(async function () {
+        [owner, operator, player, liquidityProvider, newOwner] = await ethers.getSigners();
+        registryDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+
+        const deployment = await deploy(hre, {
+            registryDir,
+            parameters: {
+                Casino: {
+                    operators: [{ address: operator.address, name: "game-server" }],
+                    testToken: { mint: { [player.address]: "1000", [liquidityProvider.address]: "1000" } }
+                }
+            }
+        });
+
+        factory = await ethers.getContractAt("CasinoFactory", deployment.contracts.CasinoFactory);
+        token = await ethers.getContractAt("TestToken", deployment.contracts.TestToken);
+        poolAddress = deployment.pools[deployment.contracts.TestToken];
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+
+        // Liquidity, a deposit, a settled bet and a redeemed voucher
+        await token.connect(liquidityProvider).approve(poolAddress, ethers.MaxUint256);
+        await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+        await pool.connect(liquidityProvider).addLiquidity(ethers.parseEther("500"));
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+        await pool.connect(operator).processGameResult(ethers.id("game-1"), player.address, ethers.parseEther("10"), 0);
+
+        const voucher = await buildVoucher(pool, player.address, ethers.parseEther("5"));
+        await pool.redeemWithdrawalVoucher(voucher, await signVoucher(operator, pool, voucher));
+    });
+
+    it("Should keep balances, shares and nonces when every pool is upgraded", async function () {
+        const before = await poolState();
+        const [previous] = await upgrade(hre, { registryDir, targets: ["pools"], poolContract: "TokenPoolV2" });
+
+        expect(previous.upgraded).to.be.true;
+        expect(await factory.poolImplementation()).to.equal(previous.implementation);
+
+        const upgraded = await ethers.getContractAt("TokenPoolV2", poolAddress);
+        expect(await upgraded.version()).to.equal("2");
+        expect(await upgraded.dailyBetLimit()).to.equal(0);
+        expect(await poolState()).to.deep.equal(before);
+
+        // The pool keeps working, vouchers included (same EIP-712 domain)
+        await pool.connect(player).withdraw(ethers.parseEther("20"));
+        expect(await pool.firebaseBalances(player.address)).to.equal(before.firebaseBalance - ethers.parseEther("20"));
+
+        const voucher = await buildVoucher(pool, player.address, ethers.parseEther("1"));
+        await expect(pool.redeemWithdrawalVoucher(voucher, await signVoucher(operator, pool, voucher)))
+            .to.emit(pool, "VoucherRedeemed");
+    });
+
+    it("Should upgrade the factory and keep its pools and settings", async function () {
+        const [tokens, pools] = await factory.getDeployedPools();
+        const [result] = await upgrade(hre, { registryDir, targets: ["factory"], factoryContract: "CasinoFactoryV2" });
+        expect(result.upgraded).to.be.true;
+
+        const upgraded = await ethers.getContractAt("CasinoFactoryV2", await factory.getAddress());
+        expect(await upgraded.version()).to.equal("2");
+        expect(await factory.owner()).to.equal(owner.address);
+        expect(await factory.operatorNames(operator.address)).to.equal("game-server");
+        expect(await factory.getDeployedPools()).to.deep.equal([tokens, pools]);
+        expect(await factory.computePoolAddress(await token.getAddress())).to.equal(poolAddress);
+
+        // Pools still see the factory's settings
+        await factory.pause();
+        expect(await pool.paused()).to.be.true;
+    });
+
+    it("Should upgrade every LP share token and keep its balances", async function () {
+        const shareToken = await ethers.getContractAt("LPShareToken", await pool.shareToken());
+        const balance = await shareToken.balanceOf(liquidityProvider.address);
+        expect(balance).to.equal(await pool.shares(liquidityProvider.address));
+
+        const [result] = await upgrade(hre, { registryDir, targets: ["share-tokens"], shareTokenContract: "LPShareTokenV2" });
+        expect(result.upgraded).to.be.true;
+        expect(result.created).to.deep.equal([]);
+
+        const upgraded = await ethers.getContractAt("LPShareTokenV2", await shareToken.getAddress());
+        expect(await upgraded.version()).to.equal("2");
+        expect(await upgraded.balanceOf(liquidityProvider.address)).to.equal(balance);
+        expect(await upgraded.pool()).to.equal(poolAddress);
+    });
+
+    it("Should add share tokens to a factory deployed without them", async function () {
+        const TokenPool = await ethers.getContractFactory("TokenPool");
+        const CasinoFactory = await ethers.getContractFactory("CasinoFactory");
+        const poolImplementation = await upgrades.deployImplementation(TokenPool, { kind: "beacon" });
+        const bare = await upgrades.deployProxy(CasinoFactory, [owner.address, poolImplementation], { kind: "uups" });
+        await bare.createPool(await token.getAddress());
+        const [, barePool] = await bare.getPool(await token.getAddress());
+
+        const { chainId } = await ethers.provider.getNetwork();
+        writeDeployment(hre.network.name, {
+            chainId,
+            contracts: { CasinoFactory: await bare.getAddress() },
+            pools: { [await token.getAddress()]: barePool }
+        }, registryDir);
+
+        const [result] = await upgrade(hre, { registryDir, targets: ["share-tokens"] });
+        expect(result).to.include({ previous: null, upgraded: true });
+        expect(result.created).to.deep.equal([await token.getAddress()]);
+        expect(await bare.shareTokenBeacon()).to.not.equal(ethers.ZeroAddress);
+
+        const created = await ethers.getContractAt("TokenPool", barePool);
+        expect(await created.shareToken()).to.not.equal(ethers.ZeroAddress);
+
+        // The new beacon is recorded, so it upgrades like the others
+        const [again] = await upgrade(hre, { registryDir, targets: ["share-tokens"], shareTokenContract: "LPShareTokenV2" });
+        expect(again).to.include({ previous: result.implementation, upgraded: true });
+    });
+
+    it("Should leave pools alone when they already run the implementation", async function () {
+        await upgrade(hre, { registryDir, targets: ["pools"], poolContract: "TokenPoolV2" });
+        const [again] = await upgrade(hre, { registryDir, targets: ["pools"], poolContract: "TokenPoolV2" });
+
+        expect(again.upgraded).to.be.false;
+        expect(again.implementation).to.equal(again.previous);
+    });
+
+    it("Should reject an incompatible storage layout", async function () {
+        const implementation = await factory.poolImplementation();
+        await expect(upgrade(hre, { registryDir, targets: ["pools"], poolContract: "TokenPoolBadLayout", validateOnly: true }))
+            .to.be.rejectedWith("New storage layout is incompatible");
+        await expect(upgrade(hre, { registryDir, targets: ["pools"], poolContract: "TokenPoolBadLayout" }))
+            .to.be.rejectedWith("New storage layout is incompatible");
+        expect(await factory.poolImplementation()).to.equal(implementation);
+
+        const [valid] = await upgrade(hre, { registryDir, targets: ["pools"], poolContract: "TokenPoolV2", validateOnly: true });
+        expect(valid.valid).to.be.true;
+    });
+
+    it("Should only let the owner switch implementations", async function () {
+        await expect(factory.connect(newOwner).upgradePools(await factory.poolImplementation()))
+            .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+        await expect(factory.connect(newOwner).upgradeToAndCall(await factory.poolImplementation(), "0x"))
+            .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+
+        // Once the factory belongs to someone else, the script only prepares the upgrade
+        await factory.transferOwnership(newOwner.address);
+        await factory.connect(newOwner).acceptOwnership();
+
+        const [result] = await upgrade(hre, { registryDir, targets: ["pools"], poolContract: "TokenPoolV2" });
+        expect(result.upgraded).to.be.false;
+        expect(result.ownerCommand).to.equal(`npm run casino -- upgrade-pools ${result.implementation} --network hardhat`);
+        expect(await factory.poolImplementation()).to.equal(result.previous);
+
+        await runCommand(["upgrade-pools", result.implementation], {
+            runner: newOwner,
+            factoryAddress: await factory.getAddress()
+        });
+        expect(await factory.poolImplementation()).to.equal(result.implementation);
+    });
+});
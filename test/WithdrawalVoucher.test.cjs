@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { VOUCHER_TYPES, getVoucherDomain, buildVoucher, signVoucher, verifyVoucher } = require("../scripts/lib/vouchers");
+const { deployFactory } = require("./helpers/casino.cjs");
+
+describe("Withdrawal Vouchers", function () {
+    let token, token2, factory, router, pool, pool2;
+    let owner, platformWallet, operator, player, relayer;
+
+    beforeEach(async function () {
+        [owner, platformWallet, operator, player, relayer] = await ethers.getSigners();
+
+        const TestToken = await ethers.getContractFactory("TestToken");
+        token = await TestToken.deploy();
+        token2 = await TestToken.deploy();
+
+        factory = await deployFactory(platformWallet.address);
+        await factory.setOperator(operator.address, true, "test-operator");
+
+        const CasinoRouter = await ethers.getContractFactory("CasinoRouter");
+        router = await CasinoRouter.deploy(await factory.getAddress());
+        await factory.setRouter(await router.getAddress());
+
+        await factory.createPool(await token.getAddress());
+        await factory.createPool(await token2.getAddress());
+        const [, poolAddress] = await factory.getPool(await token.getAddress());
+        const [, pool2Address] = await factory.getPool(await token2.getAddress());
+        pool = await ethers.getContractAt("TokenPool", poolAddress);
+        pool2 = await ethers.getContractAt("TokenPool", pool2Address);
+
+        await token.mint(player.address, ethers.parseEther("1000"));
+        await token.connect(player).approve(poolAddress, ethers.MaxUint256);
+        await pool.connect(player).deposit(ethers.parseEther("100"));
+    });
+
+    it("Should match the on-chain voucher digest", async function () {
+        const voucher = await buildVoucher(pool, player.address, ethers.parseEther("10"));
+        const digest = ethers.TypedDataEncoder.hash(await getVoucherDomain(pool), VOUCHER_TYPES, voucher);
+        expect(await pool.hashWithdrawalVoucher(voucher)).to.equal(digest);
+
+        const signature = await signVoucher(operator, pool, voucher);
+        const { signer, valid } = await verifyVoucher(pool, factory, voucher, signature);
+        expect(signer).to.equal(operator.address);
+        expect(valid).to.be.true;
+    });
+
+    it("Should redeem a voucher and charge the withdrawal fee", async function () {
+        const amount = ethers.parseEther("40");
+        const voucher = await buildVoucher(pool, player.address, amount);
+        const signature = await signVoucher(operator, pool, voucher);
+
+        const fee = (amount * 250n) / 10000n;
+        // Anyone can relay the voucher; funds go to the voucher's user
+        const tx = pool.connect(relayer).redeemWithdrawalVoucher(voucher, signature);
+        await expect(tx).to.changeTokenBalances(token, [player, platformWallet], [amount - fee, fee]);
+        await expect(tx).to.emit(pool, "VoucherRedeemed")
+            .withArgs(player.address, operator.address, amount, 0);
+
+        expect(await pool.nonces(player.address)).to.equal(1);
+        expect(await pool.totalDeposits()).to.equal(ethers.parseEther("60"));
+    });
+
+    it("Should redeem a voucher through the router", async function () {
+        const amount = ethers.parseEther("10");
+        const voucher = await buildVoucher(pool, player.address, amount);
+        const signature = await signVoucher(operator, pool, voucher);
+
+        await expect(router.connect(player).withdrawWithVoucher(await token.getAddress(), voucher, signature))
+            .to.emit(pool, "Withdrawal")
+            .withArgs(player.address, amount, amount - (amount * 250n) / 10000n, anyValue);
+    });
+
+    it("Should reject a replayed voucher", async function () {
+        const voucher = await buildVoucher(pool, player.address, ethers.parseEther("10"));
+        const signature = await signVoucher(operator, pool, voucher);
+        await pool.connect(player).redeemWithdrawalVoucher(voucher, signature);
+
+        await expect(pool.connect(player).redeemWithdrawalVoucher(voucher, signature))
+            .to.be.revertedWithCustomError(pool, "InvalidAccountNonce");
+    });
+
+    it("Should reject an expired voucher", async function () {
+        const voucher = await buildVoucher(pool, player.address, ethers.parseEther("10"), 60);
+        const signature = await signVoucher(operator, pool, voucher);
+
+        await network.provider.send("evm_increaseTime", [120]);
+        await network.provider.send("evm_mine");
+
+        expect((await verifyVoucher(pool, factory, voucher, signature)).checks.deadline).to.be.false;
+        await expect(pool.connect(player).redeemWithdrawalVoucher(voucher, signature))
+            .to.be.revertedWithCustomError(pool, "VoucherExpired");
+    });
+
+    it("Should reject a voucher not signed by an operator", async function () {
+        const voucher = await buildVoucher(pool, player.address, ethers.parseEther("10"));
+        const signature = await signVoucher(player, pool, voucher);
+
+        await expect(pool.connect(player).redeemWithdrawalVoucher(voucher, signature))
+            .to.be.revertedWithCustomError(pool, "InvalidSignature");
+
+        // Tampering with the amount changes the recovered signer
+        const operatorSignature = await signVoucher(operator, pool, voucher);
+        const tampered = { ...voucher, amount: ethers.parseEther("90") };
+        await expect(pool.connect(player).redeemWithdrawalVoucher(tampered, operatorSignature))
+            .to.be.revertedWithCustomError(pool, "InvalidSignature");
+    });
+
+    it("Should reject a voucher issued for another pool", async function () {
+        const voucher = await buildVoucher(pool2, player.address, ethers.parseEther("10"));
+        const signature = await signVoucher(operator, pool2, voucher);
+
+        await expect(pool.connect(player).redeemWithdrawalVoucher(voucher, signature))
+            .to.be.revertedWithCustomError(pool, "InvalidVoucher");
+    });
+
+    it("Should stop accepting vouchers from a removed operator", async function () {
+        const voucher = await buildVoucher(pool, player.address, ethers.parseEther("10"));
+        const signature = await signVoucher(operator, pool, voucher);
+        await factory.setOperator(operator.address, false, "");
+
+        await expect(pool.connect(player).redeemWithdrawalVoucher(voucher, signature))
+            .to.be.revertedWithCustomError(pool, "InvalidSignature");
+    });
+});
+
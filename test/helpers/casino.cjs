@@ -0,0 +1,29 @@
+const { ethers, upgrades } = require("hardhat");
+
+/**
+ * Deploy CasinoFactory the way scripts/deploy.js does: a UUPS proxy,
+ * initialized with the platform wallet and a TokenPool implementation for
+ * the pool beacon, plus an LPShareToken implementation so new pools get a
+ * share token. The implementations are checked for upgrade safety and
+ * recorded by @openzeppelin/hardhat-upgrades. The factory is owned by the
+ * first signer and administers a fresh AccessManager for its roles.
+ */
+async function deployFactory(platformWallet) {
+    const TokenPool = await ethers.getContractFactory("TokenPool");
+    const poolImplementation = await upgrades.deployImplementation(TokenPool, { kind: "beacon" });
+
+    const CasinoFactory = await ethers.getContractFactory("CasinoFactory");
+    const factory = await upgrades.deployProxy(CasinoFactory, [platformWallet, poolImplementation], { kind: "uups" });
+
+    const LPShareToken = await ethers.getContractFactory("LPShareToken");
+    await factory.setShareTokenImplementation(await upgrades.deployImplementation(LPShareToken, { kind: "beacon" }));
+
+    const AccessManager = await ethers.getContractFactory("AccessManager");
+    const manager = await AccessManager.deploy(await factory.getAddress());
+    await factory.setAccessManager(await manager.getAddress());
+    return factory;
+}
+
+module.exports = {
+    deployFactory
+};
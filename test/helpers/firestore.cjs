@@ -0,0 +1,424 @@
+const admin = require("firebase-admin");
+const { ethers } = require("ethers");
+
+/**
+ * Firestore harness for the Firebase test suites.
+ *
+ * By default an in-process fake stands in for Firestore and `admin.firestore()`
+ * returns it, so the suites run offline. When FIRESTORE_EMULATOR_HOST is set
+ * (e.g. `firebase emulators:exec --project demo-casino --only firestore "npx hardhat test"`) the real
+ * client is used against the emulator instead.
+ *
+ * The fake covers what the scripts and tests use: documents and nested
+ * collections, get/set (with merge)/update/delete, simple where() queries,
+ * collectionGroup(), onSnapshot(), batches, runTransaction() and the
+ * serverTimestamp/delete/increment field transforms.
+ */
+
+const { FieldValue, Timestamp } = admin.firestore;
+
+function notFound(path) {
+    const error = new Error(`5 NOT_FOUND: No document to update: ${path}`);
+    error.code = 5;
+    return error;
+}
+
+function autoId() {
+    return ethers.hexlify(ethers.randomBytes(10)).slice(2);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Timestamps are immutable, so they are shared rather than copied
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+    }
+    return value;
+}
+
+function getField(data, fieldPath) {
+    return fieldPath.split(".").reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Write `value` at a dotted path, resolving field transforms against the current value
+ */
+function setField(data, fieldPath, value) {
+    const keys = fieldPath.split(".");
+    const last = keys.pop();
+    let target = data;
+    for (const key of keys) {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+    }
+
+    if (value instanceof FieldValue) {
+        if (value.isEqual(FieldValue.delete())) {
+            delete target[last];
+        } else if (value.isEqual(FieldValue.serverTimestamp())) {
+            target[last] = Timestamp.now();
+        } else if (typeof value.operand === "number") {
+            target[last] = (typeof target[last] === "number" ? target[last] : 0) + value.operand;
+        } else {
+            throw new Error(`Unsupported FieldValue in fake Firestore: ${value.constructor.name}`);
+        }
+        return;
+    }
+    target[last] = isPlainObject(value) ? applyFields({}, value) : clone(value);
+}
+
+function applyFields(data, fields) {
+    for (const [key, value] of Object.entries(fields)) {
+        if (isPlainObject(value) && isPlainObject(data[key])) {
+            applyFields(data[key], value);
+        } else {
+            setField(data, key, value);
+        }
+    }
+    return data;
+}
+
+const FILTERS = {
+    "==": (a, b) => a === b,
+    "!=": (a, b) => a !== b,
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+    "in": (a, b) => b.includes(a),
+    "array-contains": (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return this.exists ? clone(this._data) : undefined;
+    }
+
+    get(fieldPath) {
+        return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+    }
+}
+
+class QuerySnapshot {
+    constructor(docs, changes = []) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+        this._changes = changes;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+
+    docChanges() {
+        return this._changes;
+    }
+}
+
+class DocumentReference {
+    constructor(db, path) {
+        this.firestore = db;
+        this.path = path;
+        this.id = path.split("/").pop();
+    }
+
+    get parent() {
+        return new CollectionReference(this.firestore, this.path.split("/").slice(0, -1).join("/"));
+    }
+
+    collection(id) {
+        return new CollectionReference(this.firestore, `${this.path}/${id}`);
+    }
+
+    async get() {
+        return new DocumentSnapshot(this, this.firestore._docs.get(this.path));
+    }
+
+    async set(data, options = {}) {
+        const current = options.merge ? clone(this.firestore._docs.get(this.path) || {}) : {};
+        this.firestore._write(this.path, applyFields(current, data));
+    }
+
+    async update(fields) {
+        const current = this.firestore._docs.get(this.path);
+        if (current === undefined) throw notFound(this.path);
+
+        const data = clone(current);
+        for (const [fieldPath, value] of Object.entries(fields)) {
+            setField(data, fieldPath, value);
+        }
+        this.firestore._write(this.path, data);
+    }
+
+    async delete() {
+        this.firestore._write(this.path, undefined);
+    }
+
+    onSnapshot(onNext, onError) {
+        return this.firestore._listen(
+            path => path === this.path,
+            snapshot => onNext(snapshot.docs[0] || new DocumentSnapshot(this, undefined)),
+            onError
+        );
+    }
+}
+
+class Query {
+    constructor(db, matchesPath, filters = []) {
+        this.firestore = db;
+        this._matchesPath = matchesPath;
+        this._filters = filters;
+    }
+
+    where(fieldPath, op, value) {
+        if (!FILTERS[op]) throw new Error(`Unsupported where() operator in fake Firestore: ${op}`);
+        return new Query(this.firestore, this._matchesPath, [...this._filters, { fieldPath, op, value }]);
+    }
+
+    _matches(path, data) {
+        return data !== undefined && this._matchesPath(path) &&
+            this._filters.every(f => FILTERS[f.op](getField(data, f.fieldPath), f.value));
+    }
+
+    async get() {
+        const docs = [...this.firestore._docs.entries()]
+            .filter(([path, data]) => this._matches(path, data))
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([path, data]) => new DocumentSnapshot(new DocumentReference(this.firestore, path), data));
+        return new QuerySnapshot(docs);
+    }
+
+    onSnapshot(onNext, onError) {
+        return this.firestore._listen((path, data) => this._matches(path, data), onNext, onError);
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(db, path) {
+        const depth = path.split("/").length + 1;
+        super(db, docPath => docPath.startsWith(`${path}/`) && docPath.split("/").length === depth);
+        this.path = path;
+        this.id = path.split("/").pop();
+    }
+
+    get parent() {
+        const segments = this.path.split("/");
+        return segments.length > 1
+            ? new DocumentReference(this.firestore, segments.slice(0, -1).join("/"))
+            : null;
+    }
+
+    doc(id = autoId()) {
+        return new DocumentReference(this.firestore, `${this.path}/${id}`);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class WriteBatch {
+    constructor() {
+        this._ops = [];
+    }
+
+    set(ref, data, options) {
+        this._ops.push(() => ref.set(data, options));
+        return this;
+    }
+
+    update(ref, fields) {
+        this._ops.push(() => ref.update(fields));
+        return this;
+    }
+
+    delete(ref) {
+        this._ops.push(() => ref.delete());
+        return this;
+    }
+
+    async commit() {
+        for (const op of this._ops) await op();
+    }
+}
+
+// Reads go straight to the store; writes are buffered until the callback resolves
+class Transaction extends WriteBatch {
+    get(ref) {
+        return ref.get();
+    }
+}
+
+class FakeFirestore {
+    constructor() {
+        this._docs = new Map();
+        this._listeners = new Set();
+        this._transactions = Promise.resolve();
+    }
+
+    settings() {}
+
+    collection(path) {
+        return new CollectionReference(this, path);
+    }
+
+    doc(path) {
+        return new DocumentReference(this, path);
+    }
+
+    collectionGroup(id) {
+        return new Query(this, path => path.split("/").slice(-2)[0] === id);
+    }
+
+    batch() {
+        return new WriteBatch();
+    }
+
+    // Transactions run one at a time, which is all the isolation the fake needs
+    runTransaction(updateFunction) {
+        const run = this._transactions.then(async () => {
+            const transaction = new Transaction();
+            const result = await updateFunction(transaction);
+            await transaction.commit();
+            return result;
+        });
+        this._transactions = run.catch(() => {});
+        return run;
+    }
+
+    async recursiveDelete(ref) {
+        for (const path of [...this._docs.keys()]) {
+            if (path === ref.path || path.startsWith(`${ref.path}/`)) this._write(path, undefined);
+        }
+    }
+
+    reset() {
+        this._docs.clear();
+        this._listeners.clear();
+    }
+
+    _write(path, data) {
+        const previous = this._docs.get(path);
+        if (data === undefined) {
+            this._docs.delete(path);
+        } else {
+            this._docs.set(path, data);
+        }
+
+        for (const listener of this._listeners) {
+            const wasMatch = listener.matches(path, previous);
+            const isMatch = listener.matches(path, data);
+            if (!wasMatch && !isMatch) continue;
+
+            const ref = new DocumentReference(this, path);
+            const type = !wasMatch ? "added" : !isMatch ? "removed" : "modified";
+            const doc = new DocumentSnapshot(ref, type === "removed" ? previous : data);
+            listener.emit([{ type, doc }]);
+        }
+    }
+
+    // Snapshots are delivered asynchronously, like the real client: first the
+    // current matches as "added", then one snapshot per write
+    _listen(matches, onNext, onError) {
+        const listener = {
+            matches,
+            emit: changes => setImmediate(async () => {
+                if (!this._listeners.has(listener)) return;
+                const docs = [...this._docs.entries()]
+                    .filter(([path, data]) => matches(path, data))
+                    .map(([path, data]) => new DocumentSnapshot(new DocumentReference(this, path), data));
+                try {
+                    await onNext(new QuerySnapshot(docs, changes));
+                } catch (error) {
+                    if (onError) onError(error);
+                }
+            })
+        };
+        this._listeners.add(listener);
+
+        const initial = [...this._docs.entries()]
+            .filter(([path, data]) => matches(path, data))
+            .map(([path, data]) => ({ type: "added", doc: new DocumentSnapshot(new DocumentReference(this, path), data) }));
+        listener.emit(initial);
+
+        return () => this._listeners.delete(listener);
+    }
+}
+
+/**
+ * Register mocha hooks that provide a clean Firestore for every test.
+ * Returns a handle whose `db` is set once the suite starts.
+ */
+function useFirestore() {
+    const handle = { db: null, emulator: Boolean(process.env.FIRESTORE_EMULATOR_HOST) };
+    let fake;
+
+    before(function () {
+        if (!admin.apps.length) {
+            // No credentials are needed for the fake or the emulator
+            admin.initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || "demo-casino" });
+        }
+
+        if (handle.emulator) {
+            handle.db = admin.firestore();
+            return;
+        }
+
+        // Point admin.firestore() (and scripts/lib/firebase.js) at the fake
+        fake = new FakeFirestore();
+        const firestore = Object.assign(() => fake, admin.firestore);
+        Object.defineProperty(admin, "firestore", { get: () => firestore, configurable: true });
+        handle.db = fake;
+    });
+
+    beforeEach(async function () {
+        if (handle.emulator) {
+            await handle.db.recursiveDelete(handle.db.collection("balances"));
+            await handle.db.recursiveDelete(handle.db.collection("games"));
+        } else {
+            fake.reset();
+        }
+    });
+
+    after(function () {
+        if (!handle.emulator) {
+            delete admin.firestore;
+        }
+    });
+
+    return handle;
+}
+
+/**
+ * Seed per-token balances: { [user]: { [token]: "12.5" } } in whole token units,
+ * at balances/{user}/tokens/{token} like the game backend writes them
+ */
+async function seedBalances(db, balances) {
+    for (const [user, tokens] of Object.entries(balances)) {
+        for (const [token, balance] of Object.entries(tokens)) {
+            await db.collection("balances").doc(ethers.getAddress(user))
+                .collection("tokens").doc(ethers.getAddress(token))
+                .set({ balance, lastUpdate: FieldValue.serverTimestamp() });
+        }
+    }
+}
+
+module.exports = {
+    FakeFirestore,
+    useFirestore,
+    seedBalances
+};
@@ -1,9 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildVoucher, signVoucher } = require("../scripts/lib/vouchers");
+const { deployFactory } = require("./helpers/casino.cjs");
 
 describe("Casino System Integration", function () {
-    let TestToken, CasinoFactory, CasinoRouter, RooCasino;
+    let TestToken, CasinoRouter, RooCasino;
     let testToken, testToken2, factory, router, casino;
     let owner, platformWallet, player, player2, operator, operator2, liquidityProvider;
 
@@ -20,18 +22,11 @@ describe("Casino System Integration", function () {
             await testToken2.waitForDeployment();
             console.log("TestTokens deployed successfully");
 
-            // Deploy CasinoFactory
+            // Deploy and initialize CasinoFactory
             console.log("Deploying CasinoFactory...");
-            CasinoFactory = await ethers.getContractFactory("CasinoFactory");
-            factory = await CasinoFactory.deploy();
-            await factory.waitForDeployment();
+            factory = await deployFactory(platformWallet.address);
             console.log("CasinoFactory deployed successfully");
 
-            // Initialize factory
-            console.log("Initializing factory...");
-            await factory.initialize(platformWallet.address);
-            console.log("Factory initialized successfully");
-
             // Set operators
             console.log("Setting operators...");
             await factory.setOperator(operator.address, true, "test-operator");
@@ -45,6 +40,8 @@ describe("Casino System Integration", function () {
             router = await CasinoRouter.deploy(factoryAddress);
             await router.waitForDeployment();
             const routerAddress = await router.getAddress();
+            // Pools only take deposits for other users from the factory's router
+            await factory.setRouter(routerAddress);
             console.log("CasinoRouter deployed successfully at", routerAddress);
 
             // Deploy RooCasino
@@ -120,10 +117,9 @@ describe("Casino System Integration", function () {
             const TokenPool = await ethers.getContractFactory("TokenPool");
             const pool = TokenPool.attach(poolAddress);
             
-            // Verify deposit (accounting for platform fee)
-            const platformFee = depositAmount * 500n / 10000n; // 5% fee
-            const expectedDeposit = depositAmount - platformFee;
-            expect(await pool.getPoolBalance()).to.equal(expectedDeposit);
+            // Deposits are credited in full; the platform fee is taken on withdrawal
+            expect(await pool.getPoolBalance()).to.equal(depositAmount);
+            expect(await pool.firebaseBalances(player.address)).to.equal(depositAmount);
         });
 
         it("Should process game results correctly", async function () {
@@ -140,22 +136,25 @@ describe("Casino System Integration", function () {
             const [, poolAddress] = await factory.getPool(testTokenAddress);
             const TokenPool = await ethers.getContractFactory("TokenPool");
             const pool = TokenPool.attach(poolAddress);
+
+            // LP capital pays the winnings
+            await testToken.connect(liquidityProvider).approve(poolAddress, depositAmount);
+            await pool.connect(liquidityProvider).addLiquidity(depositAmount);
             
             // Process a winning game result
             const winAmount = ethers.parseEther("150"); // 50% profit
             await pool.connect(operator).processGameResult(
+                ethers.id("game-1"),
                 player.address,
                 betAmount,
                 winAmount
             );
             
-            // Calculate platform fee
-            const platformFee = depositAmount * 500n / 10000n; // 5% fee
-
-            // Verify pool balance changed correctly
-            const gameFee = winAmount * 500n / 10000n; // 5% game fee
-            const expectedBalance = depositAmount - platformFee - winAmount + gameFee;
-            expect(await pool.getPoolBalance()).to.be.closeTo(expectedBalance, 1000n);
+            // The player's balance loses the stake and gains the win net of game fees
+            const gameFee = winAmount * 300n / 10000n; // 2% LP + 1% platform
+            const expectedBalance = depositAmount - betAmount + winAmount - gameFee;
+            expect(await pool.getPoolBalance()).to.equal(expectedBalance);
+            expect(await pool.firebaseBalances(player.address)).to.equal(expectedBalance);
         });
 
         it("Should allow withdrawals", async function () {
@@ -168,28 +167,27 @@ describe("Casino System Integration", function () {
             await testToken.connect(player).approve(routerAddress, depositAmount);
             await router.connect(player).depositToPool(testTokenAddress, depositAmount);
             
-            // Withdraw through router
-            await router.connect(player).withdrawFromPool(
-                testTokenAddress,
-                withdrawAmount
-            );
-            
-            // Verify withdrawal
+            // Withdraw straight from the pool, which pays the platform fee
             const [, poolAddress] = await factory.getPool(testTokenAddress);
             const TokenPool = await ethers.getContractFactory("TokenPool");
             const pool = TokenPool.attach(poolAddress);
-            
-            const platformFee = depositAmount * 500n / 10000n; // 5% fee
-            const expectedBalance = depositAmount - platformFee - withdrawAmount;
-            expect(await pool.getPoolBalance()).to.equal(expectedBalance);
+            const beforeBalance = await testToken.balanceOf(player.address);
+            await pool.connect(player).withdraw(withdrawAmount);
+
+            // Verify withdrawal
+            const platformFee = withdrawAmount * 250n / 10000n; // 2.5% fee
+            expect(await testToken.balanceOf(player.address) - beforeBalance).to.equal(withdrawAmount - platformFee);
+            expect(await pool.getPoolBalance()).to.equal(depositAmount - withdrawAmount);
         });
     });
 
     describe("Factory Tests", function () {
         it("Should properly initialize factory settings", async function () {
             expect(await factory.platformWallet()).to.equal(platformWallet.address);
-            expect(await factory.platformFee()).to.equal(500); // 5%
-            expect(await factory.gameFee()).to.equal(500); // 5%
+            const defaults = await factory.defaultFees();
+            expect(defaults.platformFee).to.equal(250); // 2.5%
+            expect(defaults.gameLpFee).to.equal(200); // 2%
+            expect(defaults.gamePlatformFee).to.equal(100); // 1%
         });
 
         it("Should manage operators correctly", async function () {
@@ -214,26 +212,32 @@ describe("Casino System Integration", function () {
         });
 
         it("Should manage fees correctly", async function () {
+            const testTokenAddress = await testToken.getAddress();
+            const [, poolAddress] = await factory.getPool(testTokenAddress);
+            const TokenPool = await ethers.getContractFactory("TokenPool");
+            const pool = TokenPool.attach(poolAddress);
+
             // Update platform fee
-            await factory.setPlatformFee(600); // 6%
-            expect(await factory.platformFee()).to.equal(600);
+            await expect(factory.setPlatformFee(testTokenAddress, 600)) // 6%
+                .to.emit(factory, "PlatformFeeUpdated")
+                .withArgs(testTokenAddress, 250, 600);
+            expect(await pool.platformFee()).to.equal(600);
 
             // Update game fee
-            await factory.setGameFee(700); // 7%
-            expect(await factory.gameFee()).to.equal(700);
+            await expect(factory.setGameFee(testTokenAddress, 400, 300)) // 4% LP + 3% platform
+                .to.emit(factory, "GameFeeUpdated")
+                .withArgs(testTokenAddress, 200, 100, 400, 300);
+            expect(await pool.gameLpFee()).to.equal(400);
+            expect(await pool.gamePlatformFee()).to.equal(300);
 
             // Should revert if fee is too high
             await expect(
-                factory.setPlatformFee(1100)
+                factory.setPlatformFee(testTokenAddress, 1100)
             ).to.be.revertedWithCustomError(factory, "FeeTooHigh");
 
-            // Should update fees in existing pools
-            await factory.updateAllPoolFees();
-            const testTokenAddress = await testToken.getAddress();
-            const [, poolAddress] = await factory.getPool(testTokenAddress);
-            const TokenPool = await ethers.getContractFactory("TokenPool");
-            const pool = TokenPool.attach(poolAddress);
-            expect(await pool.platformFee()).to.equal(600);
+            // Other pools keep their own schedule
+            const [, pool2Address] = await factory.getPool(await testToken2.getAddress());
+            expect(await TokenPool.attach(pool2Address).platformFee()).to.equal(250);
         });
 
         it("Should handle pool creation and management", async function () {
@@ -267,7 +271,7 @@ describe("Casino System Integration", function () {
             // Should not allow non-owner to pause/unpause
             await expect(
                 factory.connect(player).pause()
-            ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(factory, "AccessManagedUnauthorized");
 
             // Unpause factory
             await factory.unpause();
@@ -301,14 +305,16 @@ describe("Casino System Integration", function () {
                 const amount = ethers.parseEther("1000");
                 await testToken.connect(liquidityProvider).approve(poolAddress, amount);
                 
-                // Add liquidity
+                // Add liquidity; the first shares are bought 1:1 after the 2.5% platform fee
                 await pool.connect(liquidityProvider).addLiquidity(amount);
-                expect(await pool.totalDeposits()).to.equal(amount);
-                expect(await pool.totalShares()).to.equal(amount);
-                expect(await pool.shares(liquidityProvider.address)).to.equal(amount);
+                const netAmount = amount - amount * 250n / 10000n;
+                expect(await pool.lpCapital()).to.equal(netAmount);
+                expect(await pool.totalDeposits()).to.equal(0);
+                expect(await pool.totalShares()).to.equal(netAmount);
+                expect(await pool.shares(liquidityProvider.address)).to.equal(netAmount);
 
                 // Remove half liquidity
-                const halfShares = amount / 2n;
+                const halfShares = netAmount / 2n;
                 await pool.connect(liquidityProvider).removeLiquidity(halfShares);
                 expect(await pool.totalShares()).to.equal(halfShares);
                 expect(await pool.shares(liquidityProvider.address)).to.equal(halfShares);
@@ -323,7 +329,10 @@ describe("Casino System Integration", function () {
                 // Generate fees through game results
                 const betAmount = ethers.parseEther("100");
                 const winAmount = ethers.parseEther("150");
+                await testToken.connect(player).approve(poolAddress, betAmount);
+                await pool.connect(player).deposit(betAmount);
                 await pool.connect(operator).processGameResult(
+                    ethers.id("game-1"),
                     player.address,
                     betAmount,
                     winAmount
@@ -333,11 +342,11 @@ describe("Casino System Integration", function () {
                 const pendingRewards = await pool.getPendingRewards(liquidityProvider.address);
                 expect(pendingRewards).to.be.gt(0);
 
-                // Claim rewards
+                // Claim rewards, less the platform's 1% share
                 const beforeBalance = await testToken.balanceOf(liquidityProvider.address);
                 await pool.connect(liquidityProvider).claimRewards();
                 const afterBalance = await testToken.balanceOf(liquidityProvider.address);
-                expect(afterBalance - beforeBalance).to.equal(pendingRewards);
+                expect(afterBalance - beforeBalance).to.equal(pendingRewards - pendingRewards * 100n / 10000n);
             });
         });
 
@@ -350,34 +359,43 @@ describe("Casino System Integration", function () {
 
                 const betAmount = ethers.parseEther("100");
                 const winAmount = ethers.parseEther("150");
+                await testToken.connect(player).approve(poolAddress, betAmount);
+                await pool.connect(player).deposit(betAmount);
 
                 await pool.connect(operator).processGameResult(
+                    ethers.id("game-1"),
                     player.address,
                     betAmount,
                     winAmount
                 );
 
-                const gameFee = winAmount * 500n / 10000n; // 5% game fee
-                expect(await pool.accumulatedFees()).to.equal(gameFee);
+                const lpFee = winAmount * 200n / 10000n; // 2% of the win to LPs
+                expect(await pool.accumulatedFees()).to.equal(lpFee);
             });
 
             it("Should handle losing game results", async function () {
                 const betAmount = ethers.parseEther("100");
                 const winAmount = ethers.parseEther("0");
+                await testToken.connect(player).approve(poolAddress, betAmount);
+                await pool.connect(player).deposit(betAmount);
 
                 const beforeBalance = await pool.getPoolBalance();
                 await pool.connect(operator).processGameResult(
+                    ethers.id("game-1"),
                     player.address,
                     betAmount,
                     winAmount
                 );
 
-                expect(await pool.getPoolBalance()).to.equal(beforeBalance + betAmount);
+                // The stake leaves player liabilities and, less 3% in game fees, joins LP capital
+                expect(await pool.getPoolBalance()).to.equal(beforeBalance - betAmount);
+                expect(await pool.lpCapital()).to.equal(betAmount - betAmount * 300n / 10000n);
             });
 
             it("Should only allow operators to process results", async function () {
                 await expect(
                     pool.connect(player).processGameResult(
+                        ethers.id("game-1"),
                         player.address,
                         ethers.parseEther("100"),
                         ethers.parseEther("150")
@@ -392,6 +410,7 @@ describe("Casino System Integration", function () {
                 const amount = ethers.parseEther("1000");
                 await testToken.connect(liquidityProvider).approve(poolAddress, amount);
                 await pool.connect(liquidityProvider).addLiquidity(amount);
+                const capital = await pool.lpCapital();
 
                 // Pause pool through factory
                 await factory.pause();
@@ -401,7 +420,7 @@ describe("Casino System Integration", function () {
                 await factory.emergencyWithdrawFromPool(await testToken.getAddress());
                 const afterBalance = await testToken.balanceOf(platformWallet.address);
 
-                expect(afterBalance - beforeBalance).to.equal(amount);
+                expect(afterBalance - beforeBalance).to.equal(capital);
                 expect(await pool.totalDeposits()).to.equal(0);
                 expect(await pool.totalShares()).to.equal(0);
             });
@@ -431,11 +450,8 @@ describe("Casino System Integration", function () {
             const pool1 = TokenPool.attach(pool1Address);
             const pool2 = TokenPool.attach(pool2Address);
             
-            const platformFee = depositAmount * 500n / 10000n; // 5% fee
-            const expectedDeposit = depositAmount - platformFee;
-            
-            expect(await pool1.getPoolBalance()).to.equal(expectedDeposit);
-            expect(await pool2.getPoolBalance()).to.equal(expectedDeposit);
+            expect(await pool1.getPoolBalance()).to.equal(depositAmount);
+            expect(await pool2.getPoolBalance()).to.equal(depositAmount);
         });
 
         it("Should check active pools correctly", async function () {
@@ -455,10 +471,7 @@ describe("Casino System Integration", function () {
             
             // Get specific balances
             const balances = await router.getPoolBalances([testTokenAddress, testToken2Address]);
-            const platformFee = depositAmount * 500n / 10000n;
-            const expectedDeposit = depositAmount - platformFee;
-            
-            expect(balances[0]).to.equal(expectedDeposit);
+            expect(balances[0]).to.equal(depositAmount);
             expect(balances[1]).to.equal(0);
         });
 
@@ -476,20 +489,18 @@ describe("Casino System Integration", function () {
             await router.connect(player).depositToPool(testTokenAddress, depositAmount);
             await router.connect(player).depositToPool(testToken2Address, depositAmount);
             
-            // Withdraw from both pools
-            await router.connect(player).withdrawFromPool(
-                testTokenAddress,
-                withdrawAmount
-            );
-            await router.connect(player).withdrawFromPool(
-                testToken2Address,
-                withdrawAmount
-            );
+            // Withdraw from both pools with operator-signed vouchers
+            for (const tokenAddress of [testTokenAddress, testToken2Address]) {
+                const [, poolAddress] = await factory.getPool(tokenAddress);
+                const pool = await ethers.getContractAt("TokenPool", poolAddress);
+                const voucher = await buildVoucher(pool, player.address, withdrawAmount);
+                const signature = await signVoucher(operator, pool, voucher);
+                await router.connect(player).withdrawWithVoucher(tokenAddress, voucher, signature);
+            }
             
             // Verify balances
             const balances = await router.getPoolBalances([testTokenAddress, testToken2Address]);
-            const platformFee = depositAmount * 500n / 10000n;
-            const expectedBalance = depositAmount - platformFee - withdrawAmount;
+            const expectedBalance = depositAmount - withdrawAmount;
             
             expect(balances[0]).to.equal(expectedBalance);
             expect(balances[1]).to.equal(expectedBalance);